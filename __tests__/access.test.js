@@ -0,0 +1,50 @@
+import { canAccess, getGrants } from '../src/services/access.js';
+
+const orgId = '507f1f77bcf86cd799439011';
+const brandId = '507f1f77bcf86cd799439021';
+const businessId = '507f1f77bcf86cd799439031';
+const franchiseId = '507f1f77bcf86cd799439041';
+
+const franchisePath = { organizationId: orgId, brandId, businessId, franchiseId };
+const businessPath = { organizationId: orgId, brandId, businessId };
+
+describe('Access Service', () => {
+  describe('getGrants', () => {
+    it('should ignore roles without a matching scope', () => {
+      const grants = getGrants({ roles: ['admin', 'business_owner'], scopes: { orgId } });
+
+      expect(grants).toEqual([{ level: 'organization', id: orgId }]);
+    });
+  });
+
+  describe('canAccess', () => {
+    it('should let an org admin see the whole tree', () => {
+      const user = { roles: ['admin'], scopes: { orgId } };
+
+      expect(canAccess(user, { organizationId: orgId })).toBe(true);
+      expect(canAccess(user, franchisePath)).toBe(true);
+      expect(canAccess(user, { organizationId: '507f1f77bcf86cd799439099' })).toBe(false);
+    });
+
+    it('should limit a business owner to their business and its franchises', () => {
+      const user = { roles: ['business_owner'], scopes: { orgId, businessId } };
+
+      expect(canAccess(user, businessPath)).toBe(true);
+      expect(canAccess(user, franchisePath)).toBe(true);
+      expect(canAccess(user, { organizationId: orgId, brandId })).toBe(false);
+    });
+
+    it('should limit a franchise manager to their own franchise', () => {
+      const user = { roles: ['franchise_manager'], scopes: { orgId, businessId, franchiseId } };
+
+      expect(canAccess(user, franchisePath)).toBe(true);
+      expect(canAccess(user, businessPath)).toBe(false);
+      expect(canAccess(user, { ...businessPath, franchiseId: '507f1f77bcf86cd799439049' })).toBe(false);
+    });
+
+    it('should only let platform admins reach the root', () => {
+      expect(canAccess({ roles: ['super_admin'], scopes: {} }, {})).toBe(true);
+      expect(canAccess({ roles: ['admin'], scopes: { orgId } }, {})).toBe(false);
+    });
+  });
+});
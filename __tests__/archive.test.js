@@ -0,0 +1,160 @@
+import { Organization, Brand, Business, Franchise } from '../src/models/index.js';
+import AuditLog from '../src/models/AuditLog.js';
+import OutboxEvent from '../src/models/OutboxEvent.js';
+import { archiveEntity, restoreEntity, purgeArchived, RETENTION_DAYS } from '../src/services/archive.js';
+
+describe('Archive Service', () => {
+  const ORG = '507f1f77bcf86cd799439011';
+  const BRAND = '507f1f77bcf86cd799439021';
+  const BUSINESS = '507f1f77bcf86cd799439031';
+  const FRANCHISE = '507f1f77bcf86cd799439041';
+  const ARCHIVE = '507f1f77bcf86cd799439051';
+
+  // A query result that also takes the chained calls the service makes
+  const chain = value => ({
+    select() { return this; },
+    session() { return this; },
+    lean() { return this; },
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  });
+
+  const models = [Organization, Brand, Business, Franchise, AuditLog, OutboxEvent];
+  const methods = ['find', 'findById', 'exists', 'findOneAndUpdate', 'updateOne', 'updateMany', 'insertMany', 'countDocuments'];
+  const originals = models.map(model => Object.fromEntries(methods.map(method => [method, model[method]])));
+
+  let writes;
+  let audit;
+  let transactions;
+
+  beforeEach(() => {
+    transactions = process.env.MONGODB_TRANSACTIONS;
+    process.env.MONGODB_TRANSACTIONS = 'false';
+    writes = [];
+    audit = [];
+
+    for (const model of [Organization, Brand, Business, Franchise]) {
+      model.find = () => chain([]);
+      model.findById = () => chain({ _id: ORG, deletedAt: null });
+      model.exists = () => chain(true);
+      model.findOneAndUpdate = async () => ({});
+      model.updateOne = async (filter, update) => { writes.push([model.modelName, 'updateOne', filter, update]); };
+      model.updateMany = async (filter, update) => { writes.push([model.modelName, 'updateMany', filter, update]); };
+    }
+    AuditLog.insertMany = async entries => { audit.push(...entries); return entries; };
+    OutboxEvent.insertMany = async events => events;
+  });
+
+  afterEach(() => {
+    models.forEach((model, i) => Object.assign(model, originals[i]));
+    if (transactions === undefined) delete process.env.MONGODB_TRANSACTIONS;
+    else process.env.MONGODB_TRANSACTIONS = transactions;
+  });
+
+  describe('archiveEntity', () => {
+    it('should stamp the whole cascade with one archiveId', async () => {
+      Organization.findById = () => chain(Organization.hydrate({ _id: ORG, name: 'Acme', deletedAt: null }));
+      Brand.find = () => chain([{ _id: BRAND, organizationId: ORG }]);
+      Business.find = () => chain([{ _id: BUSINESS, organizationId: ORG, brandId: BRAND }]);
+      Franchise.find = () => chain([{ _id: FRANCHISE, businessId: BUSINESS }]);
+
+      const result = await archiveEntity('organization', ORG, { actor: { id: 'u1', roles: ['super_admin'] } });
+
+      expect(result.archived).toEqual({ organization: 1, brand: 1, business: 1, franchise: 1 });
+
+      const stamped = writes.filter(([, method, , update]) => update.$set?.archiveId);
+      expect(stamped.map(([model]) => model)).toEqual(['Organization', 'Brand', 'Business', 'Franchise']);
+      expect(new Set(stamped.map(([, , , update]) => String(update.$set.archiveId)))).toEqual(new Set([String(result.archiveId)]));
+      expect(stamped[3][2]).toEqual({ _id: { $in: [FRANCHISE] }, deletedAt: null });
+
+      expect(audit.map(entry => [entry.entityType, entry.metadata.cascadeFrom?.entityType ?? null])).toEqual([
+        ['organization', null],
+        ['brand', 'organization'],
+        ['business', 'organization'],
+        ['franchise', 'organization']
+      ]);
+    });
+
+    it('should refuse what is already archived', async () => {
+      Brand.findById = () => chain(Brand.hydrate({ _id: BRAND, organizationId: ORG, deletedAt: new Date() }));
+
+      await expect(archiveEntity('brand', BRAND)).rejects.toMatchObject({ status: 409 });
+      expect(writes).toEqual([]);
+    });
+  });
+
+  describe('restoreEntity', () => {
+    const archivedBrand = extra => Brand.hydrate({
+      _id: BRAND,
+      organizationId: ORG,
+      deletedAt: new Date('2024-05-01T00:00:00Z'),
+      archiveId: ARCHIVE,
+      ...extra
+    });
+
+    it('should bring back exactly the cascade that shares the archiveId', async () => {
+      Brand.findById = () => chain(archivedBrand());
+      const cascadeQueries = [];
+      // Looked up by archiveId, so children archived on their own earlier stay archived
+      Business.find = filter => {
+        cascadeQueries.push(filter);
+        return chain([{ _id: BUSINESS, organizationId: ORG, brandId: BRAND }]);
+      };
+      Franchise.find = () => chain([{ _id: FRANCHISE, businessId: BUSINESS }]);
+
+      const result = await restoreEntity('brand', BRAND);
+
+      expect(result.restored).toEqual({ brand: 1, business: 1, franchise: 1 });
+      expect(String(cascadeQueries[0].archiveId)).toBe(ARCHIVE);
+
+      const cleared = writes.filter(([, , , update]) => update.$set?.deletedAt === null);
+      expect(cleared.map(([model, , filter]) => [model, filter])).toEqual([
+        ['Brand', { _id: archivedBrand()._id }],
+        ['Business', { _id: { $in: [BUSINESS] } }],
+        ['Franchise', { _id: { $in: [FRANCHISE] } }]
+      ]);
+    });
+
+    it('should refuse to restore a merged entity', async () => {
+      Brand.findById = () => chain(archivedBrand({ mergedInto: '507f1f77bcf86cd799439022' }));
+
+      await expect(restoreEntity('brand', BRAND)).rejects.toMatchObject({
+        status: 409,
+        details: { code: 'MERGED' }
+      });
+      expect(writes).toEqual([]);
+    });
+
+    it('should refuse to restore into an archived parent', async () => {
+      Brand.findById = () => chain(archivedBrand());
+      Organization.findById = () => chain({ _id: ORG, deletedAt: new Date() });
+
+      await expect(restoreEntity('brand', BRAND)).rejects.toMatchObject({
+        status: 409,
+        details: { code: 'PARENT_ARCHIVED' }
+      });
+    });
+  });
+
+  describe('purgeArchived', () => {
+    it('should never purge inside the retention window', async () => {
+      await expect(purgeArchived({ olderThanDays: RETENTION_DAYS - 1 })).rejects.toMatchObject({ status: 400 });
+      await expect(purgeArchived({ olderThanDays: Number.NaN })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should count what a dry run would purge, children first', async () => {
+      const counted = [];
+      for (const model of [Organization, Brand, Business, Franchise]) {
+        model.countDocuments = async filter => { counted.push([model.modelName, filter]); return 2; };
+      }
+      const before = Date.now();
+
+      const result = await purgeArchived({ olderThanDays: RETENTION_DAYS + 10, dryRun: true });
+
+      expect(result.purged).toEqual({ franchise: 2, business: 2, brand: 2, organization: 2 });
+      expect(counted.map(([model]) => model)).toEqual(['Franchise', 'Business', 'Brand', 'Organization']);
+      const days = (before - result.cutoff.getTime()) / (24 * 60 * 60 * 1000);
+      expect(Math.round(days)).toBe(RETENTION_DAYS + 10);
+      expect(counted[0][1]).toEqual({ deletedAt: { $ne: null, $lte: result.cutoff } });
+    });
+  });
+});
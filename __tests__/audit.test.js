@@ -0,0 +1,34 @@
+import { diff } from '../src/services/audit.js';
+
+describe('Audit Service', () => {
+  describe('diff', () => {
+    it('should report nested field changes as dot paths', () => {
+      const before = { name: 'Downtown', settings: { operatingHours: { monday: { open: '09:00', close: '17:00' } } } };
+      const after = { name: 'Downtown', settings: { operatingHours: { monday: { open: '08:00', close: '17:00' } } } };
+
+      expect(diff(before, after)).toEqual([
+        { path: 'settings.operatingHours.monday.open', before: '09:00', after: '08:00' }
+      ]);
+    });
+
+    it('should record added and removed fields against null', () => {
+      expect(diff({ description: 'Old' }, { logo: 'logo.png' })).toEqual([
+        { path: 'description', before: 'Old', after: null },
+        { path: 'logo', before: null, after: 'logo.png' }
+      ]);
+    });
+
+    it('should ignore bookkeeping fields', () => {
+      const before = { name: 'Acme', updatedAt: new Date('2024-01-01'), usage: { brands: 1 } };
+      const after = { name: 'Acme', updatedAt: new Date('2024-02-01'), usage: { brands: 2 } };
+
+      expect(diff(before, after)).toEqual([]);
+    });
+
+    it('should compare arrays as a whole', () => {
+      expect(diff({ tags: ['a', 'b'] }, { tags: ['a', 'c'] })).toEqual([
+        { path: 'tags', before: ['a', 'b'], after: ['a', 'c'] }
+      ]);
+    });
+  });
+});
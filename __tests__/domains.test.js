@@ -0,0 +1,87 @@
+import { isValidHostname, normalizeHostname } from '../src/utils/domains.js';
+import { challengeFor, findChallenge, nextState, describeDomain, VERIFICATION_DAYS } from '../src/services/domains.js';
+
+describe('Domain Service', () => {
+  describe('hostnames', () => {
+    it('should accept fully qualified hostnames only', () => {
+      expect(isValidHostname('acme.com')).toBe(true);
+      expect(isValidHostname('feedback.acme.co.uk')).toBe(true);
+      expect(isValidHostname('xn--bcher-kva.example')).toBe(true);
+      expect(isValidHostname('localhost')).toBe(false);
+      expect(isValidHostname('https://acme.com')).toBe(false);
+      expect(isValidHostname('*.acme.com')).toBe(false);
+      expect(isValidHostname('-acme.com')).toBe(false);
+    });
+
+    it('should normalize case, whitespace and the trailing dot', () => {
+      expect(normalizeHostname(' Feedback.ACME.com. ')).toBe('feedback.acme.com');
+    });
+  });
+
+  describe('findChallenge', () => {
+    const dns = { method: 'dns', token: 'abc123' };
+    const http = { method: 'http', token: 'abc123' };
+
+    it('should find the TXT record among others', async () => {
+      const resolver = { txt: async name => (name === '_keephy-challenge.acme.com' ? ['v=spf1 -all', 'keephy-verification=abc123'] : []) };
+
+      expect(challengeFor('acme.com', dns).value).toBe('keephy-verification=abc123');
+      await expect(findChallenge('acme.com', dns, resolver)).resolves.toBeNull();
+      await expect(findChallenge('acme.com', { ...dns, token: 'other' }, resolver)).resolves.toMatch(/does not|contains the token/);
+    });
+
+    it('should report a missing record', async () => {
+      const resolver = { txt: async () => { throw Object.assign(new Error('queryTxt ENOTFOUND'), { code: 'ENOTFOUND' }); } };
+
+      await expect(findChallenge('acme.com', dns, resolver)).resolves.toBe('No TXT record at _keephy-challenge.acme.com');
+    });
+
+    it('should read the token from the well-known file', async () => {
+      const urls = [];
+      const resolver = { file: async url => { urls.push(url); return 'abc123\n'; } };
+
+      await expect(findChallenge('acme.com', http, resolver)).resolves.toBeNull();
+      expect(urls).toEqual(['http://acme.com/.well-known/keephy-verification.txt']);
+    });
+  });
+
+  describe('nextState', () => {
+    const now = new Date('2026-03-01T00:00:00Z');
+    const pending = { status: 'pending', method: 'dns', token: 't', expiresAt: new Date('2026-03-05T00:00:00Z') };
+
+    it('should verify a pending domain and extend a verified one', () => {
+      const verified = nextState(pending, null, now);
+      expect(verified).toMatchObject({ status: 'verified', verifiedAt: now, checkedAt: now, lastError: undefined });
+      expect(verified.expiresAt.getTime() - now.getTime()).toBe(VERIFICATION_DAYS * 24 * 60 * 60 * 1000);
+
+      const later = new Date('2026-03-10T00:00:00Z');
+      expect(nextState(verified, null, later)).toMatchObject({ verifiedAt: now, checkedAt: later });
+    });
+
+    it('should keep the state on failure until it expires', () => {
+      expect(nextState(pending, 'missing', now)).toMatchObject({ status: 'pending', lastError: 'missing' });
+      expect(nextState(pending, 'missing', new Date('2026-03-06T00:00:00Z')).status).toBe('expired');
+    });
+  });
+
+  describe('describeDomain', () => {
+    it('should show the challenge while it is outstanding', () => {
+      const brand = {
+        settings: { customDomain: 'feedback.acme.com' },
+        customDomainVerification: { status: 'pending', method: 'http', token: 'abc123' }
+      };
+
+      expect(describeDomain('brand', brand)).toEqual({
+        hostname: 'feedback.acme.com',
+        status: 'pending',
+        method: 'http',
+        challenge: { method: 'http', url: 'http://feedback.acme.com/.well-known/keephy-verification.txt', content: 'abc123' }
+      });
+    });
+
+    it('should describe unverified and missing domains', () => {
+      expect(describeDomain('organization', { domain: 'acme.com' })).toEqual({ hostname: 'acme.com', status: 'unverified' });
+      expect(describeDomain('organization', {})).toBeNull();
+    });
+  });
+});
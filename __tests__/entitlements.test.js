@@ -0,0 +1,163 @@
+import { Organization, Brand, Business } from '../src/models/index.js';
+import AuditLog from '../src/models/AuditLog.js';
+import OutboxEvent from '../src/models/OutboxEvent.js';
+import { entitlementsOf, refusedFeatures, assertFeaturesEntitled, changePlan } from '../src/services/entitlements.js';
+
+describe('Entitlements Service', () => {
+  describe('entitlementsOf', () => {
+    it('should take features and limits from the plan', () => {
+      const { plan, features, limits } = entitlementsOf({ subscription: { plan: 'professional' } });
+
+      expect(plan).toBe('professional');
+      expect(features.multiBrand).toEqual({ entitled: true, source: 'plan' });
+      expect(features.whiteLabel).toEqual({ entitled: false, source: 'plan' });
+      expect(limits.organization.brands).toBe(5);
+      expect(limits.business.franchises).toBe(10);
+    });
+
+    it('should apply per-customer overrides and business add-ons', () => {
+      const organization = {
+        subscription: { plan: 'basic' },
+        entitlements: {
+          features: { customForms: false, customReports: true },
+          limits: { organization: { brands: 3 }, brand: { businesses: null } }
+        }
+      };
+      const { features, limits } = entitlementsOf(organization, { subscription: { features: ['aiInsights'] } });
+
+      expect(features.customForms).toEqual({ entitled: false, source: 'override' });
+      expect(features.customReports).toEqual({ entitled: true, source: 'override' });
+      expect(features.aiInsights).toEqual({ entitled: true, source: 'addon' });
+      expect(limits.organization).toEqual({ brands: 3, businesses: 5, users: 10, storage: 1024 });
+      expect(limits.brand.businesses).toBeNull();
+    });
+
+    it('should treat an unknown plan as basic', () => {
+      expect(entitlementsOf({ subscription: { plan: 'legacy' } }).plan).toBe('basic');
+    });
+  });
+
+  describe('refusedFeatures', () => {
+    const basic = entitlementsOf({ subscription: { plan: 'basic' } });
+    const settings = { features: { customForms: true, whiteLabel: true, aiInsights: false, wifi: true } };
+
+    it('should refuse enabled features outside the plan', () => {
+      expect(refusedFeatures(basic, settings)).toEqual(['whiteLabel']);
+    });
+
+    it('should only check changed flags when paths are given', () => {
+      expect(refusedFeatures(basic, settings, ['settings.timezone'])).toEqual([]);
+      expect(() => assertFeaturesEntitled(basic, settings, ['settings.features.whiteLabel'])).toThrow('The basic plan does not include whiteLabel');
+    });
+  });
+
+  describe('changePlan', () => {
+    const ORG = '507f1f77bcf86cd799439011';
+    const admin = { id: 'billing', roles: ['super_admin'] };
+
+    // A query result that also takes the chained calls the service makes
+    const chain = value => ({
+      session() { return this; },
+      then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    });
+
+    const models = [Organization, Brand, Business, AuditLog, OutboxEvent];
+    const methods = ['findById', 'findOneAndUpdate', 'updateMany', 'create', 'insertMany'];
+    const originals = models.map(model => Object.fromEntries(methods.map(method => [method, model[method]])));
+
+    let stored;
+    let updates;
+    let audit;
+    let events;
+    let transactions;
+
+    beforeEach(() => {
+      transactions = process.env.MONGODB_TRANSACTIONS;
+      process.env.MONGODB_TRANSACTIONS = 'false';
+      updates = [];
+      audit = [];
+      events = [];
+      stored = {
+        _id: ORG,
+        name: 'Acme',
+        subscription: { plan: 'basic', status: 'active' },
+        entitlements: { features: { aiInsights: true } },
+        limits: { brands: 1, businesses: 5, users: 10, storage: 1024 },
+        deletedAt: null,
+        __v: 4
+      };
+
+      Organization.findById = () => chain(Organization.hydrate(stored));
+      Organization.findOneAndUpdate = async (filter, update) => {
+        updates.push(['Organization', filter, update]);
+        const after = Organization.hydrate(stored);
+        after.set(update.$set);
+        return after;
+      };
+      for (const model of [Brand, Business]) {
+        model.updateMany = async (filter, update) => { updates.push([model.modelName, filter, update]); return { modifiedCount: 2 }; };
+      }
+      AuditLog.create = async entries => { audit.push(...entries); return entries; };
+      OutboxEvent.insertMany = async entries => { events.push(...entries); return entries; };
+    });
+
+    afterEach(() => {
+      models.forEach((model, i) => Object.assign(model, originals[i]));
+      if (transactions === undefined) delete process.env.MONGODB_TRANSACTIONS;
+      else process.env.MONGODB_TRANSACTIONS = transactions;
+    });
+
+    const update = model => updates.find(([name]) => name === model);
+
+    it('should move the organization, its brands and its businesses to the new plan', async () => {
+      await changePlan(ORG, { plan: 'professional' }, { actor: admin });
+
+      const [, filter, organization] = update('Organization');
+      expect(filter).toEqual({ _id: expect.anything(), __v: 4, deletedAt: null });
+      expect(organization.$set).toMatchObject({ 'subscription.plan': 'professional', 'limits.brands': 5, 'limits.businesses': 25 });
+      expect(organization.$set).not.toHaveProperty('entitlements');
+      expect(update('Brand')[2].$set).toMatchObject({ 'limits.businesses': 25 });
+      expect(update('Business')[2].$set).toMatchObject({ 'subscription.plan': 'professional', 'subscription.limits.franchises': 10 });
+
+      expect(audit[0].changes).toContainEqual({ path: 'subscription.plan', before: 'basic', after: 'professional' });
+      expect(audit[0].metadata).toEqual({ brandsUpdated: 2, businessesUpdated: 2 });
+      expect(events[0].type).toBe('subscription.plan_changed');
+    });
+
+    it('should replace the overrides and apply their limits', async () => {
+      const entitlements = { features: { whiteLabel: true }, limits: { business: { franchises: 3 } } };
+
+      await changePlan(ORG, { entitlements }, { actor: admin });
+
+      expect(update('Organization')[2].$set).toMatchObject({ 'subscription.plan': 'basic', entitlements });
+      expect(update('Business')[2].$set['subscription.limits.franchises']).toBe(3);
+      expect(audit[0].changes).toEqual(expect.arrayContaining([
+        { path: 'entitlements.features.aiInsights', before: true, after: null },
+        { path: 'entitlements.features.whiteLabel', before: null, after: true }
+      ]));
+    });
+
+    it.each([
+      [{}, 'plan', 'required'],
+      [{ plan: 'gold' }, 'plan', 'enum'],
+      [{ entitlements: { features: { teleport: true } } }, 'entitlements.features.teleport', 'enum'],
+      [{ entitlements: { features: { aiInsights: 'yes' } } }, 'entitlements.features.aiInsights', 'type'],
+      [{ entitlements: { limits: { business: { franchises: -1 } } } }, 'entitlements.limits.business.franchises', 'min'],
+      [{ entitlements: { limits: { franchise: { staff: 1 } } } }, 'entitlements.limits.franchise', 'enum']
+    ])('should reject %j', async (body, path, rule) => {
+      await expect(changePlan(ORG, body, { actor: admin })).rejects.toMatchObject({
+        status: 400,
+        details: { errors: [expect.objectContaining({ path, rule })] }
+      });
+      expect(updates).toEqual([]);
+    });
+
+    it('should refuse a change that lost a race', async () => {
+      Organization.findOneAndUpdate = async () => null;
+
+      await expect(changePlan(ORG, { plan: 'enterprise' }, { actor: admin }))
+        .rejects.toMatchObject({ status: 409, details: { code: 'CONFLICT' } });
+      expect(updates).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import Business from '../src/models/Business.js';
+import { ApiError, toApiError, validationErrors } from '../src/utils/errors.js';
+
+describe('API Errors', () => {
+  describe('toApiError', () => {
+    it('should answer schema validation failures with 400 and one entry per path', () => {
+      const error = new Business({ organizationId: 'not-an-id', industry: 'spaceport' }).validateSync();
+
+      const apiError = toApiError(error);
+
+      expect(apiError.status).toBe(400);
+      expect(apiError.details.code).toBe('VALIDATION_FAILED');
+      expect(apiError.details.errors).toEqual(expect.arrayContaining([
+        { path: 'name', rule: 'required', message: expect.any(String) },
+        { path: 'organizationId', rule: 'cast', message: 'organizationId must be a valid ObjectId' }
+      ]));
+    });
+
+    it('should answer a bad id with 400', () => {
+      const error = new mongoose.Error.CastError('ObjectId', 'abc', '_id');
+
+      expect(toApiError(error).toJSON()).toEqual({
+        success: false,
+        error: 'Validation failed',
+        details: { code: 'VALIDATION_FAILED', errors: [{ path: '_id', rule: 'cast', message: 'Invalid id: "abc"' }] }
+      });
+    });
+
+    it('should answer a duplicate key with 409 naming the field', () => {
+      const error = Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyValue: { slug: 'acme' } });
+
+      const apiError = toApiError(error);
+
+      expect(apiError.status).toBe(409);
+      expect(apiError.details).toEqual({
+        code: 'DUPLICATE_KEY',
+        errors: [{ path: 'slug', rule: 'unique', message: 'slug "acme" is already in use' }]
+      });
+    });
+
+    it('should pass API errors through and body-parser client errors on', () => {
+      const apiError = new ApiError(402, 'Upgrade');
+      expect(toApiError(apiError)).toBe(apiError);
+
+      const parseError = Object.assign(new SyntaxError('Unexpected token'), { expose: true, status: 400, type: 'entity.parse.failed' });
+      expect(toApiError(parseError)).toMatchObject({ status: 400, message: 'Malformed JSON body' });
+    });
+
+    it('should leave server errors alone', () => {
+      expect(toApiError(new Error('connection reset'))).toBeNull();
+      expect(toApiError(Object.assign(new Error('boom'), { expose: false, status: 500 }))).toBeNull();
+    });
+  });
+
+  describe('validationErrors', () => {
+    it('should name the rule each path broke', () => {
+      const error = new Business({ name: 'x'.repeat(101), organizationId: '507f1f77bcf86cd799439011', industry: 'spaceport' })
+        .validateSync();
+
+      expect(validationErrors(error).map(({ path, rule }) => `${path}:${rule}`).sort()).toEqual(
+        expect.arrayContaining(['industry:enum', 'name:maxlength'])
+      );
+    });
+  });
+});
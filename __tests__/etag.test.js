@@ -0,0 +1,54 @@
+import { representationEtag, sendNotModified, expectedVersion } from '../src/utils/etag.js';
+
+describe('ETags', () => {
+  const request = headers => ({ get: name => headers[name] });
+  const response = () => {
+    const res = { headers: {}, statusCode: 200 };
+    res.set = (name, value) => { res.headers[name] = value; return res; };
+    res.status = code => { res.statusCode = code; return res; };
+    res.end = () => res;
+    return res;
+  };
+
+  const doc = { _id: '507f1f77bcf86cd799439011', __v: 3, name: 'Acme', usage: { brands: 1 } };
+
+  it('should change the GET tag when a counter changes without a version bump', () => {
+    const first = response();
+    sendNotModified(request({}), first, doc);
+
+    const counted = { ...doc, usage: { brands: 2 } };
+    const second = response();
+    expect(sendNotModified(request({ 'If-None-Match': first.headers.ETag }), second, counted)).toBe(false);
+    expect(second.headers.ETag).not.toBe(first.headers.ETag);
+
+    const third = response();
+    expect(sendNotModified(request({ 'If-None-Match': second.headers.ETag }), third, counted)).toBe(true);
+    expect(third.statusCode).toBe(304);
+  });
+
+  it('should accept a GET tag as If-Match while the version is current', () => {
+    const res = response();
+    sendNotModified(request({}), res, doc);
+
+    expect(expectedVersion(request({ 'If-Match': res.headers.ETag }), response(), doc)).toBe(3);
+    expect(expectedVersion(request({ 'If-Match': '"507f1f77bcf86cd799439011-3"' }), response(), doc)).toBe(3);
+    expect(() => expectedVersion(request({ 'If-Match': res.headers.ETag }), response(), { ...doc, __v: 4 }))
+      .toThrow(expect.objectContaining({ status: 412 }));
+  });
+
+  it('should answer a GET with 304 for the tag a write returned', () => {
+    const written = response();
+    written.set('ETag', representationEtag(doc));
+
+    expect(sendNotModified(request({ 'If-None-Match': written.headers.ETag }), response(), doc)).toBe(true);
+  });
+
+  it('should compare If-None-Match weakly and If-Match strongly', () => {
+    const tag = representationEtag(doc);
+
+    expect(sendNotModified(request({ 'If-None-Match': `W/${tag}` }), response(), doc)).toBe(true);
+    expect(() => expectedVersion(request({ 'If-Match': `W/${tag}` }), response(), doc))
+      .toThrow(expect.objectContaining({ status: 412 }));
+    expect(expectedVersion(request({ 'If-Match': `W/${tag}, ${tag}` }), response(), doc)).toBe(3);
+  });
+});
@@ -0,0 +1,55 @@
+import { exportColumns, parseExportRequest } from '../src/services/export.js';
+import { parseImportRequest } from '../src/services/import.js';
+import { formatCsvRow, formatCsvValue } from '../src/utils/csv.js';
+
+describe('Export', () => {
+  it('should flatten nested franchise fields into columns after the parent names', () => {
+    const columns = exportColumns('franchise');
+
+    expect(columns.slice(0, 5)).toEqual(['id', 'businessId', 'businessExternalId', 'business', 'brand']);
+    expect(columns).toEqual(expect.arrayContaining([
+      'address.city',
+      'address.coordinates.coordinates',
+      'settings.operatingHours.monday.open',
+      'settings.operatingHours.monday.intervals'
+    ]));
+    expect(columns).not.toContain('usage.franchises');
+  });
+
+  it('should produce CSV headers the import maps without a mapping', () => {
+    const header = formatCsvRow(exportColumns('franchise'));
+    const row = formatCsvRow(['', '', 'B-1', 'Acme', 'Brand', 'Downtown', 'S-1']);
+    const parsed = parseImportRequest({ entity: 'franchises', format: 'csv', data: `\uFEFF${header}${row}` }, {});
+
+    expect(parsed.ignoredColumns).toEqual(['brand', 'createdAt', 'updatedAt', 'deletedAt']);
+  });
+
+  it('should quote formula-like text so spreadsheets show it as text', () => {
+    expect(['=HYPERLINK("x")', '+1 555 0100', '-x', '@SUM(A1)', '\tTab', "'=already"].map(formatCsvValue)).toEqual([
+      `"'=HYPERLINK(""x"")"`,
+      "'+1 555 0100",
+      "'-x",
+      "'@SUM(A1)",
+      "'\tTab",
+      "''=already"
+    ]);
+    expect([-97.74, 'Main St', "'quoted", [-97.74, 30.27]].map(formatCsvValue)).toEqual(['-97.74', 'Main St', "'quoted", '"[-97.74,30.27]"']);
+  });
+
+  it('should import formula-like text as it was before the export', () => {
+    const values = ['S-1', '=1+2', '+1 555 0100', "'=already", "'quoted"];
+    const csv = formatCsvRow(['externalId', 'name', 'contact.phone', 'address.city', 'address.street']) + formatCsvRow(values);
+
+    const [record] = parseImportRequest({ entity: 'franchises', format: 'csv', data: csv }, {}).records;
+
+    expect(Object.values(record)).toEqual(values);
+  });
+
+  it('should accept the list filters', () => {
+    const options = parseExportRequest({ entity: 'businesses', format: 'ndjson', industry: 'retail,hotel', sort: '-createdAt' });
+
+    expect(options.filter).toEqual({ industry: { $in: ['retail', 'hotel'] }, deletedAt: null });
+    expect(options.sort).toEqual([['createdAt', -1], ['_id', 1]]);
+    expect(() => parseExportRequest({ entity: 'franchises', format: 'xlsx' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import { Franchise } from '../src/models/index.js';
+import { isValidPosition, pointValidator, parsePolygon, bboxToPolygon } from '../src/utils/geo.js';
+import { findNearbyFranchises, findFranchisesWithin, DEFAULT_RADIUS_METERS, MAX_RADIUS_METERS } from '../src/services/geo.js';
+
+describe('Geo', () => {
+  const BUSINESS = '507f1f77bcf86cd799439031';
+  const admin = { roles: ['super_admin'] };
+  const square = [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]];
+
+  describe('isValidPosition', () => {
+    it('should take [longitude, latitude] within range', () => {
+      expect(isValidPosition([-97.74, 30.27])).toBe(true);
+      expect(isValidPosition([180, -90])).toBe(true);
+    });
+
+    it.each([
+      [[30.27]],
+      [[181, 0]],
+      [[0, -91]],
+      [[Number.NaN, 0]],
+      [['-97.74', '30.27']],
+      ['-97.74,30.27']
+    ])('should reject %j', position => {
+      expect(isValidPosition(position)).toBe(false);
+    });
+  });
+
+  describe('pointValidator', () => {
+    const { validator } = pointValidator;
+
+    it('should reject the [0, 0] placeholder but not points on either axis', () => {
+      expect(validator([0, 0])).toBe(false);
+      expect(validator([0, 51.48])).toBe(true);
+      expect(validator([-78.5, 0])).toBe(true);
+    });
+
+    it('should leave an absent point alone', () => {
+      expect(validator(undefined)).toBe(true);
+      expect(validator([])).toBe(true);
+    });
+
+    it('should fail a franchise stored at [0, 0]', async () => {
+      const franchise = new Franchise({
+        name: 'Downtown',
+        businessId: BUSINESS,
+        address: { coordinates: { type: 'Point', coordinates: [0, 0] } }
+      });
+
+      await expect(franchise.validate()).rejects.toMatchObject({
+        errors: { 'address.coordinates.coordinates': expect.objectContaining({ kind: 'coordinates' }) }
+      });
+    });
+  });
+
+  describe('bboxToPolygon', () => {
+    it('should close the box counter-clockwise from the south-west corner', () => {
+      expect(bboxToPolygon('-98,30,-97,31')).toEqual({
+        type: 'Polygon',
+        coordinates: [[[-98, 30], [-97, 30], [-97, 31], [-98, 31], [-98, 30]]]
+      });
+    });
+
+    it.each(['-98,30,-97', '-97,30,-98,31', '-98,31,-97,30', '-98,30,-97,91', 'a,b,c,d'])('should reject %s', bbox => {
+      expect(() => bboxToPolygon(bbox)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('parsePolygon', () => {
+    it('should parse a Polygon from a query string and keep only type and coordinates', () => {
+      const polygon = JSON.stringify({ type: 'Polygon', coordinates: square, properties: { name: 'Zone' } });
+
+      expect(parsePolygon(polygon)).toEqual({ type: 'Polygon', coordinates: square });
+    });
+
+    it('should take every polygon of a MultiPolygon', () => {
+      const geometry = { type: 'MultiPolygon', coordinates: [square, square] };
+
+      expect(parsePolygon(geometry)).toEqual(geometry);
+    });
+
+    it.each([
+      ['not json', 'polygon must be GeoJSON'],
+      [{ type: 'Point', coordinates: [0, 1] }, 'polygon must be a GeoJSON Polygon or MultiPolygon'],
+      [{ type: 'MultiPolygon', coordinates: [] }, 'polygon must be a GeoJSON Polygon or MultiPolygon'],
+      [{ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] }, expect.stringMatching(/closed/)],
+      [{ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] }, expect.stringMatching(/closed/)],
+      [{ type: 'Polygon', coordinates: [[[0, 0], [200, 0], [1, 1], [0, 0]]] }, expect.stringMatching(/closed/)]
+    ])('should reject %j', (input, message) => {
+      expect(() => parsePolygon(input)).toThrow(expect.objectContaining({ status: 400, message }));
+    });
+  });
+
+  describe('findNearbyFranchises', () => {
+    const { aggregate } = Franchise;
+    let pipeline;
+
+    beforeEach(() => {
+      pipeline = null;
+      Franchise.aggregate = async stages => { pipeline = stages; return [{ name: 'Downtown', distance: 120 }]; };
+    });
+
+    afterAll(() => { Franchise.aggregate = aggregate; });
+
+    it('should search around lng/lat with the default radius', async () => {
+      const result = await findNearbyFranchises(admin, { lng: '-97.74', lat: '30.27' });
+
+      expect(result).toEqual({
+        center: [-97.74, 30.27],
+        radius: DEFAULT_RADIUS_METERS,
+        results: [{ name: 'Downtown', distance: 120 }]
+      });
+      expect(pipeline[0].$geoNear).toMatchObject({
+        near: { type: 'Point', coordinates: [-97.74, 30.27] },
+        key: 'address.coordinates',
+        maxDistance: DEFAULT_RADIUS_METERS
+      });
+      expect(pipeline[1]).toEqual({ $limit: 20 });
+    });
+
+    it('should cast the parent filter before the aggregation', async () => {
+      await findNearbyFranchises(admin, { lng: '-97.74', lat: '30.27', businessId: BUSINESS });
+
+      const [, parent] = pipeline[0].$geoNear.query.$and;
+      expect(parent.businessId).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(String(parent.businessId)).toBe(BUSINESS);
+    });
+
+    it.each([
+      [{ lat: '30.27' }, 'lng', 'required'],
+      [{ lng: '-197', lat: '30.27' }, 'lng', 'range'],
+      [{ lng: '-97.74', lat: 'north' }, 'lat', 'range'],
+      [{ lng: '-97.74', lat: '30.27', radius: String(MAX_RADIUS_METERS + 1) }, 'radius', 'range'],
+      [{ lng: '-97.74', lat: '30.27', businessId: 'abc' }, 'businessId', 'cast']
+    ])('should reject %j', async (query, path, rule) => {
+      await expect(findNearbyFranchises(admin, query)).rejects.toMatchObject({
+        status: 400,
+        details: { errors: [expect.objectContaining({ path, rule })] }
+      });
+      expect(pipeline).toBeNull();
+    });
+  });
+
+  describe('findFranchisesWithin', () => {
+    const { find } = Franchise;
+    let filter;
+
+    beforeEach(() => {
+      filter = null;
+      Franchise.find = query => {
+        filter = query;
+        return {
+          sort() { return this; },
+          limit() { return this; },
+          then: (resolve, reject) => Promise.resolve([]).then(resolve, reject)
+        };
+      };
+    });
+
+    afterAll(() => { Franchise.find = find; });
+
+    const page = { limit: 20, sort: [['_id', 1]] };
+
+    it('should search inside a bbox', async () => {
+      await findFranchisesWithin(admin, { bbox: '-98,30,-97,31' }, page);
+
+      expect(filter.$and[0]).toEqual({ 'address.coordinates': { $geoWithin: { $geometry: bboxToPolygon('-98,30,-97,31') } } });
+      expect(filter.$and[1]).toEqual({ deletedAt: null });
+    });
+
+    it('should search inside a polygon', async () => {
+      await findFranchisesWithin(admin, { polygon: JSON.stringify({ type: 'Polygon', coordinates: square }), isActive: 'true' }, page);
+
+      expect(filter.$and[0]['address.coordinates'].$geoWithin.$geometry).toEqual({ type: 'Polygon', coordinates: square });
+      expect(filter.$and[1]).toEqual({ deletedAt: null, isActive: true });
+    });
+
+    it('should require exactly one of bbox or polygon', async () => {
+      await expect(findFranchisesWithin(admin, {}, page)).rejects.toMatchObject({ status: 400 });
+      await expect(findFranchisesWithin(admin, { bbox: '-98,30,-97,31', polygon: '{}' }, page)).rejects.toMatchObject({ status: 400 });
+      expect(filter).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { Organization, Brand, Business, Franchise } from '../src/models/index.js';
+import { parseHierarchyOptions, streamHierarchy, MAX_DEPTH } from '../src/services/hierarchy.js';
+
+describe('Hierarchy Service', () => {
+  describe('parseHierarchyOptions', () => {
+    it('should default to the full depth of live, active entities', () => {
+      const options = parseHierarchyOptions('organization', {});
+
+      expect(options.depth).toBe(MAX_DEPTH.organization);
+      expect(options.counts).toBe(false);
+      expect(options.filter).toEqual({ isActive: true, deletedAt: null });
+      expect(options.fields.brand).toEqual(['name', 'logo', 'isActive']);
+    });
+
+    it('should drop the filters that are asked for', () => {
+      expect(parseHierarchyOptions('brand', { includeInactive: 'true', includeArchived: 'true' }).filter).toEqual({});
+    });
+
+    it.each([
+      ['organization', { depth: '4' }, 'depth'],
+      ['business', { depth: '2' }, 'depth'],
+      ['brand', { depth: '-1' }, 'depth'],
+      ['brand', { depth: '1.5' }, 'depth'],
+      ['brand', { counts: 'yes' }, 'counts']
+    ])('should reject %s %j', (rootType, query, path) => {
+      expect(() => parseHierarchyOptions(rootType, query)).toThrow(expect.objectContaining({
+        status: 400,
+        details: { code: 'VALIDATION_FAILED', errors: [expect.objectContaining({ path })] }
+      }));
+    });
+
+    it('should apply shared fields to every level that has them', () => {
+      const { fields } = parseHierarchyOptions('organization', { fields: 'industry,address.city' });
+
+      expect(fields).toEqual({ organization: [], brand: [], business: ['industry'], franchise: ['address.city'] });
+    });
+
+    it('should take fields per level and name the unknown ones', () => {
+      expect(parseHierarchyOptions('organization', { fields: { brand: 'logo' } }).fields.brand).toEqual(['logo']);
+      expect(() => parseHierarchyOptions('organization', { fields: { brand: 'industry' } })).toThrow(expect.objectContaining({
+        details: { code: 'VALIDATION_FAILED', errors: [expect.objectContaining({ path: 'fields.brand', rule: 'field' })] }
+      }));
+      expect(() => parseHierarchyOptions('organization', { fields: 'shoeSize' })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('streamHierarchy', () => {
+    const ORG = 'org';
+    const data = {
+      Organization: [{ _id: ORG, name: 'Acme' }],
+      Brand: [
+        { _id: 'coffee', name: 'Coffee', organizationId: ORG, isActive: true },
+        { _id: 'closed', name: 'Closed', organizationId: ORG, isActive: false }
+      ],
+      Business: [
+        { _id: 'downtown', name: 'Downtown', organizationId: ORG, brandId: 'coffee', isActive: true },
+        { _id: 'hidden', name: 'Hidden', organizationId: ORG, brandId: 'closed', isActive: true },
+        { _id: 'corner', name: 'Corner Shop', organizationId: ORG, brandId: null, isActive: true }
+      ],
+      Franchise: [
+        { _id: 'main', name: 'Main St', businessId: 'downtown', isActive: true },
+        { _id: 'pier', name: 'Pier', businessId: 'downtown', isActive: true },
+        { _id: 'old', name: 'Old Town', businessId: 'downtown', isActive: true, deletedAt: new Date() },
+        { _id: 'kiosk', name: 'Kiosk', businessId: 'corner', isActive: true },
+        { _id: 'back', name: 'Back Room', businessId: 'hidden', isActive: true }
+      ]
+    };
+
+    // Equality on every filter key, with $in; a missing field matches null
+    const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+      const values = value?.$in ?? [value];
+      return values.some(candidate => String(candidate ?? null) === String(doc[key] ?? null));
+    });
+
+    const query = found => ({
+      select() { return this; },
+      sort() { return this; },
+      lean() { return this; },
+      cursor: () => found,
+      distinct: async () => found.map(doc => doc._id),
+      then: (resolve, reject) => Promise.resolve(found).then(resolve, reject)
+    });
+
+    const models = [Organization, Brand, Business, Franchise];
+    const originals = models.map(model => ({ find: model.find, findById: model.findById, aggregate: model.aggregate }));
+
+    beforeAll(() => {
+      for (const model of models) {
+        model.find = filter => query(data[model.modelName].filter(doc => matches(doc, filter)));
+        model.findById = id => query(data[model.modelName].find(doc => doc._id === id));
+      }
+      Franchise.aggregate = async ([{ $match }]) => {
+        const counts = new Map();
+        for (const franchise of data.Franchise.filter(doc => matches(doc, $match))) {
+          counts.set(franchise.businessId, (counts.get(franchise.businessId) || 0) + 1);
+        }
+        return [...counts].map(([_id, count]) => ({ _id, count }));
+      };
+    });
+
+    afterAll(() => {
+      models.forEach((model, i) => Object.assign(model, originals[i]));
+    });
+
+    const render = async (rootType, id, query = {}) => {
+      const chunks = [];
+      await streamHierarchy(rootType, { _id: id }, parseHierarchyOptions(rootType, query), async chunk => { chunks.push(chunk); });
+      return JSON.parse(chunks.join(''));
+    };
+
+    const names = nodes => nodes.map(node => node.name);
+
+    it('should nest brands, businesses and franchises, with unbranded businesses apart', async () => {
+      const tree = await render('organization', ORG);
+
+      expect(tree).toMatchObject({ id: ORG, type: 'organization', name: 'Acme' });
+      expect(names(tree.brands)).toEqual(['Coffee']);
+      expect(names(tree.brands[0].businesses)).toEqual(['Downtown']);
+      expect(tree.brands[0].businesses[0].franchises).toEqual([
+        expect.objectContaining({ id: 'main', type: 'franchise', name: 'Main St' }),
+        expect.objectContaining({ id: 'pier', type: 'franchise', name: 'Pier' })
+      ]);
+      expect(names(tree.unbranded.businesses)).toEqual(['Corner Shop']);
+      expect(names(tree.unbranded.businesses[0].franchises)).toEqual(['Kiosk']);
+    });
+
+    it('should stop at the requested depth', async () => {
+      const shallow = await render('organization', ORG, { depth: '1' });
+      expect(shallow.brands[0]).not.toHaveProperty('businesses');
+      expect(shallow.unbranded).toEqual({});
+
+      const flat = await render('organization', ORG, { depth: '0' });
+      expect(flat).not.toHaveProperty('brands');
+      expect(flat).not.toHaveProperty('unbranded');
+
+      const brand = await render('brand', 'coffee', { depth: '1' });
+      expect(brand).toMatchObject({ type: 'brand', name: 'Coffee' });
+      expect(brand.businesses[0]).not.toHaveProperty('franchises');
+    });
+
+    it('should count what the filter keeps, leaving out businesses under hidden brands', async () => {
+      const tree = await render('organization', ORG, { counts: 'true' });
+
+      expect(tree.counts).toEqual({ brands: 1, businesses: 2, franchises: 3 });
+      expect(tree.brands[0].counts).toEqual({ businesses: 1, franchises: 2 });
+      expect(tree.brands[0].businesses[0].counts).toEqual({ franchises: 2 });
+      expect(tree.unbranded.counts).toEqual({ businesses: 1, franchises: 1 });
+    });
+
+    it('should include inactive and archived entities on request', async () => {
+      const tree = await render('organization', ORG, { includeInactive: 'true', includeArchived: 'true', counts: 'true' });
+
+      expect(names(tree.brands)).toEqual(['Coffee', 'Closed']);
+      expect(names(tree.brands[0].businesses[0].franchises)).toEqual(['Main St', 'Pier', 'Old Town']);
+      expect(tree.counts).toEqual({ brands: 2, businesses: 3, franchises: 5 });
+    });
+  });
+});
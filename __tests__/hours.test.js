@@ -0,0 +1,47 @@
+import { expandSchedule, getStatus, hoursFromSettings, isOpenAt, zonedTime } from '../src/utils/hours.js';
+
+describe('Opening hours', () => {
+  const hours = hoursFromSettings({
+    timezone: 'America/New_York',
+    operatingHours: {
+      friday: { intervals: [{ open: '11:00', close: '14:00' }, { open: '18:00', close: '02:00' }] },
+      saturday: { open: '18:00', close: '02:00' },
+      sunday: { closed: true }
+    },
+    hoursExceptions: [
+      { type: 'holiday', startDate: '2024-12-27' },
+      { type: 'special_hours', startDate: '2024-12-28', intervals: [{ open: '10:00', close: '12:00' }] }
+    ]
+  });
+
+  it('should convert local times across DST changes', () => {
+    expect(zonedTime('2024-01-15', 9 * 60, 'America/New_York').toISOString()).toBe('2024-01-15T14:00:00.000Z');
+    expect(zonedTime('2024-07-15', 9 * 60, 'America/New_York').toISOString()).toBe('2024-07-15T13:00:00.000Z');
+  });
+
+  it('should honour split shifts in the franchise timezone', () => {
+    // Friday 12:00 and 15:00 in New York
+    expect(isOpenAt(hours, new Date('2024-07-05T16:00:00Z'))).toBe(true);
+    expect(isOpenAt(hours, new Date('2024-07-05T19:00:00Z'))).toBe(false);
+  });
+
+  it('should keep overnight hours open past midnight', () => {
+    // Saturday 01:30, still within Friday's 18:00-02:00
+    const status = getStatus(hours, new Date('2024-07-06T05:30:00Z'));
+
+    expect(status.isOpen).toBe(true);
+    expect(status.nextClose.toISOString()).toBe('2024-07-06T06:00:00.000Z');
+    expect(status.nextOpen.toISOString()).toBe('2024-07-06T22:00:00.000Z');
+  });
+
+  it('should apply holidays and special hours', () => {
+    const [holiday, special] = expandSchedule(hours, '2024-12-27', '2024-12-28');
+
+    expect(holiday.exception.type).toBe('holiday');
+    expect(holiday.intervals).toEqual([]);
+    expect(special.intervals).toEqual([{
+      open: new Date('2024-12-28T15:00:00Z'),
+      close: new Date('2024-12-28T17:00:00Z')
+    }]);
+  });
+});
@@ -0,0 +1,84 @@
+import ImportJob from '../src/models/ImportJob.js';
+import { parseImportRequest, failStaleImports, MAX_ATOMIC_IMPORT_ROWS, STALE_IMPORT_MS } from '../src/services/import.js';
+
+describe('Import requests', () => {
+  const csv = [
+    'externalId,name,business,address.city,Region,settings.operatingHours.monday.intervals',
+    'S-1,Downtown,Acme,Lyon,South,"[{""open"":""09:00"",""close"":""17:00""}]"'
+  ].join('\r\n');
+
+  it('should map CSV columns named after fields and report the rest', () => {
+    const parsed = parseImportRequest({ entity: 'franchises', format: 'csv', data: csv }, {});
+
+    expect(parsed.type).toBe('franchise');
+    expect(parsed.mode).toBe('all_or_nothing');
+    expect(parsed.ignoredColumns).toEqual(['Region']);
+    expect(parsed.mapping['address.city']).toBe('address.city');
+    expect(parsed.records[0].business).toBe('Acme');
+  });
+
+  it('should take a raw CSV body with options in the query string', () => {
+    const parsed = parseImportRequest(csv, {
+      entity: 'franchises',
+      mode: 'best_effort',
+      dryRun: 'true',
+      mapping: JSON.stringify({ externalId: 'externalId', name: 'name', Region: 'address.state' })
+    }, 'text/csv');
+
+    expect(parsed.format).toBe('csv');
+    expect(parsed.dryRun).toBe(true);
+    expect(parsed.mapping).toEqual({ externalId: 'externalId', name: 'name', Region: 'address.state' });
+  });
+
+  it('should refuse mappings onto fields that cannot be imported', () => {
+    expect(() => parseImportRequest({
+      entity: 'franchises',
+      format: 'csv',
+      data: csv,
+      mapping: { externalId: 'externalId', name: 'usage.franchises' }
+    }, {})).toThrow(expect.objectContaining({
+      status: 400,
+      details: expect.objectContaining({
+        errors: [expect.objectContaining({ path: 'mapping.name', rule: 'field' })]
+      })
+    }));
+  });
+
+  it('should flatten NDJSON objects and require the key column', () => {
+    const data = '{"externalId":"B-1","name":"Acme","contact":{"email":"a@b.c"}}\n\n';
+    const parsed = parseImportRequest({ entity: 'businesses', format: 'ndjson', data }, {});
+
+    expect(parsed.records).toEqual([{ externalId: 'B-1', name: 'Acme', 'contact.email': 'a@b.c' }]);
+    expect(() => parseImportRequest({ entity: 'businesses', format: 'ndjson', data: '{"name":"Acme"}' }, {}))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should cap all_or_nothing imports at one transaction\'s worth of rows', () => {
+    const rows = Array.from({ length: MAX_ATOMIC_IMPORT_ROWS + 1 }, (_, i) => ({ externalId: `B-${i}`, name: `Shop ${i}` }));
+
+    expect(() => parseImportRequest({ entity: 'businesses', rows }, {})).toThrow(expect.objectContaining({
+      status: 400,
+      details: expect.objectContaining({ errors: [expect.objectContaining({ path: 'mode', rule: 'max' })] })
+    }));
+    expect(parseImportRequest({ entity: 'businesses', rows, mode: 'best_effort' }, {}).records).toHaveLength(rows.length);
+    expect(parseImportRequest({ entity: 'businesses', rows, dryRun: true }, {}).dryRun).toBe(true);
+  });
+});
+
+describe('Interrupted imports', () => {
+  const { updateMany } = ImportJob;
+  afterAll(() => { ImportJob.updateMany = updateMany; });
+
+  it('should fail unfinished jobs that stopped making progress', async () => {
+    let call;
+    ImportJob.updateMany = async (filter, update) => { call = { filter, update }; return { modifiedCount: 2 }; };
+    const now = new Date('2024-06-01T12:00:00Z');
+
+    expect(await failStaleImports(now)).toBe(2);
+    expect(call.filter).toEqual({
+      status: { $in: ['queued', 'running'] },
+      updatedAt: { $lt: new Date(now.getTime() - STALE_IMPORT_MS) }
+    });
+    expect(call.update.$set).toMatchObject({ status: 'failed', finishedAt: now, failure: { message: expect.stringMatching(/interrupted/) } });
+  });
+});
@@ -0,0 +1,83 @@
+import Organization from '../src/models/Organization.js';
+import Brand from '../src/models/Brand.js';
+import { accessMode, assertSubscriptionOpen, subscriptionScope, startSubscription, TRANSITIONS, TRIAL_DAYS } from '../src/services/lifecycle.js';
+
+describe('Subscription Lifecycle', () => {
+  describe('accessMode', () => {
+    it('should restrict suspended and cancelled subscriptions', () => {
+      expect(accessMode({ status: 'trial' })).toBe('full');
+      expect(accessMode({ status: 'grace' })).toBe('full');
+      expect(accessMode({ status: 'suspended' })).toBe('read_only');
+      expect(accessMode({ status: 'suspended', suspension: { mode: 'blocked' } })).toBe('blocked');
+      expect(accessMode({ status: 'cancelled' })).toBe('read_only');
+    });
+  });
+
+  describe('restricted reads', () => {
+    const ACTIVE_ORG = '507f1f77bcf86cd799439011';
+    const BLOCKED_ORG = '507f1f77bcf86cd799439012';
+    const BRAND = '507f1f77bcf86cd799439021';
+    const subscriptions = {
+      [ACTIVE_ORG]: { status: 'active' },
+      [BLOCKED_ORG]: { status: 'suspended', suspension: { mode: 'blocked' } }
+    };
+    const query = value => ({ select() { return this; }, lean: async () => value });
+
+    const { find, findById } = Organization;
+    const brandFindById = Brand.findById;
+    beforeAll(() => {
+      Organization.find = ({ _id }) => query(_id.$in.map(String).filter(id => subscriptions[id]).map(id => ({ _id: id, subscription: subscriptions[id] })));
+      Organization.findById = id => query(subscriptions[String(id)] && { _id: id, subscription: subscriptions[String(id)] });
+      Brand.findById = () => query({ _id: BRAND, organizationId: BLOCKED_ORG });
+    });
+    afterAll(() => {
+      Object.assign(Organization, { find, findById });
+      Brand.findById = brandFindById;
+    });
+
+    const orgAdmin = orgId => ({ roles: ['org_admin'], scopes: { orgId } });
+
+    it('should leave blocked organizations out of cross-organization lists', async () => {
+      const user = { roles: ['org_admin', 'brand_manager'], scopes: { orgId: ACTIVE_ORG, brandId: BRAND } };
+
+      expect(await subscriptionScope(user, 'brand')).toEqual({
+        $and: [
+          { $or: [{ organizationId: ACTIVE_ORG }, { _id: BRAND }] },
+          { organizationId: { $nin: [BLOCKED_ORG] } }
+        ]
+      });
+      expect(await subscriptionScope(orgAdmin(ACTIVE_ORG), 'organization')).toEqual({ _id: ACTIVE_ORG });
+      expect(await subscriptionScope({ roles: ['super_admin'] }, 'organization')).toEqual({});
+    });
+
+    it('should refuse lists in a blocked organization', async () => {
+      await expect(assertSubscriptionOpen(orgAdmin(BLOCKED_ORG), BLOCKED_ORG)).rejects.toMatchObject({
+        status: 403,
+        details: { code: 'SUBSCRIPTION_RESTRICTED', access: 'blocked' }
+      });
+      await expect(assertSubscriptionOpen(orgAdmin(ACTIVE_ORG), ACTIVE_ORG)).resolves.toBeUndefined();
+      await expect(assertSubscriptionOpen({ roles: ['super_admin'] }, BLOCKED_ORG)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('startSubscription', () => {
+    const organization = subscription => new Organization({ name: 'Acme', contact: { email: 'ops@acme.test' }, subscription });
+
+    it('should start the trial clock', () => {
+      const now = new Date('2024-03-01T00:00:00Z');
+      const trial = organization();
+      startSubscription(trial, now);
+
+      expect(trial.subscription.trialEndsAt.getTime() - now.getTime()).toBe(TRIAL_DAYS * 24 * 60 * 60 * 1000);
+    });
+
+    it('should only start as trial or active', () => {
+      expect(() => startSubscription(organization({ status: 'active' }))).not.toThrow();
+      expect(() => startSubscription(organization({ status: 'suspended' }))).toThrow('Validation failed');
+    });
+  });
+
+  it('should never transition back into trial', () => {
+    expect(Object.values(TRANSITIONS).flat()).not.toContain('trial');
+  });
+});
@@ -0,0 +1,130 @@
+import Organization from '../src/models/Organization.js';
+import Brand from '../src/models/Brand.js';
+import { reservationsForMove, reserve, withReservations } from '../src/services/limits.js';
+
+describe('Limits', () => {
+  const org = '507f1f77bcf86cd799439011';
+  const otherOrg = '507f1f77bcf86cd799439012';
+  const brand = '507f1f77bcf86cd799439021';
+  const otherBrand = '507f1f77bcf86cd799439022';
+
+  it('should only swap brand slots when a business changes brand', () => {
+    const { acquire, release } = reservationsForMove(
+      'business',
+      { organizationId: org, brandId: brand },
+      { organizationId: org, brandId: otherBrand }
+    );
+
+    expect(acquire).toEqual([{ type: 'brand', id: otherBrand, limit: 'businesses' }]);
+    expect(release).toEqual([{ type: 'brand', id: brand, limit: 'businesses' }]);
+  });
+
+  it('should move organization slots on a transfer to an unbranded business', () => {
+    const { acquire, release } = reservationsForMove(
+      'business',
+      { organizationId: org, brandId: brand },
+      { organizationId: otherOrg, brandId: null }
+    );
+
+    expect(acquire).toEqual([{ type: 'organization', id: otherOrg, limit: 'businesses' }]);
+    expect(release).toEqual([
+      { type: 'organization', id: org, limit: 'businesses' },
+      { type: 'brand', id: brand, limit: 'businesses' }
+    ]);
+  });
+
+  describe('reserve', () => {
+    // One organization held in memory; each stubbed write applies atomically, like Mongo's
+    let stored;
+    const query = value => ({ session: async () => value, lean() { return this; } });
+    const stubs = {
+      exists: ({ _id }) => query(stored.usage?.brands !== undefined && String(_id) === org ? { _id } : null),
+      updateOne: async (filter, { $set }) => { stored.usage = { ...stored.usage, brands: $set['usage.brands'] }; },
+      findOneAndUpdate: async (filter, { $inc }) => {
+        const count = $inc['usage.brands'];
+        if (stored.limits.brands !== null && stored.usage.brands + count > stored.limits.brands) return null;
+        stored.usage.brands += count;
+        return stored;
+      },
+      findById: () => ({ session: () => ({ lean: async () => structuredClone(stored) }) })
+    };
+    const originals = Object.fromEntries(Object.keys(stubs).map(name => [name, Organization[name]]));
+    const countDocuments = Brand.countDocuments;
+
+    beforeEach(() => {
+      stored = { _id: org, limits: { brands: 3 } };
+      Object.assign(Organization, stubs);
+      Brand.countDocuments = () => query(2);
+    });
+    afterAll(() => {
+      Object.assign(Organization, originals);
+      Brand.countDocuments = countDocuments;
+    });
+
+    const slot = { type: 'organization', id: org, limit: 'brands' };
+
+    it('should start the counter from the live children and take a slot', async () => {
+      await reserve(slot);
+
+      expect(stored.usage.brands).toBe(3);
+    });
+
+    it('should let only one of two concurrent creates take the last slot', async () => {
+      const results = await Promise.allSettled([reserve(slot), reserve(slot)]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(stored.usage.brands).toBe(3);
+    });
+
+    it('should explain a reached limit with its usage and maximum', async () => {
+      stored.usage = { brands: 3 };
+
+      await expect(reserve({ ...slot, count: 2 })).rejects.toMatchObject({
+        status: 402,
+        message: 'Organization brands limit reached (3/3)',
+        details: { code: 'LIMIT_EXCEEDED', limit: 'organization.brands', usage: 3, max: 3, requested: 2 }
+      });
+    });
+
+    it('should never limit unlimited parents', async () => {
+      stored.limits.brands = null;
+
+      await reserve({ ...slot, count: 10 });
+
+      expect(stored.usage.brands).toBe(12);
+    });
+  });
+
+  describe('withReservations', () => {
+    it('should give back slots already taken when a later one fails', async () => {
+      const calls = [];
+      const { findOneAndUpdate, updateOne, exists, findById } = Organization;
+      const brandFindOneAndUpdate = Brand.findOneAndUpdate;
+      const brandExists = Brand.exists;
+      const brandFindById = Brand.findById;
+      const session = async () => ({ _id: 'x' });
+
+      Organization.exists = () => ({ session });
+      Organization.findOneAndUpdate = async () => { calls.push('take organization'); return {}; };
+      Organization.updateOne = async (filter, update) => { calls.push(Array.isArray(update) ? 'release organization' : 'init'); };
+      Brand.exists = () => ({ session });
+      Brand.findOneAndUpdate = async () => null;
+      Brand.findById = () => ({ session: () => ({ lean: async () => ({ limits: { businesses: 1 }, usage: { businesses: 1 } }) }) });
+
+      let ran = false;
+      const fn = async () => { ran = true; };
+      try {
+        await expect(withReservations([
+          { type: 'organization', id: org, limit: 'businesses' },
+          { type: 'brand', id: brand, limit: 'businesses' }
+        ], fn)).rejects.toMatchObject({ status: 402, details: { limit: 'brand.businesses', usage: 1, max: 1 } });
+      } finally {
+        Object.assign(Organization, { findOneAndUpdate, updateOne, exists, findById });
+        Object.assign(Brand, { findOneAndUpdate: brandFindOneAndUpdate, exists: brandExists, findById: brandFindById });
+      }
+
+      expect(ran).toBe(false);
+      expect(calls).toEqual(['take organization', 'release organization']);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+import { Organization, Brand, Business, Franchise } from '../src/models/index.js';
+import AuditLog from '../src/models/AuditLog.js';
+import OutboxEvent from '../src/models/OutboxEvent.js';
+import UsageRollup from '../src/models/UsageRollup.js';
+import { mergeOrganizations } from '../src/services/merge.js';
+
+describe('Merge Service', () => {
+  const TARGET = '507f1f77bcf86cd799439011';
+  const SOURCE = '507f1f77bcf86cd799439012';
+  const TARGET_BRAND = '507f1f77bcf86cd799439021';
+  const CLASHING = '507f1f77bcf86cd799439022';
+  const UNIQUE = '507f1f77bcf86cd799439023';
+  const CLASHING_BUSINESS = '507f1f77bcf86cd799439031';
+  const UNBRANDED_BUSINESS = '507f1f77bcf86cd799439032';
+  const TARGET_BUSINESS = '507f1f77bcf86cd799439033';
+  const FRANCHISE = '507f1f77bcf86cd799439041';
+  const admin = { id: 'u1', roles: ['super_admin'] };
+
+  // A query result that also takes the chained calls the service makes
+  const chain = value => ({
+    select() { return this; },
+    session() { return this; },
+    lean() { return this; },
+    distinct: async () => value.map(doc => doc._id),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  });
+
+  const models = [Organization, Brand, Business, Franchise, AuditLog, OutboxEvent, UsageRollup];
+  const methods = ['find', 'findById', 'exists', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany', 'deleteMany', 'insertMany'];
+  const originals = models.map(model => Object.fromEntries(methods.map(method => [method, model[method]])));
+
+  let targetBrands;
+  let audit;
+  let writes;
+  let reserved;
+  let transactions;
+
+  const organization = (id, name, plan) => Organization.hydrate({
+    _id: id,
+    name,
+    subscription: { plan, status: 'active' },
+    limits: { brands: 5, businesses: 25 },
+    deletedAt: null
+  });
+
+  beforeEach(() => {
+    transactions = process.env.MONGODB_TRANSACTIONS;
+    process.env.MONGODB_TRANSACTIONS = 'false';
+    writes = [];
+    audit = [];
+    reserved = [];
+    targetBrands = [{ _id: TARGET_BRAND, name: 'Acme' }];
+
+    const organizations = {
+      [TARGET]: organization(TARGET, 'Target Co', 'professional'),
+      [SOURCE]: organization(SOURCE, 'Source Co', 'basic')
+    };
+    const sourceBrands = [
+      { _id: CLASHING, name: 'ACME', slug: 'acme', deletedAt: null },
+      { _id: UNIQUE, name: 'Bolt', slug: 'bolt', deletedAt: null }
+    ];
+
+    Organization.findById = id => chain(organizations[String(id)] ?? null);
+    Brand.findById = () => chain({ _id: TARGET_BRAND, limits: { businesses: 25 } });
+    Brand.find = filter => {
+      if (filter._id?.$nin) return chain([]); // No slug clashes
+      return chain(String(filter.organizationId) === TARGET ? targetBrands : sourceBrands);
+    };
+    Business.find = filter => chain(String(filter.brandId) === TARGET_BRAND
+      ? [{ _id: TARGET_BUSINESS }]
+      : [
+        { _id: CLASHING_BUSINESS, name: 'Acme Downtown', brandId: CLASHING, deletedAt: null },
+        { _id: UNBRANDED_BUSINESS, name: 'Corner Shop', brandId: null, deletedAt: null }
+      ]);
+    // The source brand's franchise, and one with the same slug in the target brand
+    Franchise.find = filter => chain(filter.businessId.$in.map(String).includes(CLASHING_BUSINESS)
+      ? [{ _id: FRANCHISE, name: 'Main St', slug: 'main-st' }]
+      : [{ _id: '507f1f77bcf86cd799439042', slug: 'main-st' }]);
+    Brand.countDocuments = () => chain(1);
+    Business.countDocuments = () => chain(3);
+
+    for (const model of [Organization, Brand]) {
+      model.exists = () => chain(true);
+      model.findOneAndUpdate = async (filter, update) => { reserved.push([model.modelName, String(filter._id), update.$inc]); return {}; };
+    }
+    for (const model of [Organization, Brand, Business, Franchise]) {
+      model.updateOne = async (filter, update) => { writes.push([model.modelName, 'updateOne', filter, update]); return { modifiedCount: 1 }; };
+      model.updateMany = async (filter, update) => { writes.push([model.modelName, 'updateMany', filter, update]); return {}; };
+    }
+    UsageRollup.find = () => chain([]);
+    UsageRollup.deleteMany = async () => ({});
+    UsageRollup.updateMany = async () => ({});
+    AuditLog.insertMany = async entries => { audit.push(...entries); return entries; };
+    OutboxEvent.insertMany = async events => events;
+  });
+
+  afterEach(() => {
+    models.forEach((model, i) => Object.assign(model, originals[i]));
+    if (transactions === undefined) delete process.env.MONGODB_TRANSACTIONS;
+    else process.env.MONGODB_TRANSACTIONS = transactions;
+  });
+
+  describe('dry run', () => {
+    it('should plan each brand and business and check limits without writing', async () => {
+      const result = await mergeOrganizations(TARGET, { sourceId: SOURCE, dryRun: 'true' }, { actor: admin });
+
+      expect(result.dryRun).toBe(true);
+      expect(result.brands).toEqual([
+        { id: CLASHING, name: 'ACME', archived: false, action: 'rename', newName: 'ACME (Source Co)' },
+        { id: UNIQUE, name: 'Bolt', archived: false, action: 'move' }
+      ]);
+      expect(result.businesses[0]).toEqual({
+        id: CLASHING_BUSINESS,
+        name: 'Acme Downtown',
+        archived: false,
+        brandId: { before: CLASHING, after: CLASHING }
+      });
+      expect(result.limits.map(({ id, ...limit }) => ({ id: String(id), ...limit }))).toEqual([
+        { limit: 'organization.brands', id: TARGET, usage: 1, adding: 2, max: 5, exceeded: false },
+        { limit: 'organization.businesses', id: TARGET, usage: 3, adding: 2, max: 25, exceeded: false }
+      ]);
+      expect(result).not.toHaveProperty('reservations');
+      expect(writes).toEqual([]);
+      expect(reserved).toEqual([]);
+    });
+
+    it('should number a rename whose name is taken too', async () => {
+      targetBrands.push({ _id: '507f1f77bcf86cd799439024', name: 'Acme (Source Co)' });
+      Brand.find = filter => chain(String(filter.organizationId) === TARGET
+        ? targetBrands
+        : [{ _id: CLASHING, name: 'Acme', deletedAt: null }]);
+
+      const result = await mergeOrganizations(TARGET, { sourceId: SOURCE, dryRun: true }, { actor: admin });
+
+      expect(result.brands[0].newName).toBe('Acme (Source Co) 2');
+    });
+
+    it('should fold a brand into its namesake when asked, and report that brand\'s limit', async () => {
+      const result = await mergeOrganizations(TARGET, { sourceId: SOURCE, dryRun: true, brands: { [CLASHING]: 'merge' } }, { actor: admin });
+
+      expect(result.brands[0]).toMatchObject({ action: 'merge', into: TARGET_BRAND });
+      expect(result.businesses[0].brandId).toEqual({ before: CLASHING, after: TARGET_BRAND });
+      expect(result.limits.map(limit => [limit.limit, limit.adding])).toEqual([
+        ['organization.brands', 1],
+        ['organization.businesses', 2],
+        ['brand.businesses', 1]
+      ]);
+    });
+  });
+
+  describe('applying', () => {
+    it('should rename clashing brands and move everything under the target plan', async () => {
+      const result = await mergeOrganizations(TARGET, { sourceId: SOURCE }, { actor: admin });
+
+      expect(result.dryRun).toBe(false);
+      expect(reserved).toEqual([
+        ['Organization', TARGET, { 'usage.brands': 2 }],
+        ['Organization', TARGET, { 'usage.businesses': 2 }]
+      ]);
+
+      const rename = writes.find(([model, , filter]) => model === 'Brand' && String(filter._id) === CLASHING);
+      expect(rename[3].$set).toMatchObject({ name: 'ACME (Source Co)', 'limits.businesses': 25 });
+      expect(String(rename[3].$set.organizationId)).toBe(TARGET);
+
+      const businesses = writes.find(([model, method]) => model === 'Business' && method === 'updateMany');
+      expect(String(businesses[2].organizationId)).toBe(SOURCE);
+      expect(businesses[3].$set).toMatchObject({ 'subscription.plan': 'professional', 'subscription.limits.franchises': 10 });
+
+      const archived = writes.find(([model, , filter]) => model === 'Organization' && String(filter._id) === SOURCE);
+      expect(String(archived[3].$set.mergedInto)).toBe(TARGET);
+      expect(archived[3].$set.archiveId).toBe(result.archiveId);
+    });
+
+    it('should move a merged brand\'s businesses and archive it into its namesake', async () => {
+      await mergeOrganizations(TARGET, { sourceId: SOURCE, brandConflicts: 'merge' }, { actor: admin });
+
+      expect(reserved).toContainEqual(['Brand', TARGET_BRAND, { 'usage.businesses': 1 }]);
+      expect(writes).toContainEqual(['Business', 'updateMany', { brandId: CLASHING }, { $set: { brandId: TARGET_BRAND }, $inc: { __v: 1 } }]);
+
+      const folded = writes.find(([model, method, filter]) => model === 'Brand' && method === 'updateOne' && String(filter._id) === CLASHING);
+      expect(folded[3].$set).toMatchObject({ mergedInto: TARGET_BRAND, 'usage.businesses': 0 });
+      expect(folded[3].$set.deletedAt).toBeInstanceOf(Date);
+    });
+
+    it('should give franchises a new slug when it is taken in the brand they are folded into', async () => {
+      await mergeOrganizations(TARGET, { sourceId: SOURCE, brandConflicts: 'merge' }, { actor: admin });
+
+      expect(writes).toContainEqual(['Franchise', 'updateOne', { _id: FRANCHISE }, {
+        $set: { slug: 'main-st-2', previousSlugs: ['main-st'] },
+        $inc: { __v: 1 }
+      }]);
+      expect(audit).toContainEqual(expect.objectContaining({
+        entityType: 'franchise',
+        entityId: FRANCHISE,
+        changes: [{ path: 'slug', before: 'main-st', after: 'main-st-2' }]
+      }));
+    });
+
+    it('should write nothing when a reservation hits a limit', async () => {
+      Organization.findOneAndUpdate = async () => null;
+      Organization.findById = id => chain(String(id) === TARGET
+        ? { ...organization(TARGET, 'Target Co', 'professional').toObject(), usage: { brands: 4 } }
+        : organization(SOURCE, 'Source Co', 'basic'));
+
+      await expect(mergeOrganizations(TARGET, { sourceId: SOURCE }, { actor: admin }))
+        .rejects.toMatchObject({ status: 402, details: { code: 'LIMIT_EXCEEDED', limit: 'organization.brands' } });
+      expect(writes).toEqual([]);
+    });
+  });
+
+  it('should reject unknown strategies and merging into itself', async () => {
+    await expect(mergeOrganizations(TARGET, { sourceId: SOURCE, brands: { [CLASHING]: 'drop' } }))
+      .rejects.toMatchObject({ status: 400, details: { errors: [expect.objectContaining({ path: `brands.${CLASHING}`, rule: 'enum' })] } });
+    await expect(mergeOrganizations(TARGET, { sourceId: TARGET }))
+      .rejects.toMatchObject({ status: 400, details: { errors: [expect.objectContaining({ rule: 'distinct' })] } });
+  });
+});
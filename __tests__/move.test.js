@@ -0,0 +1,138 @@
+import { Organization, Brand, Business, Franchise } from '../src/models/index.js';
+import AuditLog from '../src/models/AuditLog.js';
+import OutboxEvent from '../src/models/OutboxEvent.js';
+import UsageRollup from '../src/models/UsageRollup.js';
+import { moveEntity } from '../src/services/move.js';
+
+describe('Move Service', () => {
+  const SOURCE = '507f1f77bcf86cd799439011';
+  const TARGET = '507f1f77bcf86cd799439012';
+  const BRAND = '507f1f77bcf86cd799439021';
+  const BUSINESS = '507f1f77bcf86cd799439031';
+  const admin = { id: 'u1', roles: ['super_admin'] };
+
+  // A query result that also takes the chained calls the service makes
+  const chain = value => ({
+    select() { return this; },
+    session() { return this; },
+    lean() { return this; },
+    distinct: async field => value.map(doc => doc[field]),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  });
+
+  const models = [Organization, Brand, Business, Franchise, AuditLog, OutboxEvent, UsageRollup];
+  const methods = ['find', 'findById', 'exists', 'findOneAndUpdate', 'updateOne', 'updateMany', 'insertMany'];
+  const originals = models.map(model => Object.fromEntries(methods.map(method => [method, model[method]])));
+
+  let organizations;
+  let written;
+  let audit;
+  let transactions;
+
+  const business = settings => Business.hydrate({
+    _id: BUSINESS,
+    name: 'Downtown Coffee',
+    organizationId: SOURCE,
+    brandId: null,
+    ownerId: '507f1f77bcf86cd799439061',
+    industry: 'restaurant',
+    subscription: { plan: 'basic', limits: { franchises: 1, staff: 5 } },
+    settings,
+    __v: 3
+  });
+
+  beforeEach(() => {
+    transactions = process.env.MONGODB_TRANSACTIONS;
+    process.env.MONGODB_TRANSACTIONS = 'false';
+    written = null;
+    audit = [];
+    organizations = {
+      [SOURCE]: { _id: SOURCE, subscription: { plan: 'basic', status: 'active' }, deletedAt: null },
+      [TARGET]: { _id: TARGET, subscription: { plan: 'enterprise', status: 'active' }, deletedAt: null }
+    };
+
+    Organization.findById = id => chain(organizations[String(id)] ?? null);
+    Organization.exists = () => chain(true);
+    Organization.findOneAndUpdate = async () => ({});
+    Organization.updateOne = async () => ({});
+    Business.findOneAndUpdate = async (filter, update) => { written = update; return { _id: BUSINESS }; };
+    Franchise.find = () => chain([]);
+    UsageRollup.find = () => chain([]);
+    UsageRollup.updateMany = async () => ({});
+    AuditLog.insertMany = async entries => { audit.push(...entries); return entries; };
+    OutboxEvent.insertMany = async events => events;
+  });
+
+  afterEach(() => {
+    models.forEach((model, i) => Object.assign(model, originals[i]));
+    if (transactions === undefined) delete process.env.MONGODB_TRANSACTIONS;
+    else process.env.MONGODB_TRANSACTIONS = transactions;
+  });
+
+  describe('transfers', () => {
+    it('should ask for crossOrganization explicitly', async () => {
+      await expect(moveEntity('business', business(), { organizationId: TARGET }, { actor: admin }))
+        .rejects.toMatchObject({ status: 409, details: { code: 'CROSS_ORGANIZATION' } });
+      expect(written).toBeNull();
+    });
+
+    it("should give the business the target organization's plan and limits", async () => {
+      organizations[TARGET].entitlements = { limits: { business: { staff: 40 } } };
+
+      await moveEntity('business', business(), { organizationId: TARGET, crossOrganization: true }, { actor: admin, version: 3 });
+
+      expect(written.$set).toMatchObject({
+        brandId: null,
+        'subscription.plan': 'enterprise',
+        'subscription.limits.franchises': null,
+        'subscription.limits.staff': 40
+      });
+      expect(String(written.$set.organizationId)).toBe(TARGET);
+      expect(audit[0].changes).toContainEqual({ path: 'subscription.plan', before: 'basic', after: 'enterprise' });
+    });
+
+    it('should refuse features the target plan does not include', async () => {
+      organizations[SOURCE].subscription.plan = 'enterprise';
+      organizations[TARGET].subscription.plan = 'basic';
+      const doc = business({ features: { customForms: true, aiInsights: true } });
+
+      await expect(moveEntity('business', doc, { organizationId: TARGET, crossOrganization: true }, { actor: admin }))
+        .rejects.toMatchObject({ status: 402, details: { code: 'FEATURE_NOT_ENTITLED', features: ['aiInsights'], plan: 'basic' } });
+      expect(written).toBeNull();
+    });
+  });
+
+  describe('within the organization', () => {
+    beforeEach(() => {
+      Brand.findById = () => chain({ _id: BRAND, organizationId: SOURCE, deletedAt: null });
+      Brand.exists = () => chain(true);
+      Brand.findOneAndUpdate = async () => ({});
+    });
+
+    it('should leave the plan alone', async () => {
+      await moveEntity('business', business(), { brandId: BRAND }, { actor: admin });
+
+      expect(Object.keys(written.$set).sort()).toEqual(['brandId', 'organizationId']);
+    });
+
+    it("should give franchises a new slug when the new brand's businesses use theirs", async () => {
+      const FRANCHISE = '507f1f77bcf86cd799439041';
+      const renamed = [];
+      Business.find = () => chain([{ _id: '507f1f77bcf86cd799439032' }]);
+      // The moving business's franchise, and one of the brand's with the same slug
+      Franchise.find = filter => chain(filter.businessId?.$in?.map(String).includes(BUSINESS)
+        ? [{ _id: FRANCHISE, name: 'Main St', slug: 'main-st' }]
+        : [{ _id: '507f1f77bcf86cd799439042', slug: 'main-st' }]);
+      Franchise.updateOne = async (filter, update) => { renamed.push([filter, update]); return {}; };
+
+      await moveEntity('business', business(), { brandId: BRAND }, { actor: admin });
+
+      expect(renamed).toEqual([[{ _id: FRANCHISE }, { $set: { slug: 'main-st-2', previousSlugs: ['main-st'] }, $inc: { __v: 1 } }]]);
+      expect(audit).toContainEqual(expect.objectContaining({
+        entityType: 'franchise',
+        entityId: FRANCHISE,
+        changes: [{ path: 'slug', before: 'main-st', after: 'main-st-2' }]
+      }));
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { encodeCursor, decodeCursor, cursorFilter, parsePagination, withTieBreaker, MAX_PAGE_SIZE } from '../src/utils/pagination.js';
+
+describe('Pagination', () => {
+  const sort = withTieBreaker([['createdAt', -1]]);
+  const doc = {
+    _id: new mongoose.Types.ObjectId('507f1f77bcf86cd799439011'),
+    createdAt: new Date('2024-03-01T10:00:00Z')
+  };
+
+  it('should append _id as a tie-breaker in the same direction', () => {
+    expect(sort).toEqual([['createdAt', -1], ['_id', -1]]);
+  });
+
+  it('should round-trip dates and ObjectIds through the cursor', () => {
+    const values = decodeCursor(encodeCursor(sort, doc), sort);
+
+    expect(values[0]).toEqual(doc.createdAt);
+    expect(values[1].equals(doc._id)).toBe(true);
+  });
+
+  it('should reject a cursor issued for another sort', () => {
+    const cursor = encodeCursor(sort, doc);
+
+    expect(() => decodeCursor(cursor, withTieBreaker([['name', 1]])))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should build a keyset filter after the cursor position', () => {
+    expect(cursorFilter(sort, [doc.createdAt, doc._id])).toEqual({
+      $or: [
+        { $or: [{ createdAt: { $lt: doc.createdAt } }, { createdAt: null }] },
+        { $and: [{ createdAt: doc.createdAt }, { _id: { $lt: doc._id } }] }
+      ]
+    });
+  });
+
+  it('should cap the page size and validate limits', () => {
+    expect(parsePagination({ limit: '100000' }, [['name', 1]]).limit).toBe(MAX_PAGE_SIZE);
+    expect(() => parsePagination({ limit: 'ten' }, [['name', 1]])).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
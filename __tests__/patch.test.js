@@ -0,0 +1,229 @@
+import Brand from '../src/models/Brand.js';
+import Business from '../src/models/Business.js';
+import { entitlementsOf, applyPlanLimits } from '../src/services/entitlements.js';
+import { mergePatch, jsonPatch, assertWritable, patcherFor, replaceFields, applyUpdate, createFields } from '../src/services/patch.js';
+
+describe('Patch Service', () => {
+  describe('mergePatch', () => {
+    it('should deep-merge nested settings and drop null members', () => {
+      const target = {
+        name: 'Downtown',
+        description: 'Main street',
+        settings: { timezone: 'UTC', operatingHours: { monday: { open: '09:00', close: '17:00' } } }
+      };
+
+      const result = mergePatch(target, {
+        description: null,
+        settings: { operatingHours: { monday: { open: '08:00' } } }
+      });
+
+      expect(result).toEqual({
+        name: 'Downtown',
+        settings: { timezone: 'UTC', operatingHours: { monday: { open: '08:00', close: '17:00' } } }
+      });
+    });
+  });
+
+  describe('jsonPatch', () => {
+    const target = { name: 'Acme', brandGuidelines: { logoVariations: ['dark'] } };
+
+    it('should apply operations in order', () => {
+      const result = jsonPatch(target, [
+        { op: 'add', path: '/brandGuidelines/logoVariations/-', value: 'light' },
+        { op: 'replace', path: '/name', value: 'Acme Co' },
+        { op: 'copy', from: '/name', path: '/description' }
+      ]);
+
+      expect(result).toEqual({
+        name: 'Acme Co',
+        description: 'Acme Co',
+        brandGuidelines: { logoVariations: ['dark', 'light'] }
+      });
+      expect(target.brandGuidelines.logoVariations).toEqual(['dark']);
+    });
+
+    it('should abort on a failed test', () => {
+      expect(() => jsonPatch(target, [{ op: 'test', path: '/name', value: 'Other' }]))
+        .toThrow(expect.objectContaining({ status: 409 }));
+    });
+
+    it('should reject paths that do not exist', () => {
+      expect(() => jsonPatch(target, [{ op: 'remove', path: '/contact/email' }]))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('createFields', () => {
+    const organization = { subscription: { plan: 'basic', status: 'active' } };
+
+    it('should ignore subscription, limits and entitlements posted for a business', () => {
+      const body = {
+        name: 'Harbor Cafe',
+        organizationId: '64b000000000000000000001',
+        subscription: { plan: 'enterprise', status: 'active', trialEndsAt: '2099-01-01', features: ['aiInsights', 'whiteLabel'] },
+        limits: { franchises: 100 },
+        entitlements: { features: { whiteLabel: true } },
+        usage: { franchises: 0 }
+      };
+
+      const business = new Business(createFields('business', body));
+      const entitlements = entitlementsOf(organization, business);
+      applyPlanLimits('business', business, entitlements);
+
+      expect(business.name).toBe('Harbor Cafe');
+      expect(business.subscription.features).toEqual([]);
+      expect(business.subscription.plan).toBe('basic');
+      expect(business.subscription.status).toBe('trial');
+      expect(business.subscription.trialEndsAt).toBeUndefined();
+      expect(business.subscription.limits.franchises).toBe(1);
+      expect(entitlements.features.aiInsights).toEqual({ entitled: false, source: 'plan' });
+      expect(entitlements.features.whiteLabel).toEqual({ entitled: false, source: 'plan' });
+    });
+
+    it('should keep billing fields on organizations, which only platform admins create', () => {
+      const fields = createFields('organization', { name: 'Acme', subscription: { plan: 'professional' }, usage: { brands: 3 }, __v: 4 });
+
+      expect(fields).toEqual({ name: 'Acme', subscription: { plan: 'professional' } });
+    });
+  });
+
+  describe('assertWritable', () => {
+    it('should allow fields on the allow-list', () => {
+      expect(() => assertWritable('franchise', ['settings.operatingHours.monday.open'])).not.toThrow();
+    });
+
+    it('should explain why protected fields are refused', () => {
+      try {
+        assertWritable('business', ['organizationId', 'subscription.plan', 'createdAt', 'usage.franchises', 'foo']);
+        throw new Error('expected assertWritable to throw');
+      } catch (error) {
+        expect(error.status).toBe(400);
+        expect(error.details.errors.map(e => e.rule)).toEqual(['immutable', 'billing', 'immutable', 'managed', 'writable']);
+      }
+    });
+  });
+
+  describe('patcherFor', () => {
+    it('should reject unsupported content types', () => {
+      expect(() => patcherFor('text/plain', {})).toThrow(expect.objectContaining({ status: 415 }));
+    });
+  });
+  describe('applyUpdate', () => {
+    const stored = (contact = { email: 'ops@downtown.test' }) => Business.hydrate({
+      _id: '507f1f77bcf86cd799439021',
+      name: 'Downtown Coffee',
+      organizationId: '507f1f77bcf86cd799439011',
+      brandId: '507f1f77bcf86cd799439012',
+      ownerId: '507f1f77bcf86cd799439013',
+      industry: 'restaurant',
+      contact,
+      createdAt: new Date('2024-03-01T00:00:00Z'),
+      updatedAt: new Date('2024-03-02T00:00:00Z'),
+      __v: 2
+    });
+
+    let written;
+    const findOneAndUpdate = Business.findOneAndUpdate;
+    beforeEach(() => {
+      written = null;
+      Business.findOneAndUpdate = async (filter, update) => { written = update; return {}; };
+    });
+    afterAll(() => { Business.findOneAndUpdate = findOneAndUpdate; });
+
+    it('should accept a GET body sent back through PUT with one edit', async () => {
+      const doc = stored();
+      // What GET /api/businesses/:id sends: virtuals, counts and the populated brand
+      const body = {
+        ...JSON.parse(JSON.stringify(doc)),
+        brandId: { _id: '507f1f77bcf86cd799439012', name: 'Acme', id: '507f1f77bcf86cd799439012' },
+        franchiseCount: 4,
+        staffCount: 12,
+        name: 'Downtown Coffee & Bakery'
+      };
+      expect(body.id).toBe('507f1f77bcf86cd799439021');
+
+      await applyUpdate('business', doc, current => replaceFields(current, body), 2);
+
+      expect(written.$set).toEqual({ name: 'Downtown Coffee & Bakery' });
+    });
+
+    it('should still refuse a changed id or reference', async () => {
+      const body = { ...JSON.parse(JSON.stringify(stored())), brandId: { _id: '507f1f77bcf86cd799439099', name: 'Other' } };
+
+      await expect(applyUpdate('business', stored(), current => replaceFields(current, body), 2))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(applyUpdate('business', stored(), current => replaceFields(current, { id: 'other' }), 2))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    describe('with a legacy [0, 0] point', () => {
+      const legacy = () => stored({
+        email: 'ops@downtown.test',
+        address: { city: 'Austin', coordinates: { type: 'Point', coordinates: [0, 0] } }
+      });
+
+      it('should still accept edits that do not touch it', async () => {
+        await applyUpdate('business', legacy(), current => mergePatch(current, { name: 'Downtown Coffee & Bakery' }), 2);
+        expect(written.$set).toEqual({ name: 'Downtown Coffee & Bakery' });
+
+        await applyUpdate('business', legacy(), current => mergePatch(current, { contact: { phone: '555-0100' } }), 2);
+        expect(written.$set.contact.phone).toBe('555-0100');
+      });
+
+      it('should validate the point once an edit touches it', async () => {
+        const patch = { contact: { address: { coordinates: { coordinates: [0, 0.0001] } } } };
+        await applyUpdate('business', legacy(), current => mergePatch(current, patch), 2);
+        expect(written.$set.contact.address.coordinates.coordinates).toEqual([0, 0.0001]);
+
+        const back = { contact: { address: { city: 'Dallas', coordinates: { coordinates: [0, 0] } } } };
+        await expect(applyUpdate('business', stored(), current => mergePatch(current, back), 2))
+          .rejects.toMatchObject({ errors: { 'contact.address.coordinates.coordinates': expect.anything() } });
+      });
+    });
+
+    describe('on a brand with guidelines stored before they were validated', () => {
+      const legacy = () => Brand.hydrate({
+        _id: '507f1f77bcf86cd799439012',
+        name: 'Acme',
+        slug: 'acme',
+        organizationId: '507f1f77bcf86cd799439011',
+        brandGuidelines: { primaryColor: 'blue', fontFamily: 'Comic Sans!' },
+        __v: 1
+      });
+
+      const { find } = Brand;
+      let brandWritten;
+      const brandFindOneAndUpdate = Brand.findOneAndUpdate;
+      beforeEach(() => {
+        brandWritten = null;
+        Brand.find = () => ({
+          select() { return this; },
+          session() { return this; },
+          lean() { return this; },
+          then: (resolve, reject) => Promise.resolve([]).then(resolve, reject)
+        });
+        Brand.findOneAndUpdate = async (filter, update) => { brandWritten = update; return {}; };
+      });
+      afterAll(() => {
+        Brand.find = find;
+        Brand.findOneAndUpdate = brandFindOneAndUpdate;
+      });
+
+      it('should rename the brand and keep the stored values', async () => {
+        const doc = legacy();
+        await applyUpdate('brand', doc, current => replaceFields(current, { ...JSON.parse(JSON.stringify(doc)), name: 'Acme Coffee' }), 1);
+
+        expect(brandWritten.$set).toMatchObject({ name: 'Acme Coffee', slug: 'acme-coffee' });
+        expect(brandWritten.$set).not.toHaveProperty('brandGuidelines');
+      });
+
+      it('should validate a guideline the update sets, and only that one', async () => {
+        await applyUpdate('brand', legacy(), current => mergePatch(current, { brandGuidelines: { primaryColor: '#4F46E5' } }), 1);
+        expect(brandWritten.$set.brandGuidelines).toEqual({ primaryColor: '#4f46e5', fontFamily: 'Comic Sans!', logoVariations: [] });
+
+        await expect(applyUpdate('brand', legacy(), current => mergePatch(current, { brandGuidelines: { secondaryColor: 'red' } }), 1))
+          .rejects.toMatchObject({ errors: { 'brandGuidelines.secondaryColor': expect.objectContaining({ kind: 'color' }) } });
+      });
+    });
+  });
+});
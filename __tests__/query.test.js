@@ -0,0 +1,169 @@
+import { Brand, Business, Franchise } from '../src/models/index.js';
+import { buildListQuery, parseSort, parseSearchTerm, searchOrganization } from '../src/services/query.js';
+
+describe('Query Service', () => {
+  const ORG = '507f1f77bcf86cd799439011';
+  const BRAND = '507f1f77bcf86cd799439021';
+  const OWNER = '507f1f77bcf86cd799439061';
+
+  describe('buildListQuery', () => {
+    it('should leave archived records out by default', () => {
+      expect(buildListQuery('brand', {})).toEqual({ filter: { deletedAt: null }, sort: undefined });
+      expect(buildListQuery('brand', { includeArchived: 'true' }).filter).toEqual({});
+    });
+
+    it('should parse booleans and merge date bounds on one path', () => {
+      const { filter } = buildListQuery('organization', {
+        isActive: 'false',
+        createdAfter: '2024-01-01',
+        createdBefore: '2024-02-01'
+      });
+
+      expect(filter.isActive).toBe(false);
+      expect(filter.createdAt).toEqual({ $gte: new Date('2024-01-01'), $lte: new Date('2024-02-01') });
+    });
+
+    it('should fill absent filters from the defaults without overriding the query', () => {
+      expect(buildListQuery('brand', {}, { defaults: { isActive: true } }).filter.isActive).toBe(true);
+      expect(buildListQuery('brand', { isActive: 'false' }, { defaults: { isActive: true } }).filter.isActive).toBe(false);
+    });
+
+    it('should turn comma-separated values into $in', () => {
+      const { filter } = buildListQuery('business', {
+        industry: 'restaurant,retail',
+        'contact.address.city': 'Austin'
+      });
+
+      expect(filter.industry).toEqual({ $in: ['restaurant', 'retail'] });
+      expect(filter['contact.address.city']).toBe('Austin');
+    });
+
+    it('should accept null for nullable references', () => {
+      const { filter } = buildListQuery('business', { brandId: 'null', ownerId: OWNER });
+
+      expect(filter.brandId).toBeNull();
+      expect(filter.ownerId).toBe(OWNER);
+    });
+
+    it('should ignore parameters that are not filters of the type', () => {
+      expect(buildListQuery('brand', { industry: 'retail', page: '2' }).filter).toEqual({ deletedAt: null });
+    });
+
+    it.each([
+      [{ isActive: 'yes' }, 'isActive', 'boolean'],
+      [{ updatedAfter: 'last week' }, 'updatedAfter', 'date'],
+      [{ industry: 'restaurant,mining' }, 'industry', 'enum'],
+      [{ ownerId: 'null' }, 'ownerId', 'cast'],
+      [{ brandId: 'abc' }, 'brandId', 'cast']
+    ])('should reject %j with a 400 naming the parameter', (query, path, rule) => {
+      expect(() => buildListQuery('business', query)).toThrow(expect.objectContaining({
+        status: 400,
+        details: { code: 'VALIDATION_FAILED', errors: [expect.objectContaining({ path, rule })] }
+      }));
+    });
+
+    it('should add a text search for q', () => {
+      expect(buildListQuery('franchise', { q: '  downtown  ' }).filter.$text).toEqual({ $search: 'downtown' });
+    });
+  });
+
+  describe('parseSort', () => {
+    it('should read direction prefixes in order', () => {
+      expect(parseSort('business', '-createdAt,+name,industry')).toEqual([
+        ['createdAt', -1],
+        ['name', 1],
+        ['industry', 1]
+      ]);
+    });
+
+    it('should fall back when no sort is given', () => {
+      const fallback = { createdAt: -1 };
+
+      expect(parseSort('brand', undefined, fallback)).toBe(fallback);
+      expect(parseSort('brand', ',', fallback)).toBe(fallback);
+    });
+
+    it('should reject fields that are not sortable for the type', () => {
+      expect(() => parseSort('brand', 'industry')).toThrow(expect.objectContaining({
+        status: 400,
+        details: { code: 'VALIDATION_FAILED', errors: [expect.objectContaining({ path: 'sort', rule: 'enum' })] }
+      }));
+    });
+  });
+
+  describe('parseSearchTerm', () => {
+    it('should pass an absent term through', () => {
+      expect(parseSearchTerm(undefined)).toBeUndefined();
+    });
+
+    it('should reject blank and overlong terms', () => {
+      expect(() => parseSearchTerm('   ')).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => parseSearchTerm('x'.repeat(201))).toThrow(expect.objectContaining({ status: 400 }));
+      expect(parseSearchTerm('x'.repeat(200))).toHaveLength(200);
+    });
+  });
+
+  describe('searchOrganization', () => {
+    const originals = [Brand, Business, Franchise].map(model => model.find);
+    let queries;
+
+    // Records the filter and the chained calls, then resolves to the type's hits
+    const search = (type, hits) => (filter, projection) => {
+      const query = { type, filter, projection };
+      queries.push(query);
+      return {
+        sort(sort) { query.sort = sort; return this; },
+        limit(limit) { query.limit = limit; return this; },
+        lean() { return Promise.resolve(hits); },
+        distinct() { return Promise.resolve(['b1', 'b2']); }
+      };
+    };
+
+    beforeEach(() => {
+      queries = [];
+      Brand.find = search('brand', [{ name: 'Acme Coffee' }]);
+      Business.find = search('business', []);
+      Franchise.find = search('franchise', [{ name: 'Acme Downtown' }]);
+    });
+
+    afterAll(() => {
+      [Brand, Business, Franchise].forEach((model, i) => { model.find = originals[i]; });
+    });
+
+    it('should group hits by type, ranked by text score', async () => {
+      const result = await searchOrganization({ roles: ['super_admin'] }, ORG, 'acme', { limit: 5 });
+
+      expect(result).toEqual({
+        brands: [{ name: 'Acme Coffee' }],
+        businesses: [],
+        franchises: [{ name: 'Acme Downtown' }]
+      });
+
+      const brand = queries.find(query => query.type === 'brand' && query.limit);
+      expect(brand.filter.$and).toEqual([{ organizationId: ORG }, { $text: { $search: 'acme' } }, { deletedAt: null }, {}]);
+      expect(brand.sort).toEqual({ score: { $meta: 'textScore' } });
+      expect(brand.limit).toBe(5);
+
+      // Franchises are found through the organization's businesses
+      const franchise = queries.find(query => query.type === 'franchise');
+      expect(franchise.filter.$and[0]).toEqual({ businessId: { $in: ['b1', 'b2'] } });
+    });
+
+    it('should restrict each type to what the caller can see', async () => {
+      await searchOrganization({ roles: ['brand_manager'], scopes: { brandId: BRAND } }, ORG, 'acme', { includeArchived: true });
+
+      const brand = queries.find(query => query.type === 'brand' && query.limit);
+      expect(brand.filter.$and).toEqual([
+        { organizationId: ORG },
+        { $text: { $search: 'acme' } },
+        {},
+        { _id: BRAND }
+      ]);
+    });
+
+    it('should require a term', async () => {
+      await expect(searchOrganization({ roles: ['super_admin'] }, ORG, undefined)).rejects.toMatchObject({ status: 400 });
+      expect(queries).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { Organization, Brand } from '../src/models/index.js';
+import { hostnameOf, isValidSubdomain, isPlatformHostname } from '../src/utils/domains.js';
+import { effectiveTheme, DEFAULT_THEME } from '../src/services/theme.js';
+import { resolveHost, resolveTheme, clearResolutions } from '../src/services/resolve.js';
+
+describe('Host Resolution', () => {
+  describe('hostnameOf', () => {
+    it('should drop the port and normalize the host', () => {
+      expect(hostnameOf('Feedback.ACME.com:8443')).toBe('feedback.acme.com');
+      expect(hostnameOf('acme.keephy.app')).toBe('acme.keephy.app');
+    });
+
+    it('should refuse anything that is not a hostname', () => {
+      expect(hostnameOf('localhost:3000')).toBeNull();
+      expect(hostnameOf('https://acme.com')).toBeNull();
+      expect(hostnameOf(undefined)).toBeNull();
+    });
+
+    it('should reject invalid hosts before any lookup', async () => {
+      await expect(resolveHost('not a host')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('subdomains', () => {
+    it('should accept single labels that are not reserved', () => {
+      expect(isValidSubdomain('acme')).toBe(true);
+      expect(isValidSubdomain('acme-eu')).toBe(true);
+      expect(isValidSubdomain('acme.eu')).toBe(false);
+      expect(isValidSubdomain('api')).toBe(false);
+      expect(isValidSubdomain('-acme')).toBe(false);
+    });
+
+    it('should recognize the platform domain and names under it', () => {
+      expect(isPlatformHostname('keephy.app')).toBe(true);
+      expect(isPlatformHostname('acme.keephy.app')).toBe(true);
+      expect(isPlatformHostname('notkeephy.app')).toBe(false);
+    });
+  });
+
+  describe('effectiveTheme', () => {
+    it('should lay brand guidelines over the defaults', () => {
+      const theme = effectiveTheme({
+        organization: { logo: 'https://cdn.acme.com/org.png' },
+        brand: { brandGuidelines: { primaryColor: '#ff0000' } },
+        settings: { theme: 'dark' }
+      });
+
+      expect(theme).toEqual({
+        name: 'dark',
+        primaryColor: '#ff0000',
+        secondaryColor: DEFAULT_THEME.secondaryColor,
+        fontFamily: DEFAULT_THEME.fontFamily,
+        logo: 'https://cdn.acme.com/org.png',
+        logoVariations: [],
+        sources: { primaryColor: 'brand', secondaryColor: 'default', fontFamily: 'default' }
+      });
+    });
+  });
+
+  describe('resolveTheme', () => {
+    const owner = { _id: '507f1f77bcf86cd799439011', name: 'Acme', logo: 'https://cdn.acme.com/org.png', subscription: { plan: 'basic', status: 'active' } };
+    const brand = {
+      _id: '507f1f77bcf86cd799439021',
+      name: 'Acme Coffee',
+      organizationId: owner._id,
+      subdomain: 'coffee',
+      // Stored before guidelines were validated
+      brandGuidelines: { primaryColor: '#ff0000', fontFamily: 'url(evil)' }
+    };
+
+    // A query result that also takes the chained calls the service makes
+    const chain = value => ({
+      select() { return this; },
+      lean() { return this; },
+      then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    });
+
+    const models = [Organization, Brand];
+    const originals = models.map(model => ({ findOne: model.findOne, findById: model.findById }));
+
+    beforeEach(() => {
+      Brand.findOne = filter => chain(filter.subdomain === 'coffee' ? brand : null);
+      Brand.findById = () => chain(brand);
+      Organization.findOne = filter => chain(filter._id ? owner : null);
+      Organization.findById = () => chain(owner);
+    });
+
+    afterEach(() => {
+      models.forEach((model, i) => Object.assign(model, originals[i]));
+      clearResolutions();
+    });
+
+    it('should compile the theme of the brand served on the host, without its warnings', async () => {
+      const theme = await resolveTheme('coffee.keephy.app');
+
+      expect(theme).toMatchObject({ hostname: 'coffee.keephy.app', brandId: brand._id });
+      expect(theme.tokens.color.primary).toBe('#ff0000');
+      expect(theme.tokens.font.family).toBe(DEFAULT_THEME.fontFamily);
+      expect(theme.tokens.logo.url).toBe(owner.logo);
+      expect(theme.css).toContain('--keephy-');
+      expect(theme.etag).toMatch(/^".+"$/);
+      expect(theme).not.toHaveProperty('warnings');
+      expect(theme).not.toHaveProperty('sources');
+    });
+
+    it('should be a 404 for hosts nothing is served on', async () => {
+      await expect(resolveTheme('tea.keephy.app')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
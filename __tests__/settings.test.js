@@ -0,0 +1,123 @@
+import { Brand, Business, Franchise } from '../src/models/index.js';
+import { mergeSettings, assertUnlocked, lockedErrors, backfillSettingsDefaults } from '../src/services/settings.js';
+
+describe('Settings Service', () => {
+  const levels = [
+    {
+      type: 'organization',
+      id: 'org',
+      settings: {
+        timezone: 'Europe/Berlin',
+        currency: 'EUR',
+        features: { multiBrand: true, whiteLabel: false },
+        locked: ['currency', 'features.whiteLabel']
+      }
+    },
+    { type: 'brand', id: 'brand', settings: { language: 'de', features: { whiteLabel: true, customForms: true } } },
+    { type: 'business', id: 'business', settings: { timezone: 'Europe/Vienna', currency: 'USD', features: { customForms: false } } },
+    { type: 'franchise', id: 'franchise', settings: { timezone: null, features: { wifi: true } } }
+  ];
+
+  describe('mergeSettings', () => {
+    it('should let lower levels override unlocked values', () => {
+      const { settings, sources } = mergeSettings(levels);
+
+      expect(settings.timezone).toBe('Europe/Vienna');
+      expect(sources.timezone).toEqual({ level: 'business', id: 'business' });
+      expect(settings.language).toBe('de');
+      expect(settings.features).toEqual({ multiBrand: true, whiteLabel: false, customForms: false, wifi: true });
+      expect(sources['features.customForms']).toEqual({ level: 'business', id: 'business' });
+    });
+
+    it('should keep locked values from the level that locked them', () => {
+      const { settings, sources, locked } = mergeSettings(levels);
+
+      expect(settings.currency).toBe('EUR');
+      expect(sources.currency).toEqual({ level: 'organization', id: 'org' });
+      expect(sources['features.whiteLabel']).toEqual({ level: 'organization', id: 'org' });
+      expect(locked).toEqual({
+        currency: { level: 'organization', id: 'org' },
+        'features.whiteLabel': { level: 'organization', id: 'org' }
+      });
+      expect(settings.locked).toBeUndefined();
+    });
+
+    it('should fall back to defaults when no level sets a value', () => {
+      const { settings, sources } = mergeSettings([{ type: 'organization', id: 'org', settings: {} }]);
+
+      expect(settings).toEqual({ timezone: 'UTC', currency: 'USD', language: 'en' });
+      expect(sources.language).toEqual({ level: 'default', id: null });
+    });
+  });
+
+  describe('assertUnlocked', () => {
+    const locked = { features: { level: 'brand', id: 'brand' } };
+
+    it('should refuse values under a locked path', () => {
+      expect.assertions(1);
+      try {
+        assertUnlocked({ features: { customForms: true } }, ['features.customForms'], locked);
+      } catch (error) {
+        expect(error.details.errors).toEqual([{
+          path: 'settings.features.customForms',
+          rule: 'locked',
+          message: 'settings.features.customForms is locked by the brand'
+        }]);
+      }
+    });
+
+    it('should allow clearing a locked path', () => {
+      expect(() => assertUnlocked({ features: {} }, ['features.customForms'], locked)).not.toThrow();
+      expect(() => assertUnlocked({ timezone: 'UTC' }, ['timezone'], locked)).not.toThrow();
+    });
+
+    it('should only check the paths written, not defaults beside them', () => {
+      const settings = { timezone: 'UTC', features: { customForms: false } };
+
+      expect(lockedErrors(settings, ['timezone'], locked)).toEqual([]);
+      expect(lockedErrors(settings, ['timezone', 'features.customForms'], locked).map(error => error.path))
+        .toEqual(['settings.features.customForms']);
+    });
+  });
+
+  describe('backfillSettingsDefaults', () => {
+    const models = [Brand, Business, Franchise];
+    const originals = models.map(model => model.updateMany);
+    let updates;
+
+    beforeEach(() => {
+      updates = [];
+      for (const model of models) {
+        model.updateMany = async (filter, update) => {
+          updates.push([model.modelName, filter, update]);
+          return { modifiedCount: 2 };
+        };
+      }
+    });
+
+    afterAll(() => {
+      models.forEach((model, i) => { model.updateMany = originals[i]; });
+    });
+
+    it('should unset each stored legacy default so the level inherits it', async () => {
+      const counts = await backfillSettingsDefaults();
+
+      expect(updates).toContainEqual(['Business', { 'settings.timezone': 'UTC' }, { $unset: { 'settings.timezone': 1 }, $inc: { __v: 1 } }]);
+      expect(updates).toContainEqual(['Franchise', { 'settings.timezone': 'UTC' }, { $unset: { 'settings.timezone': 1 }, $inc: { __v: 1 } }]);
+      expect(updates).toContainEqual(['Brand', { 'settings.features.whiteLabel': false }, { $unset: { 'settings.features.whiteLabel': 1 }, $inc: { __v: 1 } }]);
+      expect(counts.business).toEqual({
+        timezone: 2,
+        currency: 2,
+        language: 2,
+        'features.customForms': 2,
+        'features.customReports': 2
+      });
+    });
+
+    it('should leave the organization, which has no level above it, alone', async () => {
+      await backfillSettingsDefaults();
+
+      expect(updates.map(([model]) => model)).not.toContain('Organization');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { Organization, Brand, Business, Franchise } from '../src/models/index.js';
+import { slugify, isValidSlug, slugCandidate } from '../src/utils/slugs.js';
+import { resolveSlugPath, syncSlug, backfillSlugs } from '../src/services/slugs.js';
+
+describe('Slug Helpers', () => {
+  describe('slugify', () => {
+    it('should turn names into lowercase ASCII words joined by dashes', () => {
+      expect(slugify('Acme Coffee')).toBe('acme-coffee');
+      expect(slugify('Café Zürich & Co.')).toBe('cafe-zurich-co');
+      expect(slugify('  --Downtown   East--  ')).toBe('downtown-east');
+    });
+
+    it('should fall back when nothing URL-safe is left', () => {
+      expect(slugify('東京', 'brand')).toBe('brand');
+      expect(slugify(undefined, 'franchise')).toBe('franchise');
+    });
+
+    it('should leave room for a suffix without a trailing dash', () => {
+      const slug = slugify(`${'a'.repeat(55)} b`);
+
+      expect(slug).toBe('a'.repeat(55));
+      expect(isValidSlug(slugCandidate(slug, 999))).toBe(true);
+    });
+  });
+
+  describe('isValidSlug', () => {
+    it('should accept lowercase words and digits joined by single dashes', () => {
+      expect(isValidSlug('downtown-east-2')).toBe(true);
+      expect(isValidSlug('Downtown')).toBe(false);
+      expect(isValidSlug('downtown--east')).toBe(false);
+      expect(isValidSlug('-downtown')).toBe(false);
+      expect(isValidSlug('a'.repeat(65))).toBe(false);
+    });
+  });
+
+  describe('slugCandidate', () => {
+    it('should number candidates after the first', () => {
+      expect([1, 2, 3].map(n => slugCandidate('acme', n))).toEqual(['acme', 'acme-2', 'acme-3']);
+    });
+  });
+
+  describe('resolveSlugPath', () => {
+    const [ORG, BRAND, OURS, THEIRS] = ['a1', 'b1', 'c1', 'c2'].map(id => id.padStart(24, '0'));
+    const docs = {
+      organization: [{ _id: ORG, slug: 'acme' }],
+      brand: [{ _id: BRAND, organizationId: ORG, slug: 'coffee' }],
+      business: [{ _id: OURS, brandId: BRAND }, { _id: THEIRS, brandId: BRAND }],
+      franchise: [{ _id: 'f1', businessId: OURS, slug: 'downtown' }, { _id: 'f2', businessId: THEIRS, slug: 'downtown' }]
+    };
+
+    // Just enough of a Mongo filter for the lookups resolveSlugPath makes
+    const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+      if (key === '$and') return condition.every(clause => matches(doc, clause));
+      if (condition?.$in) return condition.$in.map(String).includes(String(doc[key]));
+      return String(doc[key]) === String(condition);
+    });
+    const models = { organization: Organization, brand: Brand, business: Business, franchise: Franchise };
+    const finds = Object.fromEntries(Object.entries(models).map(([type, model]) => [type, model.find]));
+
+    beforeAll(() => {
+      for (const [type, model] of Object.entries(models)) {
+        model.find = filter => {
+          const found = docs[type].filter(doc => matches(doc, filter));
+          return {
+            sort() { return this; },
+            limit() { return this; },
+            select() { return this; },
+            lean: async () => found,
+            distinct: async field => found.map(doc => doc[field]),
+            then: (resolve, reject) => Promise.resolve(found).then(resolve, reject)
+          };
+        };
+      }
+    });
+    afterAll(() => {
+      for (const [type, model] of Object.entries(models)) model.find = finds[type];
+    });
+
+    const path = { organization: 'acme', brand: 'coffee', franchise: 'downtown' };
+
+    it('should only consider franchises the caller can see', async () => {
+      const user = { roles: ['business_owner'], scopes: { businessId: OURS } };
+      const { type, doc, canonical } = await resolveSlugPath(path, { user });
+
+      expect(type).toBe('franchise');
+      expect(doc._id).toBe('f1');
+      expect(canonical).toBe('/api/o/acme/b/coffee/f/downtown');
+    });
+
+    it('should report a slug used in two visible businesses as ambiguous', async () => {
+      const user = { roles: ['brand_manager'], scopes: { brandId: BRAND } };
+
+      await expect(resolveSlugPath(path, { user })).rejects.toMatchObject({ status: 409, details: { code: 'AMBIGUOUS_SLUG' } });
+      await expect(resolveSlugPath(path, { user: { roles: ['franchise_manager'], scopes: { franchiseId: 'f9' } } }))
+        .rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('franchise slugs within a brand', () => {
+    const [BRAND, OURS, THEIRS, UNBRANDED, OLDER, NEWER] = ['b1', 'c1', 'c2', 'c3', 'f1', 'f2'].map(id => id.padStart(24, '0'));
+
+    // A query result that also takes the chained calls the service makes
+    const chain = value => ({
+      select() { return this; },
+      session() { return this; },
+      sort() { return this; },
+      limit() { return this; },
+      lean() { return this; },
+      distinct: async field => value.map(doc => doc[field]),
+      then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    });
+
+    const models = [Organization, Brand, Business, Franchise];
+    const methods = ['find', 'findById', 'exists', 'aggregate', 'updateOne'];
+    const originals = models.map(model => Object.fromEntries(methods.map(method => [method, model[method]])));
+    let filters;
+    let updates;
+
+    beforeEach(() => {
+      filters = [];
+      updates = [];
+      Business.findById = id => chain({ _id: id, brandId: String(id) === UNBRANDED ? null : BRAND });
+      Business.find = () => chain([{ _id: OURS }, { _id: THEIRS }]);
+      // THEIRS has a downtown franchise
+      Franchise.find = filter => { filters.push(filter); return chain([{ _id: 'other', slug: 'downtown' }]); };
+      Franchise.exists = filter => { filters.push(filter); return chain({ _id: 'other' }); };
+      Franchise.updateOne = async (filter, update) => { updates.push([filter, update]); return { modifiedCount: 1 }; };
+    });
+
+    afterEach(() => {
+      models.forEach((model, i) => Object.assign(model, originals[i]));
+    });
+
+    const franchise = fields => Franchise.hydrate({ _id: '507f1f77bcf86cd799439041', name: 'Downtown', ...fields });
+
+    it('should avoid slugs used by any business of the brand', async () => {
+      const doc = franchise({ businessId: OURS });
+      await syncSlug('franchise', doc);
+
+      expect(doc.slug).toBe('downtown-2');
+      expect(filters[0].businessId.$in.map(String)).toEqual([OURS, THEIRS]);
+    });
+
+    it('should keep an unbranded business to itself', async () => {
+      await syncSlug('franchise', franchise({ businessId: UNBRANDED }));
+
+      expect(String(filters[0].businessId)).toBe(UNBRANDED);
+    });
+
+    it('should refuse a slug given for a franchise when the brand uses it', async () => {
+      await expect(syncSlug('franchise', franchise({ businessId: OURS, slug: 'downtown' })))
+        .rejects.toMatchObject({ status: 409, details: { code: 'SLUG_TAKEN', slug: 'downtown' } });
+    });
+
+    it('should separate franchises that shared a slug in one brand on backfill', async () => {
+      for (const model of [Organization, Brand]) model.find = () => chain([]);
+      Franchise.aggregate = async () => [{ _id: { brandId: BRAND, slug: 'downtown' }, ids: [NEWER, OLDER] }];
+      Franchise.find = filter => {
+        if (filter.slug === null) return chain([]); // Every franchise has a slug
+        return chain(filter._id?.$in
+          ? [{ _id: NEWER, name: 'Downtown', slug: 'downtown' }]
+          : [{ _id: OLDER, slug: 'downtown' }]);
+      };
+
+      const counts = await backfillSlugs();
+
+      expect(counts.separatedFranchises).toBe(1);
+      expect(updates).toEqual([[{ _id: NEWER }, { $set: { slug: 'downtown-2', previousSlugs: ['downtown'] }, $inc: { __v: 1 } }]]);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { normalizeColor, isValidColor, isValidFontFamily, contrastRatio, mixColors } from '../src/utils/colors.js';
+import { compileTheme, contrastWarnings, effectiveTheme, paletteFor, DEFAULT_THEME } from '../src/services/theme.js';
+
+describe('Theme Service', () => {
+  describe('colors', () => {
+    it('should accept and normalize hex colors only', () => {
+      expect(normalizeColor(' #ABC ')).toBe('#aabbcc');
+      expect(normalizeColor('#4F46E5')).toBe('#4f46e5');
+      expect(isValidColor('#4f46e5')).toBe(true);
+      expect(isValidColor('red')).toBe(false);
+      expect(isValidColor('#4f46e')).toBe(false);
+    });
+
+    it('should compute WCAG contrast ratios', () => {
+      expect(contrastRatio('#000000', '#ffffff')).toBe(21);
+      expect(contrastRatio('#ffffff', '#ffffff')).toBe(1);
+      expect(contrastRatio('#777777', '#ffffff')).toBe(4.48);
+    });
+
+    it('should mix towards white and black', () => {
+      expect(mixColors('#000000', '#ffffff', 0.5)).toBe('#808080');
+      expect(paletteFor('#4f46e5')).toMatchObject({ 50: '#f6f6fe', 500: '#4f46e5' });
+    });
+  });
+
+  describe('fonts', () => {
+    it('should accept CSS font-family lists', () => {
+      expect(isValidFontFamily('Inter, system-ui, sans-serif')).toBe(true);
+      expect(isValidFontFamily('"Open Sans", Arial')).toBe(true);
+    });
+
+    it('should refuse anything that could escape the stylesheet', () => {
+      expect(isValidFontFamily('Arial; } body { display: none')).toBe(false);
+      expect(isValidFontFamily('"Open Sans')).toBe(false);
+      expect(isValidFontFamily('')).toBe(false);
+    });
+  });
+
+  describe('contrastWarnings', () => {
+    it('should warn about unreadable brand colors only', () => {
+      const warnings = contrastWarnings(effectiveTheme({ brand: { brandGuidelines: { primaryColor: '#ffdd00' } } }));
+
+      expect(warnings.map(warning => [warning.path, warning.minimum])).toEqual([
+        ['brandGuidelines.primaryColor', 4.5]
+      ]);
+      expect(contrastWarnings(effectiveTheme({}))).toEqual([]);
+    });
+
+    it('should compare primary and secondary as UI colors', () => {
+      const warnings = contrastWarnings(effectiveTheme({
+        brand: { brandGuidelines: { primaryColor: '#1d4ed8', secondaryColor: '#1e3a8a' } }
+      }));
+
+      expect(warnings).toEqual([expect.objectContaining({ path: 'brandGuidelines.primaryColor', rule: 'contrast', minimum: 3 })]);
+    });
+  });
+
+  describe('compileTheme', () => {
+    const brand = { brandGuidelines: { primaryColor: '#0F766E', fontFamily: '"Open Sans", sans-serif' }, logo: 'https://cdn.acme.com/logo.svg' };
+
+    it('should compile tokens, palette and stylesheet', () => {
+      const theme = compileTheme({ brand, settings: { theme: 'dark' } });
+
+      expect(theme.tokens).toEqual({
+        name: 'dark',
+        color: {
+          primary: '#0f766e',
+          onPrimary: '#ffffff',
+          secondary: DEFAULT_THEME.secondaryColor,
+          onSecondary: '#ffffff',
+          background: '#ffffff'
+        },
+        font: { family: '"Open Sans", sans-serif' },
+        logo: { url: 'https://cdn.acme.com/logo.svg', variations: [] }
+      });
+      expect(Object.keys(theme.palette.primary)).toHaveLength(10);
+      expect(theme.css).toContain('  --keephy-color-primary: #0f766e;\n');
+      expect(theme.css).toContain(`  --keephy-color-primary-900: ${theme.palette.primary[900]};\n`);
+      expect(theme.css).toContain('  --keephy-font-family: "Open Sans", sans-serif;\n');
+      expect(theme.warnings).toEqual([]);
+    });
+
+    it('should change the ETag with the theme only', () => {
+      const { etag } = compileTheme({ brand });
+
+      expect(etag).toMatch(/^"[\w-]+"$/);
+      expect(compileTheme({ brand }).etag).toBe(etag);
+      expect(compileTheme({ brand: { brandGuidelines: { primaryColor: '#0f766f' } } }).etag).not.toBe(etag);
+    });
+
+    it('should fall back from values stored before validation', () => {
+      const theme = compileTheme({ brand: { brandGuidelines: { primaryColor: 'teal' } } });
+
+      expect(theme.tokens.color.primary).toBe(DEFAULT_THEME.primaryColor);
+      expect(theme.warnings).toEqual([expect.objectContaining({ path: 'brandGuidelines.primaryColor', rule: 'invalid' })]);
+    });
+  });
+});
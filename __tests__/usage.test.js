@@ -0,0 +1,124 @@
+import UsageRollup from '../src/models/UsageRollup.js';
+import { periodOf, quotaStatus } from '../src/utils/usage.js';
+import { parseUsageEvents, recordUsage, moveBusinessUsage, mergeUsage } from '../src/services/usage.js';
+
+describe('Usage metering', () => {
+  describe('quotaStatus', () => {
+    const thresholds = [0.8, 0.9];
+
+    it('should warn at the highest threshold reached', () => {
+      expect(quotaStatus(50, 100, thresholds)).toMatchObject({ status: 'ok', threshold: null });
+      expect(quotaStatus(85, 100, thresholds)).toMatchObject({ status: 'warning', threshold: 0.8, ratio: 0.85 });
+      expect(quotaStatus(95, 100, thresholds)).toMatchObject({ status: 'warning', threshold: 0.9 });
+    });
+
+    it('should flag the hard limit once it is reached', () => {
+      expect(quotaStatus(100, 100, thresholds)).toMatchObject({ status: 'limit_reached', hardLimitReached: true });
+      expect(quotaStatus(1, 0, thresholds)).toMatchObject({ status: 'limit_reached', ratio: null });
+    });
+
+    it('should never flag unlimited quotas', () => {
+      expect(quotaStatus(1e9, null, thresholds)).toMatchObject({ status: 'ok', limit: null, hardLimitReached: false });
+    });
+  });
+
+  describe('parseUsageEvents', () => {
+    const businessId = '507f1f77bcf86cd799439011';
+
+    it('should take the period from occurredAt unless given', () => {
+      const [derived, explicit] = parseUsageEvents({
+        events: [
+          { idempotencyKey: 'a', businessId, metric: 'submissions', quantity: 3, occurredAt: '2024-05-31T23:59:00Z' },
+          { idempotencyKey: 'b', businessId, metric: 'storage', quantity: -20, period: '2024-04' }
+        ]
+      });
+
+      expect(derived).toMatchObject({ period: '2024-05', target: { type: 'business', id: businessId } });
+      expect(explicit).toMatchObject({ period: '2024-04', quantity: -20 });
+      expect(periodOf(new Date('2024-12-01T00:00:00Z'))).toBe('2024-12');
+    });
+
+    it('should report every invalid event at once', () => {
+      expect.assertions(1);
+      try {
+        parseUsageEvents({
+          events: [
+            { idempotencyKey: 'a', businessId, metric: 'submissions', quantity: -1 },
+            { idempotencyKey: 'b', metric: 'forms', quantity: 1, period: '2024-13' }
+          ]
+        });
+      } catch (error) {
+        expect(error.details.errors.map(({ path, rule }) => `${path}:${rule}`)).toEqual([
+          'events[0].quantity:min',
+          'events[1].businessId:required',
+          'events[1].period:format'
+        ]);
+      }
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should refuse usage reported by a tenant admin', async () => {
+      const events = parseUsageEvents({ idempotencyKey: 'a', organizationId: '507f1f77bcf86cd799439011', metric: 'storage', quantity: -500 });
+      const actor = { roles: ['org_admin'], scopes: { orgId: '507f1f77bcf86cd799439011' } };
+
+      await expect(recordUsage(events, { actor })).rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('re-attribution', () => {
+    const [ORG_A, ORG_B, BRAND_A, BRAND_B, BUSINESS] = ['a1', 'b1', 'a2', 'b2', 'c3'].map(id => id.padStart(24, '0'));
+    const rollups = {
+      [`business:${BUSINESS}`]: [{ period: '2024-05', metrics: { submissions: 40, storage: 100 } }],
+      [`organization:${ORG_A}`]: [{ period: '2024-05', metrics: { submissions: 90, storage: 300 } }],
+      [`brand:${BRAND_A}`]: [{ period: '2024-04', metrics: { forms: 2 } }]
+    };
+
+    let writes;
+    const { find, updateOne, updateMany, deleteMany } = UsageRollup;
+    beforeEach(() => {
+      writes = [];
+      UsageRollup.find = ({ level, entityId }) => ({
+        select() { return this; },
+        session() { return this; },
+        lean: async () => rollups[`${level}:${entityId}`] ?? []
+      });
+      UsageRollup.updateOne = async (filter, update) => { writes.push(['inc', filter, update.$inc]); };
+      UsageRollup.updateMany = async (filter, update) => { writes.push(['set', filter, update.$set]); };
+      UsageRollup.deleteMany = async filter => { writes.push(['delete', filter]); };
+    });
+    afterAll(() => Object.assign(UsageRollup, { find, updateOne, updateMany, deleteMany }));
+
+    const increments = (submissions, storage) => ({ 'metrics.submissions': submissions, 'metrics.storage': storage });
+
+    it('should move a transferred business\'s usage to its new brand and organization', async () => {
+      await moveBusinessUsage(BUSINESS, { organizationId: ORG_A, brandId: BRAND_A }, { organizationId: ORG_B, brandId: BRAND_B });
+
+      expect(writes).toEqual([
+        ['inc', { level: 'brand', entityId: BRAND_A, period: '2024-05' }, increments(-40, -100)],
+        ['inc', { level: 'brand', entityId: BRAND_B, period: '2024-05' }, increments(40, 100)],
+        ['inc', { level: 'organization', entityId: ORG_A, period: '2024-05' }, increments(-40, -100)],
+        ['inc', { level: 'organization', entityId: ORG_B, period: '2024-05' }, increments(40, 100)],
+        ['set', { level: 'business', entityId: BUSINESS }, { organizationId: ORG_B }]
+      ]);
+    });
+
+    it('should only touch brand rollups when a business changes brand in its organization', async () => {
+      await moveBusinessUsage(BUSINESS, { organizationId: ORG_A, brandId: BRAND_A }, { organizationId: ORG_A, brandId: null });
+
+      expect(writes).toEqual([['inc', { level: 'brand', entityId: BRAND_A, period: '2024-05' }, increments(-40, -100)]]);
+    });
+
+    it('should fold a merged organization and brand into their survivors', async () => {
+      await mergeUsage(ORG_A, ORG_B, [[BRAND_A, BRAND_B]]);
+
+      expect(writes).toEqual([
+        ['inc', { level: 'organization', entityId: ORG_B, period: '2024-05' }, increments(90, 300)],
+        ['delete', { level: 'organization', entityId: ORG_A }],
+        ['inc', { level: 'brand', entityId: BRAND_B, period: '2024-04' }, { 'metrics.forms': 2 }],
+        ['delete', { level: 'brand', entityId: BRAND_A }],
+        ['set', { organizationId: ORG_A }, { organizationId: ORG_B }]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { Organization, Brand, Business } from '../src/models/index.js';
+import { validateEntity, referenceErrors } from '../src/services/validation.js';
+
+describe('Validation Service', () => {
+  const ORG = '507f1f77bcf86cd799439011';
+  const OTHER_ORG = '507f1f77bcf86cd799439012';
+  const BRAND = '507f1f77bcf86cd799439021';
+  const MISSING = '507f1f77bcf86cd799439099';
+
+  const stored = {
+    [ORG]: { _id: ORG },
+    [BRAND]: { _id: BRAND, organizationId: OTHER_ORG }
+  };
+  const lookup = () => id => ({ select() { return this; }, lean: async () => stored[String(id)] ?? null });
+
+  const originals = [Organization.findById, Brand.findById];
+  beforeAll(() => {
+    Organization.findById = lookup();
+    Brand.findById = lookup();
+  });
+  afterAll(() => {
+    [Organization.findById, Brand.findById] = originals;
+  });
+
+  const business = fields => new Business({
+    name: 'Harbor Cafe',
+    industry: 'restaurant',
+    ownerId: '507f1f77bcf86cd799439031',
+    contact: { email: 'ops@harbor.test' },
+    ...fields
+  });
+
+  it('should pass a valid entity whose references exist', async () => {
+    await expect(validateEntity('business', business({ organizationId: ORG }))).resolves.toBeUndefined();
+  });
+
+  it('should report schema and reference problems together as one 400', async () => {
+    const doc = business({ name: '', organizationId: MISSING });
+
+    await expect(validateEntity('business', doc)).rejects.toMatchObject({
+      status: 400,
+      details: {
+        code: 'VALIDATION_FAILED',
+        errors: [
+          { path: 'name', rule: 'required', message: expect.any(String) },
+          { path: 'organizationId', rule: 'exists', message: `Organization ${MISSING} does not exist` }
+        ]
+      }
+    });
+  });
+
+  it('should not look up references the schema already refused', async () => {
+    const errors = await referenceErrors('business', business({ organizationId: 'nope' }), new Set(['organizationId']));
+
+    expect(errors).toEqual([]);
+  });
+
+  it('should report a brand of another organization as missing', async () => {
+    const errors = await referenceErrors('business', business({ organizationId: ORG, brandId: BRAND }));
+
+    expect(errors).toEqual([{ path: 'brandId', rule: 'exists', message: `Brand ${BRAND} does not exist` }]);
+  });
+
+  it('should refuse references that are not ObjectIds', async () => {
+    const errors = await referenceErrors('brand', { organizationId: 'acme' });
+
+    expect(errors).toEqual([{ path: 'organizationId', rule: 'cast', message: 'organizationId must be a valid ObjectId' }]);
+  });
+});
@@ -0,0 +1,196 @@
+import http from 'node:http';
+import mongoose from 'mongoose';
+import OutboxEvent from '../src/models/OutboxEvent.js';
+import { withTransaction } from '../src/utils/db.js';
+import { eventsFor, eventBody, enqueueEvents, committedEvents } from '../src/services/events.js';
+import { signPayload, verifySignature, backoffDelay, matchesEvent, postEvent } from '../src/services/webhooks.js';
+
+describe('Webhook Service', () => {
+  const secret = 'a-test-secret-of-some-length';
+
+  describe('eventsFor', () => {
+    it('should name events after the entity and action', () => {
+      const [event] = eventsFor([{
+        organizationId: 'org',
+        entityType: 'franchise',
+        entityId: 'franchise',
+        action: 'create',
+        entity: { _id: 'franchise', name: 'Downtown' }
+      }]);
+
+      expect(event.type).toBe('franchise.created');
+      expect(event.organizationIds).toEqual(['org']);
+      expect(event.payload).toEqual({ changes: [], entity: { _id: 'franchise', name: 'Downtown' } });
+    });
+
+    it('should merge one change recorded under several organizations', () => {
+      const events = eventsFor([
+        { organizationId: 'to', entityType: 'business', entityId: 'business', action: 'move' },
+        { organizationId: 'from', entityType: 'business', entityId: 'business', action: 'move' },
+        { organizationId: 'to', entityType: 'organization', entityId: 'to', action: 'transition', eventType: 'subscription.suspended' }
+      ]);
+
+      expect(events.map(event => [event.type, event.organizationIds])).toEqual([
+        ['business.moved', ['to', 'from']],
+        ['subscription.suspended', ['to']]
+      ]);
+    });
+  });
+
+  describe('committedEvents', () => {
+    const { insertMany } = OutboxEvent;
+    const entry = { organizationId: 'org', entityType: 'brand', entityId: 'brand', action: 'update' };
+    let received;
+    let transactions;
+    const listener = event => received.push(event.type);
+
+    beforeEach(() => {
+      received = [];
+      transactions = process.env.MONGODB_TRANSACTIONS;
+      OutboxEvent.insertMany = async events => events.map((event, i) => ({ _id: `event-${i}`, ...event }));
+      committedEvents.on('*', listener);
+    });
+
+    afterEach(() => {
+      OutboxEvent.insertMany = insertMany;
+      committedEvents.off('*', listener);
+      delete mongoose.connection.transaction;
+      if (transactions === undefined) delete process.env.MONGODB_TRANSACTIONS;
+      else process.env.MONGODB_TRANSACTIONS = transactions;
+    });
+
+    it('should emit right away without a transaction', async () => {
+      process.env.MONGODB_TRANSACTIONS = 'false';
+
+      await withTransaction(session => enqueueEvents([entry], { session }));
+
+      expect(received).toEqual(['brand.updated']);
+    });
+
+    it('should wait for the transaction to commit', async () => {
+      process.env.MONGODB_TRANSACTIONS = 'true';
+      mongoose.connection.transaction = async fn => {
+        const result = await fn({});
+        expect(received).toEqual([]);
+        return result;
+      };
+
+      await withTransaction(session => enqueueEvents([entry], { session }));
+
+      expect(received).toEqual(['brand.updated']);
+    });
+
+    it('should not emit for a transaction that aborts', async () => {
+      process.env.MONGODB_TRANSACTIONS = 'true';
+      mongoose.connection.transaction = async fn => fn({});
+
+      await expect(withTransaction(async session => {
+        await enqueueEvents([entry], { session });
+        throw new Error('limit exceeded');
+      })).rejects.toThrow('limit exceeded');
+
+      expect(received).toEqual([]);
+    });
+  });
+
+  describe('signatures', () => {
+    const body = '{"type":"business.updated"}';
+    const now = Date.UTC(2026, 0, 1);
+    const timestamp = String(now / 1000);
+
+    it('should accept the signature it produced', () => {
+      const signature = signPayload(secret, timestamp, body);
+
+      expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(verifySignature(secret, { timestamp, signature }, body, { now })).toBe(true);
+    });
+
+    it('should refuse other bodies, secrets and stale timestamps', () => {
+      const signature = signPayload(secret, timestamp, body);
+
+      expect(verifySignature(secret, { timestamp, signature }, `${body} `, { now })).toBe(false);
+      expect(verifySignature('another-secret-entirely', { timestamp, signature }, body, { now })).toBe(false);
+      expect(verifySignature(secret, { timestamp, signature }, body, { now: now + 10 * 60 * 1000 })).toBe(false);
+    });
+  });
+
+  describe('backoffDelay', () => {
+    it('should double up to the cap', () => {
+      expect(backoffDelay(1)).toBe(30 * 1000);
+      expect(backoffDelay(3)).toBe(120 * 1000);
+      expect(backoffDelay(20)).toBe(6 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('matchesEvent', () => {
+    const event = { type: 'franchise.created', organizationIds: ['org'] };
+
+    it('should match exact types, entity wildcards and everything', () => {
+      expect(matchesEvent({ events: ['franchise.created'] }, event)).toBe(true);
+      expect(matchesEvent({ events: ['franchise.*'] }, event)).toBe(true);
+      expect(matchesEvent({ events: ['*'] }, event)).toBe(true);
+      expect(matchesEvent({ events: ['business.*', 'franchise.updated'] }, event)).toBe(false);
+    });
+
+    it('should only match events of the webhook organization', () => {
+      expect(matchesEvent({ events: ['*'], organizationId: 'org' }, event)).toBe(true);
+      expect(matchesEvent({ events: ['*'], organizationId: 'other' }, event)).toBe(false);
+    });
+  });
+
+  describe('postEvent', () => {
+    const event = {
+      _id: '507f1f77bcf86cd799439011',
+      type: 'business.updated',
+      occurredAt: new Date(),
+      organizationIds: ['507f1f77bcf86cd799439012'],
+      entityType: 'business',
+      entityId: '507f1f77bcf86cd799439013',
+      action: 'update',
+      payload: { changes: [{ path: 'name', before: 'Old', after: 'New' }] }
+    };
+
+    let server;
+    let url;
+    let received;
+    let status;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received = { headers: req.headers, body };
+          res.writeHead(status).end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/hooks`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    it('should deliver a signed event', async () => {
+      status = 204;
+      const failure = await postEvent({ url, secret }, event, 'delivery-1');
+
+      expect(failure).toBeNull();
+      expect(JSON.parse(received.body)).toEqual(JSON.parse(JSON.stringify(eventBody(event))));
+      expect(received.headers['x-keephy-event']).toBe('business.updated');
+      expect(received.headers['x-keephy-delivery']).toBe('delivery-1');
+      expect(verifySignature(secret, {
+        timestamp: received.headers['x-keephy-timestamp'],
+        signature: received.headers['x-keephy-signature']
+      }, received.body)).toBe(true);
+    });
+
+    it('should report error responses and unreachable endpoints', async () => {
+      status = 503;
+      expect(await postEvent({ url, secret }, event, 'delivery-2')).toEqual({ status: 503, message: 'Endpoint answered 503' });
+
+      const failure = await postEvent({ url: 'http://127.0.0.1:1/hooks', secret }, event, 'delivery-3');
+      expect(failure.status).toBeUndefined();
+      expect(failure.message).toBeTruthy();
+    });
+  });
+});
@@ -18,6 +18,40 @@ import Organization from './models/Organization.js';
 import Brand from './models/Brand.js';
 import Business from './models/Business.js';
 import Franchise from './models/Franchise.js';
+import ImportJob from './models/ImportJob.js';
+
+import { authenticate } from './middleware/auth.js';
+import { ENTITIES } from './models/index.js';
+import { assertAccess, entityPath, parentPath, scopeFilter, isPlatformAdmin } from './services/access.js';
+import { reservationsFor, withReservations } from './services/limits.js';
+import { archiveEntity, restoreEntity, purgeArchived, assertParentsLive } from './services/archive.js';
+import { recordAudit, getHistory, searchAudit, AUDIT_SORT } from './services/audit.js';
+import { applyUpdate, replaceFields, patcherFor, createFields, MERGE_PATCH, JSON_PATCH } from './services/patch.js';
+import { validateEntity } from './services/validation.js';
+import { buildListQuery, searchOrganization } from './services/query.js';
+import { findNearbyFranchises, findFranchisesWithin } from './services/geo.js';
+import { moveEntity, MOVABLE_TYPES } from './services/move.js';
+import { mergeOrganizations } from './services/merge.js';
+import { parseImportRequest, startImport, getImportJob, startImportSweeper, CSV, NDJSON } from './services/import.js';
+import { parseExportRequest, streamExport, EXPORT_FORMATS } from './services/export.js';
+import { parseHierarchyOptions, streamHierarchy, MAX_DEPTH as HIERARCHY_DEPTHS } from './services/hierarchy.js';
+import { franchiseSchedule, franchiseStatus, openAtFilter, parseInstant } from './services/hours.js';
+import { resolveEffectiveSettings, inheritedLocks, assertCreateUnlocked, backfillSettingsDefaults } from './services/settings.js';
+import { entitlementsOf, resolveEntitlements, findEntitlementSubject, describeEntitlements, assertFeaturesEntitled, assertMultiBrand, applyPlanLimits, changePlan } from './services/entitlements.js';
+import { assertSubscriptionAccess, assertSubscriptionOpen, subscriptionScope, startSubscription, transitionSubscription, runLifecycleSweep, startLifecycleScheduler } from './services/lifecycle.js';
+import { domainEvents, committedEvents } from './services/events.js';
+import { createWebhook, listWebhooks, getWebhook, updateWebhook, deleteWebhook, listDeliveries, replayDelivery, replayWebhook, runDispatcher, startWebhookDispatcher, DELIVERY_SORT } from './services/webhooks.js';
+import { parseUsageEvents, recordUsage, usageReport } from './services/usage.js';
+import { DOMAIN_OWNERS, describeDomain, requestVerification, checkVerification, runDomainSweep, startDomainScheduler } from './services/domains.js';
+import { resolveHost, resolveTheme, invalidateResolutions } from './services/resolve.js';
+import { compileTheme, brandThemeWarnings, parseThemeFormat, THEME_MAX_AGE } from './services/theme.js';
+import { syncSlug, findBySlug, resolveSlugPath, backfillSlugs } from './services/slugs.js';
+import { ApiError, PreconditionFailedError, notFound, toApiError } from './utils/errors.js';
+import { withTransaction } from './utils/db.js';
+import { contentEtag, representationEtag, sendNotModified, sendNotModifiedTag, expectedVersion } from './utils/etag.js';
+import { toPlain } from './utils/objects.js';
+import { streamWriter } from './utils/stream.js';
+import { parsePagination, paginate, setLinkHeader } from './utils/pagination.js';
 
 dotenv.config();
 
@@ -27,9 +61,9 @@ const PORT = process.env.PORT || 3003;
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag', 'Link'] }));
 app.use(pinoHttp({ logger }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', MERGE_PATCH, JSON_PATCH] }));
 
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/keephy_enhanced';
@@ -38,6 +72,28 @@ mongoose.connect(MONGODB_URI)
   .then(() => logger.info('Connected to MongoDB'))
   .catch(err => logger.error('MongoDB connection error:', err));
 
+// Answer client errors with their own status, log anything else as a 500
+function handleError(res, error, message) {
+  // Once a streamed body has started, the client can only be told by cutting it off
+  if (res.headersSent) {
+    logger.error({ err: error }, message);
+    res.destroy();
+    return;
+  }
+
+  const apiError = toApiError(error);
+  if (apiError) {
+    if (apiError instanceof PreconditionFailedError) res.set('ETag', representationEtag(apiError.current));
+    return res.status(apiError.status).json(apiError.toJSON());
+  }
+
+  logger.error({ err: error }, message);
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+}
+
 // Routes
 app.get('/health', (req, res) => {
   res.json({ 
@@ -57,6 +113,174 @@ app.get('/ready', async (req, res) => {
   }
 });
 
+// Public theme of the brand served on a host, for white-label front ends and the
+// CDNs in front of them (?format=css for the stylesheet alone)
+app.get('/themes/:host', async (req, res) => {
+  try {
+    const format = parseThemeFormat(req.query.format);
+    const theme = await resolveTheme(req.params.host);
+    
+    // The same for every caller, so shared caches may keep it too, and loaded
+    // from the front end's own origin
+    res.set('Cache-Control', `public, max-age=${THEME_MAX_AGE}, s-maxage=${THEME_MAX_AGE}`);
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    if (format === 'css') {
+      if (sendNotModifiedTag(req, res, contentEtag(theme.css))) return;
+      return res.type('text/css').send(theme.css);
+    }
+    if (sendNotModifiedTag(req, res, theme.etag)) return;
+    
+    res.json({
+      success: true,
+      data: theme
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to compile theme');
+  }
+});
+
+function logLifecycleSweep({ trialsExpired, suspended, failed }) {
+  if (trialsExpired.length + suspended.length + failed.length === 0) return;
+  logger.info({ trialsExpired: trialsExpired.length, suspended: suspended.length, failed }, 'Subscription sweep');
+}
+
+function logDomainSweep({ verified, expired, failed }) {
+  if (verified.length + expired.length + failed.length === 0) return;
+  logger.info({ verified: verified.length, expired: expired.length, failed }, 'Domain sweep');
+}
+
+function logImportSweep(failed) {
+  if (failed === 0) return;
+  logger.warn({ failed }, 'Interrupted imports marked failed');
+}
+
+function logDispatch({ dispatched, delivered, retrying, dead }) {
+  if (dispatched + delivered + retrying + dead === 0) return;
+  logger.info({ dispatched, delivered, retrying, dead }, 'Webhook dispatch');
+}
+
+// Other services receive events through webhooks; every dispatched event is also logged
+domainEvents.on('*', event => logger.info({ eventId: event.id, type: event.type }, 'Domain event'));
+
+// Hosts resolve differently once their organization, brand or domain changes:
+// this instance's writes as they commit, others' as the dispatcher delivers them
+committedEvents.on('*', invalidateResolutions);
+domainEvents.on('*', invalidateResolutions);
+
+const archivedConflict = label => new ApiError(409, `${label} is archived; restore it first`);
+
+// Send one page of a list, with its Link header
+function sendPage(req, res, { data, pagination }) {
+  setLinkHeader(req, res, pagination);
+  res.json({
+    success: true,
+    data,
+    count: data.length,
+    pagination
+  });
+}
+
+// Each type as its GET route returns it, with populated references and counts.
+// Writes answer with the same representation, so their ETag matches a later GET.
+const REPRESENTATIONS = {
+  organization: query => query.populate('brandCount').populate('businessCount'),
+  brand: query => query.populate('businessCount'),
+  business: query => query.populate('brandId', 'name').populate('franchiseCount').populate('staffCount'),
+  franchise: query => query.populate('managerId', 'firstName lastName email').populate('staffCount').populate('formCount')
+};
+
+const findRepresentation = (type, id) => REPRESENTATIONS[type](ENTITIES[type].model.findById(id));
+
+// Shared by PUT and PATCH: access, archive state and If-Match are checked
+// before `patcher` is applied to the stored document
+async function updateEntity(type, req, res, patcher) {
+  const { model, label } = ENTITIES[type];
+  const existing = await model.findById(req.params.id);
+  if (!existing) throw notFound(`${label} not found`);
+  
+  await assertSubscriptionAccess(req.user, await entityPath(type, existing), { write: true });
+  if (existing.deletedAt) throw archivedConflict(label);
+  
+  const version = expectedVersion(req, res, existing);
+  const before = toPlain(existing);
+  const locked = await inheritedLocks(type, existing);
+  const entitlements = await resolveEntitlements(type, existing);
+  const updated = await withTransaction(async session => {
+    const result = await applyUpdate(type, existing, patcher, version, { locked, entitlements, session });
+    await recordAudit({ entityType: type, entity: result, action: 'update', actor: req.user, before, after: result }, { session });
+    return result;
+  });
+  
+  const representation = await findRepresentation(type, updated._id);
+  res.set('ETag', representationEtag(representation));
+  return representation;
+}
+
+// Every /api route requires a verified caller
+app.use('/api', authenticate);
+
+// =============================================================================
+// SLUG ROUTES
+// =============================================================================
+
+// Answer a slug lookup with the entity, or redirect an old slug to the current path
+async function sendSlugged(req, res, { type, doc, redirected, canonical }) {
+  await assertSubscriptionAccess(req.user, await entityPath(type, doc));
+  
+  if (redirected) {
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    return res.redirect(301, `${canonical}${query}`);
+  }
+  
+  const representation = await findRepresentation(type, doc._id);
+  if (sendNotModified(req, res, representation)) return;
+  
+  res.json({
+    success: true,
+    data: representation
+  });
+}
+
+// Get organization by slug (registered first so no slug is taken for an /:id/... route)
+app.get('/api/organizations/by-slug/:slug', async (req, res) => {
+  try {
+    const found = await findBySlug('organization', req.params.slug);
+    if (!found) throw notFound('Organization not found');
+    
+    await sendSlugged(req, res, { type: 'organization', ...found, canonical: `/api/organizations/by-slug/${found.doc.slug}` });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch organization');
+  }
+});
+
+// Get an organization, brand or franchise by its slug path
+app.get(['/api/o/:organization', '/api/o/:organization/b/:brand', '/api/o/:organization/b/:brand/f/:franchise'], async (req, res) => {
+  try {
+    await sendSlugged(req, res, await resolveSlugPath(req.params, { user: req.user }));
+  } catch (error) {
+    handleError(res, error, 'Failed to resolve slugs');
+  }
+});
+
+// Give entities created before slugs existed a slug from their name
+app.post('/api/slugs/backfill', async (req, res) => {
+  try {
+    if (!isPlatformAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await backfillSlugs()
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to backfill slugs');
+  }
+});
+
 // =============================================================================
 // ORGANIZATION ROUTES
 // =============================================================================
@@ -64,38 +288,24 @@ app.get('/ready', async (req, res) => {
 // Get all organizations
 app.get('/api/organizations', async (req, res) => {
   try {
-    const { isActive, limit = 50, offset = 0 } = req.query;
-    
-    let filter = {};
-    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    const { filter, sort } = buildListQuery('organization', req.query, { sort: [['createdAt', -1]] });
+    const page = parsePagination(req.query, sort);
     
-    const organizations = await Organization.find(filter)
+    const scope = await subscriptionScope(req.user, 'organization');
+    const result = await paginate(Organization, { $and: [filter, scope] }, page, query => query
       .populate('brandCount')
-      .populate('businessCount')
-      .limit(parseInt(limit))
-      .skip(parseInt(offset))
-      .sort({ createdAt: -1 });
+      .populate('businessCount'));
     
-    res.json({
-      success: true,
-      data: organizations,
-      count: organizations.length
-    });
+    sendPage(req, res, result);
   } catch (error) {
-    logger.error('Error fetching organizations:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch organizations'
-    });
+    handleError(res, error, 'Failed to fetch organizations');
   }
 });
 
 // Get organization by ID
 app.get('/api/organizations/:id', async (req, res) => {
   try {
-    const organization = await Organization.findById(req.params.id)
-      .populate('brandCount')
-      .populate('businessCount');
+    const organization = await findRepresentation('organization', req.params.id);
     
     if (!organization) {
       return res.status(404).json({
@@ -104,64 +314,153 @@ app.get('/api/organizations/:id', async (req, res) => {
       });
     }
     
+    await assertSubscriptionAccess(req.user, await entityPath('organization', organization));
+    if (sendNotModified(req, res, organization)) return;
+    
     res.json({
       success: true,
       data: organization
     });
   } catch (error) {
-    logger.error('Error fetching organization:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch organization'
-    });
+    handleError(res, error, 'Failed to fetch organization');
   }
 });
 
 // Create organization
 app.post('/api/organizations', async (req, res) => {
   try {
-    const organization = new Organization(req.body);
-    await organization.save();
+    // Only platform admins can create tenants
+    assertAccess(req.user, {});
+    
+    const organization = new Organization(createFields('organization', req.body));
+    await validateEntity('organization', organization);
+    startSubscription(organization);
+    const entitlements = entitlementsOf(organization);
+    assertFeaturesEntitled(entitlements, organization.settings);
+    applyPlanLimits('organization', organization, entitlements, req.body);
+    await withTransaction(async session => {
+      await syncSlug('organization', organization, null, { session });
+      await organization.save({ session });
+      await recordAudit({ entityType: 'organization', entity: organization, action: 'create', actor: req.user, after: organization }, { session });
+    });
     
     res.status(201).json({
       success: true,
       data: organization
     });
   } catch (error) {
-    logger.error('Error creating organization:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create organization'
-    });
+    handleError(res, error, 'Failed to create organization');
   }
 });
 
 // Update organization
 app.put('/api/organizations/:id', async (req, res) => {
   try {
-    const organization = await Organization.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
+    const organization = await updateEntity('organization', req, res, current => replaceFields(current, req.body));
     
-    if (!organization) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update organization');
+  }
+});
+
+// Search brands, businesses and franchises within an organization
+app.get('/api/organizations/:orgId/search', async (req, res) => {
+  try {
+    await assertSubscriptionOpen(req.user, req.params.orgId);
+    
+    const { q, limit = 10, includeArchived } = req.query;
+    const perType = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    
+    const results = await searchOrganization(req.user, req.params.orgId, q, {
+      limit: perType,
+      includeArchived: includeArchived === 'true'
+    });
+    
+    res.json({
+      success: true,
+      data: results,
+      count: results.brands.length + results.businesses.length + results.franchises.length
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to search organization');
+  }
+});
+
+// Org-wide audit trail
+app.get('/api/organizations/:orgId/audit', async (req, res) => {
+  try {
+    await assertSubscriptionAccess(req.user, { organizationId: req.params.orgId });
+    
+    const { actorId, entityType, entityId, action, from, to } = req.query;
+    const page = parsePagination(req.query, AUDIT_SORT);
+    const result = await searchAudit(req.params.orgId, { actorId, entityType, entityId, action, from, to }, page);
+    
+    sendPage(req, res, result);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch audit log');
+  }
+});
+
+// Move the subscription to another state: { to, reason?, mode?, graceDays? } (billing only)
+app.post('/api/organizations/:id/subscription/transitions', async (req, res) => {
+  try {
+    if (!isPlatformAdmin(req.user)) {
+      return res.status(403).json({
         success: false,
-        error: 'Organization not found'
+        error: 'Access denied'
       });
     }
     
+    const organization = await transitionSubscription(req.params.id, req.body, { actor: req.user });
+    
     res.json({
       success: true,
       data: organization
     });
   } catch (error) {
-    logger.error('Error updating organization:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update organization'
+    handleError(res, error, 'Failed to change subscription');
+  }
+});
+
+// Change the plan and/or replace the entitlement overrides: { plan?, entitlements? } (billing only)
+app.put('/api/organizations/:id/subscription/plan', async (req, res) => {
+  try {
+    if (!isPlatformAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+    
+    const organization = await changePlan(req.params.id, req.body, { actor: req.user });
+    
+    res.json({
+      success: true,
+      data: organization
     });
+  } catch (error) {
+    handleError(res, error, 'Failed to change plan');
+  }
+});
+
+// Merge another organization (sourceId) into this one; dryRun reports the plan only
+app.post('/api/organizations/:id/merge', async (req, res) => {
+  try {
+    const result = await mergeOrganizations(req.params.id, {
+      ...req.body,
+      ...(req.query.dryRun !== undefined && { dryRun: req.query.dryRun })
+    }, { actor: req.user });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to merge organizations');
   }
 });
 
@@ -172,41 +471,109 @@ app.put('/api/organizations/:id', async (req, res) => {
 // Get brands by organization
 app.get('/api/organizations/:orgId/brands', async (req, res) => {
   try {
-    const brands = await Brand.find({ 
-      organizationId: req.params.orgId,
-      isActive: true 
-    }).sort({ name: 1 });
+    await assertSubscriptionOpen(req.user, req.params.orgId);
     
-    res.json({
-      success: true,
-      data: brands,
-      count: brands.length
+    // Only active brands unless asked otherwise
+    const { filter, sort } = buildListQuery('brand', req.query, {
+      sort: [['name', 1]],
+      defaults: { isActive: 'true' }
     });
+    const page = parsePagination(req.query, sort);
+    filter.organizationId = req.params.orgId;
+    
+    const scope = await scopeFilter(req.user, 'brand');
+    const result = await paginate(Brand, { $and: [filter, scope] }, page);
+    
+    sendPage(req, res, result);
   } catch (error) {
-    logger.error('Error fetching brands:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch brands'
-    });
+    handleError(res, error, 'Failed to fetch brands');
   }
 });
 
 // Create brand
 app.post('/api/brands', async (req, res) => {
   try {
-    const brand = new Brand(req.body);
-    await brand.save();
+    const brand = new Brand(createFields('brand', req.body));
+    // Authorize before validating, so reference checks cannot probe other tenants' ids
+    await assertSubscriptionAccess(req.user, await parentPath('brand', brand), { write: true });
+    await validateEntity('brand', brand);
+    await assertCreateUnlocked('brand', brand, req.body.settings);
+    await assertParentsLive('brand', brand);
+    
+    // Limits always come from the plan below the organization
+    const entitlements = await resolveEntitlements('brand', brand);
+    assertFeaturesEntitled(entitlements, brand.settings);
+    applyPlanLimits('brand', brand, entitlements);
+    
+    await withTransaction(async session => {
+      await assertMultiBrand(brand.organizationId, 1, { session });
+      await syncSlug('brand', brand, null, { session });
+      await withReservations(reservationsFor('brand', brand), () => brand.save({ session }), { session });
+      await recordAudit({ entityType: 'brand', entity: brand, action: 'create', actor: req.user, after: brand }, { session });
+    });
     
+    const warnings = brandThemeWarnings(brand);
     res.status(201).json({
+      success: true,
+      data: brand,
+      ...(warnings.length > 0 && { warnings })
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create brand');
+  }
+});
+
+// Get brand by ID
+app.get('/api/brands/:id', async (req, res) => {
+  try {
+    const brand = await findRepresentation('brand', req.params.id);
+    
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found'
+      });
+    }
+    
+    await assertSubscriptionAccess(req.user, await entityPath('brand', brand));
+    if (sendNotModified(req, res, brand)) return;
+    
+    res.json({
       success: true,
       data: brand
     });
   } catch (error) {
-    logger.error('Error creating brand:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create brand'
+    handleError(res, error, 'Failed to fetch brand');
+  }
+});
+
+// Compiled brand theme: design tokens, palette and stylesheet (?format=css for the stylesheet alone)
+app.get('/api/brands/:id/theme', async (req, res) => {
+  try {
+    const format = parseThemeFormat(req.query.format);
+    const brand = await Brand.findById(req.params.id).lean();
+    if (!brand) throw notFound('Brand not found');
+    
+    await assertSubscriptionAccess(req.user, await entityPath('brand', brand));
+    
+    const organization = await Organization.findById(brand.organizationId).select('logo').lean();
+    const { settings } = await resolveEffectiveSettings('brand', brand);
+    const theme = compileTheme({ organization, brand, settings });
+    
+    // Served behind auth, so shared caches must not keep it
+    res.set('Cache-Control', `private, max-age=${THEME_MAX_AGE}`);
+    if (format === 'css') {
+      if (sendNotModifiedTag(req, res, contentEtag(theme.css))) return;
+      return res.type('text/css').send(theme.css);
+    }
+    if (sendNotModifiedTag(req, res, theme.etag)) return;
+    
+    res.json({
+      success: true,
+      data: { brandId: brand._id, ...theme }
     });
+  } catch (error) {
+    handleError(res, error, 'Failed to compile brand theme');
   }
 });
 
@@ -217,41 +584,28 @@ app.post('/api/brands', async (req, res) => {
 // Get businesses by organization
 app.get('/api/organizations/:orgId/businesses', async (req, res) => {
   try {
-    const { brandId, isActive, limit = 50, offset = 0 } = req.query;
+    await assertSubscriptionOpen(req.user, req.params.orgId);
     
-    let filter = { organizationId: req.params.orgId };
-    if (brandId) filter.brandId = brandId;
-    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    const { filter, sort } = buildListQuery('business', req.query, { sort: [['createdAt', -1]] });
+    const page = parsePagination(req.query, sort);
+    filter.organizationId = req.params.orgId;
     
-    const businesses = await Business.find(filter)
+    const scope = await scopeFilter(req.user, 'business');
+    const result = await paginate(Business, { $and: [filter, scope] }, page, query => query
       .populate('brandId', 'name')
       .populate('franchiseCount')
-      .populate('staffCount')
-      .limit(parseInt(limit))
-      .skip(parseInt(offset))
-      .sort({ createdAt: -1 });
+      .populate('staffCount'));
     
-    res.json({
-      success: true,
-      data: businesses,
-      count: businesses.length
-    });
+    sendPage(req, res, result);
   } catch (error) {
-    logger.error('Error fetching businesses:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch businesses'
-    });
+    handleError(res, error, 'Failed to fetch businesses');
   }
 });
 
 // Get business by ID
 app.get('/api/businesses/:id', async (req, res) => {
   try {
-    const business = await Business.findById(req.params.id)
-      .populate('brandId', 'name')
-      .populate('franchiseCount')
-      .populate('staffCount');
+    const business = await findRepresentation('business', req.params.id);
     
     if (!business) {
       return res.status(404).json({
@@ -260,64 +614,56 @@ app.get('/api/businesses/:id', async (req, res) => {
       });
     }
     
+    await assertSubscriptionAccess(req.user, await entityPath('business', business));
+    if (sendNotModified(req, res, business)) return;
+    
     res.json({
       success: true,
       data: business
     });
   } catch (error) {
-    logger.error('Error fetching business:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch business'
-    });
+    handleError(res, error, 'Failed to fetch business');
   }
 });
 
 // Create business
 app.post('/api/businesses', async (req, res) => {
   try {
-    const business = new Business(req.body);
-    await business.save();
+    const business = new Business(createFields('business', req.body));
+    await assertSubscriptionAccess(req.user, await parentPath('business', business), { write: true });
+    await validateEntity('business', business);
+    await assertCreateUnlocked('business', business, req.body.settings);
+    await assertParentsLive('business', business);
+    
+    const entitlements = await resolveEntitlements('business', business);
+    assertFeaturesEntitled(entitlements, business.settings);
+    applyPlanLimits('business', business, entitlements);
+    
+    await withTransaction(async session => {
+      await withReservations(reservationsFor('business', business), () => business.save({ session }), { session });
+      await recordAudit({ entityType: 'business', entity: business, action: 'create', actor: req.user, after: business }, { session });
+    });
     
     res.status(201).json({
       success: true,
       data: business
     });
   } catch (error) {
-    logger.error('Error creating business:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create business'
-    });
+    handleError(res, error, 'Failed to create business');
   }
 });
 
 // Update business
 app.put('/api/businesses/:id', async (req, res) => {
   try {
-    const business = await Business.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
-    
-    if (!business) {
-      return res.status(404).json({
-        success: false,
-        error: 'Business not found'
-      });
-    }
+    const business = await updateEntity('business', req, res, current => replaceFields(current, req.body));
     
     res.json({
       success: true,
       data: business
     });
   } catch (error) {
-    logger.error('Error updating business:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update business'
-    });
+    handleError(res, error, 'Failed to update business');
   }
 });
 
@@ -328,40 +674,61 @@ app.put('/api/businesses/:id', async (req, res) => {
 // Get franchises by business
 app.get('/api/businesses/:businessId/franchises', async (req, res) => {
   try {
-    const { isActive, limit = 50, offset = 0 } = req.query;
+    const business = await Business.findById(req.params.businessId).select('organizationId').lean();
+    await assertSubscriptionOpen(req.user, business?.organizationId);
     
-    let filter = { businessId: req.params.businessId };
-    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    const { filter, sort } = buildListQuery('franchise', req.query, { sort: [['name', 1]] });
+    const page = parsePagination(req.query, sort);
+    filter.businessId = req.params.businessId;
+    // Opening hours depend on each franchise's timezone, so openAt is applied per document
+    const openAt = req.query.openAt !== undefined ? parseInstant(req.query, 'openAt') : null;
     
-    const franchises = await Franchise.find(filter)
+    const scope = await scopeFilter(req.user, 'franchise');
+    const result = await paginate(Franchise, { $and: [filter, scope] }, page, query => query
       .populate('managerId', 'firstName lastName email')
       .populate('staffCount')
-      .populate('formCount')
-      .limit(parseInt(limit))
-      .skip(parseInt(offset))
-      .sort({ name: 1 });
+      .populate('formCount'), {
+      keep: openAt && openAtFilter(openAt)
+    });
+    
+    sendPage(req, res, result);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch franchises');
+  }
+});
+
+// Franchises near a point, nearest first
+app.get('/api/franchises/nearby', async (req, res) => {
+  try {
+    const { center, radius, results } = await findNearbyFranchises(req.user, req.query);
     
     res.json({
       success: true,
-      data: franchises,
-      count: franchises.length
+      data: results,
+      count: results.length,
+      query: { center, radius }
     });
   } catch (error) {
-    logger.error('Error fetching franchises:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch franchises'
-    });
+    handleError(res, error, 'Failed to fetch nearby franchises');
+  }
+});
+
+// Franchises inside a bounding box (bbox=minLng,minLat,maxLng,maxLat) or GeoJSON polygon
+app.get('/api/franchises/within', async (req, res) => {
+  try {
+    const page = parsePagination(req.query, [['name', 1]]);
+    const result = await findFranchisesWithin(req.user, req.query, page);
+    
+    sendPage(req, res, result);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch franchises in area');
   }
 });
 
 // Get franchise by ID
 app.get('/api/franchises/:id', async (req, res) => {
   try {
-    const franchise = await Franchise.findById(req.params.id)
-      .populate('managerId', 'firstName lastName email')
-      .populate('staffCount')
-      .populate('formCount');
+    const franchise = await findRepresentation('franchise', req.params.id);
     
     if (!franchise) {
       return res.status(404).json({
@@ -370,117 +737,725 @@ app.get('/api/franchises/:id', async (req, res) => {
       });
     }
     
+    await assertSubscriptionAccess(req.user, await entityPath('franchise', franchise));
+    if (sendNotModified(req, res, franchise)) return;
+    
     res.json({
       success: true,
       data: franchise
     });
   } catch (error) {
-    logger.error('Error fetching franchise:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch franchise'
+    handleError(res, error, 'Failed to fetch franchise');
+  }
+});
+
+// Open/closed status with the next opening or closing time (?at= defaults to now)
+app.get('/api/franchises/:id/status', async (req, res) => {
+  try {
+    const franchise = await Franchise.findById(req.params.id);
+    if (!franchise) throw notFound('Franchise not found');
+    
+    await assertSubscriptionAccess(req.user, await entityPath('franchise', franchise));
+    
+    res.json({
+      success: true,
+      data: await franchiseStatus(franchise, parseInstant(req.query, 'at'))
     });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch franchise status');
+  }
+});
+
+// Expanded schedule for local dates ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/franchises/:id/hours', async (req, res) => {
+  try {
+    const franchise = await Franchise.findById(req.params.id);
+    if (!franchise) throw notFound('Franchise not found');
+    
+    await assertSubscriptionAccess(req.user, await entityPath('franchise', franchise));
+    
+    res.json({
+      success: true,
+      data: await franchiseSchedule(franchise, req.query)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch franchise hours');
   }
 });
 
 // Create franchise
 app.post('/api/franchises', async (req, res) => {
   try {
-    const franchise = new Franchise(req.body);
-    await franchise.save();
+    const franchise = new Franchise(createFields('franchise', req.body));
+    await assertSubscriptionAccess(req.user, await parentPath('franchise', franchise), { write: true });
+    await validateEntity('franchise', franchise);
+    await assertCreateUnlocked('franchise', franchise, req.body.settings);
+    await assertParentsLive('franchise', franchise);
+    await withTransaction(async session => {
+      await syncSlug('franchise', franchise, null, { session });
+      await withReservations(reservationsFor('franchise', franchise), () => franchise.save({ session }), { session });
+      await recordAudit({ entityType: 'franchise', entity: franchise, action: 'create', actor: req.user, after: franchise }, { session });
+    });
     
     res.status(201).json({
       success: true,
       data: franchise
     });
   } catch (error) {
-    logger.error('Error creating franchise:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create franchise'
-    });
+    handleError(res, error, 'Failed to create franchise');
   }
 });
 
 // Update franchise
 app.put('/api/franchises/:id', async (req, res) => {
   try {
-    const franchise = await Franchise.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
+    const franchise = await updateEntity('franchise', req, res, current => replaceFields(current, req.body));
     
-    if (!franchise) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      data: franchise
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update franchise');
+  }
+});
+
+// =============================================================================
+// HIERARCHY ROUTES
+// =============================================================================
+
+for (const type of Object.keys(HIERARCHY_DEPTHS)) {
+  const { model, label, plural } = ENTITIES[type];
+  
+  // Nested tree under an organization, brand or business, streamed as it is read.
+  // Accepts depth, includeInactive, includeArchived, fields and counts.
+  app.get(`/api/${plural}/:id/hierarchy`, async (req, res) => {
+    try {
+      const root = await model.findById(req.params.id).select('organizationId brandId');
+      if (!root) throw notFound(`${label} not found`);
+      
+      await assertSubscriptionAccess(req.user, await entityPath(type, root));
+      const options = parseHierarchyOptions(type, req.query);
+      
+      const write = streamWriter(res);
+      res.type('json');
+      await write('{"success":true,"data":');
+      await streamHierarchy(type, root, options, write);
+      await write('}');
+      res.end();
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch hierarchy');
+    }
+  });
+}
+
+// =============================================================================
+// PATCH ROUTES
+// =============================================================================
+
+for (const [type, { label, plural }] of Object.entries(ENTITIES)) {
+  // Partial update with JSON Merge Patch or JSON Patch
+  app.patch(`/api/${plural}/:id`, async (req, res) => {
+    try {
+      const patcher = patcherFor(req.get('Content-Type'), req.body);
+      const updated = await updateEntity(type, req, res, patcher);
+      
+      // Brand colors that read badly are accepted, with a warning
+      const warnings = type === 'brand' ? brandThemeWarnings(updated) : [];
+      res.json({
+        success: true,
+        data: updated,
+        ...(warnings.length > 0 && { warnings })
+      });
+    } catch (error) {
+      handleError(res, error, `Failed to update ${label.toLowerCase()}`);
+    }
+  });
+}
+
+// =============================================================================
+// ARCHIVE ROUTES
+// =============================================================================
+
+for (const [type, { model, label, plural }] of Object.entries(ENTITIES)) {
+  // Archive (soft delete) an entity and everything below it
+  app.delete(`/api/${plural}/:id`, async (req, res) => {
+    try {
+      const doc = await model.findById(req.params.id);
+      
+      if (!doc) {
+        return res.status(404).json({
+          success: false,
+          error: `${label} not found`
+        });
+      }
+      
+      await assertSubscriptionAccess(req.user, await parentPath(type, doc), { write: true });
+      
+      const result = await archiveEntity(type, doc._id, { actor: req.user });
+      
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      handleError(res, error, `Failed to archive ${label.toLowerCase()}`);
+    }
+  });
+  
+  // Restore an archived entity together with what its archive cascaded to
+  app.post(`/api/${plural}/:id/restore`, async (req, res) => {
+    try {
+      const doc = await model.findById(req.params.id);
+      
+      if (!doc) {
+        return res.status(404).json({
+          success: false,
+          error: `${label} not found`
+        });
+      }
+      
+      await assertSubscriptionAccess(req.user, await parentPath(type, doc), { write: true });
+      
+      const result = await restoreEntity(type, doc._id, { actor: req.user });
+      
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      handleError(res, error, `Failed to restore ${label.toLowerCase()}`);
+    }
+  });
+}
+
+// Permanently delete records archived longer than the retention window
+app.post('/api/archive/purge', async (req, res) => {
+  try {
+    if (!isPlatformAdmin(req.user)) {
+      return res.status(403).json({
         success: false,
-        error: 'Franchise not found'
+        error: 'Access denied'
       });
     }
     
+    const { olderThanDays, dryRun = false } = req.body;
+    const result = await purgeArchived({
+      ...(olderThanDays !== undefined && { olderThanDays: Number(olderThanDays) }),
+      dryRun: dryRun === true
+    });
+    
+    logger.info({ purged: result.purged, cutoff: result.cutoff, dryRun: result.dryRun }, 'Purged archived records');
+    
     res.json({
       success: true,
-      data: franchise
+      data: result
     });
   } catch (error) {
-    logger.error('Error updating franchise:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update franchise'
+    handleError(res, error, 'Failed to purge archived records');
+  }
+});
+
+// Expire due trials and grace periods now instead of waiting for the scheduler
+app.post('/api/subscriptions/sweep', async (req, res) => {
+  try {
+    if (!isPlatformAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+    
+    const result = await runLifecycleSweep();
+    logLifecycleSweep(result);
+    
+    res.json({
+      success: true,
+      data: result
     });
+  } catch (error) {
+    handleError(res, error, 'Failed to run subscription sweep');
   }
 });
 
 // =============================================================================
-// HIERARCHY ROUTES
+// MOVE ROUTES
+// =============================================================================
+
+for (const type of MOVABLE_TYPES) {
+  const { model, label, plural } = ENTITIES[type];
+  
+  // Reparent a business (brandId, organizationId) or franchise (businessId);
+  // crossOrganization: true is required to transfer to another organization
+  app.post(`/api/${plural}/:id/move`, async (req, res) => {
+    try {
+      const doc = await model.findById(req.params.id);
+      if (!doc) throw notFound(`${label} not found`);
+      
+      await assertSubscriptionAccess(req.user, await parentPath(type, doc), { write: true });
+      if (doc.deletedAt) throw archivedConflict(label);
+      
+      const version = expectedVersion(req, res, doc);
+      const { _id } = await moveEntity(type, doc, req.body, { actor: req.user, version });
+      const moved = await findRepresentation(type, _id);
+      
+      res.set('ETag', representationEtag(moved));
+      res.json({
+        success: true,
+        data: moved
+      });
+    } catch (error) {
+      handleError(res, error, `Failed to move ${label.toLowerCase()}`);
+    }
+  });
+}
+
+// =============================================================================
+// IMPORT / EXPORT ROUTES
 // =============================================================================
 
-// Get full hierarchy for organization
-app.get('/api/organizations/:orgId/hierarchy', async (req, res) => {
+// Start a bulk import of businesses or franchises; poll the returned job for progress.
+// Takes a JSON body (data or rows plus options) or raw text/csv / application/x-ndjson
+// with the options in the query string.
+app.post('/api/organizations/:orgId/imports', express.text({ type: [CSV, NDJSON], limit: '10mb' }), async (req, res) => {
   try {
-    const organization = await Organization.findById(req.params.orgId);
-    if (!organization) {
-      return res.status(404).json({
+    await assertSubscriptionAccess(req.user, { organizationId: req.params.orgId }, { write: true });
+    
+    const organization = await Organization.findById(req.params.orgId).select('deletedAt');
+    if (!organization) throw notFound('Organization not found');
+    if (organization.deletedAt) throw archivedConflict('Organization');
+    
+    const parsed = parseImportRequest(req.body, req.query, req.get('Content-Type'));
+    const { job, run } = await startImport(organization._id, parsed, req.user);
+    run.catch(error => logger.error({ err: error, importId: job._id }, 'Import failed'));
+    
+    res.status(202).location(`/api/imports/${job._id}`).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to start import');
+  }
+});
+
+// Imports of an organization, newest first (row errors omitted)
+app.get('/api/organizations/:orgId/imports', async (req, res) => {
+  try {
+    await assertSubscriptionAccess(req.user, { organizationId: req.params.orgId });
+    
+    const page = parsePagination(req.query, [['createdAt', -1]]);
+    const result = await paginate(ImportJob, { organizationId: req.params.orgId }, page, query => query.select('-rowErrors'));
+    
+    sendPage(req, res, result);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch imports');
+  }
+});
+
+// Stream brands, businesses or franchises as CSV, NDJSON or JSON rows; takes the list filters
+app.get('/api/organizations/:orgId/export', async (req, res) => {
+  try {
+    await assertSubscriptionAccess(req.user, { organizationId: req.params.orgId });
+    
+    const organization = await Organization.findById(req.params.orgId).select('_id');
+    if (!organization) throw notFound('Organization not found');
+    
+    const options = parseExportRequest(req.query);
+    const { contentType, extension } = EXPORT_FORMATS[options.format];
+    
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${organization._id}-${req.query.entity}.${extension}"`
+    });
+    const write = streamWriter(res);
+    await streamExport(organization._id, options, write);
+    res.end();
+  } catch (error) {
+    handleError(res, error, 'Failed to export');
+  }
+});
+
+// Import status, progress and row errors
+app.get('/api/imports/:id', async (req, res) => {
+  try {
+    const job = await getImportJob(req.params.id);
+    await assertSubscriptionAccess(req.user, { organizationId: job.organizationId });
+    
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch import');
+  }
+});
+
+// =============================================================================
+// USAGE ROUTES
+// =============================================================================
+
+// Report usage increments: one event or { events: [...] }. Retries with the same
+// idempotencyKey count once.
+app.post('/api/usage', async (req, res) => {
+  try {
+    const result = await recordUsage(parseUsageEvents(req.body), { actor: req.user });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to record usage');
+  }
+});
+
+// Usage against limits for a month (?period=YYYY-MM), with soft-limit warnings and hard-limit flags
+app.get('/api/organizations/:orgId/usage', async (req, res) => {
+  try {
+    await assertSubscriptionAccess(req.user, { organizationId: req.params.orgId });
+    
+    res.json({
+      success: true,
+      data: await usageReport(req.params.orgId, req.query)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch usage');
+  }
+});
+
+// =============================================================================
+// SETTINGS ROUTES
+// =============================================================================
+
+for (const [type, { model, label, plural }] of Object.entries(ENTITIES)) {
+  // Settings after inheritance down the hierarchy, with the level each value
+  // came from and the paths locked above
+  app.get(`/api/${plural}/:id/effective-settings`, async (req, res) => {
+    try {
+      const doc = await model.findById(req.params.id);
+      if (!doc) throw notFound(`${label} not found`);
+      
+      await assertSubscriptionAccess(req.user, await entityPath(type, doc));
+      
+      res.json({
+        success: true,
+        data: await resolveEffectiveSettings(type, doc)
+      });
+    } catch (error) {
+      handleError(res, error, `Failed to resolve ${label.toLowerCase()} settings`);
+    }
+  });
+}
+
+// Unset settings stored from the old schema defaults so they are inherited
+app.post('/api/settings/backfill', async (req, res) => {
+  try {
+    if (!isPlatformAdmin(req.user)) {
+      return res.status(403).json({
         success: false,
-        error: 'Organization not found'
+        error: 'Access denied'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await backfillSettingsDefaults()
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to backfill settings');
+  }
+});
+
+// =============================================================================
+// ENTITLEMENT ROUTES
+// =============================================================================
+
+// What an entity's plan allows: ?entityId= (any level; entityType= skips the lookup),
+// optionally ?feature= for a single yes/no answer
+app.get('/api/entitlements', async (req, res) => {
+  try {
+    const { type, doc } = await findEntitlementSubject(req.query);
+    assertAccess(req.user, await entityPath(type, doc));
+    
+    res.json({
+      success: true,
+      data: await describeEntitlements(type, doc, req.query.feature)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to resolve entitlements');
+  }
+});
+
+// =============================================================================
+// DOMAIN ROUTES
+// =============================================================================
+
+for (const [type, { model, label, route }] of Object.entries(DOMAIN_OWNERS)) {
+  const { plural } = ENTITIES[type];
+  
+  // Verification state of the organization domain or brand custom domain, with the challenge to publish
+  app.get(`/api/${plural}/:id/${route}/verification`, async (req, res) => {
+    try {
+      const doc = await model.findById(req.params.id);
+      if (!doc) throw notFound(`${label} not found`);
+      
+      await assertSubscriptionAccess(req.user, await entityPath(type, doc));
+      
+      res.json({
+        success: true,
+        data: describeDomain(type, doc)
       });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch domain verification');
     }
+  });
+  
+  // Issue a challenge for the current domain: { method: dns | http }
+  app.post(`/api/${plural}/:id/${route}/verification`, async (req, res) => {
+    try {
+      const doc = await model.findById(req.params.id);
+      if (!doc) throw notFound(`${label} not found`);
+      
+      await assertSubscriptionAccess(req.user, await entityPath(type, doc), { write: true });
+      if (doc.deletedAt) throw archivedConflict(label);
+      
+      res.json({
+        success: true,
+        data: await requestVerification(type, doc, req.body, { actor: req.user })
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to request domain verification');
+    }
+  });
+  
+  // Look for the challenge now instead of waiting for the scheduler
+  app.post(`/api/${plural}/:id/${route}/verification/check`, async (req, res) => {
+    try {
+      const doc = await model.findById(req.params.id);
+      if (!doc) throw notFound(`${label} not found`);
+      
+      await assertSubscriptionAccess(req.user, await entityPath(type, doc), { write: true });
+      if (doc.deletedAt) throw archivedConflict(label);
+      
+      res.json({
+        success: true,
+        data: await checkVerification(type, doc, { actor: req.user })
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to check domain verification');
+    }
+  });
+}
+
+// Check pending and due domains now instead of waiting for the scheduler
+app.post('/api/domains/sweep', async (req, res) => {
+  try {
+    if (!isPlatformAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+    
+    const result = await runDomainSweep();
+    logDomainSweep(result);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to run domain sweep');
+  }
+});
+
+// =============================================================================
+// RESOLVE ROUTES
+// =============================================================================
+
+// Brand, organization, theme and settings a white-label front end serves on ?host=
+app.get('/api/resolve', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await resolveHost(req.query.host)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to resolve host');
+  }
+});
+
+// =============================================================================
+// WEBHOOK ROUTES
+// =============================================================================
+
+// Register an endpoint for domain events: { url, events?, organizationId?, description?, secret? }.
+// The signing secret is only returned in this response.
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    // Webhooks belong to platform services, not tenants
+    assertAccess(req.user, {});
+    
+    const webhook = await createWebhook(req.body, { actor: req.user });
+    
+    res.status(201).json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create webhook');
+  }
+});
+
+// List webhooks
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    assertAccess(req.user, {});
+    
+    const page = parsePagination(req.query, [['createdAt', -1]]);
+    sendPage(req, res, await listWebhooks(page));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch webhooks');
+  }
+});
+
+// Deliveries by ?status= (dead for the dead-letter queue), ?webhookId= and ?eventType=
+app.get('/api/webhooks/deliveries', async (req, res) => {
+  try {
+    assertAccess(req.user, {});
+    
+    const { status, webhookId, eventType } = req.query;
+    const page = parsePagination(req.query, DELIVERY_SORT);
+    sendPage(req, res, await listDeliveries({ status, webhookId, eventType }, page));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch webhook deliveries');
+  }
+});
+
+// Send a dead or delivered delivery again
+app.post('/api/webhooks/deliveries/:id/replay', async (req, res) => {
+  try {
+    assertAccess(req.user, {});
     
-    const brands = await Brand.find({ 
-      organizationId: req.params.orgId, 
-      isActive: true 
+    res.json({
+      success: true,
+      data: await replayDelivery(req.params.id)
     });
+  } catch (error) {
+    handleError(res, error, 'Failed to replay delivery');
+  }
+});
+
+// Deliver pending events now instead of waiting for the dispatcher
+app.post('/api/webhooks/dispatch', async (req, res) => {
+  try {
+    assertAccess(req.user, {});
     
-    const businesses = await Business.find({ 
-      organizationId: req.params.orgId, 
-      isActive: true 
-    }).populate('brandId', 'name');
+    const result = await runDispatcher();
+    logDispatch(result);
     
-    const franchises = await Franchise.find({ 
-      businessId: { $in: businesses.map(b => b._id) },
-      isActive: true 
+    res.json({
+      success: true,
+      data: result
     });
+  } catch (error) {
+    handleError(res, error, 'Failed to dispatch webhooks');
+  }
+});
+
+// Get webhook by ID
+app.get('/api/webhooks/:id', async (req, res) => {
+  try {
+    assertAccess(req.user, {});
     
     res.json({
       success: true,
-      data: {
-        organization,
-        brands,
-        businesses,
-        franchises
-      }
+      data: await getWebhook(req.params.id)
     });
   } catch (error) {
-    logger.error('Error fetching hierarchy:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch hierarchy'
+    handleError(res, error, 'Failed to fetch webhook');
+  }
+});
+
+// Update a webhook's url, events, organizationId, description or isActive
+app.patch('/api/webhooks/:id', async (req, res) => {
+  try {
+    assertAccess(req.user, {});
+    
+    res.json({
+      success: true,
+      data: await updateWebhook(req.params.id, req.body)
     });
+  } catch (error) {
+    handleError(res, error, 'Failed to update webhook');
   }
 });
 
+// Delete a webhook and its deliveries
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    assertAccess(req.user, {});
+    
+    res.json({
+      success: true,
+      data: await deleteWebhook(req.params.id)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete webhook');
+  }
+});
+
+// Replay to a webhook: { from, to? } resends the events in that window,
+// an empty body requeues its dead letters
+app.post('/api/webhooks/:id/replay', async (req, res) => {
+  try {
+    assertAccess(req.user, {});
+    
+    res.json({
+      success: true,
+      data: await replayWebhook(req.params.id, req.body)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to replay webhook');
+  }
+});
+
+// =============================================================================
+// HISTORY ROUTES
+// =============================================================================
+
+for (const [type, { model, label, plural }] of Object.entries(ENTITIES)) {
+  // Change history of a single entity, newest first
+  app.get(`/api/${plural}/:id/history`, async (req, res) => {
+    try {
+      const doc = await model.findById(req.params.id);
+      
+      if (!doc) {
+        return res.status(404).json({
+          success: false,
+          error: `${label} not found`
+        });
+      }
+      
+      await assertSubscriptionAccess(req.user, await entityPath(type, doc));
+      
+      const page = parsePagination(req.query, AUDIT_SORT);
+      const result = await getHistory(type, doc._id, page);
+      
+      sendPage(req, res, result);
+    } catch (error) {
+      handleError(res, error, `Failed to fetch ${label.toLowerCase()} history`);
+    }
+  });
+}
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  const apiError = toApiError(err);
+  if (apiError) {
+    return res.status(apiError.status).json(apiError.toJSON());
+  }
+  
   logger.error('Unhandled error:', err);
   res.status(500).json({
     success: false,
@@ -499,6 +1474,36 @@ app.use('*', (req, res) => {
 // Start server
 app.listen(PORT, () => {
   logger.info(`Keephy Organizations Service running on port ${PORT}`);
+  
+  if (process.env.WEBHOOK_DISPATCHER !== 'false') {
+    startWebhookDispatcher({
+      intervalMs: parseInt(process.env.WEBHOOK_DISPATCH_SECONDS || '5', 10) * 1000,
+      onResult: logDispatch,
+      onError: error => logger.error({ err: error }, 'Webhook dispatch failed')
+    });
+  }
+  
+  if (process.env.DOMAIN_SCHEDULER !== 'false') {
+    startDomainScheduler({
+      intervalMs: parseInt(process.env.DOMAIN_CHECK_MINUTES || '60', 10) * 60 * 1000,
+      onResult: logDomainSweep,
+      onError: error => logger.error({ err: error }, 'Domain sweep failed')
+    });
+  }
+  
+  if (process.env.SUBSCRIPTION_SCHEDULER !== 'false') {
+    startLifecycleScheduler({
+      intervalMs: parseInt(process.env.SUBSCRIPTION_SWEEP_MINUTES || '15', 10) * 60 * 1000,
+      onResult: logLifecycleSweep,
+      onError: error => logger.error({ err: error }, 'Subscription sweep failed')
+    });
+  }
+  
+  // Imports run in memory, so one left running by an earlier process never finishes
+  startImportSweeper({
+    onResult: logImportSweep,
+    onError: error => logger.error({ err: error }, 'Import sweep failed')
+  });
 });
 
 // Graceful shutdown
@@ -0,0 +1,64 @@
+/**
+ * Authentication Middleware
+ * Verifies bearer JWTs and exposes the caller as req.user
+ */
+
+import jwt from 'jsonwebtoken';
+import { ApiError, unauthorized } from '../utils/errors.js';
+
+const SCOPE_KEYS = ['orgId', 'brandId', 'businessId', 'franchiseId'];
+
+// HS256 tokens are checked against JWT_SECRET, RS256 tokens against JWT_PUBLIC_KEY.
+// JWT_ALGORITHMS narrows the accepted algorithms (comma separated).
+function getVerificationOptions() {
+  const secret = process.env.JWT_SECRET;
+  const publicKey = process.env.JWT_PUBLIC_KEY?.replace(/\\n/g, '\n');
+
+  if (!secret && !publicKey) {
+    throw new ApiError(500, 'Authentication is not configured');
+  }
+
+  const algorithms = process.env.JWT_ALGORITHMS
+    ? process.env.JWT_ALGORITHMS.split(',').map(alg => alg.trim())
+    : [publicKey ? 'RS256' : 'HS256'];
+
+  return {
+    key: publicKey || secret,
+    options: {
+      algorithms,
+      ...(process.env.JWT_ISSUER && { issuer: process.env.JWT_ISSUER }),
+      ...(process.env.JWT_AUDIENCE && { audience: process.env.JWT_AUDIENCE })
+    }
+  };
+}
+
+function toUser(claims) {
+  const scopes = {};
+  for (const key of SCOPE_KEYS) {
+    if (claims.scopes?.[key]) scopes[key] = String(claims.scopes[key]);
+  }
+
+  return {
+    id: claims.sub || claims.id,
+    roles: Array.isArray(claims.roles) ? claims.roles : [],
+    scopes
+  };
+}
+
+export function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(unauthorized());
+  }
+
+  try {
+    const { key, options } = getVerificationOptions();
+    req.user = toUser(jwt.verify(token, key, options));
+    next();
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    next(unauthorized(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * AuditLog Model
+ * One entry per change to an organization, brand, business or franchise
+ */
+
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['organization', 'brand', 'business', 'franchise']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'archive', 'restore', 'move', 'merge', 'transition', 'verify']
+  },
+  actor: {
+    // JWT subject; kept as a string so service tokens are recorded too
+    id: String,
+    roles: [String]
+  },
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1, _id: -1 });
+auditLogSchema.index({ organizationId: 1, createdAt: -1, _id: -1 });
+auditLogSchema.index({ organizationId: 1, 'actor.id': 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -4,6 +4,10 @@
  */
 
 import mongoose from 'mongoose';
+import { isValidTimeZone } from '../utils/hours.js';
+import { isValidSlug } from '../utils/slugs.js';
+import { isValidColor, isValidFontFamily, normalizeColor } from '../utils/colors.js';
+import { DOMAIN_STATUSES, PLATFORM_DOMAIN, VERIFICATION_METHODS, isValidHostname, isPlatformHostname, isValidSubdomain, normalizeHostname } from '../utils/domains.js';
 
 const brandSchema = new mongoose.Schema({
   name: {
@@ -12,6 +16,22 @@ const brandSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  // URL handle, unique within its organization; generated from the name when not given
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: isValidSlug,
+      message: 'must be lowercase letters, digits and single dashes, e.g. downtown-east',
+      type: 'slug'
+    }
+  },
+  // Slugs it had before, kept as redirects; managed by the slug service
+  previousSlugs: {
+    type: [String],
+    default: undefined
+  },
   description: {
     type: String,
     maxlength: 500
@@ -25,10 +45,47 @@ const brandSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Served on {subdomain}.<platform domain> and under its organization's verified domain
+  subdomain: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: isValidSubdomain,
+      message: `must be a DNS label, e.g. acme for acme.${PLATFORM_DOMAIN}, and not a reserved name`,
+      type: 'subdomain'
+    }
+  },
+  // Compiled into the brand theme; low-contrast colors are allowed but warned about.
+  // Values stored before these rules only fail updates that set them again.
   brandGuidelines: {
-    primaryColor: String,
-    secondaryColor: String,
-    fontFamily: String,
+    primaryColor: {
+      type: String,
+      set: normalizeColor,
+      validate: {
+        validator: isValidColor,
+        message: 'must be a hex color such as #4f46e5',
+        type: 'color'
+      }
+    },
+    secondaryColor: {
+      type: String,
+      set: normalizeColor,
+      validate: {
+        validator: isValidColor,
+        message: 'must be a hex color such as #0f172a',
+        type: 'color'
+      }
+    },
+    fontFamily: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: isValidFontFamily,
+        message: 'must be a CSS font-family list such as "Open Sans", sans-serif',
+        type: 'font'
+      }
+    },
     logoVariations: [String]
   },
   settings: {
@@ -36,7 +93,31 @@ const brandSchema = new mongoose.Schema({
       type: String,
       default: 'default'
     },
-    customDomain: String,
+    // Served white-labelled once verified; unique among verified brands
+    customDomain: {
+      type: String,
+      set: normalizeHostname,
+      validate: [{
+        validator: isValidHostname,
+        message: 'must be a hostname such as feedback.acme.com',
+        type: 'hostname'
+      }, {
+        validator: value => !isPlatformHostname(value),
+        message: 'cannot be the platform domain or one of its subdomains',
+        type: 'reserved'
+      }]
+    },
+    // Unset values are inherited from the organization
+    timezone: {
+      type: String,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'must be an IANA timezone',
+        type: 'timezone'
+      }
+    },
+    currency: String,
+    language: String,
     features: {
       customForms: {
         type: Boolean,
@@ -46,10 +127,16 @@ const brandSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
-      whiteLabel: {
-        type: Boolean,
-        default: false
-      }
+      whiteLabel: Boolean
+    },
+    // Settings paths (e.g. timezone, features.customForms) levels below may not override
+    locked: {
+      type: [{
+        type: String,
+        trim: true,
+        match: [/^[A-Za-z]\w*(\.[A-Za-z]\w*)*$/, 'must be a settings path such as features.customForms']
+      }],
+      default: undefined
     }
   },
   contact: {
@@ -77,10 +164,52 @@ const brandSchema = new mongoose.Schema({
       default: 100
     }
   },
+  // Ownership of `settings.customDomain`; managed by the domain service and reset when it changes
+  customDomainVerification: {
+    status: {
+      type: String,
+      enum: DOMAIN_STATUSES
+    },
+    method: {
+      type: String,
+      enum: VERIFICATION_METHODS
+    },
+    token: String,
+    requestedAt: Date,
+    verifiedAt: Date,
+    // Pending: when the challenge lapses; verified: when it lapses unless re-checked
+    expiresAt: Date,
+    checkedAt: Date,
+    lastError: String
+  },
+  // Maintained by the limits service; initialized from a count on first use
+  usage: {
+    businesses: Number
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Soft delete; archiveId groups everything archived by one cascade
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  archiveId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Set when this brand was archived by merging it into another
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -99,6 +228,28 @@ const brandSchema = new mongoose.Schema({
 brandSchema.index({ organizationId: 1 });
 brandSchema.index({ name: 1 });
 brandSchema.index({ isActive: 1 });
+brandSchema.index({ deletedAt: 1 });
+brandSchema.index({ archiveId: 1 });
+// Keyset pagination for list routes
+brandSchema.index({ organizationId: 1, name: 1, _id: 1 });
+// Slug lookups within an organization; old slugs redirect
+brandSchema.index({ organizationId: 1, slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+brandSchema.index({ organizationId: 1, previousSlugs: 1 });
+// Subdomains are unique across the platform
+brandSchema.index({ subdomain: 1 }, { unique: true, partialFilterExpression: { subdomain: { $type: 'string' } } });
+// A custom domain belongs to the one brand that verified it
+brandSchema.index(
+  { 'settings.customDomain': 1 },
+  { name: 'custom_domain_verified', unique: true, partialFilterExpression: { 'customDomainVerification.status': 'verified' } }
+);
+// Domain scheduler sweeps
+brandSchema.index({ 'customDomainVerification.status': 1, 'customDomainVerification.expiresAt': 1 });
+
+// Full-text search
+brandSchema.index(
+  { name: 'text', description: 'text', 'contact.address.city': 'text', 'contact.address.country': 'text' },
+  { name: 'brand_text', weights: { name: 10, description: 2 } }
+);
 
 // Virtual for business count
 brandSchema.virtual('businessCount', {
@@ -118,20 +269,9 @@ brandSchema.pre('save', function(next) {
 brandSchema.methods.getActiveBusinesses = function() {
   return this.model('Business').find({ 
     brandId: this._id, 
-    isActive: true 
+    isActive: true,
+    deletedAt: null
   });
 };
 
-brandSchema.methods.checkLimit = function(limitType) {
-  const limit = this.limits[limitType];
-  if (limit === null) return true; // Unlimited
-  
-  switch (limitType) {
-    case 'businesses':
-      return this.businessCount < limit;
-    default:
-      return true;
-  }
-};
-
 export default mongoose.model('Brand', brandSchema);
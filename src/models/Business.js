@@ -4,6 +4,8 @@
  */
 
 import mongoose from 'mongoose';
+import { pointValidator } from '../utils/geo.js';
+import { isValidTimeZone } from '../utils/hours.js';
 
 const businessSchema = new mongoose.Schema({
   name: {
@@ -21,6 +23,12 @@ const businessSchema = new mongoose.Schema({
     ref: 'Organization',
     required: true
   },
+  // Caller's own identifier (e.g. a store number); bulk imports upsert on it
+  externalId: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
   brandId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Brand',
@@ -57,32 +65,32 @@ const businessSchema = new mongoose.Schema({
       state: String,
       country: String,
       zipCode: String,
+      // Optional; left unset rather than defaulting to [0, 0] so geo queries stay honest
       coordinates: {
         type: {
           type: String,
-          enum: ['Point'],
-          default: 'Point'
+          enum: ['Point']
         },
         coordinates: {
           type: [Number], // [longitude, latitude]
-          default: [0, 0]
+          default: undefined,
+          validate: pointValidator
         }
       }
     }
   },
   settings: {
+    // Unset values are inherited from the brand or organization
     timezone: {
       type: String,
-      default: 'UTC'
-    },
-    currency: {
-      type: String,
-      default: 'USD'
-    },
-    language: {
-      type: String,
-      default: 'en'
+      validate: {
+        validator: isValidTimeZone,
+        message: 'must be an IANA timezone',
+        type: 'timezone'
+      }
     },
+    currency: String,
+    language: String,
     notifications: {
       email: {
         type: Boolean,
@@ -98,14 +106,8 @@ const businessSchema = new mongoose.Schema({
       }
     },
     features: {
-      customForms: {
-        type: Boolean,
-        default: false
-      },
-      customReports: {
-        type: Boolean,
-        default: false
-      },
+      customForms: Boolean,
+      customReports: Boolean,
       aiInsights: {
         type: Boolean,
         default: false
@@ -114,6 +116,15 @@ const businessSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       }
+    },
+    // Settings paths (e.g. timezone, features.customForms) levels below may not override
+    locked: {
+      type: [{
+        type: String,
+        trim: true,
+        match: [/^[A-Za-z]\w*(\.[A-Za-z]\w*)*$/, 'must be a settings path such as features.customForms']
+      }],
+      default: undefined
     }
   },
   subscription: {
@@ -152,10 +163,28 @@ const businessSchema = new mongoose.Schema({
       }
     }
   },
+  // Maintained by the limits service; initialized from a count on first use
+  usage: {
+    franchises: Number
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Soft delete; archiveId groups everything archived by one cascade
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  archiveId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -175,6 +204,28 @@ businessSchema.index({ organizationId: 1 });
 businessSchema.index({ brandId: 1 });
 businessSchema.index({ ownerId: 1 });
 businessSchema.index({ isActive: 1 });
+businessSchema.index({ deletedAt: 1 });
+businessSchema.index({ archiveId: 1 });
+// External keys are unique within the parent
+businessSchema.index({ organizationId: 1, externalId: 1 }, {
+  unique: true,
+  partialFilterExpression: { externalId: { $type: 'string' } }
+});
+// Keyset pagination for list routes
+businessSchema.index({ organizationId: 1, createdAt: -1, _id: -1 });
+
+// Full-text search
+businessSchema.index(
+  {
+    name: 'text',
+    description: 'text',
+    'contact.address.street': 'text',
+    'contact.address.city': 'text',
+    'contact.address.state': 'text',
+    'contact.address.country': 'text'
+  },
+  { name: 'business_text', weights: { name: 10, description: 2 } }
+);
 businessSchema.index({ 'contact.address.coordinates': '2dsphere' });
 
 // Virtual for franchise count
@@ -193,6 +244,17 @@ businessSchema.virtual('staffCount', {
   count: true
 });
 
+// A point needs its GeoJSON type; drop an empty one so the 2dsphere index skips it
+businessSchema.pre('validate', function(next) {
+  const coordinates = this.get('contact.address.coordinates.coordinates');
+  if (coordinates?.length) {
+    this.set('contact.address.coordinates.type', 'Point');
+  } else if (this.get('contact.address.coordinates')) {
+    this.set('contact.address.coordinates', undefined);
+  }
+  next();
+});
+
 // Pre-save middleware
 businessSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -203,7 +265,8 @@ businessSchema.pre('save', function(next) {
 businessSchema.methods.getActiveFranchises = function() {
   return this.model('Franchise').find({ 
     businessId: this._id, 
-    isActive: true 
+    isActive: true,
+    deletedAt: null
   });
 };
 
@@ -214,18 +277,4 @@ businessSchema.methods.getActiveStaff = function() {
   });
 };
 
-businessSchema.methods.checkLimit = function(limitType) {
-  const limit = this.subscription.limits[limitType];
-  if (limit === null) return true; // Unlimited
-  
-  switch (limitType) {
-    case 'franchises':
-      return this.franchiseCount < limit;
-    case 'staff':
-      return this.staffCount < limit;
-    default:
-      return true;
-  }
-};
-
 export default mongoose.model('Business', businessSchema);
@@ -4,6 +4,27 @@
  */
 
 import mongoose from 'mongoose';
+import { pointValidator } from '../utils/geo.js';
+import { DATE_PATTERN, TIME_PATTERN, hoursFromSettings, isOpenAt, isValidTimeZone } from '../utils/hours.js';
+import { isValidSlug } from '../utils/slugs.js';
+
+const timeField = { type: String, match: [TIME_PATTERN, 'must be a time in HH:MM format'] };
+const dateField = { type: String, match: [DATE_PATTERN, 'must be a date in YYYY-MM-DD format'] };
+
+// A close at or before the open time runs past midnight
+const interval = {
+  _id: false,
+  open: { ...timeField, required: true },
+  close: { ...timeField, required: true }
+};
+
+// open/close are the single-shift form; intervals allows split shifts
+const dayHours = () => ({
+  open: timeField,
+  close: timeField,
+  closed: { type: Boolean, default: false },
+  intervals: [interval]
+});
 
 const franchiseSchema = new mongoose.Schema({
   name: {
@@ -17,6 +38,28 @@ const franchiseSchema = new mongoose.Schema({
     ref: 'Business',
     required: true
   },
+  // URL handle, unique within its business; generated from the name when not given
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: isValidSlug,
+      message: 'must be lowercase letters, digits and single dashes, e.g. downtown-east',
+      type: 'slug'
+    }
+  },
+  // Slugs it had before, kept as redirects; managed by the slug service
+  previousSlugs: {
+    type: [String],
+    default: undefined
+  },
+  // Caller's own identifier (e.g. a store number); bulk imports upsert on it
+  externalId: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
   managerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -51,7 +94,8 @@ const franchiseSchema = new mongoose.Schema({
       },
       coordinates: {
         type: [Number], // [longitude, latitude]
-        required: true
+        required: true,
+        validate: pointValidator
       }
     }
   },
@@ -61,47 +105,41 @@ const franchiseSchema = new mongoose.Schema({
     website: String
   },
   settings: {
+    // Inherited from the business chain when unset
     timezone: {
       type: String,
-      default: 'UTC'
+      validate: {
+        validator: isValidTimeZone,
+        message: 'must be an IANA timezone',
+        type: 'timezone'
+      }
     },
     operatingHours: {
-      monday: {
-        open: String,
-        close: String,
-        closed: { type: Boolean, default: false }
-      },
-      tuesday: {
-        open: String,
-        close: String,
-        closed: { type: Boolean, default: false }
-      },
-      wednesday: {
-        open: String,
-        close: String,
-        closed: { type: Boolean, default: false }
-      },
-      thursday: {
-        open: String,
-        close: String,
-        closed: { type: Boolean, default: false }
-      },
-      friday: {
-        open: String,
-        close: String,
-        closed: { type: Boolean, default: false }
-      },
-      saturday: {
-        open: String,
-        close: String,
-        closed: { type: Boolean, default: false }
+      monday: dayHours(),
+      tuesday: dayHours(),
+      wednesday: dayHours(),
+      thursday: dayHours(),
+      friday: dayHours(),
+      saturday: dayHours(),
+      sunday: dayHours()
+    },
+    // Dated overrides of the weekly hours, in the franchise's local calendar
+    hoursExceptions: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['holiday', 'special_hours', 'closure'],
+        required: true
       },
-      sunday: {
-        open: String,
-        close: String,
-        closed: { type: Boolean, default: false }
+      startDate: { ...dateField, required: true },
+      // Inclusive; defaults to startDate for single-day exceptions
+      endDate: dateField,
+      intervals: [interval],
+      note: {
+        type: String,
+        maxlength: 200
       }
-    },
+    }],
     features: {
       wifi: {
         type: Boolean,
@@ -139,6 +177,20 @@ const franchiseSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Soft delete; archiveId groups everything archived by one cascade
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  archiveId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -157,6 +209,32 @@ const franchiseSchema = new mongoose.Schema({
 franchiseSchema.index({ businessId: 1 });
 franchiseSchema.index({ managerId: 1 });
 franchiseSchema.index({ isActive: 1 });
+franchiseSchema.index({ deletedAt: 1 });
+franchiseSchema.index({ archiveId: 1 });
+// External keys are unique within the parent
+franchiseSchema.index({ businessId: 1, externalId: 1 }, {
+  unique: true,
+  partialFilterExpression: { externalId: { $type: 'string' } }
+});
+// Keyset pagination for list routes
+franchiseSchema.index({ businessId: 1, name: 1, _id: 1 });
+// Slug lookups within a business (or its brand, through $in); old slugs redirect.
+// Uniqueness across a brand's businesses is checked by the slug service.
+franchiseSchema.index({ businessId: 1, slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+franchiseSchema.index({ businessId: 1, previousSlugs: 1 });
+
+// Full-text search
+franchiseSchema.index(
+  {
+    name: 'text',
+    'address.street': 'text',
+    'address.city': 'text',
+    'address.state': 'text',
+    'address.country': 'text',
+    'address.zipCode': 'text'
+  },
+  { name: 'franchise_text', weights: { name: 10 } }
+);
 franchiseSchema.index({ 'address.coordinates': '2dsphere' });
 
 // Virtual for staff count
@@ -196,14 +274,10 @@ franchiseSchema.methods.getActiveForms = function() {
   });
 };
 
-franchiseSchema.methods.isOpen = function(date = new Date()) {
-  const day = date.toLocaleLowerCase().substring(0, 3);
-  const daySettings = this.settings.operatingHours[day];
-  
-  if (daySettings.closed) return false;
-  
-  const currentTime = date.toTimeString().substring(0, 5);
-  return currentTime >= daySettings.open && currentTime <= daySettings.close;
+// Evaluated in the franchise's timezone, including overnight hours and exceptions.
+// Pass the inherited timezone (see the settings service) when the franchise has none.
+franchiseSchema.methods.isOpen = function(date = new Date(), timezone = this.settings?.timezone) {
+  return isOpenAt(hoursFromSettings(this.settings, timezone), date);
 };
 
 export default mongoose.model('Franchise', franchiseSchema);
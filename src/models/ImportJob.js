@@ -0,0 +1,96 @@
+/**
+ * ImportJob Model
+ * A bulk import of businesses or franchises into an organization, with its
+ * progress and the errors found per row
+ */
+
+import mongoose from 'mongoose';
+
+const importJobSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['business', 'franchise']
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: ['csv', 'ndjson', 'json']
+  },
+  mode: {
+    type: String,
+    enum: ['all_or_nothing', 'best_effort'],
+    default: 'all_or_nothing'
+  },
+  // Validate every row without writing anything
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // Field rows are matched on: the caller's externalId or our id
+  key: {
+    type: String,
+    enum: ['externalId', 'id'],
+    default: 'externalId'
+  },
+  // Column → field path actually used
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  ignoredColumns: [String],
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Rows are numbered from 1, not counting the CSV header
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    key: String,
+    issues: [{
+      _id: false,
+      path: String,
+      rule: String,
+      message: String
+    }]
+  }],
+  rowErrorsTruncated: {
+    type: Boolean,
+    default: false
+  },
+  // Why the job as a whole failed
+  failure: {
+    message: String,
+    details: mongoose.Schema.Types.Mixed
+  },
+  createdBy: {
+    // JWT subject, as in the audit log
+    id: String,
+    roles: [String]
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+importJobSchema.index({ organizationId: 1, createdAt: -1, _id: -1 });
+importJobSchema.index({ status: 1 });
+
+export default mongoose.model('ImportJob', importJobSchema);
@@ -4,6 +4,9 @@
  */
 
 import mongoose from 'mongoose';
+import { isValidTimeZone } from '../utils/hours.js';
+import { isValidSlug } from '../utils/slugs.js';
+import { DOMAIN_STATUSES, VERIFICATION_METHODS, isValidHostname, isPlatformHostname, normalizeHostname } from '../utils/domains.js';
 
 const organizationSchema = new mongoose.Schema({
   name: {
@@ -12,15 +15,57 @@ const organizationSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  // URL handle, unique across the platform; generated from the name when not given
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: isValidSlug,
+      message: 'must be lowercase letters, digits and single dashes, e.g. downtown-east',
+      type: 'slug'
+    }
+  },
+  // Slugs it had before, kept as redirects; managed by the slug service
+  previousSlugs: {
+    type: [String],
+    default: undefined
+  },
   description: {
     type: String,
     maxlength: 500
   },
+  // Unique only once verified, so claiming a domain first does not lock out its owner
   domain: {
     type: String,
-    unique: true,
-    lowercase: true,
-    trim: true
+    set: normalizeHostname,
+    validate: [{
+      validator: isValidHostname,
+      message: 'must be a hostname such as acme.com',
+      type: 'hostname'
+    }, {
+      validator: value => !isPlatformHostname(value),
+      message: 'cannot be the platform domain or one of its subdomains',
+      type: 'reserved'
+    }]
+  },
+  // Ownership of `domain`; managed by the domain service and reset when it changes
+  domainVerification: {
+    status: {
+      type: String,
+      enum: DOMAIN_STATUSES
+    },
+    method: {
+      type: String,
+      enum: VERIFICATION_METHODS
+    },
+    token: String,
+    requestedAt: Date,
+    verifiedAt: Date,
+    // Pending: when the challenge lapses; verified: when it lapses unless re-checked
+    expiresAt: Date,
+    checkedAt: Date,
+    lastError: String
   },
   logo: {
     type: String,
@@ -29,7 +74,12 @@ const organizationSchema = new mongoose.Schema({
   settings: {
     timezone: {
       type: String,
-      default: 'UTC'
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: 'must be an IANA timezone',
+        type: 'timezone'
+      }
     },
     currency: {
       type: String,
@@ -39,6 +89,26 @@ const organizationSchema = new mongoose.Schema({
       type: String,
       default: 'en'
     },
+    // Settings paths (e.g. timezone, features.customForms) levels below may not override
+    locked: {
+      type: [{
+        type: String,
+        trim: true,
+        match: [/^[A-Za-z]\w*(\.[A-Za-z]\w*)*$/, 'must be a settings path such as features.customForms']
+      }],
+      default: undefined
+    },
+    // Fractions of a limit at which usage reports warn; USAGE_WARNING_THRESHOLDS when unset
+    usageWarningThresholds: {
+      type: [{
+        type: Number,
+        validate: {
+          validator: value => value > 0 && value < 1,
+          message: 'must be a fraction between 0 and 1'
+        }
+      }],
+      default: undefined
+    },
     features: {
       multiBrand: {
         type: Boolean,
@@ -74,12 +144,24 @@ const organizationSchema = new mongoose.Schema({
       enum: ['basic', 'professional', 'enterprise'],
       default: 'basic'
     },
+    // Changed only through the lifecycle service, which audits every transition
     status: {
       type: String,
-      enum: ['active', 'suspended', 'cancelled', 'trial'],
+      enum: ['active', 'suspended', 'cancelled', 'trial', 'grace'],
       default: 'trial'
     },
     trialEndsAt: Date,
+    // While in grace: when the organization gets suspended
+    graceEndsAt: Date,
+    // While suspended: whether its entities stay readable
+    suspension: {
+      mode: {
+        type: String,
+        enum: ['read_only', 'blocked']
+      },
+      reason: String
+    },
+    statusChangedAt: Date,
     billingCycle: {
       type: String,
       enum: ['monthly', 'yearly'],
@@ -104,10 +186,50 @@ const organizationSchema = new mongoose.Schema({
       default: 1024 // MB
     }
   },
+  // Per-customer deviations from the plan catalog; owned by billing like subscription
+  entitlements: {
+    // feature → granted (true) or withheld (false) regardless of plan
+    features: {
+      type: Map,
+      of: Boolean,
+      default: undefined
+    },
+    // Default limits for new entities at each level; null is unlimited
+    limits: {
+      organization: { brands: Number, businesses: Number, users: Number, storage: Number },
+      brand: { businesses: Number, users: Number, forms: Number },
+      business: { franchises: Number, forms: Number, submissions: Number, staff: Number, storage: Number }
+    }
+  },
+  // Maintained by the limits service; initialized from a count on first use
+  usage: {
+    brands: Number,
+    businesses: Number
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Soft delete; archiveId groups everything archived by one cascade
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  archiveId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Set when this organization was archived by merging it into another
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -123,9 +245,31 @@ const organizationSchema = new mongoose.Schema({
 });
 
 // Indexes
-organizationSchema.index({ domain: 1 });
 organizationSchema.index({ 'contact.email': 1 });
 organizationSchema.index({ isActive: 1 });
+organizationSchema.index({ deletedAt: 1 });
+organizationSchema.index({ archiveId: 1 });
+// Lifecycle scheduler sweeps
+organizationSchema.index({ 'subscription.status': 1, 'subscription.trialEndsAt': 1 });
+organizationSchema.index({ 'subscription.status': 1, 'subscription.graceEndsAt': 1 });
+// A domain belongs to the one organization that verified it
+organizationSchema.index(
+  { domain: 1 },
+  { name: 'domain_verified', unique: true, partialFilterExpression: { 'domainVerification.status': 'verified' } }
+);
+// Domain scheduler sweeps
+organizationSchema.index({ 'domainVerification.status': 1, 'domainVerification.expiresAt': 1 });
+// Keyset pagination for list routes
+organizationSchema.index({ createdAt: -1, _id: -1 });
+// Slug lookups; old slugs redirect
+organizationSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+organizationSchema.index({ previousSlugs: 1 });
+
+// Full-text search
+organizationSchema.index(
+  { name: 'text', description: 'text', 'contact.address.city': 'text', 'contact.address.country': 'text' },
+  { name: 'organization_text', weights: { name: 10, description: 2 } }
+);
 
 // Virtual for brand count
 organizationSchema.virtual('brandCount', {
@@ -153,29 +297,17 @@ organizationSchema.pre('save', function(next) {
 organizationSchema.methods.getActiveBrands = function() {
   return this.model('Brand').find({ 
     organizationId: this._id, 
-    isActive: true 
+    isActive: true,
+    deletedAt: null
   });
 };
 
 organizationSchema.methods.getActiveBusinesses = function() {
   return this.model('Business').find({ 
     organizationId: this._id, 
-    isActive: true 
+    isActive: true,
+    deletedAt: null
   });
 };
 
-organizationSchema.methods.checkLimit = function(limitType) {
-  const limit = this.limits[limitType];
-  if (limit === null) return true; // Unlimited
-  
-  switch (limitType) {
-    case 'brands':
-      return this.brandCount < limit;
-    case 'businesses':
-      return this.businessCount < limit;
-    default:
-      return true;
-  }
-};
-
 export default mongoose.model('Organization', organizationSchema);
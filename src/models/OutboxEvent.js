@@ -0,0 +1,61 @@
+/**
+ * OutboxEvent Model
+ * A domain event written in the same transaction as the change it describes.
+ * The webhook dispatcher fans pending events out to deliveries.
+ */
+
+import mongoose from 'mongoose';
+
+const outboxEventSchema = new mongoose.Schema({
+  // e.g. franchise.created, business.moved, subscription.suspended
+  type: {
+    type: String,
+    required: true
+  },
+  // Every organization the change is visible to; a transfer touches two
+  organizationIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  }],
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['organization', 'brand', 'business', 'franchise']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    id: String,
+    roles: [String]
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'dispatched'],
+    default: 'pending'
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  dispatchedAt: Date
+}, {
+  versionKey: false,
+  minimize: false
+});
+
+// Indexes
+outboxEventSchema.index({ status: 1, occurredAt: 1, _id: 1 });
+outboxEventSchema.index({ organizationIds: 1, occurredAt: 1 });
+outboxEventSchema.index({ occurredAt: 1, _id: 1 });
+
+export default mongoose.model('OutboxEvent', outboxEventSchema);
@@ -0,0 +1,65 @@
+/**
+ * UsageEvent Model
+ * One usage increment reported by another service. The idempotency key makes
+ * retried reports count once.
+ */
+
+import mongoose from 'mongoose';
+import { METRIC_NAMES, PERIOD_PATTERN } from '../utils/usage.js';
+
+const usageEventSchema = new mongoose.Schema({
+  // Chosen by the reporting service; unique per organization
+  idempotencyKey: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  brandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    default: null
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  metric: {
+    type: String,
+    required: true,
+    enum: METRIC_NAMES
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Month the usage counts towards, YYYY-MM (UTC)
+  period: {
+    type: String,
+    required: true,
+    match: [PERIOD_PATTERN, 'must be a month in YYYY-MM format']
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  reportedBy: {
+    // JWT subject of the reporting service
+    id: String,
+    roles: [String]
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+usageEventSchema.index({ organizationId: 1, idempotencyKey: 1 }, { unique: true });
+usageEventSchema.index({ organizationId: 1, period: 1 });
+
+export default mongoose.model('UsageEvent', usageEventSchema);
@@ -0,0 +1,40 @@
+/**
+ * UsageRollup Model
+ * Usage of one organization, brand or business in one month, summed from
+ * usage events as they are ingested
+ */
+
+import mongoose from 'mongoose';
+import { METRIC_NAMES, PERIOD_PATTERN } from '../utils/usage.js';
+
+const usageRollupSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  level: {
+    type: String,
+    required: true,
+    enum: ['organization', 'brand', 'business']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  period: {
+    type: String,
+    required: true,
+    match: [PERIOD_PATTERN, 'must be a month in YYYY-MM format']
+  },
+  // metric → sum of the period's increments
+  metrics: Object.fromEntries(METRIC_NAMES.map(metric => [metric, { type: Number, default: 0 }]))
+}, {
+  timestamps: true
+});
+
+// Indexes
+usageRollupSchema.index({ level: 1, entityId: 1, period: 1 }, { unique: true });
+usageRollupSchema.index({ organizationId: 1, period: 1 });
+
+export default mongoose.model('UsageRollup', usageRollupSchema);
@@ -0,0 +1,58 @@
+/**
+ * Webhook Model
+ * An endpoint another service registered to receive domain events, signed
+ * with its own secret
+ */
+
+import mongoose from 'mongoose';
+
+// `*`, `franchise.*` or an exact type such as `business.updated`
+export const EVENT_PATTERN = /^(\*|[a-z]+\.(\*|[a-z_]+))$/;
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'must be an http(s) URL']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  events: {
+    type: [{
+      type: String,
+      match: [EVENT_PATTERN, 'must be *, <entity>.* or an event type']
+    }],
+    default: ['*']
+  },
+  // Only events of this organization; platform-wide when unset
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // HMAC key for X-Keephy-Signature; only shown when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    id: String,
+    roles: [String]
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookSchema.index({ isActive: 1, organizationId: 1 });
+
+export default mongoose.model('Webhook', webhookSchema);
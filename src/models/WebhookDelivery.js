@@ -0,0 +1,59 @@
+/**
+ * WebhookDelivery Model
+ * One outbox event on its way to one webhook, with its attempts. Deliveries
+ * that ran out of attempts stay here as the dead-letter queue until replayed.
+ */
+
+import mongoose from 'mongoose';
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboxEvent',
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A delivery left in `delivering` past this (a crashed dispatcher) is picked up again
+  lockedUntil: Date,
+  lastAttemptAt: Date,
+  lastError: {
+    status: Number,
+    message: String
+  },
+  deliveredAt: Date,
+  replays: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookDeliverySchema.index({ eventId: 1, webhookId: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ status: 1, lockedUntil: 1 });
+webhookDeliverySchema.index({ webhookId: 1, status: 1, updatedAt: -1, _id: -1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,20 @@
+/**
+ * Model Registry
+ * The four hierarchy entities, keyed by type
+ */
+
+import Organization from './Organization.js';
+import Brand from './Brand.js';
+import Business from './Business.js';
+import Franchise from './Franchise.js';
+
+export { Organization, Brand, Business, Franchise };
+
+export const ENTITIES = {
+  organization: { model: Organization, label: 'Organization', plural: 'organizations' },
+  brand: { model: Brand, label: 'Brand', plural: 'brands' },
+  business: { model: Business, label: 'Business', plural: 'businesses' },
+  franchise: { model: Franchise, label: 'Franchise', plural: 'franchises' }
+};
+
+export const ENTITY_TYPES = Object.keys(ENTITIES);
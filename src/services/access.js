@@ -0,0 +1,158 @@
+/**
+ * Access Service
+ * Decides whether a caller's roles and scopes cover an entity in the
+ * organization → brand → business → franchise hierarchy
+ */
+
+import Business from '../models/Business.js';
+import { forbidden } from '../utils/errors.js';
+
+// Each role grants access to the subtree rooted at one level of the hierarchy
+export const ROLE_LEVELS = {
+  super_admin: 'platform',
+  admin: 'organization',
+  org_admin: 'organization',
+  brand_manager: 'brand',
+  business_owner: 'business',
+  franchise_manager: 'franchise'
+};
+
+// Level → [scope claim, path key]
+const LEVEL_KEYS = {
+  organization: ['orgId', 'organizationId'],
+  brand: ['brandId', 'brandId'],
+  business: ['businessId', 'businessId'],
+  franchise: ['franchiseId', 'franchiseId']
+};
+
+const MATCH_NOTHING = { _id: { $in: [] } };
+
+export const idOf = value => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => a != null && b != null && String(idOf(a)) === String(idOf(b));
+
+/**
+ * The (level, id) pairs a user holds. A role without its matching scope grants nothing.
+ */
+export function getGrants(user) {
+  const grants = [];
+
+  for (const role of user?.roles || []) {
+    const level = ROLE_LEVELS[role];
+    if (!level) continue;
+
+    if (level === 'platform') {
+      grants.push({ level });
+      continue;
+    }
+
+    const id = user.scopes?.[LEVEL_KEYS[level][0]];
+    if (id) grants.push({ level, id });
+  }
+
+  return grants;
+}
+
+export function isPlatformAdmin(user) {
+  return getGrants(user).some(grant => grant.level === 'platform');
+}
+
+/**
+ * Resolve the ancestry of an entity as { organizationId, brandId, businessId, franchiseId }.
+ */
+export async function entityPath(type, doc) {
+  switch (type) {
+    case 'organization':
+      return { organizationId: idOf(doc._id) };
+    case 'brand':
+      return { organizationId: idOf(doc.organizationId), brandId: idOf(doc._id) };
+    case 'business':
+      return {
+        organizationId: idOf(doc.organizationId),
+        brandId: idOf(doc.brandId),
+        businessId: idOf(doc._id)
+      };
+    case 'franchise': {
+      const business = await Business.findById(idOf(doc.businessId))
+        .select('organizationId brandId')
+        .lean();
+      return {
+        organizationId: business?.organizationId,
+        brandId: business?.brandId,
+        businessId: idOf(doc.businessId),
+        franchiseId: idOf(doc._id)
+      };
+    }
+    default:
+      throw new Error(`Unknown entity type: ${type}`);
+  }
+}
+
+/**
+ * Path of the level an entity hangs from; managing the entity itself
+ * (archiving, restoring, moving) requires access there.
+ */
+export async function parentPath(type, doc) {
+  const path = await entityPath(type, doc);
+  delete path[LEVEL_KEYS[type][1]];
+  return path;
+}
+
+/**
+ * A path is covered when one of the user's grants sits on it (or the user is a platform admin).
+ * Creating an entity is checked against its parent's path, so a franchise manager
+ * can edit their franchise but cannot create siblings.
+ */
+export function canAccess(user, path) {
+  return getGrants(user).some(({ level, id }) => {
+    if (level === 'platform') return true;
+    return sameId(path[LEVEL_KEYS[level][1]], id);
+  });
+}
+
+export function assertAccess(user, path) {
+  if (!canAccess(user, path)) {
+    throw forbidden();
+  }
+}
+
+/**
+ * Mongo filter restricting a list query on `type` to what the user may see.
+ */
+export async function scopeFilter(user, type) {
+  const grants = getGrants(user);
+  if (grants.some(grant => grant.level === 'platform')) return {};
+
+  const clauses = [];
+
+  for (const { level, id } of grants) {
+    switch (type) {
+      case 'organization':
+        if (level === 'organization') clauses.push({ _id: id });
+        break;
+      case 'brand':
+        if (level === 'organization') clauses.push({ organizationId: id });
+        if (level === 'brand') clauses.push({ _id: id });
+        break;
+      case 'business':
+        if (level === 'organization') clauses.push({ organizationId: id });
+        if (level === 'brand') clauses.push({ brandId: id });
+        if (level === 'business') clauses.push({ _id: id });
+        break;
+      case 'franchise':
+        if (level === 'organization' || level === 'brand') {
+          const key = level === 'organization' ? 'organizationId' : 'brandId';
+          const businessIds = await Business.find({ [key]: id }).distinct('_id');
+          clauses.push({ businessId: { $in: businessIds } });
+        }
+        if (level === 'business') clauses.push({ businessId: id });
+        if (level === 'franchise') clauses.push({ _id: id });
+        break;
+      default:
+        throw new Error(`Unknown entity type: ${type}`);
+    }
+  }
+
+  if (clauses.length === 0) return MATCH_NOTHING;
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+}
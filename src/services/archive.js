@@ -0,0 +1,272 @@
+/**
+ * Archive Service
+ * Soft delete, restore and purge across the hierarchy.
+ *
+ * Archiving cascades org → brands → businesses → franchises. Everything archived by
+ * one call shares an archiveId, so a restore brings back exactly that cascade and
+ * leaves alone children that were archived on their own before it.
+ */
+
+import mongoose from 'mongoose';
+import { ENTITIES, Brand, Business, Franchise } from '../models/index.js';
+import { ApiError, notFound } from '../utils/errors.js';
+import { withTransaction } from '../utils/db.js';
+import { entityPath, idOf } from './access.js';
+import { recordAuditMany } from './audit.js';
+import { enqueueEvents } from './events.js';
+import { reservationsForMany, releaseAll, withReservations } from './limits.js';
+
+export const RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS || '30', 10);
+
+// Records deleted (with their purge events) per transaction
+const PURGE_BATCH = 500;
+
+const CLEARED = { deletedAt: null, deletedBy: null, archiveId: null };
+
+// Live descendants of a node, as lean docs carrying their parent references
+async function findLiveDescendants(type, id, session) {
+  const live = { deletedAt: null };
+  const fields = 'organizationId brandId businessId';
+  const descendants = { brand: [], business: [], franchise: [] };
+
+  if (type === 'organization') {
+    descendants.brand = await Brand.find({ organizationId: id, ...live }).select(fields).session(session).lean();
+    descendants.business = await Business.find({ organizationId: id, ...live }).select(fields).session(session).lean();
+  } else if (type === 'brand') {
+    descendants.business = await Business.find({ brandId: id, ...live }).select(fields).session(session).lean();
+  }
+
+  if (type === 'business') {
+    descendants.franchise = await Franchise.find({ businessId: id, ...live }).select(fields).session(session).lean();
+  } else if (descendants.business.length > 0) {
+    descendants.franchise = await Franchise.find({
+      businessId: { $in: descendants.business.map(b => b._id) },
+      ...live
+    }).select(fields).session(session).lean();
+  }
+
+  return descendants;
+}
+
+// Everything else archived by the same cascade as the root
+async function findCascade(archiveId, rootId, session) {
+  const cascade = {};
+
+  for (const type of ['brand', 'business', 'franchise']) {
+    cascade[type] = await ENTITIES[type].model.find({ archiveId, _id: { $ne: rootId } })
+      .select('organizationId brandId businessId')
+      .session(session)
+      .lean();
+  }
+
+  return cascade;
+}
+
+function parentRefs(type, doc) {
+  switch (type) {
+    case 'brand':
+      return [{ type: 'organization', id: idOf(doc.organizationId) }];
+    case 'business':
+      return [
+        { type: 'organization', id: idOf(doc.organizationId) },
+        ...(doc.brandId ? [{ type: 'brand', id: idOf(doc.brandId) }] : [])
+      ];
+    case 'franchise':
+      return [{ type: 'business', id: idOf(doc.businessId) }];
+    default:
+      return [];
+  }
+}
+
+// Audit entries for a root and its cascade; children point back at the root
+async function auditCascade(action, type, doc, children, { actor, changes, archiveId }, session) {
+  const { organizationId } = await entityPath(type, doc);
+  const metadata = { archiveId };
+  const cascadeFrom = { entityType: type, entityId: doc._id };
+
+  await recordAuditMany([
+    { organizationId, entityType: type, entityId: doc._id, action, actor, changes, metadata },
+    ...Object.entries(children).flatMap(([childType, docs]) => docs.map(child => ({
+      organizationId,
+      entityType: childType,
+      entityId: child._id,
+      action,
+      actor,
+      changes,
+      metadata: { ...metadata, cascadeFrom }
+    })))
+  ], { session });
+}
+
+/**
+ * Nothing can be created under, or restored into, an archived parent.
+ */
+export async function assertParentsLive(type, doc, { session = null } = {}) {
+  for (const parent of parentRefs(type, doc)) {
+    if (!parent.id) continue;
+
+    const { model, label } = ENTITIES[parent.type];
+    const found = await model.findById(parent.id).select('deletedAt').session(session).lean();
+
+    if (!found) throw notFound(`${label} not found`);
+    if (found.deletedAt) {
+      throw new ApiError(409, `${label} is archived`, { code: 'PARENT_ARCHIVED', [`${parent.type}Id`]: parent.id });
+    }
+  }
+}
+
+// Per-type counts for a root and the children that went with it
+function summarize(rootType, children) {
+  const counts = { [rootType]: 1 };
+  for (const [type, docs] of Object.entries(children)) {
+    counts[type] = (counts[type] || 0) + docs.length;
+  }
+  return counts;
+}
+
+export async function archiveEntity(type, id, { actor = null } = {}) {
+  const { model, label } = ENTITIES[type];
+
+  return withTransaction(async session => {
+    const doc = await model.findById(id).session(session);
+    if (!doc) throw notFound(`${label} not found`);
+    if (doc.deletedAt) throw new ApiError(409, `${label} is already archived`);
+
+    const stamp = { deletedAt: new Date(), deletedBy: actor?.id ?? null, archiveId: new mongoose.Types.ObjectId() };
+    const descendants = await findLiveDescendants(type, doc._id, session);
+
+    await model.updateOne({ _id: doc._id }, { $set: stamp, $inc: { __v: 1 } }, { session });
+    for (const [childType, docs] of Object.entries(descendants)) {
+      if (docs.length === 0) continue;
+      await ENTITIES[childType].model.updateMany(
+        { _id: { $in: docs.map(d => d._id) }, deletedAt: null },
+        { $set: stamp, $inc: { __v: 1 } },
+        { session }
+      );
+    }
+
+    // Archived entities stop counting against their parents' limits
+    await releaseAll([
+      ...reservationsForMany(type, [doc]),
+      ...Object.entries(descendants).flatMap(([childType, docs]) => reservationsForMany(childType, docs))
+    ], { session });
+
+    await auditCascade('archive', type, doc, descendants, {
+      actor,
+      archiveId: stamp.archiveId,
+      changes: [
+        { path: 'deletedAt', before: null, after: stamp.deletedAt },
+        { path: 'deletedBy', before: null, after: stamp.deletedBy }
+      ]
+    }, session);
+
+    return {
+      archiveId: stamp.archiveId,
+      deletedAt: stamp.deletedAt,
+      archived: summarize(type, descendants)
+    };
+  });
+}
+
+export async function restoreEntity(type, id, { actor = null } = {}) {
+  const { model, label } = ENTITIES[type];
+
+  return withTransaction(async session => {
+    const doc = await model.findById(id).session(session);
+    if (!doc) throw notFound(`${label} not found`);
+    if (!doc.deletedAt) throw new ApiError(409, `${label} is not archived`);
+    if (doc.mergedInto) {
+      throw new ApiError(409, `${label} was merged and cannot be restored`, { code: 'MERGED', mergedInto: doc.mergedInto });
+    }
+
+    await assertParentsLive(type, doc, { session });
+
+    const cascade = doc.archiveId ? await findCascade(doc.archiveId, doc._id, session) : {};
+
+    // Restored entities count against their parents' limits again
+    const reservations = [
+      ...reservationsForMany(type, [doc]),
+      ...Object.entries(cascade).flatMap(([childType, docs]) => reservationsForMany(childType, docs))
+    ];
+
+    await withReservations(reservations, async () => {
+      await model.updateOne({ _id: doc._id }, { $set: CLEARED, $inc: { __v: 1 } }, { session });
+      for (const [childType, docs] of Object.entries(cascade)) {
+        if (docs.length === 0) continue;
+        await ENTITIES[childType].model.updateMany(
+          { _id: { $in: docs.map(d => d._id) } },
+          { $set: CLEARED, $inc: { __v: 1 } },
+          { session }
+        );
+      }
+    }, { session });
+
+    await auditCascade('restore', type, doc, cascade, {
+      actor,
+      archiveId: doc.archiveId,
+      changes: [
+        { path: 'deletedAt', before: doc.deletedAt, after: null },
+        { path: 'deletedBy', before: doc.deletedBy, after: null }
+      ]
+    }, session);
+
+    return { restored: summarize(type, cascade) };
+  });
+}
+
+/**
+ * Hard-delete everything archived before `olderThanDays` ago. The window can be
+ * widened but never shortened below ARCHIVE_RETENTION_DAYS. Each purged record
+ * gets a `<type>.purged` event.
+ */
+export async function purgeArchived({ olderThanDays = RETENTION_DAYS, dryRun = false } = {}) {
+  if (!Number.isFinite(olderThanDays) || olderThanDays < RETENTION_DAYS) {
+    throw new ApiError(400, `Records must be archived for at least ${RETENTION_DAYS} days before purging`);
+  }
+
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+  const filter = { deletedAt: { $ne: null, $lte: cutoff } };
+  const purged = {};
+
+  // Children first, so a failure never leaves orphans behind
+  for (const type of ['franchise', 'business', 'brand', 'organization']) {
+    const { model } = ENTITIES[type];
+    purged[type] = dryRun
+      ? await model.countDocuments(filter)
+      : await purgeType(type, filter);
+  }
+
+  return { cutoff, dryRun, purged };
+}
+
+// Organization each purged record belonged to; franchises only know their business
+async function purgedOwners(type, docs) {
+  if (type === 'organization') return new Map(docs.map(doc => [String(doc._id), doc._id]));
+  if (type !== 'franchise') return new Map(docs.map(doc => [String(doc._id), doc.organizationId]));
+
+  const businesses = await Business.find({ _id: { $in: docs.map(doc => doc.businessId) } }).select('organizationId').lean();
+  const owners = new Map(businesses.map(business => [String(business._id), business.organizationId]));
+  return new Map(docs.map(doc => [String(doc._id), owners.get(String(doc.businessId))]));
+}
+
+async function purgeType(type, filter) {
+  const { model } = ENTITIES[type];
+  let purged = 0;
+
+  for (;;) {
+    const docs = await model.find(filter).select('organizationId businessId').limit(PURGE_BATCH).lean();
+    if (docs.length === 0) return purged;
+
+    const owners = await purgedOwners(type, docs);
+    purged += await withTransaction(async session => {
+      const { deletedCount } = await model.deleteMany({ ...filter, _id: { $in: docs.map(doc => doc._id) } }, { session });
+      await enqueueEvents(docs.map(doc => ({
+        organizationId: owners.get(String(doc._id)),
+        entityType: type,
+        entityId: doc._id,
+        action: 'purge'
+      })), { session });
+      return deletedCount;
+    });
+  }
+}
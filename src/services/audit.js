@@ -0,0 +1,120 @@
+/**
+ * Audit Service
+ * Records who changed what in the hierarchy, down to individual fields. Each
+ * entry also goes to the event outbox in the same session.
+ */
+
+import AuditLog from '../models/AuditLog.js';
+import { ENTITY_TYPES } from '../models/index.js';
+import { ApiError } from '../utils/errors.js';
+import { toPlain, flatten, changedPaths } from '../utils/objects.js';
+import { paginate } from '../utils/pagination.js';
+import { entityPath } from './access.js';
+import { enqueueEvents } from './events.js';
+
+// Bookkeeping that changes on every write and says nothing about intent
+const IGNORED_PATHS = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'usage'];
+
+const isIgnored = path => IGNORED_PATHS.some(ignored => path === ignored || path.startsWith(`${ignored}.`));
+
+/**
+ * Field-level differences between two versions of a document.
+ */
+export function diff(before, after) {
+  const previous = flatten(toPlain(before));
+  const next = flatten(toPlain(after));
+
+  return changedPaths(previous, next)
+    .filter(path => !isIgnored(path))
+    .map(path => ({ path, before: previous[path] ?? null, after: next[path] ?? null }));
+}
+
+const toActor = actor => (actor ? { id: actor.id ? String(actor.id) : undefined, roles: actor.roles || [] } : undefined);
+
+/**
+ * Record one change and its domain event. `changes` defaults to the diff of
+ * `before` and `after`; updates that change nothing are not recorded. The
+ * event is named after the action unless `eventType` is given.
+ */
+export async function recordAudit({
+  entityType,
+  entity,
+  action,
+  actor,
+  before = null,
+  after = null,
+  changes,
+  organizationId,
+  metadata,
+  eventType
+}, { session = null } = {}) {
+  const entry = {
+    organizationId: organizationId ?? (await entityPath(entityType, entity)).organizationId,
+    entityType,
+    entityId: entity._id,
+    action,
+    actor: toActor(actor),
+    changes: changes ?? diff(before, after),
+    metadata
+  };
+
+  if (action === 'update' && entry.changes.length === 0) return null;
+
+  const [log] = await AuditLog.create([entry], { session });
+  await enqueueEvents([{ ...entry, eventType, ...(after && { entity: after }) }], { session });
+  return log;
+}
+
+/**
+ * Record the same action for many entities at once, e.g. everything an archive cascaded to.
+ */
+export async function recordAuditMany(entries, { session = null } = {}) {
+  if (entries.length === 0) return [];
+
+  const normalized = entries.map(entry => ({ ...entry, actor: toActor(entry.actor) }));
+  const logs = await AuditLog.insertMany(normalized, { session });
+  await enqueueEvents(normalized, { session });
+  return logs;
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `Invalid ${name} date`);
+  }
+  return date;
+}
+
+export const AUDIT_SORT = [['createdAt', -1]];
+
+export async function getHistory(entityType, entityId, page) {
+  return paginate(AuditLog, { entityType, entityId }, page, query => query.lean());
+}
+
+/**
+ * Org-wide audit search, filtered by actor, entity type and date range.
+ */
+export async function searchAudit(organizationId, { actorId, entityType, entityId, action, from, to } = {}, page) {
+  const filter = { organizationId };
+
+  if (actorId) filter['actor.id'] = String(actorId);
+  if (entityType) {
+    if (!ENTITY_TYPES.includes(entityType)) {
+      throw new ApiError(400, `entityType must be one of ${ENTITY_TYPES.join(', ')}`);
+    }
+    filter.entityType = entityType;
+  }
+  if (entityId) filter.entityId = entityId;
+  if (action) filter.action = action;
+
+  const createdAt = {};
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate) createdAt.$gte = fromDate;
+  if (toDate) createdAt.$lte = toDate;
+  if (fromDate || toDate) filter.createdAt = createdAt;
+
+  return paginate(AuditLog, filter, page, query => query.lean());
+}
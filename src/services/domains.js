@@ -0,0 +1,372 @@
+/**
+ * Domain Service
+ * Proves that an organization owns its `domain` and a brand its
+ * `settings.customDomain` before either is trusted.
+ *
+ * Requesting verification issues a challenge token, published by the customer
+ * either as a DNS record or as a file:
+ *
+ *   dns   TXT _keephy-challenge.<domain> = "keephy-verification=<token>"
+ *   http  http://<domain>/.well-known/keephy-verification.txt containing <token>
+ *
+ * A check, on request or by the scheduler, moves the domain from pending to
+ * verified. Verified domains are re-checked and expire once the proof has been
+ * missing past their expiresAt; expired domains need a new challenge. DNS and
+ * HTTP lookups go through a resolver that tests can replace.
+ */
+
+import { promises as dns } from 'node:dns';
+import { randomBytes } from 'node:crypto';
+import { Organization, Brand } from '../models/index.js';
+import { ApiError, invalid } from '../utils/errors.js';
+import { withTransaction } from '../utils/db.js';
+import { VERIFICATION_METHODS } from '../utils/domains.js';
+import { entityPath } from './access.js';
+import { recordAudit } from './audit.js';
+
+export const CHALLENGE_DAYS = parseInt(process.env.DOMAIN_CHALLENGE_DAYS || '7', 10);
+export const VERIFICATION_DAYS = parseInt(process.env.DOMAIN_VERIFICATION_DAYS || '30', 10);
+export const RECHECK_HOURS = parseInt(process.env.DOMAIN_RECHECK_HOURS || '24', 10);
+const CHECK_TIMEOUT_MS = parseInt(process.env.DOMAIN_CHECK_TIMEOUT_MS || '5000', 10);
+
+export const CHALLENGE_RECORD = '_keephy-challenge';
+export const CHALLENGE_PREFIX = 'keephy-verification=';
+export const CHALLENGE_PATH = '/.well-known/keephy-verification.txt';
+
+// Features that only take effect on a verified domain
+export const DOMAIN_FEATURES = ['whiteLabel', 'customDomain'];
+
+// Where each owner keeps its hostname and verification state, and its route segment
+export const DOMAIN_OWNERS = {
+  organization: { model: Organization, label: 'Organization', field: 'domain', state: 'domainVerification', route: 'domain' },
+  brand: { model: Brand, label: 'Brand', field: 'settings.customDomain', state: 'customDomainVerification', route: 'custom-domain' }
+};
+
+// Who the scheduler's checks are recorded as
+export const SCHEDULER_ACTOR = { id: 'system:domain-scheduler', roles: ['system'] };
+
+// Event recorded for each state a check or request moves a domain into
+const EVENT_TYPES = {
+  pending: 'domain.challenge_issued',
+  verified: 'domain.verified',
+  expired: 'domain.expired'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const getPath = (doc, path) => (typeof doc?.get === 'function'
+  ? doc.get(path)
+  : path.split('.').reduce((value, key) => value?.[key], doc));
+
+// Verification state as a plain object, from a document or a lean read
+const stateOf = (type, doc) => getPath(
+  typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : doc,
+  DOMAIN_OWNERS[type].state
+);
+
+// =============================================================================
+// RESOLVER
+// =============================================================================
+
+/**
+ * Real DNS and HTTP lookups: `txt(name)` resolves to the TXT strings at a
+ * name, `file(url)` to the body served at a URL.
+ */
+export const defaultResolver = {
+  async txt(name) {
+    return (await dns.resolveTxt(name)).map(chunks => chunks.join(''));
+  },
+  async file(url) {
+    const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+    return response.text();
+  }
+};
+
+let domainResolver = defaultResolver;
+
+/**
+ * Replace the resolver used when a check is not given one; no argument restores the default.
+ */
+export function setDomainResolver(resolver = defaultResolver) {
+  domainResolver = resolver;
+}
+
+/**
+ * What the customer publishes to prove `hostname` with `method` and `token`.
+ */
+export function challengeFor(hostname, { method, token }) {
+  return method === 'http'
+    ? { method, url: `http://${hostname}${CHALLENGE_PATH}`, content: token }
+    : { method, type: 'TXT', name: `${CHALLENGE_RECORD}.${hostname}`, value: `${CHALLENGE_PREFIX}${token}` };
+}
+
+/**
+ * Look for the challenge. Resolves to null when it is in place, otherwise to
+ * why the check failed.
+ */
+export async function findChallenge(hostname, state, resolver = domainResolver) {
+  const challenge = challengeFor(hostname, state);
+
+  try {
+    if (challenge.method === 'http') {
+      const body = await resolver.file(challenge.url);
+      return String(body).trim() === challenge.content ? null : `${challenge.url} does not contain the token`;
+    }
+
+    const records = await resolver.txt(challenge.name);
+    return records.includes(challenge.value) ? null : `No TXT record at ${challenge.name} contains the token`;
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA'].includes(error.code)) return `No TXT record at ${challenge.name}`;
+    return error.cause?.message ?? error.message;
+  }
+}
+
+// =============================================================================
+// STATES
+// =============================================================================
+
+/**
+ * The state after a check at `now` that found the challenge (`failure` null) or
+ * not. A failed check keeps the current state until its expiresAt has passed.
+ */
+export function nextState(state, failure, now = new Date()) {
+  if (!failure) {
+    return {
+      ...state,
+      status: 'verified',
+      verifiedAt: state.status === 'verified' ? state.verifiedAt : now,
+      expiresAt: addDays(now, VERIFICATION_DAYS),
+      checkedAt: now,
+      lastError: undefined
+    };
+  }
+
+  return {
+    ...state,
+    status: state.expiresAt && now >= new Date(state.expiresAt) ? 'expired' : state.status,
+    checkedAt: now,
+    lastError: failure
+  };
+}
+
+/**
+ * Hostname, verification state and, while one is outstanding, the challenge
+ * to publish. Owners without a hostname describe as null.
+ */
+export function describeDomain(type, doc) {
+  const hostname = getPath(doc, DOMAIN_OWNERS[type].field);
+  if (!hostname) return null;
+
+  const state = stateOf(type, doc) ?? {};
+  const { token, ...rest } = state;
+
+  return {
+    hostname,
+    ...rest,
+    status: rest.status ?? 'unverified',
+    ...(token && rest.status !== 'expired' && { challenge: challengeFor(hostname, state) })
+  };
+}
+
+// Another organization or brand that verified `hostname`
+async function verifiedElsewhere(hostname, type, id) {
+  for (const [ownerType, { model, field, state }] of Object.entries(DOMAIN_OWNERS)) {
+    const owner = await model.exists({
+      [field]: hostname,
+      [`${state}.status`]: 'verified',
+      ...(ownerType === type && { _id: { $ne: id } })
+    });
+    if (owner) return true;
+  }
+  return false;
+}
+
+const domainTaken = hostname => new ApiError(409, `${hostname} is verified by another customer`, {
+  code: 'DOMAIN_TAKEN',
+  hostname
+});
+
+// Write a new state for the hostname read from `doc`. Status changes (and
+// `force`d writes such as a new challenge) are audited; other checks are not.
+async function saveState(type, doc, hostname, next, { actor, force = false }) {
+  const { model, label, field, state: statePath } = DOMAIN_OWNERS[type];
+  const previous = stateOf(type, doc)?.status;
+  const changed = force || next.status !== previous;
+  const filter = { _id: doc._id, [field]: hostname, deletedAt: null };
+  const update = { $set: { [statePath]: next }, ...(changed && { $inc: { __v: 1 } }) };
+
+  try {
+    if (!changed) return await model.findOneAndUpdate(filter, update, { new: true });
+
+    return await withTransaction(async session => {
+      const after = await model.findOneAndUpdate(filter, update, { new: true, session });
+      if (!after) throw new ApiError(409, `${label} domain changed concurrently; retry`, { code: 'CONFLICT' });
+
+      await recordAudit({
+        entityType: type,
+        entity: after,
+        action: 'verify',
+        actor,
+        before: doc,
+        after,
+        metadata: { hostname, method: next.method, from: previous ?? null, to: next.status },
+        eventType: EVENT_TYPES[next.status]
+      }, { session });
+
+      return after;
+    });
+  } catch (error) {
+    if (error.code === 11000) throw domainTaken(hostname);
+    throw error;
+  }
+}
+
+// =============================================================================
+// REQUESTS AND CHECKS
+// =============================================================================
+
+/**
+ * Issue a challenge for the owner's current hostname with `body.method`
+ * (dns by default). Pending and expired domains get a fresh token.
+ */
+export async function requestVerification(type, doc, body = {}, { actor = null, now = new Date() } = {}) {
+  const { label, field } = DOMAIN_OWNERS[type];
+  const hostname = getPath(doc, field);
+  const method = body.method ?? 'dns';
+
+  if (!hostname) {
+    throw invalid([{ path: field, rule: 'required', message: `${label} has no domain to verify` }]);
+  }
+  if (!VERIFICATION_METHODS.includes(method)) {
+    throw invalid([{ path: 'method', rule: 'enum', message: `method must be one of ${VERIFICATION_METHODS.join(', ')}` }]);
+  }
+  if (stateOf(type, doc)?.status === 'verified') {
+    throw new ApiError(409, `${hostname} is already verified`);
+  }
+  if (await verifiedElsewhere(hostname, type, doc._id)) throw domainTaken(hostname);
+
+  const after = await saveState(type, doc, hostname, {
+    status: 'pending',
+    method,
+    token: randomBytes(24).toString('hex'),
+    requestedAt: now,
+    expiresAt: addDays(now, CHALLENGE_DAYS)
+  }, { actor, force: true });
+  if (!after) throw new ApiError(409, `${label} domain changed concurrently; retry`, { code: 'CONFLICT' });
+
+  return describeDomain(type, after);
+}
+
+/**
+ * Look for the owner's challenge now and record the outcome.
+ */
+export async function checkVerification(type, doc, { actor = null, now = new Date(), resolver = domainResolver } = {}) {
+  const { label, field } = DOMAIN_OWNERS[type];
+  const hostname = getPath(doc, field);
+  const plain = stateOf(type, doc);
+
+  if (!hostname || !plain?.status) {
+    throw new ApiError(409, `${label} has no verification to check; request one first`);
+  }
+  if (plain.status === 'expired') {
+    throw new ApiError(409, `Verification of ${hostname} expired; request a new challenge`);
+  }
+
+  const next = nextState(plain, await findChallenge(hostname, plain, resolver), now);
+  if (next.status === 'verified' && plain.status !== 'verified' && await verifiedElsewhere(hostname, type, doc._id)) {
+    throw domainTaken(hostname);
+  }
+
+  const after = await saveState(type, doc, hostname, next, { actor });
+  if (!after) throw new ApiError(409, `${label} domain changed concurrently; retry`, { code: 'CONFLICT' });
+
+  return describeDomain(type, after);
+}
+
+/**
+ * Check every pending domain and every verified one not checked for
+ * RECHECK_HOURS, expiring those whose proof stayed missing.
+ */
+export async function runDomainSweep({ now = new Date(), resolver = domainResolver } = {}) {
+  const result = { now, verified: [], expired: [], failed: [] };
+  const recheckBefore = new Date(now.getTime() - RECHECK_HOURS * 60 * 60 * 1000);
+
+  for (const [type, { model, state }] of Object.entries(DOMAIN_OWNERS)) {
+    const due = await model.find({
+      deletedAt: null,
+      $or: [
+        { [`${state}.status`]: 'pending' },
+        { [`${state}.status`]: 'verified', [`${state}.checkedAt`]: { $not: { $gt: recheckBefore } } },
+        { [`${state}.status`]: 'verified', [`${state}.expiresAt`]: { $lte: now } }
+      ]
+    });
+
+    for (const doc of due) {
+      const before = stateOf(type, doc)?.status;
+      try {
+        const { status } = await checkVerification(type, doc, { actor: SCHEDULER_ACTOR, now, resolver });
+        if (status === before) continue;
+        if (status === 'verified') result.verified.push({ type, id: doc._id });
+        if (status === 'expired') result.expired.push({ type, id: doc._id });
+      } catch (error) {
+        // Changed by someone else since it was read; the next sweep sees the new state
+        if (error.status === 409 && error.details?.code !== 'DOMAIN_TAKEN') continue;
+        result.failed.push({ type, id: doc._id, error: error.message });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run the sweep every `intervalMs`; overlapping runs are skipped. Returns a stop function.
+ */
+export function startDomainScheduler({ intervalMs, onResult = () => {}, onError = () => {} }) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      onResult(await runDomainSweep());
+    } catch (error) {
+      onError(error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+// =============================================================================
+// FEATURES
+// =============================================================================
+
+/**
+ * The domain `doc` is served on: its brand's custom domain when the brand has
+ * one, else the organization's domain. Null when neither is set.
+ */
+export async function servingDomain(type, doc) {
+  const path = await entityPath(type, doc);
+
+  let brand = null;
+  if (type === 'brand') brand = doc;
+  else if (path.brandId) brand = await Brand.findById(path.brandId).select('settings.customDomain customDomainVerification').lean();
+
+  const brandDomain = brand && describeDomain('brand', brand);
+  if (brandDomain) return { owner: 'brand', id: brand._id, hostname: brandDomain.hostname, status: brandDomain.status };
+
+  const organization = type === 'organization'
+    ? doc
+    : await Organization.findById(path.organizationId).select('domain domainVerification').lean();
+  const organizationDomain = organization && describeDomain('organization', organization);
+  if (organizationDomain) return { owner: 'organization', id: organization._id, hostname: organizationDomain.hostname, status: organizationDomain.status };
+
+  return null;
+}
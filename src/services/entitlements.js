@@ -0,0 +1,344 @@
+/**
+ * Entitlements Service
+ * The plan catalog (features and default limits per plan), per-customer
+ * overrides kept on the organization, and the checks that keep feature flags
+ * and multi-brand setups within what the customer pays for.
+ *
+ * The organization is the customer: its plan applies to every level below it.
+ * A business can carry add-on features in `subscription.features`.
+ */
+
+import mongoose from 'mongoose';
+import { ENTITIES, ENTITY_TYPES, Organization, Brand, Business } from '../models/index.js';
+import { ApiError, invalid, notFound } from '../utils/errors.js';
+import { withTransaction } from '../utils/db.js';
+import { isPlainObject, toPlain } from '../utils/objects.js';
+import { entityPath, idOf } from './access.js';
+import { recordAudit } from './audit.js';
+import { DOMAIN_FEATURES, servingDomain } from './domains.js';
+import { accessMode } from './lifecycle.js';
+import { resolveEffectiveSettings } from './settings.js';
+
+export const FEATURES = ['multiBrand', 'whiteLabel', 'customDomain', 'customForms', 'customReports', 'aiInsights', 'integrations'];
+
+// Default limits are per level; null is unlimited
+export const PLANS = {
+  basic: {
+    features: ['customForms'],
+    limits: {
+      organization: { brands: 1, businesses: 5, users: 10, storage: 1024 },
+      brand: { businesses: 10, users: 50, forms: 100 },
+      business: { franchises: 1, forms: 5, submissions: 100, staff: 5, storage: 1024 }
+    }
+  },
+  professional: {
+    features: ['multiBrand', 'customForms', 'customReports', 'integrations'],
+    limits: {
+      organization: { brands: 5, businesses: 25, users: 50, storage: 10240 },
+      brand: { businesses: 25, users: 100, forms: 500 },
+      business: { franchises: 10, forms: 50, submissions: 5000, staff: 25, storage: 10240 }
+    }
+  },
+  enterprise: {
+    features: FEATURES,
+    limits: {
+      organization: { brands: null, businesses: null, users: null, storage: 102400 },
+      brand: { businesses: null, users: null, forms: null },
+      business: { franchises: null, forms: null, submissions: null, staff: null, storage: 102400 }
+    }
+  }
+};
+
+// Where each level keeps its limits
+const LIMIT_PATHS = { organization: 'limits', brand: 'limits', business: 'subscription.limits' };
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+function notEntitled(features, plan) {
+  return new ApiError(402, `The ${plan} plan does not include ${features.join(', ')}`, {
+    code: 'FEATURE_NOT_ENTITLED',
+    features,
+    plan
+  });
+}
+
+/**
+ * Features and limits for an organization's customers, with where each feature
+ * entitlement comes from: the plan, an override on the organization, or an
+ * add-on on `business`.
+ */
+export function entitlementsOf(organization, business = null) {
+  const plan = PLANS[organization.subscription?.plan] ? organization.subscription.plan : 'basic';
+  const catalog = PLANS[plan];
+  const overrides = organization.entitlements ?? {};
+  // A Map on documents, a plain object on lean reads
+  const featureOverrides = overrides.features instanceof Map ? Object.fromEntries(overrides.features) : overrides.features;
+  const addons = business?.subscription?.features ?? [];
+
+  const features = Object.fromEntries(FEATURES.map(feature => {
+    const override = featureOverrides?.[feature];
+    if (override !== undefined && override !== null) return [feature, { entitled: override, source: 'override' }];
+    if (catalog.features.includes(feature)) return [feature, { entitled: true, source: 'plan' }];
+    if (addons.includes(feature)) return [feature, { entitled: true, source: 'addon' }];
+    return [feature, { entitled: false, source: 'plan' }];
+  }));
+
+  const limits = Object.fromEntries(Object.entries(catalog.limits).map(([level, defaults]) => [
+    level,
+    Object.fromEntries(Object.entries(defaults).map(([limit, value]) => {
+      const override = overrides.limits?.[level]?.[limit];
+      return [limit, override === undefined ? value : override];
+    }))
+  ]));
+
+  return { plan, status: organization.subscription?.status, access: accessMode(organization.subscription), features, limits };
+}
+
+/**
+ * Entitlements that apply to `doc`, read from its organization (and business).
+ */
+export async function resolveEntitlements(type, doc) {
+  const path = await entityPath(type, doc);
+
+  const organization = type === 'organization'
+    ? doc
+    : await Organization.findById(path.organizationId).select('subscription entitlements');
+  if (!organization) throw notFound('Organization not found');
+
+  let business = null;
+  if (type === 'business') business = doc;
+  if (type === 'franchise') business = await Business.findById(path.businessId).select('subscription');
+
+  return entitlementsOf(organization, business);
+}
+
+/**
+ * Feature flags switched on in `settings` that the customer is not entitled
+ * to. With `paths`, only flags among the changed paths count, so flags set
+ * before a downgrade do not block unrelated updates.
+ */
+export function refusedFeatures(entitlements, settings, paths = null) {
+  return Object.entries(settings?.features ?? {})
+    .filter(([feature, value]) => value === true && entitlements.features[feature]?.entitled === false)
+    .map(([feature]) => feature)
+    .filter(feature => !paths || paths.includes(`settings.features.${feature}`));
+}
+
+// 402 naming every refused feature
+export function assertFeaturesEntitled(entitlements, settings, paths = null) {
+  const refused = refusedFeatures(entitlements, settings, paths);
+  if (refused.length > 0) throw notEntitled(refused, entitlements.plan);
+}
+
+/**
+ * The plan's limits for `type` as dot paths, plus the plan itself for a business.
+ */
+export function planLimits(type, entitlements) {
+  const path = LIMIT_PATHS[type];
+  if (!path) return {};
+
+  const values = Object.fromEntries(Object.entries(entitlements.limits[type]).map(([limit, value]) => [`${path}.${limit}`, value]));
+  if (type === 'business') values['subscription.plan'] = entitlements.plan;
+  return values;
+}
+
+/**
+ * Fill the limits `doc` did not get explicitly (in `given`, the request body)
+ * from the plan. Businesses also take the organization's plan.
+ */
+export function applyPlanLimits(type, doc, entitlements, given = {}) {
+  for (const [path, value] of Object.entries(planLimits(type, entitlements))) {
+    if (getPath(given, path) === undefined) doc.set(path, value);
+  }
+}
+
+// Errors in a replacement set of overrides: known features to a boolean,
+// known limits to a whole number or null (unlimited)
+function overrideErrors(entitlements) {
+  if (!isPlainObject(entitlements)) {
+    return [{ path: 'entitlements', rule: 'type', message: 'entitlements must be an object' }];
+  }
+
+  const { features = {}, limits = {}, ...rest } = entitlements;
+  const errors = Object.keys(rest).map(key => ({
+    path: `entitlements.${key}`, rule: 'writable', message: 'entitlements takes features and limits'
+  }));
+
+  if (!isPlainObject(features)) {
+    errors.push({ path: 'entitlements.features', rule: 'type', message: 'entitlements.features must be an object' });
+  } else {
+    for (const [feature, value] of Object.entries(features)) {
+      const path = `entitlements.features.${feature}`;
+      if (!FEATURES.includes(feature)) errors.push({ path, rule: 'enum', message: `features must be among ${FEATURES.join(', ')}` });
+      else if (typeof value !== 'boolean') errors.push({ path, rule: 'type', message: `${path} must be true or false` });
+    }
+  }
+
+  if (!isPlainObject(limits)) {
+    errors.push({ path: 'entitlements.limits', rule: 'type', message: 'entitlements.limits must be an object' });
+    return errors;
+  }
+  for (const [level, values] of Object.entries(limits)) {
+    const known = PLANS.basic.limits[level];
+    if (!known || !isPlainObject(values)) {
+      errors.push({ path: `entitlements.limits.${level}`, rule: 'enum', message: `limits are set per level: ${Object.keys(PLANS.basic.limits).join(', ')}` });
+      continue;
+    }
+    for (const [limit, value] of Object.entries(values)) {
+      const path = `entitlements.limits.${level}.${limit}`;
+      if (!(limit in known)) errors.push({ path, rule: 'enum', message: `${level} limits are ${Object.keys(known).join(', ')}` });
+      else if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        errors.push({ path, rule: 'min', message: `${path} must be a whole number or null for unlimited` });
+      }
+    }
+  }
+  return errors;
+}
+
+function parsePlanChange(body = {}) {
+  const { plan, entitlements } = body;
+  const errors = [];
+
+  if (plan === undefined && entitlements === undefined) {
+    errors.push({ path: 'plan', rule: 'required', message: 'Give plan, entitlements or both' });
+  }
+  if (plan !== undefined && !PLANS[plan]) {
+    errors.push({ path: 'plan', rule: 'enum', message: `plan must be one of ${Object.keys(PLANS).join(', ')}` });
+  }
+  if (entitlements !== undefined) errors.push(...overrideErrors(entitlements));
+
+  if (errors.length > 0) throw invalid(errors);
+  return { plan, entitlements };
+}
+
+/**
+ * Change organization `id`'s plan and/or replace its overrides (`entitlements`),
+ * then give the organization, its brands and its businesses the limits that
+ * follow. Flags switched on before a downgrade stay on; see refusedFeatures.
+ */
+export async function changePlan(id, body, { actor = null } = {}) {
+  const change = parsePlanChange(body);
+
+  return withTransaction(async session => {
+    const before = await Organization.findById(id).session(session);
+    if (!before) throw notFound('Organization not found');
+    if (before.deletedAt) throw new ApiError(409, 'Organization is archived; restore it first');
+
+    const { subscription } = toPlain(before);
+    const plan = change.plan ?? subscription.plan;
+    const entitlements = entitlementsOf({
+      subscription: { ...subscription, plan },
+      entitlements: change.entitlements ?? before.entitlements
+    });
+
+    // Conditional on the version read above, so racing changes cannot both apply
+    const after = await Organization.findOneAndUpdate(
+      { _id: before._id, __v: before.__v, deletedAt: null },
+      {
+        $set: {
+          'subscription.plan': plan,
+          ...(change.entitlements && { entitlements: change.entitlements }),
+          ...planLimits('organization', entitlements)
+        },
+        $inc: { __v: 1 }
+      },
+      { new: true, session }
+    );
+    if (!after) throw new ApiError(409, 'Organization changed concurrently; retry', { code: 'CONFLICT' });
+
+    const brands = await Brand.updateMany(
+      { organizationId: before._id },
+      { $set: planLimits('brand', entitlements), $inc: { __v: 1 } },
+      { session }
+    );
+    const businesses = await Business.updateMany(
+      { organizationId: before._id },
+      { $set: planLimits('business', entitlements), $inc: { __v: 1 } },
+      { session }
+    );
+
+    await recordAudit({
+      entityType: 'organization',
+      entity: after,
+      action: 'update',
+      actor,
+      before,
+      after,
+      metadata: { brandsUpdated: brands.modifiedCount, businessesUpdated: businesses.modifiedCount },
+      eventType: 'subscription.plan_changed'
+    }, { session });
+
+    return after;
+  });
+}
+
+/**
+ * An organization can only have more than one live brand with multiBrand.
+ * `adding` is the number of brands about to join it.
+ */
+export async function assertMultiBrand(organizationId, adding = 1, { session = null } = {}) {
+  const organization = await Organization.findById(idOf(organizationId))
+    .select('subscription entitlements')
+    .session(session);
+  if (!organization) throw notFound('Organization not found');
+
+  const { features, plan } = entitlementsOf(organization);
+  if (features.multiBrand.entitled) return;
+
+  const live = await Brand.countDocuments({ organizationId: organization._id, deletedAt: null }).session(session);
+  if (live + adding > 1) throw notEntitled(['multiBrand'], plan);
+}
+
+/**
+ * The entity named by `entityId`, looked up at every level unless `entityType` is given.
+ */
+export async function findEntitlementSubject({ entityId, entityType }) {
+  if (!entityId) {
+    throw invalid([{ path: 'entityId', rule: 'required', message: 'entityId is required' }]);
+  }
+  if (!mongoose.isValidObjectId(entityId)) {
+    throw invalid([{ path: 'entityId', rule: 'cast', message: 'entityId must be a valid ObjectId' }]);
+  }
+  if (entityType !== undefined && !ENTITIES[entityType]) {
+    throw invalid([{ path: 'entityType', rule: 'enum', message: `entityType must be one of ${ENTITY_TYPES.join(', ')}` }]);
+  }
+
+  for (const type of entityType ? [entityType] : ENTITY_TYPES) {
+    const doc = await ENTITIES[type].model.findById(entityId);
+    if (doc) return { type, doc };
+  }
+  throw notFound(entityType ? `${ENTITIES[entityType].label} not found` : 'Entity not found');
+}
+
+/**
+ * Whether `doc` can use each feature: entitled by the plan, switched on in its
+ * effective settings where a level of the hierarchy sets the flag, and not
+ * restricted by a suspended or cancelled subscription. White-label and custom
+ * domain features also need the domain `doc` is served on to be verified.
+ */
+export async function describeEntitlements(type, doc, feature = null) {
+  if (feature && !FEATURES.includes(feature)) {
+    throw invalid([{ path: 'feature', rule: 'enum', message: `feature must be one of ${FEATURES.join(', ')}` }]);
+  }
+
+  const entitlements = await resolveEntitlements(type, doc);
+  const { settings } = await resolveEffectiveSettings(type, doc);
+  const domain = await servingDomain(type, doc);
+  const domainVerified = domain?.status === 'verified';
+
+  const features = Object.fromEntries(Object.entries(entitlements.features).map(([name, { entitled, source }]) => {
+    const flag = settings.features?.[name];
+    const enabled = flag === undefined ? entitled : flag === true;
+    const allowed = entitled && enabled && entitlements.access === 'full';
+    return [name, DOMAIN_FEATURES.includes(name)
+      ? { allowed: allowed && domainVerified, entitled, enabled, domainVerified, source }
+      : { allowed, entitled, enabled, source }];
+  }));
+
+  const { plan, status, access } = entitlements;
+  const subject = { entityType: type, entityId: doc._id, plan, status, access, domain };
+
+  return feature
+    ? { ...subject, feature, ...features[feature] }
+    : { ...subject, features, limits: entitlements.limits };
+}
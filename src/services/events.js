@@ -0,0 +1,115 @@
+/**
+ * Domain Events
+ * Every write records what happened as an outbox event in the transaction that
+ * makes the change, next to its audit entry. The webhook dispatcher delivers
+ * committed events to other services and publishes them to listeners here.
+ * Listeners that must not wait for the dispatcher, such as caches, listen to
+ * `committedEvents`: this instance's own events, as soon as their write commits.
+ */
+
+import { EventEmitter } from 'node:events';
+import OutboxEvent from '../models/OutboxEvent.js';
+import { afterCommit } from '../utils/db.js';
+import { toPlain } from '../utils/objects.js';
+
+export const domainEvents = new EventEmitter();
+export const committedEvents = new EventEmitter();
+
+// Audit action → the past tense used in event types
+export const EVENT_ACTIONS = {
+  create: 'created',
+  update: 'updated',
+  archive: 'archived',
+  restore: 'restored',
+  move: 'moved',
+  merge: 'merged',
+  purge: 'purged',
+  transition: 'transitioned',
+  verify: 'verified'
+};
+
+export const eventType = (entityType, action) => `${entityType}.${EVENT_ACTIONS[action] ?? action}`;
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Outbox events for audit-style entries. `eventType` overrides the type and
+ * `entity` adds a snapshot. Entries for one change recorded under several
+ * organizations (a transfer) become one event visible to each of them.
+ */
+export function eventsFor(entries) {
+  const events = new Map();
+
+  for (const entry of entries) {
+    const type = entry.eventType ?? eventType(entry.entityType, entry.action);
+    const key = `${type}:${entry.entityId}`;
+
+    const existing = events.get(key);
+    if (existing) {
+      if (entry.organizationId && !existing.organizationIds.some(id => sameId(id, entry.organizationId))) {
+        existing.organizationIds.push(entry.organizationId);
+      }
+      continue;
+    }
+
+    events.set(key, {
+      type,
+      organizationIds: entry.organizationId ? [entry.organizationId] : [],
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      action: entry.action,
+      actor: entry.actor,
+      payload: {
+        changes: entry.changes ?? [],
+        ...(entry.metadata && { metadata: entry.metadata }),
+        ...(entry.entity && { entity: toPlain(entry.entity) })
+      }
+    });
+  }
+
+  return [...events.values()];
+}
+
+/**
+ * Write the events for `entries` to the outbox, inside `session` when given.
+ */
+export async function enqueueEvents(entries, { session = null } = {}) {
+  const events = eventsFor(entries);
+  if (events.length === 0) return [];
+
+  const stored = await OutboxEvent.insertMany(events, { session });
+  afterCommit(session, () => stored.forEach(event => emit(committedEvents, eventBody(event))));
+  return stored;
+}
+
+/**
+ * The JSON form of a stored event, as webhooks receive it.
+ */
+export function eventBody(event) {
+  const { _id, type, occurredAt, organizationIds, entityType, entityId, action, actor, payload } = toPlain(event);
+  return {
+    id: String(_id),
+    type,
+    occurredAt,
+    organizationId: organizationIds[0] ?? null,
+    organizationIds,
+    entityType,
+    entityId,
+    action,
+    actor: actor ?? null,
+    ...payload
+  };
+}
+
+function emit(emitter, body) {
+  emitter.emit(body.type, body);
+  emitter.emit('*', body);
+  return body;
+}
+
+/**
+ * Publish a committed event to listeners of its type and of `*`.
+ */
+export function publishEvent(event) {
+  return emit(domainEvents, eventBody(event));
+}
@@ -0,0 +1,159 @@
+/**
+ * Export Service
+ * Streams an organization's brands, businesses or franchises as flat rows in
+ * CSV, NDJSON or JSON.
+ *
+ * Nested fields become dot-path columns (address.city, settings.operatingHours.monday.open)
+ * and arrays are JSON encoded in CSV cells, which is what the import expects, so an
+ * exported CSV can be edited and imported back.
+ */
+
+import mongoose from 'mongoose';
+import { ENTITIES, Brand, Business } from '../models/index.js';
+import { invalid } from '../utils/errors.js';
+import { formatCsvRow } from '../utils/csv.js';
+import { toMongoSort } from '../utils/pagination.js';
+import { openAtFilter, parseInstant } from './hours.js';
+import { WRITABLE_FIELDS } from './patch.js';
+import { buildListQuery } from './query.js';
+
+// `entity` value → entity type
+export const EXPORT_ENTITIES = { brands: 'brand', businesses: 'business', franchises: 'franchise' };
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  json: { contentType: 'application/json', extension: 'json' }
+};
+
+// Where each row sits in the hierarchy, ahead of the entity's own fields
+const PARENT_COLUMNS = {
+  brand: [],
+  business: ['brandId', 'brand'],
+  franchise: ['businessId', 'businessExternalId', 'business', 'brand']
+};
+
+const TRAILING_COLUMNS = ['createdAt', 'updatedAt', 'deletedAt'];
+
+/**
+ * Column names for `type`, in schema order: id, parent columns, every leaf of
+ * the writable fields, then timestamps.
+ */
+export function exportColumns(type) {
+  const fields = [];
+  ENTITIES[type].model.schema.eachPath(path => {
+    if (WRITABLE_FIELDS[type].includes(path.split('.')[0])) fields.push(path);
+  });
+
+  return ['id', ...PARENT_COLUMNS[type], ...fields, ...TRAILING_COLUMNS];
+}
+
+/**
+ * Read entity, format and the list filters for `type` from the query string.
+ */
+export function parseExportRequest(query) {
+  const type = EXPORT_ENTITIES[query.entity];
+  if (!type) {
+    throw invalid([{ path: 'entity', rule: 'enum', message: `entity must be one of ${Object.keys(EXPORT_ENTITIES).join(', ')}` }]);
+  }
+
+  const format = query.format ?? 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    throw invalid([{ path: 'format', rule: 'enum', message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` }]);
+  }
+
+  const { filter, sort } = buildListQuery(type, query, { sort: [['name', 1]] });
+
+  return {
+    type,
+    format,
+    filter,
+    sort: [...sort, ['_id', 1]],
+    openAt: type === 'franchise' && query.openAt !== undefined ? parseInstant(query, 'openAt') : null
+  };
+}
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// ObjectIds (also inside arrays and subdocuments) become strings
+function plainValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+}
+
+async function loadParents(type, organizationId) {
+  if (type === 'brand') return null;
+
+  const brands = await Brand.find({ organizationId }).select('name').lean();
+  const businesses = type === 'franchise'
+    ? await Business.find({ organizationId }).select('name externalId brandId').lean()
+    : [];
+
+  return {
+    brands: new Map(brands.map(brand => [String(brand._id), brand])),
+    businesses: new Map(businesses.map(business => [String(business._id), business]))
+  };
+}
+
+function parentValues(type, doc, parents) {
+  if (type === 'business') {
+    return { brandId: doc.brandId, brand: parents.brands.get(String(doc.brandId))?.name };
+  }
+  if (type === 'franchise') {
+    const business = parents.businesses.get(String(doc.businessId));
+    return {
+      businessId: doc.businessId,
+      businessExternalId: business?.externalId,
+      business: business?.name,
+      brand: parents.brands.get(String(business?.brandId))?.name
+    };
+  }
+  return {};
+}
+
+/**
+ * Write every matching row through `write`, formatted as `options.format`.
+ */
+export async function streamExport(organizationId, options, write) {
+  const { type, format, filter, sort, openAt } = options;
+  const { model } = ENTITIES[type];
+  const columns = exportColumns(type);
+  const parents = await loadParents(type, organizationId);
+
+  const scope = type === 'franchise'
+    ? { businessId: { $in: [...parents.businesses.keys()] } }
+    : { organizationId };
+
+  const isOpen = openAt && openAtFilter(openAt);
+
+  const cursor = model.find({ $and: [filter, scope] })
+    .sort(toMongoSort(sort))
+    .lean()
+    .cursor();
+
+  // Spreadsheet apps need the BOM to read the file as UTF-8
+  if (format === 'csv') await write(`\uFEFF${formatCsvRow(columns)}`);
+  if (format === 'json') await write('[');
+
+  let first = true;
+  for await (const doc of cursor) {
+    if (isOpen && !(await isOpen(model.hydrate(doc)))) continue;
+
+    const values = { id: doc._id, ...parentValues(type, doc, parents) };
+    const row = columns.map(column => plainValue(column in values ? values[column] : getPath(doc, column)));
+
+    if (format === 'csv') {
+      await write(formatCsvRow(row));
+    } else {
+      const object = Object.fromEntries(columns.map((column, i) => [column, row[i]]).filter(([, value]) => value !== null));
+      const line = JSON.stringify(object);
+      await write(format === 'json' ? `${first ? '' : ','}${line}` : `${line}\n`);
+    }
+    first = false;
+  }
+
+  if (format === 'json') await write(']');
+}
@@ -0,0 +1,132 @@
+/**
+ * Geo Service
+ * Nearby and within queries over franchise locations (2dsphere on address.coordinates)
+ */
+
+import mongoose from 'mongoose';
+import { Business, Franchise } from '../models/index.js';
+import { invalid } from '../utils/errors.js';
+import { bboxToPolygon, parsePolygon, isValidPosition } from '../utils/geo.js';
+import { paginate } from '../utils/pagination.js';
+import { openAtFilter, parseInstant } from './hours.js';
+import { subscriptionScope } from './lifecycle.js';
+
+export const DEFAULT_RADIUS_METERS = 5000;
+export const MAX_RADIUS_METERS = 100000;
+
+// Upper bound on locations considered when results are filtered after the geo stage
+const MAX_CANDIDATES = 1000;
+
+function parseNumber(query, name, { fallback, min, max }) {
+  if (query[name] === undefined || query[name] === '') {
+    if (fallback !== undefined) return fallback;
+    throw invalid([{ path: name, rule: 'required', message: `${name} is required` }]);
+  }
+
+  const value = Number(query[name]);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw invalid([{ path: name, rule: 'range', message: `${name} must be a number between ${min} and ${max}` }]);
+  }
+  return value;
+}
+
+function assertObjectId(name, value) {
+  if (!mongoose.isValidObjectId(value)) {
+    throw invalid([{ path: name, rule: 'cast', message: `${name} must be a valid ObjectId` }]);
+  }
+}
+
+/**
+ * Narrow franchises to one business, or to the businesses of a brand or organization.
+ */
+export async function franchiseParentFilter({ businessId, brandId, organizationId }) {
+  if (businessId) {
+    assertObjectId('businessId', businessId);
+    return { businessId: new mongoose.Types.ObjectId(String(businessId)) };
+  }
+
+  const parent = brandId ? ['brandId', brandId] : organizationId ? ['organizationId', organizationId] : null;
+  if (!parent) return {};
+
+  assertObjectId(...parent);
+  const businessIds = await Business.find({ [parent[0]]: parent[1], deletedAt: null }).distinct('_id');
+  return { businessId: { $in: businessIds } };
+}
+
+/**
+ * Franchises within `radius` meters of lng/lat, nearest first, each with its
+ * `distance` in meters. `openNow` keeps only locations open at `at` (default now);
+ * `openAt` does the same for a given instant.
+ */
+export async function findNearbyFranchises(user, query) {
+  const lng = parseNumber(query, 'lng', { min: -180, max: 180 });
+  const lat = parseNumber(query, 'lat', { min: -90, max: 90 });
+  const radius = parseNumber(query, 'radius', { fallback: DEFAULT_RADIUS_METERS, min: 1, max: MAX_RADIUS_METERS });
+  const limit = parseNumber(query, 'limit', { fallback: 20, min: 1, max: 100 });
+  const openNow = query.openNow === 'true' || query.openAt !== undefined;
+  const at = parseInstant(query, query.openAt !== undefined ? 'openAt' : 'at');
+
+  if (!isValidPosition([lng, lat])) {
+    throw invalid([{ path: 'lng', rule: 'range', message: 'lng/lat are out of range' }]);
+  }
+
+  // Aggregation stages are not cast by Mongoose, so cast the filter up front
+  const filter = Franchise.find().cast(Franchise, {
+    $and: [
+      { isActive: true, deletedAt: null },
+      await franchiseParentFilter(query),
+      await subscriptionScope(user, 'franchise')
+    ]
+  });
+
+  const candidates = await Franchise.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        key: 'address.coordinates',
+        distanceField: 'distance',
+        maxDistance: radius,
+        spherical: true,
+        query: filter
+      }
+    },
+    { $limit: openNow ? MAX_CANDIDATES : limit }
+  ]);
+
+  let results = candidates;
+  if (openNow) {
+    const isOpen = openAtFilter(at);
+    results = [];
+    for (const raw of candidates) {
+      if (results.length === limit) break;
+      if (await isOpen(Franchise.hydrate(raw))) results.push(raw);
+    }
+  }
+
+  return { center: [lng, lat], radius, results };
+}
+
+/**
+ * One page of franchises inside a bounding box or GeoJSON polygon, optionally
+ * only those open at `openAt`.
+ */
+export async function findFranchisesWithin(user, query, page) {
+  if (!query.bbox === !query.polygon) {
+    throw invalid([{ path: 'bbox', rule: 'required', message: 'Provide exactly one of bbox or polygon' }]);
+  }
+
+  const geometry = query.bbox ? bboxToPolygon(query.bbox) : parsePolygon(query.polygon);
+  const filter = {
+    $and: [
+      { 'address.coordinates': { $geoWithin: { $geometry: geometry } } },
+      { deletedAt: null, ...(query.isActive !== undefined && { isActive: query.isActive === 'true' }) },
+      await franchiseParentFilter(query),
+      await subscriptionScope(user, 'franchise')
+    ]
+  };
+
+  const openAt = query.openAt !== undefined ? parseInstant(query, 'openAt') : null;
+  return paginate(Franchise, filter, page, undefined, {
+    keep: openAt && openAtFilter(openAt)
+  });
+}
@@ -0,0 +1,204 @@
+/**
+ * Hierarchy Service
+ * Nested org → brands → businesses → franchises trees, rooted at an organization,
+ * brand or business.
+ *
+ * Trees are written to a stream node by node from database cursors, so large
+ * organizations are never held in memory. Businesses without a brand sit in the
+ * organization's `unbranded` bucket.
+ */
+
+import { ENTITIES, Brand, Business, Franchise } from '../models/index.js';
+import { invalid } from '../utils/errors.js';
+import { writeJsonArray } from '../utils/stream.js';
+
+// Child collection of each node type, and how far below each root the tree can go
+const CHILDREN = {
+  organization: { type: 'brand', key: 'brands', foreignKey: 'organizationId' },
+  brand: { type: 'business', key: 'businesses', foreignKey: 'brandId' },
+  business: { type: 'franchise', key: 'franchises', foreignKey: 'businessId' }
+};
+
+export const MAX_DEPTH = { organization: 3, brand: 2, business: 1 };
+
+// Projection used when `fields` is not given
+const DEFAULT_FIELDS = {
+  organization: ['name', 'domain', 'isActive', 'subscription.plan', 'subscription.status'],
+  brand: ['name', 'logo', 'isActive'],
+  business: ['name', 'industry', 'businessType', 'isActive'],
+  franchise: ['name', 'address.city', 'address.country', 'isActive']
+};
+
+function parseBoolean(query, name) {
+  const value = query[name];
+  if (value === undefined) return false;
+  if (value !== 'true' && value !== 'false') {
+    throw invalid([{ path: name, rule: 'boolean', message: `${name} must be true or false` }]);
+  }
+  return value === 'true';
+}
+
+const hasField = (type, field) => {
+  const { schema } = ENTITIES[type].model;
+  return Boolean(schema.path(field)) || schema.pathType(field) === 'nested';
+};
+
+const splitFields = raw => String(raw).split(',').map(field => field.trim()).filter(Boolean);
+
+// `fields=a,b` applies to every level that has those fields; `fields[brand]=a,b` to one
+function parseFields(query) {
+  const { fields } = query;
+  const errors = [];
+  const projection = {};
+
+  if (typeof fields === 'string') {
+    const requested = splitFields(fields);
+    for (const field of requested) {
+      if (!Object.keys(DEFAULT_FIELDS).some(type => hasField(type, field))) {
+        errors.push({ path: 'fields', rule: 'field', message: `${field} is not a field of any level` });
+      }
+    }
+    for (const type of Object.keys(DEFAULT_FIELDS)) {
+      projection[type] = requested.filter(field => hasField(type, field));
+    }
+  } else {
+    for (const type of Object.keys(DEFAULT_FIELDS)) {
+      if (fields?.[type] === undefined) {
+        projection[type] = DEFAULT_FIELDS[type];
+        continue;
+      }
+
+      projection[type] = splitFields(fields[type]);
+      for (const field of projection[type]) {
+        if (!hasField(type, field)) {
+          errors.push({ path: `fields.${type}`, rule: 'field', message: `${field} is not a ${type} field` });
+        }
+      }
+    }
+  }
+
+  if (errors.length > 0) throw invalid(errors);
+  return projection;
+}
+
+/**
+ * Read depth, includeInactive, includeArchived, fields and counts for a tree
+ * rooted at `rootType`.
+ */
+export function parseHierarchyOptions(rootType, query) {
+  const maxDepth = MAX_DEPTH[rootType];
+  let depth = maxDepth;
+
+  if (query.depth !== undefined) {
+    depth = Number(query.depth);
+    if (!Number.isInteger(depth) || depth < 0 || depth > maxDepth) {
+      throw invalid([{ path: 'depth', rule: 'range', message: `depth must be an integer between 0 and ${maxDepth}` }]);
+    }
+  }
+
+  const includeInactive = parseBoolean(query, 'includeInactive');
+  const includeArchived = parseBoolean(query, 'includeArchived');
+
+  return {
+    depth,
+    counts: parseBoolean(query, 'counts'),
+    fields: parseFields(query),
+    filter: {
+      ...(!includeInactive && { isActive: true }),
+      ...(!includeArchived && { deletedAt: null })
+    }
+  };
+}
+
+const select = fields => ['name', ...fields].join(' ');
+
+// Per-node descendant counts for everything under the root that the filter keeps.
+// Only ids are loaded, so this stays small next to the tree itself.
+async function loadCounts(rootType, root, filter) {
+  let businessFilter = { _id: root._id };
+  let brandIds = [];
+
+  if (rootType === 'organization') {
+    // Businesses under a hidden brand are hidden with it
+    brandIds = await Brand.find({ organizationId: root._id, ...filter }).distinct('_id');
+    businessFilter = { organizationId: root._id, brandId: { $in: [null, ...brandIds] }, ...filter };
+  } else if (rootType === 'brand') {
+    businessFilter = { brandId: root._id, ...filter };
+  }
+
+  const businesses = await Business.find(businessFilter).select('brandId').lean();
+  const perBusiness = new Map((await Franchise.aggregate([
+    { $match: { businessId: { $in: businesses.map(b => b._id) }, ...filter } },
+    { $group: { _id: '$businessId', count: { $sum: 1 } } }
+  ])).map(({ _id, count }) => [String(_id), count]));
+
+  const perBrand = new Map();
+  const unbranded = { businesses: 0, franchises: 0 };
+  for (const business of businesses) {
+    const key = business.brandId ? String(business.brandId) : null;
+    const totals = key ? perBrand.get(key) || { businesses: 0, franchises: 0 } : unbranded;
+    totals.businesses += 1;
+    totals.franchises += perBusiness.get(String(business._id)) || 0;
+    if (key) perBrand.set(key, totals);
+  }
+
+  const franchises = [...perBusiness.values()].reduce((total, count) => total + count, 0);
+
+  return {
+    organization: () => ({ brands: brandIds.length, businesses: businesses.length, franchises }),
+    brand: id => perBrand.get(String(id)) || { businesses: 0, franchises: 0 },
+    business: id => ({ franchises: perBusiness.get(String(id)) || 0 }),
+    unbranded: () => unbranded
+  };
+}
+
+/**
+ * Write the tree under `root` (a document of `rootType`) as JSON through `write`.
+ */
+export async function streamHierarchy(rootType, root, options, write) {
+  const counts = options.counts ? await loadCounts(rootType, root, options.filter) : null;
+
+  const children = (type, query) => ENTITIES[type].model.find({ ...query, ...options.filter })
+    .select(select(options.fields[type]))
+    .sort({ name: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  async function writeNode(type, doc, level) {
+    const { _id, __v, ...fields } = doc;
+    const head = { id: _id, type, ...fields };
+    if (counts?.[type]) head.counts = counts[type](_id);
+
+    const child = CHILDREN[type];
+    if (!child || level >= options.depth) {
+      await write(JSON.stringify(head));
+      return;
+    }
+
+    // Open the object, then append the child array(s) before closing it
+    await write(JSON.stringify(head).slice(0, -1));
+    await write(`,${JSON.stringify(child.key)}:`);
+    await writeJsonArray(write, children(child.type, { [child.foreignKey]: _id }), item => writeNode(child.type, item, level + 1));
+
+    if (type === 'organization') {
+      await write(',"unbranded":{');
+      if (counts) await write(`"counts":${JSON.stringify(counts.unbranded())}`);
+      if (level + 1 < options.depth) {
+        await write(`${counts ? ',' : ''}"businesses":`);
+        await writeJsonArray(
+          write,
+          children('business', { organizationId: _id, brandId: null }),
+          item => writeNode('business', item, level + 2)
+        );
+      }
+      await write('}');
+    }
+
+    await write('}');
+  }
+
+  const rootDoc = await ENTITIES[rootType].model.findById(root._id)
+    .select(select(options.fields[rootType]))
+    .lean();
+  await writeNode(rootType, rootDoc, 0);
+}
@@ -0,0 +1,80 @@
+/**
+ * Hours Service
+ * Open/closed status and expanded schedules for franchises, in each
+ * franchise's effective timezone
+ */
+
+import { invalid } from '../utils/errors.js';
+import {
+  DATE_PATTERN,
+  addDays,
+  expandSchedule,
+  getStatus,
+  hoursFromSettings,
+  localParts
+} from '../utils/hours.js';
+import { franchiseTimezones } from './settings.js';
+
+// Longest range GET /hours will expand
+export const MAX_SCHEDULE_DAYS = 92;
+const DEFAULT_SCHEDULE_DAYS = 7;
+
+/**
+ * An instant from a query parameter; `now` or missing means the current time.
+ */
+export function parseInstant(query, name) {
+  const raw = query[name];
+  if (raw === undefined || raw === '' || raw === 'now') return new Date();
+
+  const at = new Date(raw);
+  if (Number.isNaN(at.getTime())) {
+    throw invalid([{ path: name, rule: 'date', message: `${name} must be an ISO date or "now"` }]);
+  }
+  return at;
+}
+
+function parseLocalDate(query, name, fallback) {
+  const raw = query[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  if (!DATE_PATTERN.test(raw) || Number.isNaN(new Date(`${raw}T00:00:00Z`).getTime())) {
+    throw invalid([{ path: name, rule: 'date', message: `${name} must be a date in YYYY-MM-DD format` }]);
+  }
+  return raw;
+}
+
+// The franchise's own timezone, or the one it inherits
+const timezoneOf = franchise => franchiseTimezones()(franchise);
+
+export async function franchiseStatus(franchise, at = new Date()) {
+  return { at, ...getStatus(hoursFromSettings(franchise.settings, await timezoneOf(franchise)), at) };
+}
+
+/**
+ * Predicate for franchises open at `at`, for filters that run per document.
+ */
+export function openAtFilter(at) {
+  const timezones = franchiseTimezones();
+  return async franchise => franchise.isOpen(at, await timezones(franchise));
+}
+
+/**
+ * The franchise's hours for each local date from `from` to `to` inclusive.
+ * Defaults to the week starting today in the franchise's timezone.
+ */
+export async function franchiseSchedule(franchise, query = {}) {
+  const hours = hoursFromSettings(franchise.settings, await timezoneOf(franchise));
+  const today = localParts(new Date(), hours.timezone).date;
+
+  const from = parseLocalDate(query, 'from', today);
+  const to = parseLocalDate(query, 'to', addDays(from, DEFAULT_SCHEDULE_DAYS - 1));
+
+  if (to < from) {
+    throw invalid([{ path: 'to', rule: 'range', message: 'to must not be before from' }]);
+  }
+  if (to > addDays(from, MAX_SCHEDULE_DAYS - 1)) {
+    throw invalid([{ path: 'to', rule: 'range', message: `A schedule covers at most ${MAX_SCHEDULE_DAYS} days` }]);
+  }
+
+  return { timezone: hours.timezone, from, to, days: expandSchedule(hours, from, to) };
+}
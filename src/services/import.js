@@ -0,0 +1,656 @@
+/**
+ * Import Service
+ * Bulk upserts of businesses or franchises from CSV, NDJSON or JSON rows.
+ *
+ * A request becomes an ImportJob that runs in this process and is polled for
+ * progress. Rows are matched on a key (externalId by default), so running the same
+ * import twice updates rather than duplicates. `all_or_nothing` validates every row
+ * and then writes them all in one transaction, so it takes at most
+ * MAX_ATOMIC_IMPORT_ROWS; `best_effort` writes each valid row on its own and
+ * reports the others.
+ */
+
+import mongoose from 'mongoose';
+import ImportJob from '../models/ImportJob.js';
+import { ENTITIES, Organization, Brand, Business } from '../models/index.js';
+import { invalid, notFound, toApiError, validationErrors } from '../utils/errors.js';
+import { parseCsv, unescapeFormula } from '../utils/csv.js';
+import { withTransaction } from '../utils/db.js';
+import { flatten, isPlainObject, toPlain, unflatten } from '../utils/objects.js';
+import { recordAudit } from './audit.js';
+import { applyPlanLimits, entitlementsOf, refusedFeatures } from './entitlements.js';
+import { reservationsFor, withReservations } from './limits.js';
+import { WRITABLE_FIELDS } from './patch.js';
+import { inheritedLocks, lockedErrors } from './settings.js';
+import { syncSlug } from './slugs.js';
+
+export const CSV = 'text/csv';
+export const NDJSON = 'application/x-ndjson';
+
+// `entity` value → entity type
+export const IMPORT_ENTITIES = { businesses: 'business', franchises: 'franchise' };
+export const IMPORT_MODES = ['all_or_nothing', 'best_effort'];
+export const IMPORT_KEYS = ['externalId', 'id'];
+export const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS || '10000', 10);
+// One transaction has to stay well inside MongoDB's transaction time and size limits
+export const MAX_ATOMIC_IMPORT_ROWS = parseInt(process.env.MAX_ATOMIC_IMPORT_ROWS || '500', 10);
+
+const MAX_REPORTED_ERRORS = 1000;
+const PROGRESS_EVERY = 50;
+
+// A running job touches its record this often; one left untouched for
+// STALE_IMPORT_MS died with the process that ran it
+const HEARTBEAT_MS = 30 * 1000;
+export const STALE_IMPORT_MS = 5 * 60 * 1000;
+
+// Columns that name the parent (by id, name or external id) rather than a field
+export const PARENT_COLUMNS = {
+  business: ['brandId', 'brand'],
+  franchise: ['businessId', 'business', 'businessExternalId']
+};
+
+const PARENT_FIELD = { business: 'brandId', franchise: 'businessId' };
+
+// Thrown while preparing a row; becomes that row's error list
+class RowError extends Error {
+  constructor(errors) {
+    super('Row is invalid');
+    this.errors = errors;
+  }
+}
+
+// Paths under a Mixed field are free-form, anything else must be in the schema
+function fieldExists(schema, path) {
+  if (schema.path(path) || schema.pathType(path) === 'nested') return true;
+
+  const parts = path.split('.');
+  return parts.some((_, i) => i > 0 && schema.path(parts.slice(0, i).join('.'))?.instance === 'Mixed');
+}
+
+function isImportable(type, path) {
+  if (IMPORT_KEYS.includes(path) || PARENT_COLUMNS[type].includes(path)) return true;
+  return WRITABLE_FIELDS[type].includes(path.split('.')[0]) && fieldExists(ENTITIES[type].model.schema, path);
+}
+
+const parseBoolean = (value, name) => {
+  if (value === undefined || typeof value === 'boolean') return Boolean(value);
+  if (value !== 'true' && value !== 'false') {
+    throw invalid([{ path: name, rule: 'boolean', message: `${name} must be true or false` }]);
+  }
+  return value === 'true';
+};
+
+// =============================================================================
+// READING ROWS
+// =============================================================================
+
+function readCsv(text) {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    throw invalid([{ path: 'data', rule: 'csv', message: error.message }]);
+  }
+
+  const [header = [], ...body] = rows;
+  const columns = header.map(column => column.trim());
+  const duplicate = columns.find((column, i) => columns.indexOf(column) !== i);
+  if (duplicate !== undefined) {
+    throw invalid([{ path: 'data', rule: 'csv', message: `Column "${duplicate}" appears more than once` }]);
+  }
+
+  return {
+    columns,
+    // Exports quote formula-like text for spreadsheets; the values are without the quote
+    records: body.map(cells => Object.fromEntries(columns.map((column, i) => [column, unescapeFormula(cells[i] ?? '')]))),
+    cells: true
+  };
+}
+
+function readObjects(objects) {
+  const records = objects.map(object => flatten(object));
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return { columns, records, cells: false };
+}
+
+function readNdjson(text) {
+  const objects = [];
+
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '') return;
+
+    let object;
+    try {
+      object = JSON.parse(line);
+    } catch {
+      throw invalid([{ path: `line ${i + 1}`, rule: 'json', message: `Line ${i + 1} is not valid JSON` }]);
+    }
+    if (!isPlainObject(object)) {
+      throw invalid([{ path: `line ${i + 1}`, rule: 'json', message: `Line ${i + 1} is not a JSON object` }]);
+    }
+    objects.push(object);
+  });
+
+  return readObjects(objects);
+}
+
+function readRecords(format, data) {
+  if (format === 'json') {
+    if (!Array.isArray(data) || !data.every(isPlainObject)) {
+      throw invalid([{ path: 'rows', rule: 'type', message: 'rows must be an array of objects' }]);
+    }
+    return readObjects(data);
+  }
+
+  if (typeof data !== 'string') {
+    throw invalid([{ path: 'data', rule: 'type', message: `data must be ${format.toUpperCase()} text` }]);
+  }
+  return format === 'csv' ? readCsv(data) : readNdjson(data);
+}
+
+/**
+ * Column → field path. An explicit mapping may name any importable field (null
+ * skips a column); without one, columns named after importable fields are used.
+ */
+function resolveMapping(type, columns, mapping) {
+  const errors = [];
+  let resolved;
+
+  if (mapping) {
+    resolved = {};
+    for (const [column, path] of Object.entries(mapping)) {
+      if (path === null) continue;
+      if (!columns.includes(column)) {
+        errors.push({ path: `mapping.${column}`, rule: 'column', message: `Column "${column}" is not in the data` });
+      } else if (typeof path !== 'string' || !isImportable(type, path)) {
+        errors.push({ path: `mapping.${column}`, rule: 'field', message: `${path} is not an importable ${type} field` });
+      } else {
+        resolved[column] = path;
+      }
+    }
+  } else {
+    resolved = Object.fromEntries(columns.filter(column => isImportable(type, column)).map(column => [column, column]));
+  }
+
+  if (errors.length > 0) throw invalid(errors);
+  return { mapping: resolved, ignoredColumns: columns.filter(column => !(column in resolved)) };
+}
+
+function parseMapping(value) {
+  if (value === undefined) return undefined;
+  if (isPlainObject(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (isPlainObject(parsed)) return parsed;
+  } catch {
+    // Reported below
+  }
+  throw invalid([{ path: 'mapping', rule: 'type', message: 'mapping must be an object of column → field' }]);
+}
+
+/**
+ * Read an import request: options from the JSON body (data as CSV/NDJSON text, or
+ * rows as objects), or, for a raw text/csv or application/x-ndjson body, from the
+ * query string.
+ */
+export function parseImportRequest(body, query, contentType = '') {
+  const raw = typeof body === 'string';
+  const options = raw ? query : { ...query, ...body };
+
+  const type = IMPORT_ENTITIES[options.entity];
+  if (!type) {
+    throw invalid([{ path: 'entity', rule: 'enum', message: `entity must be one of ${Object.keys(IMPORT_ENTITIES).join(', ')}` }]);
+  }
+
+  let format = options.format;
+  if (raw) format = contentType.includes(CSV) ? 'csv' : 'ndjson';
+  else if (!format && Array.isArray(body.rows)) format = 'json';
+  if (!['csv', 'ndjson', 'json'].includes(format)) {
+    throw invalid([{ path: 'format', rule: 'enum', message: 'format must be one of csv, ndjson, json' }]);
+  }
+
+  const mode = options.mode ?? 'all_or_nothing';
+  if (!IMPORT_MODES.includes(mode)) {
+    throw invalid([{ path: 'mode', rule: 'enum', message: `mode must be one of ${IMPORT_MODES.join(', ')}` }]);
+  }
+
+  const key = options.key ?? 'externalId';
+  if (!IMPORT_KEYS.includes(key)) {
+    throw invalid([{ path: 'key', rule: 'enum', message: `key must be one of ${IMPORT_KEYS.join(', ')}` }]);
+  }
+
+  const { columns, records, cells } = readRecords(format, raw ? body : format === 'json' ? body.rows : body.data);
+  if (records.length === 0) {
+    throw invalid([{ path: 'data', rule: 'required', message: 'No rows to import' }]);
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw invalid([{ path: 'data', rule: 'max', message: `An import takes at most ${MAX_IMPORT_ROWS} rows` }]);
+  }
+
+  const dryRun = parseBoolean(options.dryRun, 'dryRun');
+  if (mode === 'all_or_nothing' && !dryRun && records.length > MAX_ATOMIC_IMPORT_ROWS) {
+    throw invalid([{
+      path: 'mode',
+      rule: 'max',
+      message: `all_or_nothing takes at most ${MAX_ATOMIC_IMPORT_ROWS} rows; split the file or use best_effort`
+    }]);
+  }
+
+  const { mapping, ignoredColumns } = resolveMapping(type, columns, parseMapping(options.mapping));
+  if (!Object.values(mapping).includes(key)) {
+    throw invalid([{ path: 'mapping', rule: 'required', message: `No column is mapped to the ${key} key` }]);
+  }
+
+  return {
+    type,
+    format,
+    mode,
+    key,
+    dryRun,
+    mapping,
+    ignoredColumns,
+    records,
+    cells
+  };
+}
+
+// =============================================================================
+// PREPARING ROWS
+// =============================================================================
+
+// CSV cells are text; arrays and free-form fields are JSON encoded in them
+function castCell(schema, path, value) {
+  if (value === '') return undefined;
+
+  const instance = schema.path(path)?.instance;
+  if (instance !== 'Array' && instance !== 'Mixed') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new RowError([{ path, rule: 'json', message: `${path} must be JSON encoded` }]);
+  }
+}
+
+function mapRecord(context, record) {
+  const { schema } = ENTITIES[context.type].model;
+  const mapped = {};
+
+  for (const [column, path] of Object.entries(context.mapping)) {
+    let value = record[column];
+    if (context.cells && typeof value === 'string') value = castCell(schema, path, value.trim());
+    if (value !== undefined && value !== null && value !== '') mapped[path] = value;
+  }
+
+  return mapped;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+const nameKey = value => String(value).trim().toLowerCase();
+
+// One match among `candidates`, preferring live ones; errors name the column used
+function pickOne(candidates, column, label, value) {
+  const live = candidates.filter(candidate => !candidate.deletedAt);
+  const pool = live.length > 0 ? live : candidates;
+
+  if (pool.length === 0) {
+    throw new RowError([{ path: column, rule: 'exists', message: `${label} ${JSON.stringify(value)} does not exist in this organization` }]);
+  }
+  if (pool.length > 1) {
+    throw new RowError([{ path: column, rule: 'ambiguous', message: `${label} ${JSON.stringify(value)} matches ${pool.length} records; use an id` }]);
+  }
+  if (pool[0].deletedAt) {
+    throw new RowError([{ path: column, rule: 'archived', message: `${label} ${JSON.stringify(value)} is archived` }]);
+  }
+  return pool[0]._id;
+}
+
+// The parent a row names, or undefined when it names none
+function resolveParent(context, record) {
+  if (context.type === 'business') {
+    if (record.brandId) {
+      return pickOne(context.brands.filter(b => sameId(b._id, record.brandId)), 'brandId', 'Brand', record.brandId);
+    }
+    if (record.brand) {
+      return pickOne(context.brands.filter(b => nameKey(b.name) === nameKey(record.brand)), 'brand', 'Brand', record.brand);
+    }
+    return undefined;
+  }
+
+  if (record.businessId) {
+    return pickOne(context.businesses.filter(b => sameId(b._id, record.businessId)), 'businessId', 'Business', record.businessId);
+  }
+  if (record.businessExternalId) {
+    return pickOne(
+      context.businesses.filter(b => b.externalId === String(record.businessExternalId).trim()),
+      'businessExternalId', 'Business', record.businessExternalId
+    );
+  }
+  if (record.business) {
+    return pickOne(context.businesses.filter(b => nameKey(b.name) === nameKey(record.business)), 'business', 'Business', record.business);
+  }
+  return undefined;
+}
+
+async function findExisting(context, keyValue) {
+  const { type, key, organizationId } = context;
+  const { model, label } = ENTITIES[type];
+
+  if (key === 'id' && !mongoose.isValidObjectId(keyValue)) {
+    throw new RowError([{ path: 'id', rule: 'cast', message: 'id must be a valid ObjectId' }]);
+  }
+
+  const filter = key === 'id' ? { _id: keyValue } : { externalId: keyValue };
+  if (type === 'business') filter.organizationId = organizationId;
+  else filter.businessId = { $in: context.businesses.map(b => b._id) };
+
+  const found = await model.find(filter).limit(2);
+  if (found.length > 1) {
+    throw new RowError([{ path: key, rule: 'ambiguous', message: `${label} ${key} ${JSON.stringify(keyValue)} is not unique in this organization` }]);
+  }
+  if (key === 'id' && found.length === 0) {
+    throw new RowError([{ path: 'id', rule: 'exists', message: `${label} ${keyValue} does not exist in this organization` }]);
+  }
+  return found[0] || null;
+}
+
+// Settings paths (below settings.) a row writes
+const settingsPaths = fields => Object.keys(flatten(unflatten(Object.fromEntries(fields))))
+  .filter(path => path.startsWith('settings.'))
+  .map(path => path.slice('settings.'.length));
+
+// Locks above a row's document; rows under the same parent share one lookup
+function locksFor(context, doc) {
+  const parentId = String(doc[PARENT_FIELD[context.type]] ?? context.organizationId);
+  if (!context.locks.has(parentId)) context.locks.set(parentId, inheritedLocks(context.type, doc));
+  return context.locks.get(parentId);
+}
+
+/**
+ * Turn one record into a validated document to create or update, without writing.
+ */
+async function prepareRow(context, record, row) {
+  const { type, key } = context;
+  const { model, label } = ENTITIES[type];
+  const parentField = PARENT_FIELD[type];
+  const prepared = { row, key: undefined, action: null, doc: null, before: null, errors: [] };
+
+  try {
+    const mapped = mapRecord(context, record);
+    const keyValue = mapped[key] === undefined ? '' : String(mapped[key]).trim();
+    prepared.key = keyValue || undefined;
+
+    if (!keyValue) throw new RowError([{ path: key, rule: 'required', message: `${key} is required` }]);
+    if (context.seen.has(keyValue)) {
+      throw new RowError([{ path: key, rule: 'duplicate', message: `${key} ${JSON.stringify(keyValue)} appears on an earlier row` }]);
+    }
+    context.seen.add(keyValue);
+
+    const parentId = resolveParent(context, mapped);
+    const existing = await findExisting(context, keyValue);
+    const fields = Object.entries(mapped).filter(([path]) => path !== 'id' && !PARENT_COLUMNS[type].includes(path));
+
+    if (existing) {
+      if (existing.deletedAt) {
+        throw new RowError([{ path: key, rule: 'archived', message: `${label} is archived; restore it first` }]);
+      }
+      if (parentId !== undefined && !sameId(existing[parentField], parentId)) {
+        throw new RowError([{ path: parentField, rule: 'immutable', message: `${parentField} cannot change on import; use the move operation` }]);
+      }
+
+      prepared.before = toPlain(existing);
+      for (const [path, value] of fields) existing.set(path, value);
+      prepared.doc = existing;
+      prepared.action = existing.isModified() ? 'update' : 'unchanged';
+    } else {
+      if (type === 'franchise' && parentId === undefined) {
+        throw new RowError([{ path: 'businessId', rule: 'required', message: 'businessId, businessExternalId or business is required' }]);
+      }
+
+      const doc = new model(type === 'business'
+        ? { organizationId: context.organizationId, brandId: parentId ?? null }
+        : { businessId: parentId });
+      for (const [path, value] of fields) doc.set(path, value);
+      prepared.doc = doc;
+      prepared.action = 'create';
+    }
+
+    const locked = lockedErrors(toPlain(prepared.doc).settings, settingsPaths(fields), await locksFor(context, prepared.doc));
+    if (locked.length > 0) throw new RowError(locked);
+
+    const entitlements = entitlementsOf(context.organization, type === 'business' ? prepared.doc : null);
+    const refused = refusedFeatures(entitlements, prepared.doc.settings, existing ? prepared.doc.modifiedPaths() : null);
+    if (refused.length > 0) {
+      throw new RowError(refused.map(feature => ({
+        path: `settings.features.${feature}`,
+        rule: 'entitled',
+        message: `The ${entitlements.plan} plan does not include ${feature}`
+      })));
+    }
+    if (!existing) applyPlanLimits(type, prepared.doc, entitlements);
+
+    // An update checks only the columns it sets, so stored legacy values don't fail the row
+    await prepared.doc.validate({ validateModifiedOnly: Boolean(existing) });
+  } catch (error) {
+    if (error instanceof RowError) prepared.errors = error.errors;
+    else if (error instanceof mongoose.Error.ValidationError) prepared.errors = validationErrors(error);
+    else throw error;
+  }
+
+  return prepared;
+}
+
+// =============================================================================
+// RUNNING JOBS
+// =============================================================================
+
+async function writeRow(context, { action, doc, before }, session) {
+  const { type, actor, organizationId, job } = context;
+  const audit = { entityType: type, entity: doc, actor, organizationId, metadata: { importId: job._id } };
+
+  if (action === 'create') {
+    await syncSlug(type, doc, null, { session });
+    await withReservations(reservationsFor(type, doc), () => doc.save({ session }), { session });
+    await recordAudit({ ...audit, action: 'create', after: doc }, { session });
+  } else if (action === 'update') {
+    await syncSlug(type, doc, before, { session });
+    doc.increment();
+    await doc.save({ session, validateModifiedOnly: true });
+    await recordAudit({ ...audit, action: 'update', before, after: doc }, { session });
+  }
+}
+
+// Client-side failures become row errors; anything else fails the job
+function rowErrorsFrom(error) {
+  const apiError = toApiError(error);
+  if (!apiError) throw error;
+
+  return apiError.details?.errors || [{
+    path: '',
+    rule: apiError.details?.code?.toLowerCase() || 'error',
+    message: apiError.message
+  }];
+}
+
+async function loadContext(job, parsed, actor) {
+  const { organizationId } = job;
+
+  return {
+    job,
+    actor,
+    organizationId,
+    type: job.entityType,
+    key: job.key,
+    mapping: parsed.mapping,
+    cells: parsed.cells,
+    seen: new Set(),
+    // Parent id → settings locked above it
+    locks: new Map(),
+    organization: await Organization.findById(organizationId).select('subscription entitlements'),
+    brands: job.entityType === 'business'
+      ? await Brand.find({ organizationId }).select('name deletedAt').lean()
+      : [],
+    businesses: job.entityType === 'franchise'
+      ? await Business.find({ organizationId }).select('name externalId deletedAt').lean()
+      : []
+  };
+}
+
+/**
+ * Process every record of a job, keeping its progress and row errors current.
+ */
+export async function runImportJob(job, parsed, actor) {
+  const progress = { total: parsed.records.length, processed: 0, created: 0, updated: 0, unchanged: 0, failed: 0 };
+  const rowErrors = [];
+  const counted = { create: 'created', update: 'updated', unchanged: 'unchanged' };
+
+  const save = fields => ImportJob.updateOne({ _id: job._id }, { $set: fields });
+  const saveProgress = () => save({
+    progress,
+    rowErrors: rowErrors.slice(0, MAX_REPORTED_ERRORS),
+    rowErrorsTruncated: rowErrors.length > MAX_REPORTED_ERRORS
+  });
+  const fail = (row, key, issues) => {
+    progress.failed += 1;
+    rowErrors.push({ row, key, issues });
+  };
+
+  await save({ status: 'running', startedAt: new Date(), progress });
+
+  // Validating every row or writing one big transaction saves no progress for a while
+  const heartbeat = setInterval(() => {
+    save({ updatedAt: new Date() }).catch(() => {});
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    const context = await loadContext(job, parsed, actor);
+
+    if (job.mode === 'best_effort' && !job.dryRun) {
+      for (const [index, record] of parsed.records.entries()) {
+        const prepared = await prepareRow(context, record, index + 1);
+
+        if (prepared.errors.length > 0) {
+          fail(prepared.row, prepared.key, prepared.errors);
+        } else {
+          try {
+            await withTransaction(session => writeRow(context, prepared, session));
+            progress[counted[prepared.action]] += 1;
+          } catch (error) {
+            fail(prepared.row, prepared.key, rowErrorsFrom(error));
+          }
+        }
+
+        progress.processed += 1;
+        if (progress.processed % PROGRESS_EVERY === 0) await saveProgress();
+      }
+    } else {
+      // Validate everything first; dry runs stop here with what would happen
+      const rows = [];
+      for (const [index, record] of parsed.records.entries()) {
+        const prepared = await prepareRow(context, record, index + 1);
+        if (prepared.errors.length > 0) fail(prepared.row, prepared.key, prepared.errors);
+        else rows.push(prepared);
+
+        progress.processed += 1;
+        if (progress.processed % PROGRESS_EVERY === 0) await saveProgress();
+      }
+
+      if (job.dryRun) {
+        for (const { action } of rows) progress[counted[action]] += 1;
+      } else if (rowErrors.length === 0) {
+        await withTransaction(async session => {
+          for (const prepared of rows) {
+            try {
+              await writeRow(context, prepared, session);
+            } catch (error) {
+              error.importRow = prepared;
+              throw error;
+            }
+          }
+        });
+        for (const { action } of rows) progress[counted[action]] += 1;
+      }
+    }
+
+    const rejected = job.mode === 'all_or_nothing' && !job.dryRun && rowErrors.length > 0;
+    await saveProgress();
+    await save({
+      status: rejected ? 'failed' : 'completed',
+      finishedAt: new Date(),
+      ...(rejected && { failure: { message: `${rowErrors.length} row(s) are invalid; nothing was imported` } })
+    });
+  } catch (error) {
+    const row = error.importRow;
+    if (row) fail(row.row, row.key, rowErrorsFrom(error));
+
+    const apiError = toApiError(error);
+    await saveProgress();
+    await save({
+      status: 'failed',
+      finishedAt: new Date(),
+      failure: row
+        ? { message: `Row ${row.row} could not be written; nothing was imported` }
+        : { message: apiError?.message || 'Import failed', details: apiError?.details }
+    });
+
+    if (!apiError) throw error;
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Fail the jobs that stopped making progress, so an import interrupted by a
+ * restart does not stay `running`. Returns how many were failed.
+ */
+export async function failStaleImports(now = new Date()) {
+  const { modifiedCount } = await ImportJob.updateMany(
+    { status: { $in: ['queued', 'running'] }, updatedAt: { $lt: new Date(now.getTime() - STALE_IMPORT_MS) } },
+    { $set: { status: 'failed', finishedAt: now, failure: { message: 'Import was interrupted; resubmit it' } } }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Fail stale jobs now, then every STALE_IMPORT_MS. Returns a stop function.
+ */
+export function startImportSweeper({ onResult = () => {}, onError = () => {} } = {}) {
+  const sweep = () => failStaleImports().then(onResult, onError);
+  sweep();
+
+  const timer = setInterval(sweep, STALE_IMPORT_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Create the job for a parsed request and start it. Returns the queued job and
+ * the promise of its run, which the caller should watch for unexpected failures.
+ */
+export async function startImport(organizationId, parsed, actor) {
+  const job = await ImportJob.create({
+    organizationId,
+    entityType: parsed.type,
+    format: parsed.format,
+    mode: parsed.mode,
+    dryRun: parsed.dryRun,
+    key: parsed.key,
+    mapping: parsed.mapping,
+    ignoredColumns: parsed.ignoredColumns,
+    progress: { total: parsed.records.length },
+    createdBy: actor ? { id: actor.id ? String(actor.id) : undefined, roles: actor.roles || [] } : undefined
+  });
+
+  return { job, run: runImportJob(job, parsed, actor) };
+}
+
+export async function getImportJob(id) {
+  if (!mongoose.isValidObjectId(id)) throw notFound('Import not found');
+
+  const job = await ImportJob.findById(id);
+  if (!job) throw notFound('Import not found');
+  return job;
+}
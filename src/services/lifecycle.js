@@ -0,0 +1,270 @@
+/**
+ * Subscription Lifecycle
+ * Moves an organization's subscription between states along legal transitions
+ * only, audits who or what caused each one, expires trials and grace periods on
+ * a schedule and decides what a restricted customer can still do.
+ *
+ *   trial ──▶ active ◀──▶ grace ──▶ suspended
+ *     │         │           │           │
+ *     └─────────┴───────────┴───────────┴──▶ cancelled
+ *
+ * Suspension applies to everything below the organization: its entities become
+ * read-only or blocked (mode `blocked`) for everyone but platform admins.
+ */
+
+import { ENTITIES, Organization, Business } from '../models/index.js';
+import { ApiError, invalid, notFound } from '../utils/errors.js';
+import { withTransaction } from '../utils/db.js';
+import { assertAccess, entityPath, getGrants, idOf, isPlatformAdmin, scopeFilter } from './access.js';
+import { recordAudit } from './audit.js';
+
+export const TRANSITIONS = {
+  trial: ['active', 'grace', 'cancelled'],
+  active: ['grace', 'suspended', 'cancelled'],
+  grace: ['active', 'suspended', 'cancelled'],
+  suspended: ['active', 'cancelled'],
+  cancelled: ['active']
+};
+
+export const SUSPENSION_MODES = ['read_only', 'blocked'];
+
+export const TRIAL_DAYS = parseInt(process.env.TRIAL_DAYS || '14', 10);
+export const GRACE_DAYS = parseInt(process.env.GRACE_DAYS || '7', 10);
+
+// Event recorded for each target state
+const EVENT_TYPES = {
+  active: 'subscription.activated',
+  grace: 'subscription.grace_started',
+  suspended: 'subscription.suspended',
+  cancelled: 'subscription.cancelled'
+};
+
+// Who the scheduler's transitions are recorded as
+export const SCHEDULER_ACTOR = { id: 'system:subscription-scheduler', roles: ['system'] };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * What customers of an organization can still do: full, read_only or blocked.
+ */
+export function accessMode(subscription = {}) {
+  switch (subscription.status) {
+    case 'suspended':
+      return subscription.suspension?.mode ?? 'read_only';
+    case 'cancelled':
+      return 'read_only';
+    default:
+      return 'full';
+  }
+}
+
+/**
+ * assertAccess plus the organization's subscription state: writes need full
+ * access, reads anything short of blocked. Platform admins are never restricted.
+ */
+export async function assertSubscriptionAccess(user, path, { write = false } = {}) {
+  assertAccess(user, path);
+  await assertSubscriptionOpen(user, path.organizationId, { write });
+}
+
+/**
+ * The subscription half of assertSubscriptionAccess, for lists scoped to an
+ * organization the caller may only see part of.
+ */
+export async function assertSubscriptionOpen(user, organizationId, { write = false } = {}) {
+  if (!organizationId || isPlatformAdmin(user)) return;
+
+  const organization = await Organization.findById(idOf(organizationId)).select('subscription').lean();
+  if (!organization) return;
+
+  const mode = accessMode(organization.subscription);
+  if (mode === 'blocked' || (mode === 'read_only' && write)) {
+    throw new ApiError(403, mode === 'blocked'
+      ? 'Organization is suspended'
+      : `Organization is ${organization.subscription.status}; its records are read-only`, {
+      code: 'SUBSCRIPTION_RESTRICTED',
+      status: organization.subscription.status,
+      access: mode
+    });
+  }
+}
+
+// The organization a grant sits in
+async function grantOrganization({ level, id }) {
+  if (level === 'organization') return id;
+  const doc = await ENTITIES[level].model.findById(id).select('organizationId businessId').lean();
+  return doc && (await entityPath(level, doc)).organizationId;
+}
+
+// Filter on `type` leaving out everything in `organizationIds`
+async function outsideOrganizations(type, organizationIds) {
+  switch (type) {
+    case 'organization':
+      return { _id: { $nin: organizationIds } };
+    case 'franchise':
+      return { businessId: { $nin: await Business.find({ organizationId: { $in: organizationIds } }).distinct('_id') } };
+    default:
+      return { organizationId: { $nin: organizationIds } };
+  }
+}
+
+/**
+ * scopeFilter without the organizations whose customers are blocked, for lists
+ * that can span organizations.
+ */
+export async function subscriptionScope(user, type) {
+  const scope = await scopeFilter(user, type);
+  if (isPlatformAdmin(user)) return scope;
+
+  const organizationIds = (await Promise.all(getGrants(user).map(grantOrganization))).filter(Boolean);
+  const blocked = (await Organization.find({ _id: { $in: organizationIds } }).select('subscription').lean())
+    .filter(organization => accessMode(organization.subscription) === 'blocked')
+    .map(organization => organization._id);
+
+  return blocked.length === 0 ? scope : { $and: [scope, await outsideOrganizations(type, blocked)] };
+}
+
+/**
+ * Check the starting state of a new organization and start its trial clock.
+ */
+export function startSubscription(organization, now = new Date()) {
+  const { status, trialEndsAt } = organization.subscription;
+  if (!['trial', 'active'].includes(status)) {
+    throw invalid([{ path: 'subscription.status', rule: 'initial', message: 'A new subscription starts as trial or active' }]);
+  }
+  if (status === 'trial' && !trialEndsAt) {
+    organization.set('subscription.trialEndsAt', addDays(now, TRIAL_DAYS));
+  }
+}
+
+function parseTransition(body = {}) {
+  const { to, reason, mode, graceDays } = body;
+  const errors = [];
+
+  if (!EVENT_TYPES[to]) {
+    errors.push({ path: 'to', rule: 'enum', message: `to must be one of ${Object.keys(EVENT_TYPES).join(', ')}` });
+  }
+  if (reason !== undefined && typeof reason !== 'string') {
+    errors.push({ path: 'reason', rule: 'type', message: 'reason must be a string' });
+  }
+  if (mode !== undefined && (to !== 'suspended' || !SUSPENSION_MODES.includes(mode))) {
+    errors.push({ path: 'mode', rule: 'enum', message: `mode applies to suspended and must be one of ${SUSPENSION_MODES.join(', ')}` });
+  }
+  if (graceDays !== undefined && (to !== 'grace' || !Number.isInteger(Number(graceDays)) || Number(graceDays) < 0)) {
+    errors.push({ path: 'graceDays', rule: 'min', message: 'graceDays applies to grace and must be a whole number of days' });
+  }
+
+  if (errors.length > 0) throw invalid(errors);
+  return { to, reason, mode, graceDays: graceDays === undefined ? GRACE_DAYS : Number(graceDays) };
+}
+
+function transitionUpdate({ to, reason, mode, graceDays }, now) {
+  const $set = { 'subscription.status': to, 'subscription.statusChangedAt': now };
+  const $unset = {};
+
+  if (to === 'grace') $set['subscription.graceEndsAt'] = addDays(now, graceDays);
+  else $unset['subscription.graceEndsAt'] = 1;
+
+  if (to === 'suspended') $set['subscription.suspension'] = { mode: mode ?? 'read_only', ...(reason && { reason }) };
+  else $unset['subscription.suspension'] = 1;
+
+  return { $set, $unset, $inc: { __v: 1 } };
+}
+
+/**
+ * Move organization `id` to `body.to` (with optional reason, suspension `mode`
+ * and `graceDays`). Illegal transitions are a 409 listing the legal ones.
+ */
+export async function transitionSubscription(id, body, { actor = null, now = new Date() } = {}) {
+  const transition = parseTransition(body);
+
+  return withTransaction(async session => {
+    const before = await Organization.findById(id).session(session);
+    if (!before) throw notFound('Organization not found');
+    if (before.deletedAt) throw new ApiError(409, 'Organization is archived; restore it first');
+
+    const from = before.subscription.status;
+    if (!TRANSITIONS[from]?.includes(transition.to)) {
+      throw new ApiError(409, `Subscription cannot go from ${from} to ${transition.to}`, {
+        code: 'INVALID_TRANSITION',
+        from,
+        to: transition.to,
+        allowed: TRANSITIONS[from] ?? []
+      });
+    }
+
+    // Conditional on the state read above, so racing transitions cannot both apply
+    const after = await Organization.findOneAndUpdate(
+      { _id: before._id, 'subscription.status': from, deletedAt: null },
+      transitionUpdate(transition, now),
+      { new: true, session }
+    );
+    if (!after) throw new ApiError(409, 'Subscription changed concurrently; retry', { code: 'CONFLICT' });
+
+    await recordAudit({
+      entityType: 'organization',
+      entity: after,
+      action: 'transition',
+      actor,
+      before,
+      after,
+      metadata: { from, to: transition.to, ...(transition.reason && { reason: transition.reason }) },
+      eventType: EVENT_TYPES[transition.to]
+    }, { session });
+
+    return after;
+  });
+}
+
+/**
+ * Expire trials past trialEndsAt into grace, and suspend (read-only)
+ * organizations whose grace period has run out.
+ */
+export async function runLifecycleSweep({ now = new Date() } = {}) {
+  const result = { now, trialsExpired: [], suspended: [], failed: [] };
+
+  const sweep = async (filter, body, into) => {
+    const due = await Organization.find({ deletedAt: null, ...filter }).select('_id').lean();
+    for (const { _id } of due) {
+      try {
+        await transitionSubscription(_id, body, { actor: SCHEDULER_ACTOR, now });
+        into.push(_id);
+      } catch (error) {
+        // Changed by someone else since it was read; the next sweep sees the new state
+        if (error.status === 409) continue;
+        result.failed.push({ organizationId: _id, error: error.message });
+      }
+    }
+  };
+
+  await sweep({ 'subscription.status': 'trial', 'subscription.trialEndsAt': { $lte: now } },
+    { to: 'grace', reason: 'trial_expired' }, result.trialsExpired);
+  await sweep({ 'subscription.status': 'grace', 'subscription.graceEndsAt': { $lte: now } },
+    { to: 'suspended', reason: 'grace_expired', mode: 'read_only' }, result.suspended);
+
+  return result;
+}
+
+/**
+ * Run the sweep every `intervalMs`; overlapping runs are skipped. Returns a stop function.
+ */
+export function startLifecycleScheduler({ intervalMs, onResult = () => {}, onError = () => {} }) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      onResult(await runLifecycleSweep());
+    } catch (error) {
+      onError(error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
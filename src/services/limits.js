@@ -0,0 +1,188 @@
+/**
+ * Limits Service
+ * Enforces plan limits when entities are added under a parent.
+ *
+ * Each parent keeps a `usage` counter next to its limits. A slot is reserved with a
+ * single conditional $inc, so concurrent creates cannot both take the last slot.
+ */
+
+import Organization from '../models/Organization.js';
+import Brand from '../models/Brand.js';
+import Business from '../models/Business.js';
+import Franchise from '../models/Franchise.js';
+import { ApiError, notFound } from '../utils/errors.js';
+import { idOf } from './access.js';
+
+// parent type → limit type → where the limit lives and which children it counts
+const COUNTERS = {
+  organization: {
+    model: Organization,
+    label: 'Organization',
+    limits: {
+      brands: { path: 'limits.brands', child: Brand, foreignKey: 'organizationId' },
+      businesses: { path: 'limits.businesses', child: Business, foreignKey: 'organizationId' }
+    }
+  },
+  brand: {
+    model: Brand,
+    label: 'Brand',
+    limits: {
+      businesses: { path: 'limits.businesses', child: Business, foreignKey: 'brandId' }
+    }
+  },
+  business: {
+    model: Business,
+    label: 'Business',
+    limits: {
+      franchises: { path: 'subscription.limits.franchises', child: Franchise, foreignKey: 'businessId' }
+    }
+  }
+};
+
+const sameId = (a, b) => String(idOf(a) ?? '') === String(idOf(b) ?? '');
+const sameReservation = (a, b) => a.type === b.type && a.limit === b.limit && sameId(a.id, b.id);
+
+/**
+ * The parent slots an entity of `type` with the given references occupies.
+ */
+export function reservationsFor(type, { organizationId, brandId, businessId }) {
+  switch (type) {
+    case 'brand':
+      return [{ type: 'organization', id: idOf(organizationId), limit: 'brands' }];
+    case 'business':
+      return [
+        { type: 'organization', id: idOf(organizationId), limit: 'businesses' },
+        ...(brandId ? [{ type: 'brand', id: idOf(brandId), limit: 'businesses' }] : [])
+      ];
+    case 'franchise':
+      return [{ type: 'business', id: idOf(businessId), limit: 'franchises' }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Slots taken by many entities of `type`, merged per parent.
+ */
+export function reservationsForMany(type, docs) {
+  const merged = [];
+
+  for (const doc of docs) {
+    for (const reservation of reservationsFor(type, doc)) {
+      const existing = merged.find(r => sameReservation(r, reservation));
+      if (existing) existing.count += 1;
+      else merged.push({ ...reservation, count: 1 });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Reservations needed to move an entity from one set of parents to another:
+ * what must be taken on the new side and what is freed on the old side.
+ */
+export function reservationsForMove(type, from, to) {
+  const before = reservationsFor(type, from);
+  const after = reservationsFor(type, to);
+
+  return {
+    acquire: after.filter(r => !before.some(b => sameReservation(r, b))),
+    release: before.filter(r => !after.some(a => sameReservation(r, a)))
+  };
+}
+
+function limitExceeded({ type, limit, count = 1 }, usage, max) {
+  const { label } = COUNTERS[type];
+  return new ApiError(402, `${label} ${limit} limit reached (${usage}/${max})`, {
+    code: 'LIMIT_EXCEEDED',
+    limit: `${type}.${limit}`,
+    usage,
+    max,
+    ...(count > 1 && { requested: count })
+  });
+}
+
+// Counters are created lazily from the actual child count
+async function ensureCounter(reservation, session) {
+  const { model, limits } = COUNTERS[reservation.type];
+  const { child, foreignKey } = limits[reservation.limit];
+  const usageKey = `usage.${reservation.limit}`;
+
+  const initialized = await model.exists({ _id: reservation.id, [usageKey]: { $exists: true } }).session(session);
+  if (initialized) return;
+
+  const count = await child.countDocuments({ [foreignKey]: reservation.id, deletedAt: null }).session(session);
+  await model.updateOne(
+    { _id: reservation.id, [usageKey]: { $exists: false } },
+    { $set: { [usageKey]: count } },
+    { session }
+  );
+}
+
+export async function reserve(reservation, { session = null } = {}) {
+  const { model, label, limits } = COUNTERS[reservation.type];
+  const { path } = limits[reservation.limit];
+  const usageKey = `usage.${reservation.limit}`;
+  const count = reservation.count ?? 1;
+
+  await ensureCounter(reservation, session);
+
+  const updated = await model.findOneAndUpdate(
+    {
+      _id: reservation.id,
+      $or: [
+        { [path]: null }, // Unlimited
+        { $expr: { $lte: [{ $add: [`$${usageKey}`, count] }, `$${path}`] } }
+      ]
+    },
+    { $inc: { [usageKey]: count } },
+    { new: true, session }
+  );
+
+  if (updated) return;
+
+  const parent = await model.findById(reservation.id).session(session).lean();
+  if (!parent) throw notFound(`${label} not found`);
+
+  throw limitExceeded(reservation, parent.usage?.[reservation.limit] ?? 0, path.split('.').reduce((o, k) => o?.[k], parent));
+}
+
+export async function release(reservation, { session = null } = {}) {
+  const { model } = COUNTERS[reservation.type];
+  const usageKey = `usage.${reservation.limit}`;
+  const count = reservation.count ?? 1;
+
+  // Never drop below zero, even if the counter drifted
+  await model.updateOne(
+    { _id: reservation.id, [usageKey]: { $exists: true } },
+    [{ $set: { [usageKey]: { $max: [0, { $subtract: [`$${usageKey}`, count] }] } } }],
+    { session }
+  );
+}
+
+export async function releaseAll(reservations, options) {
+  await Promise.all(reservations.map(r => release(r, options)));
+}
+
+/**
+ * Take every reservation, then run `fn`. If a limit is hit or `fn` throws,
+ * the slots already taken are given back.
+ */
+export async function withReservations(reservations, fn, options = {}) {
+  const taken = [];
+
+  try {
+    for (const reservation of reservations) {
+      await reserve(reservation, options);
+      taken.push(reservation);
+    }
+    return await fn();
+  } catch (error) {
+    // An aborted transaction already undoes the increments
+    if (!options.session?.inTransaction()) {
+      await releaseAll(taken, options);
+    }
+    throw error;
+  }
+}
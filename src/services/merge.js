@@ -0,0 +1,304 @@
+/**
+ * Merge Service
+ * Folds one organization (the source) into another (the target).
+ *
+ * Every brand and business of the source is reparented to the target in one
+ * transaction, brands whose names clash with a live target brand are renamed or
+ * merged into it, the target's limits (and multiBrand entitlement) are re-checked
+ * for what it gains, what moves takes the target's plan limits, the source's
+ * usage is re-attributed to the target and the emptied source is archived with
+ * `mergedInto` pointing at the target.
+ */
+
+import mongoose from 'mongoose';
+import { Organization, Brand, Business } from '../models/index.js';
+import { ApiError, invalid, notFound } from '../utils/errors.js';
+import { withTransaction } from '../utils/db.js';
+import { recordAuditMany } from './audit.js';
+import { assertMultiBrand, entitlementsOf, planLimits } from './entitlements.js';
+import { assertSubscriptionAccess } from './lifecycle.js';
+import { withReservations } from './limits.js';
+import { rescopeFranchises, rescopeSlugs } from './slugs.js';
+import { mergeUsage } from './usage.js';
+
+export const BRAND_CONFLICT_STRATEGIES = ['rename', 'merge'];
+
+const NAME_MAX_LENGTH = 100;
+
+const nameKey = name => name.trim().toLowerCase();
+
+function parseOptions(body = {}) {
+  const { sourceId, brandConflicts = 'rename', brands = {}, dryRun = false } = body;
+  const errors = [];
+
+  if (!sourceId) {
+    errors.push({ path: 'sourceId', rule: 'required', message: 'sourceId is required' });
+  } else if (!mongoose.isValidObjectId(sourceId)) {
+    errors.push({ path: 'sourceId', rule: 'cast', message: 'sourceId must be a valid ObjectId' });
+  }
+
+  const strategies = { brandConflicts, ...Object.fromEntries(Object.entries(brands).map(([id, value]) => [`brands.${id}`, value])) };
+  for (const [path, value] of Object.entries(strategies)) {
+    if (!BRAND_CONFLICT_STRATEGIES.includes(value)) {
+      errors.push({ path, rule: 'enum', message: `${path} must be one of ${BRAND_CONFLICT_STRATEGIES.join(', ')}` });
+    }
+  }
+
+  if (errors.length > 0) throw invalid(errors);
+  return { sourceId, brandConflicts, brands, dryRun: dryRun === true || dryRun === 'true' };
+}
+
+// "Name (Source Org)", numbered if even that is taken
+function renameFor(name, suffix, taken) {
+  const tail = ` (${suffix})`;
+  const base = `${name.slice(0, Math.max(1, NAME_MAX_LENGTH - tail.length - 3))}${tail}`;
+
+  let candidate = base;
+  for (let n = 2; taken.has(nameKey(candidate)); n += 1) candidate = `${base} ${n}`;
+
+  taken.add(nameKey(candidate));
+  return candidate;
+}
+
+async function limitReport(reservation, session) {
+  const { type, id, limit, count } = reservation;
+  const [model, child, foreignKey] = type === 'organization'
+    ? [Organization, limit === 'brands' ? Brand : Business, 'organizationId']
+    : [Brand, Business, 'brandId'];
+
+  const parent = await model.findById(id).select('limits').session(session).lean();
+  const usage = await child.countDocuments({ [foreignKey]: id, deletedAt: null }).session(session);
+  const max = parent?.limits?.[limit] ?? null;
+
+  return {
+    limit: `${type}.${limit}`,
+    id,
+    usage,
+    adding: count,
+    max,
+    exceeded: max !== null && usage + count > max
+  };
+}
+
+/**
+ * Work out what a merge would do, without writing anything.
+ */
+async function planMerge(target, source, options, session) {
+  const targetBrands = await Brand.find({ organizationId: target._id, deletedAt: null }).select('name').session(session).lean();
+  const sourceBrands = await Brand.find({ organizationId: source._id }).select('name deletedAt').session(session).lean();
+  const sourceBusinesses = await Business.find({ organizationId: source._id }).select('name brandId deletedAt').session(session).lean();
+
+  const existing = new Map(targetBrands.map(brand => [nameKey(brand.name), brand]));
+  const clashes = brand => !brand.deletedAt && existing.get(nameKey(brand.name));
+  const taken = new Set([
+    ...existing.keys(),
+    ...sourceBrands.filter(brand => !clashes(brand)).map(brand => nameKey(brand.name))
+  ]);
+
+  const brands = sourceBrands.map(brand => {
+    const entry = { id: brand._id, name: brand.name, archived: Boolean(brand.deletedAt) };
+    const clash = clashes(brand);
+    if (!clash) return { ...entry, action: 'move' };
+
+    const strategy = options.brands[String(brand._id)] ?? options.brandConflicts;
+    return strategy === 'merge'
+      ? { ...entry, action: 'merge', into: clash._id }
+      : { ...entry, action: 'rename', newName: renameFor(brand.name, source.name, taken) };
+  });
+
+  const mergedBrands = new Map(brands.filter(b => b.action === 'merge').map(b => [String(b.id), b.into]));
+  const businesses = sourceBusinesses.map(business => ({
+    id: business._id,
+    name: business.name,
+    archived: Boolean(business.deletedAt),
+    brandId: {
+      before: business.brandId ?? null,
+      after: mergedBrands.get(String(business.brandId)) ?? business.brandId ?? null
+    }
+  }));
+
+  // Only live entities count against limits
+  const liveBusinesses = businesses.filter(b => !b.archived);
+  const reservations = [
+    { type: 'organization', id: target._id, limit: 'brands', count: brands.filter(b => !b.archived && b.action !== 'merge').length },
+    { type: 'organization', id: target._id, limit: 'businesses', count: liveBusinesses.length },
+    ...[...new Set(mergedBrands.values())].map(brandId => ({
+      type: 'brand',
+      id: brandId,
+      limit: 'businesses',
+      count: liveBusinesses.filter(b => String(b.brandId.after) === String(brandId)).length
+    }))
+  ].filter(reservation => reservation.count > 0);
+
+  const limits = [];
+  for (const reservation of reservations) limits.push(await limitReport(reservation, session));
+
+  return {
+    target: { id: target._id, name: target.name },
+    source: { id: source._id, name: source.name },
+    brands,
+    businesses,
+    limits,
+    reservations
+  };
+}
+
+async function applyMerge(plan, { actor, entitlements, session }) {
+  const targetId = plan.target.id;
+  const sourceId = plan.source.id;
+  const stamp = { deletedAt: new Date(), deletedBy: actor?.id ?? null, archiveId: new mongoose.Types.ObjectId() };
+  const bump = { $inc: { __v: 1 } };
+  const brandLimits = planLimits('brand', entitlements);
+
+  // Brand slugs already used in the target are replaced; the old ones redirect
+  const newNames = new Map(plan.brands.filter(b => b.action === 'rename').map(b => [String(b.id), b.newName]));
+  const sourceSlugs = await Brand.find({ organizationId: sourceId }).select('name slug previousSlugs').session(session).lean();
+  const slugs = await rescopeSlugs('brand', sourceSlugs.map(brand => ({
+    ...brand,
+    name: newNames.get(String(brand._id)) ?? brand.name
+  })), { organizationId: targetId }, { session });
+  for (const [id, update] of slugs) {
+    await Brand.updateOne({ _id: id }, { $set: update }, { session });
+  }
+  const oldSlugs = new Map(sourceSlugs.map(brand => [String(brand._id), brand.slug]));
+
+  const moved = plan.brands.filter(b => b.action === 'move').map(b => b.id);
+  await Brand.updateMany({ _id: { $in: moved } }, { $set: { organizationId: targetId, ...brandLimits }, ...bump }, { session });
+
+  // Franchise slugs taken in the brand their business is folded into are replaced too
+  const franchiseSlugs = [];
+  for (const brand of plan.brands) {
+    if (brand.action === 'rename') {
+      await Brand.updateOne({ _id: brand.id }, { $set: { organizationId: targetId, name: brand.newName, ...brandLimits }, ...bump }, { session });
+    } else if (brand.action === 'merge') {
+      const folded = plan.businesses.filter(business => String(business.brandId.before) === String(brand.id));
+      franchiseSlugs.push(...await rescopeFranchises(folded.map(business => business.id), brand.into, { session }));
+      await Business.updateMany({ brandId: brand.id }, { $set: { brandId: brand.into }, ...bump }, { session });
+      await Brand.updateOne(
+        { _id: brand.id },
+        { $set: { ...stamp, organizationId: targetId, mergedInto: brand.into, 'usage.businesses': 0 }, ...bump },
+        { session }
+      );
+    }
+  }
+
+  await Business.updateMany(
+    { organizationId: sourceId },
+    { $set: { organizationId: targetId, ...planLimits('business', entitlements) }, ...bump },
+    { session }
+  );
+  await mergeUsage(sourceId, targetId, plan.brands.filter(b => b.action === 'merge').map(b => [b.id, b.into]), { session });
+
+  const archived = await Organization.updateOne(
+    { _id: sourceId, deletedAt: null },
+    { $set: { ...stamp, mergedInto: targetId, usage: { brands: 0, businesses: 0 } }, ...bump },
+    { session }
+  );
+  if (archived.modifiedCount === 0) throw new ApiError(409, 'Source organization is archived');
+
+  const metadata = { merge: { sourceId, targetId }, archiveId: stamp.archiveId };
+  const archiveChanges = into => [
+    { path: 'deletedAt', before: null, after: stamp.deletedAt },
+    { path: 'mergedInto', before: null, after: into }
+  ];
+
+  await recordAuditMany([
+    {
+      organizationId: targetId,
+      entityType: 'organization',
+      entityId: targetId,
+      action: 'merge',
+      actor,
+      changes: [],
+      metadata: { ...metadata, brands: plan.brands.length, businesses: plan.businesses.length }
+    },
+    {
+      organizationId: sourceId,
+      entityType: 'organization',
+      entityId: sourceId,
+      action: 'archive',
+      actor,
+      changes: archiveChanges(targetId),
+      metadata
+    },
+    ...plan.brands.map(brand => ({
+      organizationId: targetId,
+      entityType: 'brand',
+      entityId: brand.id,
+      action: brand.action === 'merge' ? 'archive' : 'move',
+      actor,
+      changes: [
+        { path: 'organizationId', before: sourceId, after: targetId },
+        ...(brand.action === 'rename' ? [{ path: 'name', before: brand.name, after: brand.newName }] : []),
+        ...(slugs.has(String(brand.id))
+          ? [{ path: 'slug', before: oldSlugs.get(String(brand.id)), after: slugs.get(String(brand.id)).slug }]
+          : []),
+        ...(brand.action === 'merge' ? archiveChanges(brand.into) : [])
+      ],
+      metadata
+    })),
+    ...plan.businesses.map(business => ({
+      organizationId: targetId,
+      entityType: 'business',
+      entityId: business.id,
+      action: 'move',
+      actor,
+      changes: [
+        { path: 'organizationId', before: sourceId, after: targetId },
+        ...(String(business.brandId.before) !== String(business.brandId.after)
+          ? [{ path: 'brandId', before: business.brandId.before, after: business.brandId.after }]
+          : [])
+      ],
+      metadata
+    })),
+    ...franchiseSlugs.map(({ id, before, after }) => ({
+      organizationId: targetId,
+      entityType: 'franchise',
+      entityId: id,
+      action: 'move',
+      actor,
+      changes: [{ path: 'slug', before, after }],
+      metadata
+    }))
+  ], { session });
+
+  return { archiveId: stamp.archiveId, mergedAt: stamp.deletedAt };
+}
+
+/**
+ * Merge `body.sourceId` into `targetId`. With `dryRun` the plan is returned
+ * (every brand and business with what would happen to it, and the limit check)
+ * and nothing is written. The caller needs access to both organizations.
+ */
+export async function mergeOrganizations(targetId, body, { actor = null } = {}) {
+  const options = parseOptions(body);
+
+  if (String(options.sourceId) === String(targetId)) {
+    throw invalid([{ path: 'sourceId', rule: 'distinct', message: 'An organization cannot be merged into itself' }]);
+  }
+
+  const run = async session => {
+    const target = await Organization.findById(targetId).session(session);
+    const source = await Organization.findById(options.sourceId).session(session);
+    if (!target) throw notFound('Organization not found');
+    if (!source) throw notFound('Source organization not found');
+
+    await assertSubscriptionAccess(actor, { organizationId: target._id }, { write: !options.dryRun });
+    await assertSubscriptionAccess(actor, { organizationId: source._id }, { write: !options.dryRun });
+    if (target.deletedAt) throw new ApiError(409, 'Organization is archived; restore it first');
+    if (source.deletedAt) throw new ApiError(409, 'Source organization is archived');
+
+    const { reservations, ...plan } = await planMerge(target, source, options, session);
+    if (options.dryRun) return { dryRun: true, ...plan };
+
+    const addedBrands = plan.brands.filter(b => !b.archived && b.action !== 'merge').length;
+    if (addedBrands > 0) await assertMultiBrand(target._id, addedBrands, { session });
+
+    // Reserving re-checks the limits atomically; a 402 aborts the whole merge
+    const entitlements = entitlementsOf(target);
+    const result = await withReservations(reservations, () => applyMerge(plan, { actor, entitlements, session }), { session });
+    return { dryRun: false, ...plan, ...result };
+  };
+
+  return options.dryRun ? run(null) : withTransaction(run);
+}
@@ -0,0 +1,184 @@
+/**
+ * Move Service
+ * Reparents businesses (to another brand or organization) and franchises (to
+ * another business).
+ *
+ * The parent references, the limit counters on both sides, a business's usage
+ * rollups and the history entries are written in one transaction. Moving across
+ * organizations is a transfer and has to be asked for explicitly by a caller who
+ * manages both organizations; a transferred business takes the target's plan.
+ */
+
+import mongoose from 'mongoose';
+import { ENTITIES, Organization, Brand, Franchise } from '../models/index.js';
+import { ApiError, invalid, notFound } from '../utils/errors.js';
+import { withTransaction } from '../utils/db.js';
+import { updateVersioned } from '../utils/etag.js';
+import { toPlain } from '../utils/objects.js';
+import { assertAccess, entityPath, idOf } from './access.js';
+import { assertParentsLive } from './archive.js';
+import { recordAuditMany } from './audit.js';
+import { assertFeaturesEntitled, entitlementsOf, planLimits } from './entitlements.js';
+import { assertSubscriptionAccess } from './lifecycle.js';
+import { reservationsForMove, releaseAll, withReservations } from './limits.js';
+import { SLUG_SCOPES, rescopeFranchises, rescopeSlugs, slugScope } from './slugs.js';
+import { moveBusinessUsage } from './usage.js';
+import { referenceErrors } from './validation.js';
+
+export const MOVABLE_TYPES = ['business', 'franchise'];
+
+// The references a move rewrites, per type
+const PARENT_FIELDS = {
+  business: ['organizationId', 'brandId'],
+  franchise: ['businessId']
+};
+
+const sameId = (a, b) => String(idOf(a) ?? '') === String(idOf(b) ?? '');
+
+const refsOf = (type, doc) => Object.fromEntries(
+  PARENT_FIELDS[type].map(field => [field, idOf(doc[field]) ?? null])
+);
+
+// Target references from the request body. A business keeps its brand when it stays
+// in the organization; moving it to another organization leaves it unbranded unless
+// a brand there is given.
+async function resolveTarget(type, doc, body) {
+  if (type === 'franchise') {
+    if (!body.businessId) {
+      throw invalid([{ path: 'businessId', rule: 'required', message: 'businessId is required' }]);
+    }
+    return { businessId: body.businessId };
+  }
+
+  if (body.organizationId === undefined && body.brandId === undefined) {
+    throw invalid([{ path: 'brandId', rule: 'required', message: 'Provide brandId and/or organizationId' }]);
+  }
+
+  const brandId = body.brandId || null;
+  let { organizationId } = body;
+
+  if (!organizationId) {
+    const brand = brandId && mongoose.isValidObjectId(brandId)
+      ? await Brand.findById(brandId).select('organizationId').lean()
+      : null;
+    organizationId = brand?.organizationId ?? idOf(doc.organizationId);
+  }
+
+  const staysInOrganization = sameId(organizationId, doc.organizationId);
+  return {
+    organizationId,
+    brandId: body.brandId !== undefined ? brandId : staysInOrganization ? idOf(doc.brandId) ?? null : null
+  };
+}
+
+/**
+ * Move `doc` under the parents named in `body`. `actor` must already manage the
+ * entity where it is now; access to the target is checked here.
+ */
+export async function moveEntity(type, doc, body = {}, { actor = null, version } = {}) {
+  if (!MOVABLE_TYPES.includes(type)) {
+    throw new ApiError(400, `${ENTITIES[type].label} cannot be moved`);
+  }
+  const { model, label } = ENTITIES[type];
+
+  const from = refsOf(type, doc);
+  const target = await resolveTarget(type, doc, body);
+
+  const errors = await referenceErrors(type, target);
+  if (errors.length > 0) throw invalid(errors);
+
+  const to = Object.fromEntries(Object.entries(target).map(([field, id]) => [
+    field,
+    id ? new mongoose.Types.ObjectId(String(id)) : null
+  ]));
+  const changes = PARENT_FIELDS[type]
+    .filter(field => !sameId(from[field], to[field]))
+    .map(field => ({ path: field, before: from[field], after: to[field] }));
+
+  if (changes.length === 0) {
+    throw invalid([{ path: PARENT_FIELDS[type][0], rule: 'unchanged', message: `${label} is already there` }]);
+  }
+
+  const fromPath = await entityPath(type, doc);
+  const toPath = await entityPath(type, { ...to, _id: doc._id });
+  await assertSubscriptionAccess(actor, { ...toPath, [`${type}Id`]: undefined }, { write: true });
+
+  const transfer = !sameId(fromPath.organizationId, toPath.organizationId);
+  if (transfer) {
+    if (body.crossOrganization !== true) {
+      throw new ApiError(409, 'Target belongs to a different organization', {
+        code: 'CROSS_ORGANIZATION',
+        hint: 'Set crossOrganization to true to transfer'
+      });
+    }
+    // A transfer needs organization-level access on both sides
+    assertAccess(actor, { organizationId: fromPath.organizationId });
+    assertAccess(actor, { organizationId: toPath.organizationId });
+  }
+
+  // The target organization's plan replaces the business's plan and limits; a
+  // feature switched on that the new plan lacks refuses the transfer
+  let plan = {};
+  if (transfer && type === 'business') {
+    const organization = await Organization.findById(toPath.organizationId).select('subscription entitlements');
+    const entitlements = entitlementsOf(organization, doc);
+    assertFeaturesEntitled(entitlements, toPlain(doc).settings);
+
+    plan = planLimits(type, entitlements);
+    if (plan['subscription.plan'] !== doc.subscription?.plan) {
+      changes.push({ path: 'subscription.plan', before: doc.subscription?.plan, after: plan['subscription.plan'] });
+    }
+  }
+
+  return withTransaction(async session => {
+    await assertParentsLive(type, to, { session });
+
+    const { acquire, release } = reservationsForMove(type, from, to);
+
+    return withReservations(acquire, async () => {
+      await releaseAll(release, { session });
+
+      // A slug already used under the new parent is replaced; the old one redirects
+      const slugs = SLUG_SCOPES[type]
+        ? (await rescopeSlugs(type, [doc], await slugScope(type, to, { session }), { session })).get(String(doc._id))
+        : undefined;
+      if (slugs) changes.push({ path: 'slug', before: doc.slug, after: slugs.slug });
+
+      // So do those of a business's franchises taken in its new brand
+      const renamed = new Map();
+      if (type === 'business' && !sameId(from.brandId, to.brandId)) {
+        for (const { id, before, after } of await rescopeFranchises([doc._id], to.brandId, { session })) {
+          renamed.set(String(id), [{ path: 'slug', before, after }]);
+        }
+      }
+
+      const moved = await updateVersioned(model, doc._id, { $set: { ...to, ...slugs, ...plan } }, version, { session });
+      // Usage already reported counts towards the new parents
+      if (type === 'business') await moveBusinessUsage(doc._id, from, to, { session });
+
+      // Franchises travel with their business; their history notes the move too,
+      // as it does a new slug
+      const franchises = type === 'business' && transfer
+        ? await Franchise.find({ businessId: doc._id, deletedAt: null }).select('_id').session(session).lean()
+        : [...renamed.keys()].map(id => ({ _id: id }));
+
+      const metadata = { from: fromPath, to: toPath, ...(transfer && { transfer: true }) };
+      const organizations = transfer ? [toPath.organizationId, fromPath.organizationId] : [toPath.organizationId];
+
+      await recordAuditMany(organizations.flatMap(organizationId => [
+        { organizationId, entityType: type, entityId: doc._id, action: 'move', actor, changes, metadata },
+        ...franchises.map(franchise => ({
+          organizationId,
+          entityType: 'franchise',
+          entityId: franchise._id,
+          action: 'move',
+          actor,
+          changes: renamed.get(String(franchise._id)) ?? [],
+          metadata: { ...metadata, cascadeFrom: { entityType: type, entityId: doc._id } }
+        }))
+      ]), { session });
+
+      return moved;
+    }, { session });
+  });
+}
@@ -0,0 +1,302 @@
+/**
+ * Patch Service
+ * PUT, JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) updates, checked
+ * against a per-entity allow-list of writable fields before anything is written.
+ */
+
+import { ENTITIES } from '../models/index.js';
+import { ApiError, invalid } from '../utils/errors.js';
+import { updateVersioned } from '../utils/etag.js';
+import { toPlain, isPlainObject, changedPaths } from '../utils/objects.js';
+import { DOMAIN_OWNERS } from './domains.js';
+import { assertFeaturesEntitled } from './entitlements.js';
+import { assertUnlocked } from './settings.js';
+import { syncSlug } from './slugs.js';
+
+export const MERGE_PATCH = 'application/merge-patch+json';
+export const JSON_PATCH = 'application/json-patch+json';
+
+// Top-level fields clients may change, per entity type
+export const WRITABLE_FIELDS = {
+  organization: ['name', 'slug', 'description', 'domain', 'logo', 'settings', 'contact', 'isActive'],
+  brand: ['name', 'slug', 'description', 'subdomain', 'logo', 'brandGuidelines', 'settings', 'contact', 'isActive'],
+  business: ['name', 'description', 'externalId', 'ownerId', 'industry', 'businessType', 'contact', 'settings', 'isActive'],
+  franchise: ['name', 'slug', 'externalId', 'managerId', 'address', 'contact', 'settings', 'capacity', 'isActive']
+};
+
+// Why a non-writable field was refused
+const PROTECTED_FIELDS = {
+  immutable: ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'organizationId', 'brandId', 'businessId'],
+  billing: ['subscription', 'limits', 'entitlements'],
+  managed: ['usage', 'deletedAt', 'deletedBy', 'archiveId', 'mergedInto', 'domainVerification', 'customDomainVerification', 'previousSlugs']
+};
+
+/**
+ * The fields of a create body the client may set: service-maintained fields
+ * are dropped, and billing fields too below the organization, where the plan
+ * and limits come from the organization's subscription.
+ */
+export function createFields(type, body) {
+  const dropped = type === 'organization'
+    ? PROTECTED_FIELDS.managed
+    : [...PROTECTED_FIELDS.managed, ...PROTECTED_FIELDS.billing];
+  return Object.fromEntries(Object.entries(body).filter(([field]) => field !== '__v' && !dropped.includes(field)));
+}
+
+const RULE_MESSAGES = {
+  immutable: 'is immutable',
+  billing: 'is owned by billing',
+  managed: 'is maintained by the service',
+  writable: 'is not a writable field'
+};
+
+const topLevel = path => path.split('.')[0];
+
+/**
+ * Reject changes outside the entity's allow-list, naming why each was refused.
+ */
+export function assertWritable(type, paths) {
+  const allowed = WRITABLE_FIELDS[type];
+  const errors = [];
+
+  for (const path of paths) {
+    const field = topLevel(path);
+    if (allowed.includes(field)) continue;
+
+    const rule = Object.keys(PROTECTED_FIELDS).find(key => PROTECTED_FIELDS[key].includes(field)) || 'writable';
+    const hint = ['organizationId', 'brandId', 'businessId'].includes(field) ? '; use the move operation' : '';
+    errors.push({ path, rule, message: `${path} ${RULE_MESSAGES[rule]}${hint}` });
+  }
+
+  if (errors.length > 0) throw invalid(errors, 'Update touches fields that cannot be written');
+}
+
+// =============================================================================
+// PATCH FORMATS
+// =============================================================================
+
+/**
+ * PUT semantics: each field in the body replaces the stored field wholesale.
+ */
+export function replaceFields(target, body) {
+  if (!isPlainObject(body)) throw new ApiError(400, 'Request body must be a JSON object');
+  return { ...target, ...body };
+}
+
+/**
+ * RFC 7396: objects merge recursively, null removes a member, anything else replaces.
+ */
+export function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = mergePatch(result[key], value);
+  }
+  return result;
+}
+
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new ApiError(400, `Invalid JSON pointer: ${pointer}`);
+  }
+  return pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// Container holding the last token of `tokens`, or a 400 when the path does not exist
+function resolveParent(document, tokens, pointer) {
+  let node = document;
+  for (const token of tokens.slice(0, -1)) {
+    node = Array.isArray(node) ? node[Number(token)] : node?.[token];
+    if (node === undefined || node === null || typeof node !== 'object') {
+      throw new ApiError(400, `Path not found: ${pointer}`);
+    }
+  }
+  return node;
+}
+
+function getAt(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) return document;
+
+  const parent = resolveParent(document, tokens, pointer);
+  const key = tokens[tokens.length - 1];
+  const value = Array.isArray(parent) ? parent[Number(key)] : parent[key];
+  if (value === undefined) throw new ApiError(400, `Path not found: ${pointer}`);
+  return value;
+}
+
+function addAt(document, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) return value;
+
+  const parent = resolveParent(document, tokens, pointer);
+  const key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : Number(key);
+    if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+      throw new ApiError(400, `Invalid array index: ${pointer}`);
+    }
+    parent.splice(index, 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+}
+
+function removeAt(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) throw new ApiError(400, 'Cannot remove the whole document');
+
+  getAt(document, pointer);
+  const parent = resolveParent(document, tokens, pointer);
+  const key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) parent.splice(Number(key), 1);
+  else delete parent[key];
+  return document;
+}
+
+/**
+ * RFC 6902: apply operations in order; a failed `test` aborts the whole patch.
+ */
+export function jsonPatch(target, operations) {
+  if (!Array.isArray(operations)) {
+    throw new ApiError(400, 'JSON Patch body must be an array of operations');
+  }
+
+  let document = structuredClone(target);
+
+  for (const operation of operations) {
+    const { op, path, from, value } = operation || {};
+
+    switch (op) {
+      case 'add':
+        document = addAt(document, path, structuredClone(value));
+        break;
+      case 'remove':
+        document = removeAt(document, path);
+        break;
+      case 'replace':
+        getAt(document, path);
+        document = addAt(removeAt(document, path), path, structuredClone(value));
+        break;
+      case 'move': {
+        const moved = getAt(document, from);
+        document = addAt(removeAt(document, from), path, moved);
+        break;
+      }
+      case 'copy':
+        document = addAt(document, path, structuredClone(getAt(document, from)));
+        break;
+      case 'test':
+        if (JSON.stringify(getAt(document, path)) !== JSON.stringify(value)) {
+          throw new ApiError(409, `Test failed at ${path}`, { code: 'PATCH_TEST_FAILED' });
+        }
+        break;
+      default:
+        throw new ApiError(400, `Unsupported JSON Patch operation: ${op}`);
+    }
+  }
+
+  return document;
+}
+
+/**
+ * Pick the patch format from a PATCH request's Content-Type. Plain
+ * application/json is treated as a merge patch.
+ */
+export function patcherFor(contentType = '', body) {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+
+  if (type === JSON_PATCH) return current => jsonPatch(current, body);
+  if (type === MERGE_PATCH || type === 'application/json') {
+    if (!isPlainObject(body)) throw new ApiError(400, 'Merge patch body must be a JSON object');
+    return current => mergePatch(current, body);
+  }
+
+  throw new ApiError(415, `PATCH requires ${MERGE_PATCH} or ${JSON_PATCH}`);
+}
+
+// =============================================================================
+// APPLYING UPDATES
+// =============================================================================
+
+/**
+ * Undo what a GET adds to a document, so its body can be sent back with only
+ * real edits: virtuals (`id`, child counts) are dropped and references that
+ * were populated become the ids they still point at. A changed `id` or
+ * reference is kept for assertWritable to refuse.
+ */
+export function withoutEchoedFields(schema, current, next) {
+  const result = { ...next };
+
+  for (const [key, value] of Object.entries(next)) {
+    if (key === 'id') {
+      if (String(value) === String(current._id)) delete result.id;
+    } else if (key in schema.virtuals) {
+      delete result[key];
+    } else if (isPlainObject(value) && value._id !== undefined && String(value._id) === String(current[key])) {
+      result[key] = current[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Run `patcher` over the stored document, check the touched fields against the
+ * allow-list, the settings `locked` above the entity and its `entitlements`,
+ * validate the touched paths against the schema and write it at `version`.
+ */
+export async function applyUpdate(type, doc, patcher, version, { locked = {}, entitlements = null, session = null } = {}) {
+  const { model } = ENTITIES[type];
+  const current = toPlain(doc);
+  const patched = patcher(structuredClone(current));
+
+  if (!isPlainObject(patched)) throw new ApiError(400, 'Patch must produce a JSON object');
+  const next = withoutEchoedFields(model.schema, current, patched);
+
+  const paths = changedPaths(current, next);
+  assertWritable(type, paths);
+  assertUnlocked(next.settings, paths.filter(path => path.startsWith('settings.')).map(path => path.slice(9)), locked);
+  if (entitlements) assertFeaturesEntitled(entitlements, next.settings, paths);
+
+  const fields = [...new Set(paths.map(topLevel))];
+  if (fields.length === 0) return doc;
+
+  for (const field of fields) {
+    doc.set(field, next[field]);
+  }
+
+  // A rename regenerates the slug; the old one is kept as a redirect
+  await syncSlug(type, doc, current, { session });
+  const touched = [...paths];
+  for (const field of ['slug', 'previousSlugs']) {
+    if (!doc.isModified(field)) continue;
+    if (!fields.includes(field)) fields.push(field);
+    touched.push(field);
+  }
+
+  // Only the touched paths: a value stored before its rule existed, such as a
+  // [0, 0] placeholder point, must not block an unrelated edit
+  await doc.validate(touched);
+
+  const casted = doc.toObject({ depopulate: true, virtuals: false });
+  const $set = {};
+  const $unset = {};
+  for (const field of fields) {
+    if (casted[field] === undefined) $unset[field] = 1;
+    else $set[field] = casted[field];
+  }
+
+  // A new hostname has to be verified again
+  const owner = DOMAIN_OWNERS[type];
+  if (owner && paths.includes(owner.field)) $unset[owner.state] = 1;
+
+  return updateVersioned(model, doc._id, {
+    ...(Object.keys($set).length > 0 && { $set }),
+    ...(Object.keys($unset).length > 0 && { $unset })
+  }, version, { session });
+}
@@ -0,0 +1,186 @@
+/**
+ * Query Service
+ * The filter / sort / full-text query language shared by every list route,
+ * and the cross-entity search within an organization.
+ */
+
+import mongoose from 'mongoose';
+import { ENTITIES, Brand, Business, Franchise } from '../models/index.js';
+import { invalid } from '../utils/errors.js';
+import { scopeFilter } from './access.js';
+
+// Query parameters every entity accepts
+const COMMON_FILTERS = {
+  isActive: { path: 'isActive', type: 'boolean' },
+  createdAfter: { path: 'createdAt', type: 'date', operator: '$gte' },
+  createdBefore: { path: 'createdAt', type: 'date', operator: '$lte' },
+  updatedAfter: { path: 'updatedAt', type: 'date', operator: '$gte' },
+  updatedBefore: { path: 'updatedAt', type: 'date', operator: '$lte' }
+};
+
+// Entity-specific filters; the parameter name is the field path
+export const FILTERS = {
+  organization: {
+    'subscription.plan': { type: 'enum' },
+    'subscription.status': { type: 'enum' },
+    'contact.address.city': { type: 'string' },
+    'contact.address.country': { type: 'string' }
+  },
+  brand: {
+    'contact.address.city': { type: 'string' },
+    'contact.address.country': { type: 'string' }
+  },
+  business: {
+    brandId: { type: 'objectId', nullable: true },
+    ownerId: { type: 'objectId' },
+    industry: { type: 'enum' },
+    businessType: { type: 'enum' },
+    'subscription.plan': { type: 'enum' },
+    'subscription.status': { type: 'enum' },
+    'contact.address.city': { type: 'string' },
+    'contact.address.state': { type: 'string' },
+    'contact.address.country': { type: 'string' }
+  },
+  franchise: {
+    managerId: { type: 'objectId', nullable: true },
+    'address.city': { type: 'string' },
+    'address.state': { type: 'string' },
+    'address.country': { type: 'string' },
+    'address.zipCode': { type: 'string' }
+  }
+};
+
+export const SORTABLE = {
+  organization: ['name', 'createdAt', 'updatedAt', 'subscription.plan'],
+  brand: ['name', 'createdAt', 'updatedAt'],
+  business: ['name', 'createdAt', 'updatedAt', 'industry', 'businessType', 'subscription.plan', 'contact.address.city'],
+  franchise: ['name', 'createdAt', 'updatedAt', 'address.city', 'address.country']
+};
+
+const MAX_QUERY_LENGTH = 200;
+
+function parseValue(type, param, raw, spec, schemaPath) {
+  switch (type) {
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') {
+        throw invalid([{ path: param, rule: 'boolean', message: `${param} must be true or false` }]);
+      }
+      return raw === 'true';
+    case 'date': {
+      const date = new Date(raw);
+      if (Number.isNaN(date.getTime())) {
+        throw invalid([{ path: param, rule: 'date', message: `${param} must be an ISO date` }]);
+      }
+      return date;
+    }
+    case 'enum':
+      if (!schemaPath.enumValues.includes(raw)) {
+        throw invalid([{ path: param, rule: 'enum', message: `${param} must be one of ${schemaPath.enumValues.join(', ')}` }]);
+      }
+      return raw;
+    case 'objectId':
+      if (spec.nullable && raw === 'null') return null;
+      if (!mongoose.isValidObjectId(raw)) {
+        throw invalid([{ path: param, rule: 'cast', message: `${param} must be a valid ObjectId` }]);
+      }
+      return raw;
+    default:
+      return raw;
+  }
+}
+
+// Comma-separated values become $in
+function fieldFilter(type, param, value, spec) {
+  const schemaPath = ENTITIES[type].model.schema.path(param);
+  const values = String(value).split(',').map(v => v.trim()).filter(v => v !== '');
+  const parsed = values.map(raw => parseValue(spec.type, param, raw, spec, schemaPath));
+
+  return parsed.length === 1 ? parsed[0] : { $in: parsed };
+}
+
+/**
+ * Parse `sort=-createdAt,name` against the entity's sortable fields.
+ */
+export function parseSort(type, value, fallback) {
+  if (!value) return fallback;
+
+  const sort = String(value).split(',').filter(Boolean).map(token => {
+    const field = token.replace(/^[-+]/, '');
+    if (!SORTABLE[type].includes(field)) {
+      throw invalid([{ path: 'sort', rule: 'enum', message: `Cannot sort by ${field}; use one of ${SORTABLE[type].join(', ')}` }]);
+    }
+    return [field, token.startsWith('-') ? -1 : 1];
+  });
+
+  return sort.length > 0 ? sort : fallback;
+}
+
+export function parseSearchTerm(q) {
+  if (q === undefined) return undefined;
+
+  const term = String(q).trim();
+  if (!term || term.length > MAX_QUERY_LENGTH) {
+    throw invalid([{ path: 'q', rule: 'length', message: `q must be 1-${MAX_QUERY_LENGTH} characters` }]);
+  }
+  return term;
+}
+
+/**
+ * Filter and sort for a list of `type` from its query string. Archived records
+ * are left out unless includeArchived=true; `defaults` fill in absent filters.
+ */
+export function buildListQuery(type, query, { sort: defaultSort, defaults = {} } = {}) {
+  const filter = {};
+
+  for (const [param, spec] of Object.entries(COMMON_FILTERS)) {
+    const raw = query[param] ?? defaults[param];
+    if (raw === undefined) continue;
+
+    const value = parseValue(spec.type, param, String(raw), spec);
+    if (spec.operator) filter[spec.path] = { ...filter[spec.path], [spec.operator]: value };
+    else filter[spec.path] = value;
+  }
+
+  for (const [param, spec] of Object.entries(FILTERS[type])) {
+    if (query[param] === undefined) continue;
+    filter[param] = fieldFilter(type, param, query[param], spec);
+  }
+
+  if (query.includeArchived !== 'true') filter.deletedAt = null;
+
+  const term = parseSearchTerm(query.q);
+  if (term) filter.$text = { $search: term };
+
+  return { filter, sort: parseSort(type, query.sort, defaultSort) };
+}
+
+/**
+ * Text search across an organization's brands, businesses and franchises,
+ * grouped by type and ranked by relevance within each group.
+ */
+export async function searchOrganization(user, organizationId, q, { limit = 10, includeArchived = false } = {}) {
+  const term = parseSearchTerm(q);
+  if (!term) {
+    throw invalid([{ path: 'q', rule: 'required', message: 'q is required' }]);
+  }
+
+  const live = includeArchived ? {} : { deletedAt: null };
+  const text = { $text: { $search: term } };
+  const score = { score: { $meta: 'textScore' } };
+
+  const search = async (model, type, base) => model
+    .find({ $and: [base, text, live, await scopeFilter(user, type)] }, score)
+    .sort(score)
+    .limit(limit)
+    .lean();
+
+  const businessIds = await Business.find({ organizationId }).distinct('_id');
+
+  const [brands, businesses, franchises] = await Promise.all([
+    search(Brand, 'brand', { organizationId }),
+    search(Business, 'business', { organizationId }),
+    search(Franchise, 'franchise', { businessId: { $in: businessIds } })
+  ]);
+
+  return { brands, businesses, franchises };
+}
@@ -0,0 +1,160 @@
+/**
+ * Host Resolution
+ * Turns the hostname a white-label front end was reached on into its brand,
+ * organization, theme and effective settings.
+ *
+ * A host matches, in this order:
+ *   1. a brand's verified custom domain
+ *   2. an organization's verified domain
+ *   3. {subdomain}.<an organization's verified domain>: that organization's brand
+ *   4. {subdomain}.<PLATFORM_DOMAIN>: the brand with that subdomain
+ *
+ * Results, misses included, are cached in memory for RESOLVE_CACHE_SECONDS and
+ * dropped as soon as a write on this instance commits an event saying an
+ * organization, brand, domain or subscription behind them changed, or when the
+ * webhook dispatcher publishes one. Other instances catch up within the TTL.
+ */
+
+import { Organization, Brand } from '../models/index.js';
+import { invalid, notFound } from '../utils/errors.js';
+import { PLATFORM_DOMAIN, hostnameOf } from '../utils/domains.js';
+import { describeEntitlements } from './entitlements.js';
+import { accessMode } from './lifecycle.js';
+import { resolveEffectiveSettings } from './settings.js';
+import { compileTheme, effectiveTheme } from './theme.js';
+
+export const CACHE_SECONDS = parseInt(process.env.RESOLVE_CACHE_SECONDS || '300', 10);
+export const CACHE_SIZE = parseInt(process.env.RESOLVE_CACHE_SIZE || '1000', 10);
+
+// Events that can change what a host resolves to
+const INVALIDATING_EVENTS = /^(organization|brand|domain|subscription)\./;
+
+const live = { deletedAt: null };
+
+// hostname → { value, organizationId, expiresAt }; a null value is a cached miss.
+// Map order doubles as recency, so the oldest entry is evicted first.
+const cache = new Map();
+
+function cached(hostname, now) {
+  const entry = cache.get(hostname);
+  if (!entry) return undefined;
+
+  cache.delete(hostname);
+  if (entry.expiresAt <= now) return undefined;
+
+  cache.set(hostname, entry);
+  return entry.value;
+}
+
+function remember(hostname, value, now) {
+  cache.set(hostname, {
+    value,
+    organizationId: value ? String(value.organization.id) : null,
+    expiresAt: now + CACHE_SECONDS * 1000
+  });
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+}
+
+/**
+ * Drop cached resolutions an event may have changed: those of its
+ * organizations, and every miss, since the host may resolve now.
+ */
+export function invalidateResolutions(event) {
+  if (!INVALIDATING_EVENTS.test(event.type)) return;
+
+  const organizations = new Set((event.organizationIds ?? []).map(String));
+  for (const [hostname, entry] of cache) {
+    if (!entry.organizationId || organizations.has(entry.organizationId)) cache.delete(hostname);
+  }
+}
+
+export function clearResolutions() {
+  cache.clear();
+}
+
+// The brand and organization served on `hostname`, or null
+async function findTenant(hostname) {
+  const brand = await Brand.findOne({
+    'settings.customDomain': hostname,
+    'customDomainVerification.status': 'verified',
+    ...live
+  }).lean();
+  if (brand) return { match: 'custom_domain', brand };
+
+  const organization = await Organization.findOne({ domain: hostname, 'domainVerification.status': 'verified', ...live }).lean();
+  if (organization) return { match: 'organization_domain', organization };
+
+  const [subdomain, ...rest] = hostname.split('.');
+  const parent = rest.join('.');
+
+  if (parent === PLATFORM_DOMAIN) {
+    const platformBrand = await Brand.findOne({ subdomain, ...live }).lean();
+    return platformBrand && { match: 'platform_subdomain', brand: platformBrand };
+  }
+
+  const owner = await Organization.findOne({ domain: parent, 'domainVerification.status': 'verified', ...live }).lean();
+  if (!owner) return null;
+
+  const ownerBrand = await Brand.findOne({ organizationId: owner._id, subdomain, ...live }).lean();
+  return ownerBrand && { match: 'organization_subdomain', brand: ownerBrand, organization: owner };
+}
+
+async function describeTenant(hostname, { match, brand = null, organization = null }) {
+  const owner = organization ?? await Organization.findOne({ _id: brand.organizationId, ...live }).lean();
+  if (!owner) return null;
+
+  const [type, doc] = brand ? ['brand', brand] : ['organization', owner];
+  const { settings } = await resolveEffectiveSettings(type, doc);
+  const { allowed: whiteLabel } = await describeEntitlements(type, doc, 'whiteLabel');
+
+  return {
+    hostname,
+    match,
+    organization: { id: owner._id, name: owner.name, logo: owner.logo ?? null, domain: owner.domain ?? null },
+    brand: brand && {
+      id: brand._id,
+      name: brand.name,
+      logo: brand.logo ?? null,
+      subdomain: brand.subdomain ?? null,
+      customDomain: brand.settings?.customDomain ?? null
+    },
+    theme: effectiveTheme({ organization: owner, brand, settings }),
+    settings,
+    whiteLabel,
+    access: accessMode(owner.subscription)
+  };
+}
+
+/**
+ * Brand, organization, theme and settings served on `host` (a Host header
+ * value; any port is ignored). Unknown hosts are a 404.
+ */
+export async function resolveHost(host, { now = Date.now() } = {}) {
+  const hostname = hostnameOf(host);
+  if (!hostname) {
+    throw invalid([{ path: 'host', rule: 'hostname', message: 'host must be a hostname such as feedback.acme.com' }]);
+  }
+
+  let tenant = cached(hostname, now);
+  if (tenant === undefined) {
+    const found = await findTenant(hostname);
+    tenant = found && await describeTenant(hostname, found);
+    remember(hostname, tenant, now);
+  }
+
+  if (!tenant) throw notFound(`No brand or organization is served on ${hostname}`);
+  return tenant;
+}
+
+/**
+ * Public theme of the brand served on `host`: tokens, palette and stylesheet,
+ * without the warnings meant for brand admins. An organization's own domain
+ * gets the default theme with the organization's logo.
+ */
+export async function resolveTheme(host) {
+  const tenant = await resolveHost(host);
+  const brand = tenant.brand && await Brand.findById(tenant.brand.id).lean();
+  const { tokens, palette, css, etag } = compileTheme({ organization: tenant.organization, brand, settings: tenant.settings });
+
+  return { hostname: tenant.hostname, brandId: tenant.brand?.id ?? null, tokens, palette, css, etag };
+}
@@ -0,0 +1,181 @@
+/**
+ * Settings Service
+ * Effective settings for any level of the hierarchy. Settings merge down
+ * organization → brand → business → franchise: a value set on a lower level
+ * overrides the one above it, unless a level above has locked that path.
+ */
+
+import { Organization, Brand, Business, Franchise } from '../models/index.js';
+import { invalid } from '../utils/errors.js';
+import { flatten, toPlain, unflatten } from '../utils/objects.js';
+import { idOf } from './access.js';
+
+// Used when no level sets a value
+export const SETTINGS_DEFAULTS = { timezone: 'UTC', currency: 'USD', language: 'en' };
+
+// What the schemas defaulted to before these values were inherited. Entities
+// created back then store them, and they would override the levels above.
+export const LEGACY_SETTINGS_DEFAULTS = {
+  brand: { model: Brand, values: { 'features.whiteLabel': false } },
+  business: {
+    model: Business,
+    values: { timezone: 'UTC', currency: 'USD', language: 'en', 'features.customForms': false, 'features.customReports': false }
+  },
+  franchise: { model: Franchise, values: { timezone: 'UTC' } }
+};
+
+const ANCESTOR_FIELDS = 'settings organizationId brandId';
+
+// A lock on `features` also covers features.customForms
+const covers = (lock, path) => path === lock || path.startsWith(`${lock}.`);
+
+const lockFor = (locked, path) => Object.keys(locked).find(lock => covers(lock, path));
+
+const level = ({ type, doc }) => ({ type, id: idOf(doc._id), settings: toPlain(doc).settings });
+
+/**
+ * Merge `levels` ({ type, id, settings }, top level first) into
+ * { settings, sources, locked }. `sources` names the level each leaf came from;
+ * `locked` names the level that locked each path.
+ */
+export function mergeSettings(levels) {
+  const values = {};
+  const sources = {};
+  const locked = {};
+
+  for (const { type, id, settings = {} } of levels) {
+    const { locked: locks = [], ...own } = settings;
+
+    for (const [path, value] of Object.entries(flatten(own))) {
+      if (value === undefined || value === null || lockFor(locked, path)) continue;
+      values[path] = value;
+      sources[path] = { level: type, id };
+    }
+
+    // A level's own value stands; the lock applies to the levels below it
+    for (const path of locks) {
+      if (!lockFor(locked, path)) locked[path] = { level: type, id };
+    }
+  }
+
+  for (const [path, value] of Object.entries(SETTINGS_DEFAULTS)) {
+    if (path in values) continue;
+    values[path] = value;
+    sources[path] = { level: 'default', id: null };
+  }
+
+  return { settings: unflatten(values), sources, locked };
+}
+
+// Levels above `doc`, top level first
+async function ancestorsOf(type, doc) {
+  const ancestors = [];
+  let { organizationId, brandId } = type === 'brand' ? { organizationId: doc.organizationId } : doc;
+
+  if (type === 'franchise') {
+    const business = await Business.findById(idOf(doc.businessId)).select(ANCESTOR_FIELDS);
+    if (business) {
+      ancestors.unshift({ type: 'business', doc: business });
+      ({ organizationId, brandId } = business);
+    }
+  }
+
+  if (brandId) {
+    const brand = await Brand.findById(idOf(brandId)).select(ANCESTOR_FIELDS);
+    if (brand) ancestors.unshift({ type: 'brand', doc: brand });
+  }
+
+  if (type !== 'organization' && organizationId) {
+    const organization = await Organization.findById(idOf(organizationId)).select(ANCESTOR_FIELDS);
+    if (organization) ancestors.unshift({ type: 'organization', doc: organization });
+  }
+
+  return ancestors.map(level);
+}
+
+/**
+ * Settings `doc` runs with after inheritance.
+ */
+export async function resolveEffectiveSettings(type, doc) {
+  const ancestors = await ancestorsOf(type, doc);
+  return mergeSettings([...ancestors, level({ type, doc })]);
+}
+
+/**
+ * Paths locked by the levels above `doc`.
+ */
+export async function inheritedLocks(type, doc) {
+  return mergeSettings(await ancestorsOf(type, doc)).locked;
+}
+
+/**
+ * Errors for values written under a locked settings path. Clearing a value is
+ * allowed, since that hands it back to the level above.
+ */
+export function lockedErrors(settings, paths, locked) {
+  const values = flatten(settings ?? {});
+  return paths
+    .filter(path => values[path] !== undefined && values[path] !== null && lockFor(locked, path))
+    .map(path => ({
+      path: `settings.${path}`,
+      rule: 'locked',
+      message: `settings.${path} is locked by the ${locked[lockFor(locked, path)].level}`
+    }));
+}
+
+export function assertUnlocked(settings, paths, locked) {
+  const errors = lockedErrors(settings, paths, locked);
+  if (errors.length > 0) throw invalid(errors, 'Update overrides locked settings');
+}
+
+/**
+ * Lock check for a new entity: only the settings the client sent count, not
+ * schema defaults, against the locks of the levels it is created under.
+ */
+export async function assertCreateUnlocked(type, doc, settings) {
+  const paths = Object.keys(flatten(settings ?? {}));
+  if (paths.length > 0) assertUnlocked(settings, paths, await inheritedLocks(type, doc));
+}
+
+/**
+ * Effective timezone lookup for many franchises; each business's ancestors
+ * are read once.
+ */
+export function franchiseTimezones() {
+  const chains = new Map();
+
+  return async franchise => {
+    const key = String(idOf(franchise.businessId));
+    if (!chains.has(key)) chains.set(key, ancestorsOf('franchise', franchise));
+
+    const ancestors = await chains.get(key);
+    return mergeSettings([...ancestors, level({ type: 'franchise', doc: franchise })]).settings.timezone;
+  };
+}
+
+// =============================================================================
+// BACKFILL
+// =============================================================================
+
+/**
+ * Unset stored settings equal to the legacy schema defaults so they inherit.
+ * A value set on purpose to the same thing is unset too, so this runs once,
+ * after deploying inheritance. Returns how many entities each path was unset on.
+ */
+export async function backfillSettingsDefaults() {
+  const counts = {};
+
+  for (const [type, { model, values }] of Object.entries(LEGACY_SETTINGS_DEFAULTS)) {
+    counts[type] = {};
+
+    for (const [path, value] of Object.entries(values)) {
+      const result = await model.updateMany(
+        { [`settings.${path}`]: value },
+        { $unset: { [`settings.${path}`]: 1 }, $inc: { __v: 1 } }
+      );
+      counts[type][path] = result.modifiedCount;
+    }
+  }
+
+  return counts;
+}
@@ -0,0 +1,291 @@
+/**
+ * Slug Service
+ * URL handles for organizations, brands and franchises. Organization slugs are
+ * unique across the platform, brand slugs within their organization and
+ * franchise slugs within their brand, since slug paths do not name the
+ * business (an unbranded business's franchises: within the business).
+ *
+ * A slug is generated from the name unless one is given, and regenerated when
+ * the entity is renamed. Slugs an entity had before stay in `previousSlugs` and
+ * answer lookups with a redirect; new slugs avoid them within the scope.
+ */
+
+import { ENTITIES, Business, Franchise } from '../models/index.js';
+import { ApiError, notFound } from '../utils/errors.js';
+import { slugify, slugCandidate } from '../utils/slugs.js';
+import { idOf, scopeFilter } from './access.js';
+
+// Type → the parent reference its slugs are scoped by (null: the platform);
+// see slugScope for franchises
+export const SLUG_SCOPES = {
+  organization: null,
+  brand: 'organizationId',
+  franchise: 'businessId'
+};
+
+// Redirects kept per entity; the oldest go first
+export const MAX_PREVIOUS_SLUGS = 20;
+
+const BACKFILL_BATCH = parseInt(process.env.SLUG_BACKFILL_BATCH || '500', 10);
+
+// Franchises of every business of the brand, archived ones included
+async function brandScope(brandId, { session = null } = {}) {
+  return { businessId: { $in: await Business.find({ brandId: idOf(brandId) }).session(session).distinct('_id') } };
+}
+
+/**
+ * The filter slugs of `type` are unique within, for an entity with the parent
+ * references in `refs`.
+ */
+export async function slugScope(type, refs, { session = null } = {}) {
+  const field = SLUG_SCOPES[type];
+  if (!field) return {};
+  if (type !== 'franchise') return { [field]: idOf(refs[field]) };
+
+  const business = await Business.findById(idOf(refs.businessId)).select('brandId').session(session).lean();
+  return business?.brandId ? brandScope(business.brandId, { session }) : { businessId: idOf(refs.businessId) };
+}
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * First of `base`, `base-2`, `base-3`, … not used as a current or previous slug
+ * in `scope`. `except` is the entity being slugged, whose own slugs are free;
+ * `reserved` holds slugs already promised in the same batch.
+ */
+export async function availableSlug(type, base, scope, { except = null, reserved = new Set(), session = null } = {}) {
+  const { model } = ENTITIES[type];
+  const pattern = new RegExp(`^${escapeRegExp(base)}(-\\d+)?$`);
+
+  const taken = await model.find({
+    ...scope,
+    ...(except && { _id: { $ne: except } }),
+    $or: [{ slug: pattern }, { previousSlugs: pattern }]
+  }).select('slug previousSlugs').session(session).lean();
+
+  const used = new Set([...reserved, ...taken.flatMap(doc => [doc.slug, ...(doc.previousSlugs ?? [])])]);
+  for (let n = 1; ; n++) {
+    const candidate = slugCandidate(base, n);
+    if (!used.has(candidate)) return candidate;
+  }
+}
+
+// previousSlugs after `doc` moves from `from` to `to`
+function redirectsFor(doc, from, to) {
+  const kept = (doc.previousSlugs ?? []).filter(slug => slug !== to && slug !== from);
+  return from && from !== to ? [...kept, from].slice(-MAX_PREVIOUS_SLUGS) : kept;
+}
+
+/**
+ * Give a document its slug before it is written: generated from the name when
+ * none is set, or when it was renamed without a new slug. `before` is the
+ * stored state for updates. A replaced slug is kept as a redirect.
+ */
+export async function syncSlug(type, doc, before = null, { session = null } = {}) {
+  if (!(type in SLUG_SCOPES)) return;
+
+  const previous = before?.slug ?? null;
+  const given = Boolean(doc.slug) && doc.slug !== previous;
+  const renamed = Boolean(before) && before.name !== doc.name;
+  if (!given && doc.slug && !renamed) return;
+
+  const scope = await slugScope(type, doc, { session });
+  if (given) {
+    // Checked here, as the unique index cannot span a brand's businesses
+    const { model, label } = ENTITIES[type];
+    const taken = await model.exists({
+      ...scope,
+      _id: { $ne: doc._id },
+      $or: [{ slug: doc.slug }, { previousSlugs: doc.slug }]
+    }).session(session);
+    if (taken) throw new ApiError(409, `${label} slug ${doc.slug} is taken`, { code: 'SLUG_TAKEN', slug: doc.slug });
+  } else {
+    doc.slug = await availableSlug(type, slugify(doc.name, type), scope, { except: doc._id, session });
+  }
+  if (doc.slug === previous) return;
+
+  const redirects = redirectsFor(doc, previous, doc.slug);
+  if (redirects.length > 0 || doc.previousSlugs?.length) doc.previousSlugs = redirects;
+}
+
+/**
+ * New slugs for `docs` moving into `scope` whose slug is taken there, as
+ * id → { slug, previousSlugs }. The old slug stays as a redirect.
+ */
+export async function rescopeSlugs(type, docs, scope, { session = null } = {}) {
+  const { model } = ENTITIES[type];
+  const movingIds = docs.map(doc => doc._id);
+  const slugged = docs.filter(doc => doc.slug);
+
+  const clashing = new Set((await model.find({
+    ...scope,
+    _id: { $nin: movingIds },
+    $or: [{ slug: { $in: slugged.map(doc => doc.slug) } }, { previousSlugs: { $in: slugged.map(doc => doc.slug) } }]
+  }).select('slug previousSlugs').session(session).lean()).flatMap(doc => [doc.slug, ...(doc.previousSlugs ?? [])]));
+
+  const keeping = slugged.filter(doc => !clashing.has(doc.slug));
+  const reserved = new Set(keeping.map(doc => doc.slug));
+  const updates = new Map();
+
+  for (const doc of slugged.filter(candidate => clashing.has(candidate.slug))) {
+    const slug = await availableSlug(type, slugify(doc.name, type), scope, { except: doc._id, reserved, session });
+    reserved.add(slug);
+    updates.set(String(doc._id), { slug, previousSlugs: redirectsFor(doc, doc.slug, slug) });
+  }
+  return updates;
+}
+
+/**
+ * New slugs for the franchises of `businessIds` as the businesses join brand
+ * `brandId`, written in `session`. Returns { id, before, after } per franchise
+ * whose slug was taken there; the old slug stays as a redirect.
+ */
+export async function rescopeFranchises(businessIds, brandId, { session = null } = {}) {
+  if (!brandId || businessIds.length === 0) return [];
+  return rescopeInBrand({ businessId: { $in: businessIds } }, brandId, { session });
+}
+
+async function rescopeInBrand(filter, brandId, { session = null } = {}) {
+  const franchises = await Franchise.find({ ...filter, slug: { $type: 'string' } })
+    .select('name slug previousSlugs')
+    .session(session)
+    .lean();
+  if (franchises.length === 0) return [];
+
+  const updates = await rescopeSlugs('franchise', franchises, await brandScope(brandId, { session }), { session });
+
+  const renamed = [];
+  for (const franchise of franchises) {
+    const update = updates.get(String(franchise._id));
+    if (!update) continue;
+    await Franchise.updateOne({ _id: franchise._id }, { $set: update, $inc: { __v: 1 } }, { session });
+    renamed.push({ id: franchise._id, before: franchise.slug, after: update.slug });
+  }
+  return renamed;
+}
+
+// =============================================================================
+// LOOKUPS
+// =============================================================================
+
+/**
+ * The entity of `type` with `slug` in `scope`, or null. `redirected` is set
+ * when only an old slug matched. `franchise` lookups may span several
+ * businesses; a slug found in more than one is a 409.
+ */
+export async function findBySlug(type, slug, scope = {}) {
+  const { model, label } = ENTITIES[type];
+
+  for (const [field, redirected] of [['slug', false], ['previousSlugs', true]]) {
+    const matches = await model.find({ ...scope, [field]: slug }).sort({ updatedAt: -1 }).limit(2);
+    if (matches.length > 1 && type === 'franchise') {
+      throw new ApiError(409, `${label} slug ${slug} is used in more than one business`, {
+        code: 'AMBIGUOUS_SLUG',
+        candidates: matches.map(match => ({ id: match._id, businessId: match.businessId }))
+      });
+    }
+    if (matches.length > 0) return { doc: matches[0], redirected };
+  }
+  return null;
+}
+
+/**
+ * Resolve /o/:organization/b/:brand/f/:franchise slugs to the last entity named.
+ * `canonical` is the path with current slugs, for redirecting old ones. The
+ * franchise is only looked for among those `user` can see, so an ambiguous
+ * slug never names franchises of other tenants.
+ */
+export async function resolveSlugPath({ organization, brand, franchise }, { user = null } = {}) {
+  const found = await findBySlug('organization', organization);
+  if (!found) throw notFound('Organization not found');
+
+  const segments = [`o/${found.doc.slug}`];
+  let result = { type: 'organization', ...found };
+
+  if (brand !== undefined) {
+    const brandFound = await findBySlug('brand', brand, { organizationId: result.doc._id });
+    if (!brandFound) throw notFound('Brand not found');
+    segments.push(`b/${brandFound.doc.slug}`);
+    result = { type: 'brand', doc: brandFound.doc, redirected: result.redirected || brandFound.redirected };
+  }
+
+  if (franchise !== undefined) {
+    const businesses = await Business.find({ brandId: result.doc._id }).select('_id').lean();
+    const franchiseFound = await findBySlug('franchise', franchise, {
+      $and: [{ businessId: { $in: businesses.map(business => business._id) } }, await scopeFilter(user, 'franchise')]
+    });
+    if (!franchiseFound) throw notFound('Franchise not found');
+    segments.push(`f/${franchiseFound.doc.slug}`);
+    result = { type: 'franchise', doc: franchiseFound.doc, redirected: result.redirected || franchiseFound.redirected };
+  }
+
+  return { ...result, canonical: `/api/${segments.join('/')}` };
+}
+
+// =============================================================================
+// BACKFILL
+// =============================================================================
+
+/**
+ * Give every entity created before slugs existed a slug from its name, and
+ * separate franchises of one brand that share a slug from before franchise
+ * slugs were unique per brand. Returns how many of each type were slugged,
+ * and `separatedFranchises`.
+ */
+export async function backfillSlugs() {
+  const counts = {};
+
+  for (const type of Object.keys(SLUG_SCOPES)) {
+    const { model } = ENTITIES[type];
+    const scopes = new Map();
+    counts[type] = 0;
+    let after = null;
+
+    for (;;) {
+      const docs = await model.find({ slug: null, ...(after && { _id: { $gt: after } }) })
+        .sort({ _id: 1 })
+        .limit(BACKFILL_BATCH)
+        .select(`name ${SLUG_SCOPES[type] ?? ''}`)
+        .lean();
+      if (docs.length === 0) break;
+
+      for (const doc of docs) {
+        const parent = String(doc[SLUG_SCOPES[type]] ?? '');
+        if (!scopes.has(parent)) scopes.set(parent, await slugScope(type, doc));
+        const slug = await availableSlug(type, slugify(doc.name, type), scopes.get(parent), { except: doc._id });
+        const result = await model.updateOne({ _id: doc._id, slug: null }, { $set: { slug }, $inc: { __v: 1 } });
+        counts[type] += result.modifiedCount;
+      }
+      after = docs[docs.length - 1]._id;
+    }
+  }
+
+  counts.separatedFranchises = await separateFranchiseSlugs();
+  return counts;
+}
+
+// Every franchise but the oldest of each slug shared within a brand gets a new
+// slug; the shared one stays a redirect, so it names the oldest again
+async function separateFranchiseSlugs() {
+  const shared = await Franchise.aggregate([
+    { $match: { slug: { $type: 'string' } } },
+    {
+      $lookup: {
+        from: Business.collection.name,
+        localField: 'businessId',
+        foreignField: '_id',
+        pipeline: [{ $project: { brandId: 1 } }],
+        as: 'business'
+      }
+    },
+    { $group: { _id: { brandId: { $arrayElemAt: ['$business.brandId', 0] }, slug: '$slug' }, ids: { $push: '$_id' } } },
+    { $match: { '_id.brandId': { $ne: null }, 'ids.1': { $exists: true } } }
+  ]);
+
+  let separated = 0;
+  for (const { _id: { brandId }, ids } of shared) {
+    const [, ...newer] = ids.map(String).sort();
+    separated += (await rescopeInBrand({ _id: { $in: newer } }, brandId)).length;
+  }
+  return separated;
+}
@@ -0,0 +1,184 @@
+/**
+ * Theme Service
+ * The look a white-label front end renders a brand with: its guidelines and
+ * logo over Keephy's defaults, compiled into design tokens, a tint and shade
+ * palette and a CSS custom-properties stylesheet.
+ */
+
+import { CONTRAST_TEXT, CONTRAST_UI, contrastRatio, isValidColor, isValidFontFamily, mixColors, normalizeColor } from '../utils/colors.js';
+import { contentEtag } from '../utils/etag.js';
+import { invalid } from '../utils/errors.js';
+
+// How long a browser may reuse a compiled theme before revalidating
+export const THEME_MAX_AGE = parseInt(process.env.THEME_MAX_AGE_SECONDS || '300', 10);
+
+export const THEME_FORMATS = ['json', 'css'];
+
+// Keephy's own look, used wherever a brand leaves a value unset
+export const DEFAULT_THEME = {
+  name: 'default',
+  primaryColor: '#4f46e5',
+  secondaryColor: '#0f172a',
+  fontFamily: 'Inter, system-ui, sans-serif'
+};
+
+// Page background brand colors are checked against
+export const BACKGROUND = '#ffffff';
+
+// Palette step → [color mixed in, weight]; 500 is the brand color itself
+const PALETTE_STEPS = {
+  50: ['#ffffff', 0.95],
+  100: ['#ffffff', 0.9],
+  200: ['#ffffff', 0.75],
+  300: ['#ffffff', 0.6],
+  400: ['#ffffff', 0.3],
+  500: null,
+  600: ['#000000', 0.1],
+  700: ['#000000', 0.3],
+  800: ['#000000', 0.45],
+  900: ['#000000', 0.6]
+};
+
+// Guideline → [validator, normalizer]
+const GUIDELINES = {
+  primaryColor: [isValidColor, normalizeColor],
+  secondaryColor: [isValidColor, normalizeColor],
+  fontFamily: [isValidFontFamily, value => value.trim()]
+};
+
+/**
+ * Theme of `brand` (or of the organization alone) with the effective
+ * `settings.theme` name. `sources` tells which values the brand set itself;
+ * stored values that fail validation (written before it existed) are ignored.
+ */
+export function effectiveTheme({ organization, brand = null, settings = {} }) {
+  const guidelines = brand?.brandGuidelines ?? {};
+  const sources = {};
+
+  const pick = key => {
+    const [isValid, normalize] = GUIDELINES[key];
+    const usable = Boolean(guidelines[key]) && isValid(guidelines[key]);
+    sources[key] = usable ? 'brand' : 'default';
+    return usable ? normalize(guidelines[key]) : DEFAULT_THEME[key];
+  };
+
+  return {
+    name: settings.theme ?? DEFAULT_THEME.name,
+    primaryColor: pick('primaryColor'),
+    secondaryColor: pick('secondaryColor'),
+    fontFamily: pick('fontFamily'),
+    logo: brand?.logo ?? organization?.logo ?? null,
+    logoVariations: guidelines.logoVariations ?? [],
+    sources
+  };
+}
+
+// Black or white, whichever reads better on `color`
+const foregroundFor = color => (contrastRatio(color, '#000000') >= contrastRatio(color, '#ffffff') ? '#000000' : '#ffffff');
+
+export function paletteFor(color) {
+  return Object.fromEntries(Object.entries(PALETTE_STEPS).map(([step, mix]) => [
+    step,
+    mix ? mixColors(color, ...mix) : color
+  ]));
+}
+
+/**
+ * WCAG AA contrast warnings for the colors a brand set itself: each as text on
+ * the page background, and primary against secondary as UI colors.
+ */
+export function contrastWarnings(theme) {
+  const checks = [
+    [['primaryColor'], [theme.primaryColor, BACKGROUND], CONTRAST_TEXT, `primaryColor ${theme.primaryColor} as text on ${BACKGROUND}`],
+    [['secondaryColor'], [theme.secondaryColor, BACKGROUND], CONTRAST_TEXT, `secondaryColor ${theme.secondaryColor} as text on ${BACKGROUND}`],
+    [['primaryColor', 'secondaryColor'], [theme.primaryColor, theme.secondaryColor], CONTRAST_UI, 'primaryColor against secondaryColor']
+  ];
+
+  return checks.flatMap(([keys, colors, minimum, subject]) => {
+    const brandSet = keys.filter(key => theme.sources[key] === 'brand');
+    const ratio = contrastRatio(...colors);
+    if (brandSet.length === 0 || ratio >= minimum) return [];
+
+    return [{
+      path: `brandGuidelines.${brandSet[0]}`,
+      rule: 'contrast',
+      ratio,
+      minimum,
+      message: `${subject} has a contrast ratio of ${ratio}:1; WCAG AA asks for ${minimum}:1`
+    }];
+  });
+}
+
+/**
+ * Warnings about a brand's guidelines, for write responses.
+ */
+export const brandThemeWarnings = brand => contrastWarnings(effectiveTheme({ brand }));
+
+// Guidelines stored before validation that the theme ignores
+function ignoredGuidelines(brand) {
+  const guidelines = brand?.brandGuidelines ?? {};
+  return Object.entries(GUIDELINES)
+    .filter(([key, [isValid]]) => guidelines[key] && !isValid(guidelines[key]))
+    .map(([key]) => ({
+      path: `brandGuidelines.${key}`,
+      rule: 'invalid',
+      message: `${key} ${JSON.stringify(guidelines[key])} is not valid; the default is used`
+    }));
+}
+
+function stylesheet(tokens, palette) {
+  const properties = [
+    ['color-primary', tokens.color.primary],
+    ['color-on-primary', tokens.color.onPrimary],
+    ['color-secondary', tokens.color.secondary],
+    ['color-on-secondary', tokens.color.onSecondary],
+    ['color-background', tokens.color.background],
+    ...Object.entries(palette).flatMap(([name, steps]) => Object.entries(steps)
+      .map(([step, color]) => [`color-${name}-${step}`, color])),
+    ['font-family', tokens.font.family]
+  ];
+
+  return `:root {\n${properties.map(([name, value]) => `  --keephy-${name}: ${value};`).join('\n')}\n}\n`;
+}
+
+/**
+ * Compile the effective theme of `brand` into design tokens, a palette and a
+ * stylesheet. `etag` changes whenever any of them does.
+ */
+export function compileTheme({ organization, brand, settings = {} }) {
+  const theme = effectiveTheme({ organization, brand, settings });
+
+  const tokens = {
+    name: theme.name,
+    color: {
+      primary: theme.primaryColor,
+      onPrimary: foregroundFor(theme.primaryColor),
+      secondary: theme.secondaryColor,
+      onSecondary: foregroundFor(theme.secondaryColor),
+      background: BACKGROUND
+    },
+    font: { family: theme.fontFamily },
+    logo: { url: theme.logo, variations: theme.logoVariations }
+  };
+  const palette = {
+    primary: paletteFor(theme.primaryColor),
+    secondary: paletteFor(theme.secondaryColor)
+  };
+  const css = stylesheet(tokens, palette);
+
+  return {
+    tokens,
+    palette,
+    css,
+    sources: theme.sources,
+    warnings: [...ignoredGuidelines(brand), ...contrastWarnings(theme)],
+    etag: contentEtag({ tokens, palette, css })
+  };
+}
+
+export function parseThemeFormat(format = 'json') {
+  if (!THEME_FORMATS.includes(format)) {
+    throw invalid([{ path: 'format', rule: 'enum', message: `format must be one of ${THEME_FORMATS.join(', ')}` }]);
+  }
+  return format;
+}
@@ -0,0 +1,397 @@
+/**
+ * Usage Service
+ * Ingests usage increments reported by other services and reports usage
+ * against limits for an organization, its brands and its businesses.
+ *
+ * Each increment is stored once per idempotency key and added to the monthly
+ * rollups of its business, brand and organization in the same transaction.
+ * Rollups follow a business when it moves and fold into the survivors of an
+ * organization merge.
+ */
+
+import mongoose from 'mongoose';
+import { Organization, Brand, Business } from '../models/index.js';
+import UsageEvent from '../models/UsageEvent.js';
+import UsageRollup from '../models/UsageRollup.js';
+import { invalid, notFound } from '../utils/errors.js';
+import { withTransaction } from '../utils/db.js';
+import { METRICS, METRIC_NAMES, PERIOD_PATTERN, periodOf, quotaStatus } from '../utils/usage.js';
+import { assertAccess, idOf } from './access.js';
+
+export const MAX_USAGE_BATCH = 500;
+
+// Fractions of a limit at which reports warn, unless the organization sets its own
+export const DEFAULT_THRESHOLDS = (process.env.USAGE_WARNING_THRESHOLDS || '0.8,0.9')
+  .split(',')
+  .map(Number);
+
+// Where each level keeps its limit for a metric
+const LIMIT_PATHS = {
+  organization: { users: 'limits.users', storage: 'limits.storage' },
+  brand: { users: 'limits.users', forms: 'limits.forms' },
+  business: {
+    forms: 'subscription.limits.forms',
+    submissions: 'subscription.limits.submissions',
+    staff: 'subscription.limits.staff',
+    storage: 'subscription.limits.storage'
+  }
+};
+
+// Which reference an event is reported against, most specific first
+const TARGETS = [['businessId', 'business'], ['brandId', 'brand'], ['organizationId', 'organization']];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const sameId = (a, b) => String(idOf(a) ?? '') === String(idOf(b) ?? '');
+
+// =============================================================================
+// INGESTION
+// =============================================================================
+
+function parseUsageEvent(raw, prefix) {
+  const errors = [];
+  const error = (field, rule, message) => errors.push({ path: `${prefix}${field}`, rule, message });
+
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    error('', 'type', 'must be an object');
+    return { errors };
+  }
+
+  const { idempotencyKey, metric, quantity, period, occurredAt } = raw;
+
+  if (typeof idempotencyKey !== 'string' || !idempotencyKey.trim()) {
+    error('idempotencyKey', 'required', 'idempotencyKey is required');
+  }
+
+  const given = TARGETS.filter(([field]) => raw[field] !== undefined && raw[field] !== null);
+  if (given.length !== 1) {
+    error('businessId', 'required', 'Give exactly one of businessId, brandId or organizationId');
+  } else if (!mongoose.isValidObjectId(raw[given[0][0]])) {
+    error(given[0][0], 'cast', `${given[0][0]} must be a valid ObjectId`);
+  }
+
+  if (!METRICS[metric]) {
+    error('metric', 'enum', `metric must be one of ${METRIC_NAMES.join(', ')}`);
+  }
+  if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity === 0) {
+    error('quantity', 'type', 'quantity must be a non-zero number');
+  } else if (METRICS[metric]?.kind === 'flow' && quantity < 0) {
+    error('quantity', 'min', `${metric} only counts up`);
+  }
+
+  const at = occurredAt === undefined ? new Date() : new Date(occurredAt);
+  if (Number.isNaN(at.getTime())) {
+    error('occurredAt', 'date', 'occurredAt must be an ISO date');
+  }
+  if (period !== undefined && (typeof period !== 'string' || !PERIOD_PATTERN.test(period))) {
+    error('period', 'format', 'period must be a month in YYYY-MM format');
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const [field, type] = given[0];
+  return {
+    errors,
+    event: {
+      idempotencyKey: idempotencyKey.trim(),
+      target: { type, id: raw[field] },
+      metric,
+      quantity,
+      occurredAt: at,
+      period: period ?? periodOf(at)
+    }
+  };
+}
+
+/**
+ * Read one event or `{ events: [...] }` from a request body; every problem is
+ * reported at once as `events[i].field`.
+ */
+export function parseUsageEvents(body) {
+  const batch = Array.isArray(body?.events);
+  const raws = batch ? body.events : [body];
+
+  if (raws.length === 0 || raws.length > MAX_USAGE_BATCH) {
+    throw invalid([{ path: 'events', rule: 'length', message: `Report between 1 and ${MAX_USAGE_BATCH} events` }]);
+  }
+
+  const events = [];
+  const errors = [];
+  raws.forEach((raw, i) => {
+    const parsed = parseUsageEvent(raw, batch ? `events[${i}].` : '');
+    errors.push(...parsed.errors);
+    if (parsed.event) events.push(parsed.event);
+  });
+
+  if (errors.length > 0) throw invalid(errors);
+  return events;
+}
+
+// Organization, brand and business an event counts towards
+async function resolveTarget({ type, id }, cache) {
+  const key = `${type}:${id}`;
+  if (!cache.has(key)) {
+    cache.set(key, (async () => {
+      switch (type) {
+        case 'business': {
+          const business = await Business.findById(id).select('organizationId brandId').lean();
+          return business && { organizationId: business.organizationId, brandId: business.brandId ?? null, businessId: business._id };
+        }
+        case 'brand': {
+          const brand = await Brand.findById(id).select('organizationId').lean();
+          return brand && { organizationId: brand.organizationId, brandId: brand._id, businessId: null };
+        }
+        default: {
+          const organization = await Organization.findById(id).select('_id').lean();
+          return organization && { organizationId: organization._id, brandId: null, businessId: null };
+        }
+      }
+    })());
+  }
+  return cache.get(key);
+}
+
+const rollupTargets = path => [
+  { level: 'organization', entityId: path.organizationId },
+  ...(path.brandId ? [{ level: 'brand', entityId: path.brandId }] : []),
+  ...(path.businessId ? [{ level: 'business', entityId: path.businessId }] : [])
+];
+
+const sameEvent = (stored, event, path) => stored.metric === event.metric
+  && stored.quantity === event.quantity
+  && stored.period === event.period
+  && String(stored.businessId ?? '') === String(path.businessId ?? '')
+  && String(stored.brandId ?? '') === String(path.brandId ?? '');
+
+async function recordOne(event, path, actor) {
+  const { idempotencyKey, metric, quantity, period } = event;
+
+  try {
+    await withTransaction(async session => {
+      await UsageEvent.create([{
+        idempotencyKey,
+        ...path,
+        metric,
+        quantity,
+        period,
+        occurredAt: event.occurredAt,
+        reportedBy: actor ? { id: actor.id ? String(actor.id) : undefined, roles: actor.roles || [] } : undefined
+      }], { session });
+
+      for (const { level, entityId } of rollupTargets(path)) {
+        await UsageRollup.updateOne(
+          { level, entityId, period },
+          { $inc: { [`metrics.${metric}`]: quantity }, $setOnInsert: { organizationId: path.organizationId } },
+          { upsert: true, session }
+        );
+      }
+    });
+    return { idempotencyKey, status: 'recorded' };
+  } catch (error) {
+    if (error.code !== 11000 || !error.keyPattern?.idempotencyKey) throw error;
+
+    // Reported before: a retry is fine, a different payload under the same key is not
+    const stored = await UsageEvent.findOne({ organizationId: path.organizationId, idempotencyKey }).lean();
+    return { idempotencyKey, status: stored && sameEvent(stored, event, path) ? 'duplicate' : 'conflict' };
+  }
+}
+
+/**
+ * Record parsed usage events. Only platform services report usage, and every
+ * target must exist before anything is written; each event is then recorded
+ * on its own.
+ */
+export async function recordUsage(events, { actor = null } = {}) {
+  // Tenants could otherwise talk their own usage down below a quota
+  assertAccess(actor, {});
+
+  const cache = new Map();
+  const paths = [];
+  const errors = [];
+
+  for (const [i, event] of events.entries()) {
+    const path = await resolveTarget(event.target, cache);
+    if (!path) {
+      errors.push({ path: `events[${i}].${event.target.type}Id`, rule: 'exists', message: `${event.target.type} ${event.target.id} does not exist` });
+      continue;
+    }
+    paths.push(path);
+  }
+  if (errors.length > 0) throw invalid(errors);
+
+  const results = [];
+  for (const [i, event] of events.entries()) {
+    results.push(await recordOne(event, paths[i], actor));
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  return { recorded: count('recorded'), duplicates: count('duplicate'), conflicts: count('conflict'), results };
+}
+
+// =============================================================================
+// RE-ATTRIBUTION
+// =============================================================================
+
+// Monthly rollups of one entity
+const rollupsOf = (level, entityId, session) => UsageRollup.find({ level, entityId })
+  .select('period metrics')
+  .session(session)
+  .lean();
+
+// Add (`sign` 1) or take away (-1) `rollups` from the same months of `entityId`
+async function addRollups(level, entityId, organizationId, rollups, sign, session) {
+  for (const { period, metrics } of rollups) {
+    const increments = Object.fromEntries(METRIC_NAMES
+      .filter(metric => metrics?.[metric])
+      .map(metric => [`metrics.${metric}`, sign * metrics[metric]]));
+    if (Object.keys(increments).length === 0) continue;
+
+    await UsageRollup.updateOne(
+      { level, entityId, period },
+      { $inc: increments, $setOnInsert: { organizationId } },
+      { upsert: true, session }
+    );
+  }
+}
+
+/**
+ * Count a business's usage towards its new parents after a move from `from` to
+ * `to` (each `{ organizationId, brandId }`): every month leaves the old brand
+ * and organization rollups and joins the new ones.
+ */
+export async function moveBusinessUsage(businessId, from, to, { session = null } = {}) {
+  const rollups = await rollupsOf('business', businessId, session);
+  const transfer = !sameId(from.organizationId, to.organizationId);
+
+  const levels = [
+    ...(sameId(from.brandId, to.brandId) ? [] : [['brand', 'brandId']]),
+    ...(transfer ? [['organization', 'organizationId']] : [])
+  ];
+  for (const [level, field] of levels) {
+    if (from[field]) await addRollups(level, from[field], from.organizationId, rollups, -1, session);
+    if (to[field]) await addRollups(level, to[field], to.organizationId, rollups, 1, session);
+  }
+
+  if (transfer) {
+    await UsageRollup.updateMany(
+      { level: 'business', entityId: businessId },
+      { $set: { organizationId: to.organizationId } },
+      { session }
+    );
+  }
+}
+
+// Fold the rollups of `fromId` into those of `toId` and drop them
+async function foldRollups(level, fromId, toId, organizationId, session) {
+  await addRollups(level, toId, organizationId, await rollupsOf(level, fromId, session), 1, session);
+  await UsageRollup.deleteMany({ level, entityId: fromId }, { session });
+}
+
+/**
+ * Re-attribute usage after `sourceId` merged into `targetId`: the source's
+ * rollups fold into the target's, each merged brand's (`mergedBrands`, brand
+ * id → the brand it joined) into its survivor's, and the rest move with their
+ * brands and businesses.
+ */
+export async function mergeUsage(sourceId, targetId, mergedBrands = [], { session = null } = {}) {
+  await foldRollups('organization', sourceId, targetId, targetId, session);
+  for (const [brandId, into] of mergedBrands) {
+    await foldRollups('brand', brandId, into, targetId, session);
+  }
+
+  await UsageRollup.updateMany({ organizationId: sourceId }, { $set: { organizationId: targetId } }, { session });
+}
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+function parseThresholds(raw) {
+  const thresholds = (Array.isArray(raw) ? raw : String(raw).split(',')).map(Number);
+  if (thresholds.some(threshold => !(threshold > 0 && threshold < 1))) {
+    throw invalid([{ path: 'thresholds', rule: 'range', message: 'thresholds must be fractions between 0 and 1' }]);
+  }
+  return thresholds;
+}
+
+// Per level and entity: flow metrics for `period`, gauge metrics summed up to it
+async function loadUsage(match, period) {
+  const sums = Object.fromEntries(METRIC_NAMES.map(metric => [
+    metric,
+    {
+      $sum: METRICS[metric].kind === 'flow'
+        ? { $cond: [{ $eq: ['$period', period] }, `$metrics.${metric}`, 0] }
+        : `$metrics.${metric}`
+    }
+  ]));
+
+  const rows = await UsageRollup.aggregate([
+    { $match: { $or: match, period: { $lte: period } } },
+    { $group: { _id: { level: '$level', entityId: '$entityId' }, ...sums } }
+  ]);
+
+  return new Map(rows.map(({ _id, ...usage }) => [`${_id.level}:${_id.entityId}`, usage]));
+}
+
+function usageNode(level, doc, usage, thresholds) {
+  const used = Object.fromEntries(METRIC_NAMES.map(metric => [metric, usage?.[metric] ?? 0]));
+  const quotas = Object.fromEntries(Object.entries(LIMIT_PATHS[level]).map(([metric, path]) => [
+    metric,
+    quotaStatus(used[metric], getPath(doc, path), thresholds)
+  ]));
+
+  return { id: doc._id, name: doc.name, usage: used, quotas };
+}
+
+/**
+ * Usage of an organization, its brands and its businesses for `query.period`
+ * (YYYY-MM, default the current month) against their limits. `warnings` and
+ * `hardLimits` list every quota past a threshold or at its limit.
+ */
+export async function usageReport(organizationId, query = {}) {
+  const period = query.period ?? periodOf();
+  if (!PERIOD_PATTERN.test(period)) {
+    throw invalid([{ path: 'period', rule: 'format', message: 'period must be a month in YYYY-MM format' }]);
+  }
+
+  const organization = await Organization.findById(idOf(organizationId))
+    .select('name limits settings.usageWarningThresholds')
+    .lean();
+  if (!organization) throw notFound('Organization not found');
+
+  const thresholds = parseThresholds(query.thresholds
+    ?? (organization.settings?.usageWarningThresholds?.length ? organization.settings.usageWarningThresholds : DEFAULT_THRESHOLDS));
+
+  const live = { organizationId: organization._id, deletedAt: null };
+  const brands = await Brand.find(live).select('name limits').sort({ name: 1 }).lean();
+  const businesses = await Business.find(live).select('name brandId subscription.limits').sort({ name: 1 }).lean();
+
+  const usage = await loadUsage([
+    { level: 'organization', entityId: organization._id },
+    { level: 'brand', entityId: { $in: brands.map(brand => brand._id) } },
+    { level: 'business', entityId: { $in: businesses.map(business => business._id) } }
+  ], period);
+
+  const node = (level, doc) => usageNode(level, doc, usage.get(`${level}:${doc._id}`), thresholds);
+  const report = {
+    period,
+    thresholds,
+    organization: node('organization', organization),
+    brands: brands.map(brand => node('brand', brand)),
+    businesses: businesses.map(business => ({ ...node('business', business), brandId: business.brandId ?? null }))
+  };
+
+  const flagged = [
+    ['organization', [report.organization]],
+    ['brand', report.brands],
+    ['business', report.businesses]
+  ].flatMap(([level, nodes]) => nodes.flatMap(({ id, quotas }) => Object.entries(quotas)
+    .filter(([, quota]) => quota.status !== 'ok')
+    .map(([metric, quota]) => ({ level, id, metric, ...quota }))));
+
+  return {
+    ...report,
+    warnings: flagged.filter(quota => quota.status === 'warning'),
+    hardLimits: flagged.filter(quota => quota.hardLimitReached)
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Validation Service
+ * Schema and referential checks run before an entity is written, reported
+ * together as one list of { path, rule, message } entries.
+ */
+
+import mongoose from 'mongoose';
+import { Organization, Brand, Business } from '../models/index.js';
+import { invalid, validationErrors } from '../utils/errors.js';
+import { idOf } from './access.js';
+
+// Which references each entity type carries and what they must point at
+const REFERENCES = {
+  organization: [],
+  brand: [{ path: 'organizationId', model: Organization, label: 'Organization' }],
+  business: [
+    { path: 'organizationId', model: Organization, label: 'Organization' },
+    { path: 'brandId', model: Brand, label: 'Brand' }
+  ],
+  franchise: [{ path: 'businessId', model: Business, label: 'Business' }]
+};
+
+export async function referenceErrors(type, doc, skip = new Set()) {
+  const errors = [];
+  const found = {};
+
+  for (const { path, model, label } of REFERENCES[type]) {
+    const id = idOf(doc.get ? doc.get(path) : doc[path]);
+    if (!id || skip.has(path)) continue;
+
+    if (!mongoose.isValidObjectId(id)) {
+      errors.push({ path, rule: 'cast', message: `${path} must be a valid ObjectId` });
+      continue;
+    }
+
+    found[path] = await model.findById(id).select('organizationId').lean();
+    if (!found[path]) {
+      errors.push({ path, rule: 'exists', message: `${label} ${id} does not exist` });
+    }
+  }
+
+  // A business's brand must belong to the business's organization. A brand of
+  // another organization is reported like a missing one, so callers cannot
+  // learn which brand ids exist elsewhere.
+  const brand = found.brandId;
+  if (type === 'business' && brand && found.organizationId
+    && String(brand.organizationId) !== String(found.organizationId._id)) {
+    errors.push({
+      path: 'brandId',
+      rule: 'exists',
+      message: `Brand ${brand._id} does not exist`
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Run schema validators and reference checks; throw a 400 listing every problem.
+ */
+export async function validateEntity(type, doc) {
+  const errors = [];
+
+  try {
+    await doc.validate();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    errors.push(...validationErrors(error));
+  }
+
+  const reported = new Set(errors.map(error => error.path));
+  errors.push(...await referenceErrors(type, doc, reported));
+
+  if (errors.length > 0) throw invalid(errors);
+}
@@ -0,0 +1,441 @@
+/**
+ * Webhook Service
+ * Registers the endpoints other services receive domain events on and delivers
+ * the outbox to them.
+ *
+ * The dispatcher fans each committed outbox event out to one delivery per
+ * matching webhook, then POSTs deliveries signed with the webhook's secret.
+ * Failures are retried with exponential backoff; a delivery that runs out of
+ * attempts is dead-lettered and stays so until it is replayed. Delivery is at
+ * least once: receivers deduplicate on the event id.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import mongoose from 'mongoose';
+import { Organization } from '../models/index.js';
+import OutboxEvent from '../models/OutboxEvent.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { ApiError, invalid, notFound } from '../utils/errors.js';
+import { paginate } from '../utils/pagination.js';
+import { eventBody, publishEvent } from './events.js';
+
+export const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+export const BACKOFF_SECONDS = parseInt(process.env.WEBHOOK_BACKOFF_SECONDS || '30', 10);
+export const MAX_BACKOFF_SECONDS = parseInt(process.env.WEBHOOK_MAX_BACKOFF_SECONDS || '21600', 10);
+export const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+// Events and deliveries handled per dispatcher run
+const DISPATCH_BATCH = 100;
+
+// Events one replay may send again
+export const MAX_REPLAY_EVENTS = 1000;
+
+export const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+export const DELIVERY_SORT = [['updatedAt', -1]];
+
+// Fields a webhook can be registered or updated with
+const WEBHOOK_FIELDS = ['url', 'description', 'events', 'organizationId', 'isActive'];
+
+const MIN_SECRET_LENGTH = 16;
+
+// =============================================================================
+// SIGNATURES
+// =============================================================================
+
+/**
+ * `sha256=<hex>` HMAC of `<timestamp>.<body>`, sent as X-Keephy-Signature.
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received body against its X-Keephy-Timestamp and X-Keephy-Signature
+ * headers. Signatures older than `toleranceSeconds` are refused as replays.
+ */
+export function verifySignature(secret, { timestamp, signature }, body, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const age = Math.abs(now / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature ?? ''));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+/**
+ * Milliseconds before retrying a delivery that failed `attempts` times.
+ */
+export function backoffDelay(attempts) {
+  return Math.min(BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS) * 1000;
+}
+
+/**
+ * Whether `webhook` subscribes to `event`: its organization (if any) sees the
+ * event and one of its patterns (`*`, `franchise.*`, `franchise.created`) matches.
+ */
+export function matchesEvent(webhook, event) {
+  if (webhook.organizationId && !event.organizationIds.some(id => String(id) === String(webhook.organizationId))) {
+    return false;
+  }
+
+  return webhook.events.some(pattern => pattern === '*'
+    || pattern === event.type
+    || (pattern.endsWith('.*') && event.type.startsWith(pattern.slice(0, -1))));
+}
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+const pick = body => Object.fromEntries(WEBHOOK_FIELDS
+  .filter(field => body?.[field] !== undefined)
+  .map(field => [field, body[field]]));
+
+async function assertOrganization(organizationId) {
+  if (!organizationId) return;
+  if (!mongoose.isValidObjectId(organizationId)) {
+    throw invalid([{ path: 'organizationId', rule: 'cast', message: 'organizationId must be a valid ObjectId' }]);
+  }
+  if (!(await Organization.exists({ _id: organizationId }))) {
+    throw invalid([{ path: 'organizationId', rule: 'exists', message: `Organization ${organizationId} does not exist` }]);
+  }
+}
+
+/**
+ * Register a webhook. The secret is generated unless given and is only ever
+ * returned here.
+ */
+export async function createWebhook(body, { actor = null } = {}) {
+  const { secret = randomBytes(32).toString('hex') } = body ?? {};
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+    throw invalid([{ path: 'secret', rule: 'minlength', message: `secret must be at least ${MIN_SECRET_LENGTH} characters` }]);
+  }
+
+  const fields = pick(body);
+  await assertOrganization(fields.organizationId);
+
+  const webhook = new Webhook({
+    ...fields,
+    secret,
+    createdBy: actor ? { id: actor.id ? String(actor.id) : undefined, roles: actor.roles || [] } : undefined
+  });
+  await webhook.save();
+
+  return webhook.toObject();
+}
+
+export async function listWebhooks(page) {
+  return paginate(Webhook, {}, page, query => query.lean());
+}
+
+export async function getWebhook(id) {
+  const webhook = await Webhook.findById(id).lean();
+  if (!webhook) throw notFound('Webhook not found');
+  return webhook;
+}
+
+/**
+ * Change a webhook's url, description, events, organization or isActive.
+ * Deliveries already queued keep going to the webhook as it is then.
+ */
+export async function updateWebhook(id, body) {
+  const webhook = await Webhook.findById(id);
+  if (!webhook) throw notFound('Webhook not found');
+
+  const fields = pick(body);
+  await assertOrganization(fields.organizationId);
+  webhook.set(fields);
+  await webhook.save();
+
+  return webhook;
+}
+
+/**
+ * Remove a webhook together with its deliveries, dead letters included.
+ */
+export async function deleteWebhook(id) {
+  const webhook = await Webhook.findByIdAndDelete(id);
+  if (!webhook) throw notFound('Webhook not found');
+
+  const { deletedCount } = await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+  return { id: webhook._id, deliveriesDeleted: deletedCount };
+}
+
+// =============================================================================
+// DISPATCH
+// =============================================================================
+
+// Deliveries that already exist were created by an earlier, interrupted run
+async function insertDeliveries(deliveries) {
+  try {
+    await WebhookDelivery.insertMany(deliveries, { ordered: false });
+  } catch (error) {
+    const duplicates = error.code === 11000 || error.writeErrors?.every(writeError => writeError.code === 11000);
+    if (!duplicates) throw error;
+  }
+}
+
+/**
+ * Turn pending outbox events into deliveries, oldest first, and publish each
+ * to in-process listeners once. Returns how many events were dispatched.
+ */
+export async function fanOutEvents({ now = new Date(), limit = DISPATCH_BATCH } = {}) {
+  const events = await OutboxEvent.find({ status: 'pending' }).sort({ occurredAt: 1, _id: 1 }).limit(limit).lean();
+  if (events.length === 0) return 0;
+
+  const webhooks = await Webhook.find({ isActive: true }).select('events organizationId').lean();
+  let dispatched = 0;
+
+  for (const event of events) {
+    const deliveries = webhooks
+      .filter(webhook => matchesEvent(webhook, event))
+      .map(webhook => ({ webhookId: webhook._id, eventId: event._id, eventType: event.type, nextAttemptAt: now }));
+    if (deliveries.length > 0) await insertDeliveries(deliveries);
+
+    // Only the run that marks the event publishes it, so listeners see it once
+    const { modifiedCount } = await OutboxEvent.updateOne(
+      { _id: event._id, status: 'pending' },
+      { $set: { status: 'dispatched', dispatchedAt: now } }
+    );
+    if (modifiedCount > 0) {
+      publishEvent(event);
+      dispatched += 1;
+    }
+  }
+
+  return dispatched;
+}
+
+// Take one due delivery, or one a crashed dispatcher left behind
+function claimDelivery(now) {
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + 2 * DELIVERY_TIMEOUT_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  ).lean();
+}
+
+/**
+ * POST `event` to `webhook`, signed with its secret. Resolves to null when the
+ * endpoint answered 2xx, otherwise to the failure `{ status?, message }`.
+ */
+export async function postEvent(webhook, event, deliveryId) {
+  const body = JSON.stringify(eventBody(event));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'keephy-organizations-webhooks',
+        'X-Keephy-Event': event.type,
+        'X-Keephy-Event-Id': String(event._id),
+        'X-Keephy-Delivery': String(deliveryId),
+        'X-Keephy-Timestamp': timestamp,
+        'X-Keephy-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    await response.arrayBuffer().catch(() => {});
+
+    return response.ok ? null : { status: response.status, message: `Endpoint answered ${response.status}` };
+  } catch (error) {
+    return { message: error.cause?.message ?? error.message };
+  }
+}
+
+/**
+ * Send one claimed delivery and record the outcome: delivered, retried after
+ * backoff, or dead once MAX_ATTEMPTS is reached. Deliveries whose webhook was
+ * disabled or removed are dead-lettered without sending.
+ */
+export async function attemptDelivery(delivery, { now = new Date() } = {}) {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret').lean();
+  const event = await OutboxEvent.findById(delivery.eventId).lean();
+
+  let failure;
+  if (!webhook || !webhook.isActive) failure = { message: 'Webhook is disabled' };
+  else if (!event) failure = { message: 'Event no longer exists' };
+  else failure = await postEvent(webhook, event, delivery._id);
+
+  const attempts = delivery.attempts + 1;
+  const update = failure
+    ? {
+      $set: {
+        status: !webhook?.isActive || !event || attempts >= MAX_ATTEMPTS ? 'dead' : 'pending',
+        attempts,
+        lastAttemptAt: now,
+        lastError: failure,
+        nextAttemptAt: new Date(now.getTime() + backoffDelay(attempts))
+      },
+      $unset: { lockedUntil: 1 }
+    }
+    : {
+      $set: { status: 'delivered', attempts, lastAttemptAt: now, deliveredAt: now },
+      $unset: { lockedUntil: 1, lastError: 1 }
+    };
+
+  return WebhookDelivery.findOneAndUpdate({ _id: delivery._id, status: 'delivering' }, update, { new: true }).lean();
+}
+
+/**
+ * Attempt every due delivery, up to `limit`.
+ */
+export async function deliverDue({ now = new Date(), limit = DISPATCH_BATCH } = {}) {
+  const result = { delivered: 0, retrying: 0, dead: 0 };
+
+  for (let i = 0; i < limit; i += 1) {
+    const delivery = await claimDelivery(now);
+    if (!delivery) break;
+
+    const settled = await attemptDelivery(delivery, { now });
+    if (settled?.status === 'delivered') result.delivered += 1;
+    else if (settled?.status === 'dead') result.dead += 1;
+    else if (settled) result.retrying += 1;
+  }
+
+  return result;
+}
+
+/**
+ * One dispatcher run: fan out new events, then attempt due deliveries.
+ */
+export async function runDispatcher({ now = new Date() } = {}) {
+  const dispatched = await fanOutEvents({ now });
+  return { dispatched, ...(await deliverDue({ now })) };
+}
+
+/**
+ * Run the dispatcher every `intervalMs`; overlapping runs are skipped. Returns a stop function.
+ */
+export function startWebhookDispatcher({ intervalMs, onResult = () => {}, onError = () => {} }) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      onResult(await runDispatcher());
+    } catch (error) {
+      onError(error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+// =============================================================================
+// DEAD LETTERS AND REPLAY
+// =============================================================================
+
+function parseDate(value, name, { required = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw invalid([{ path: name, rule: 'required', message: `${name} is required` }]);
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalid([{ path: name, rule: 'date', message: `${name} must be an ISO date` }]);
+  }
+  return date;
+}
+
+/**
+ * Deliveries filtered by status (`dead` is the dead-letter queue), webhook and event type.
+ */
+export async function listDeliveries({ status, webhookId, eventType } = {}, page) {
+  const filter = {};
+
+  if (status !== undefined) {
+    if (!DELIVERY_STATUSES.includes(status)) {
+      throw invalid([{ path: 'status', rule: 'enum', message: `status must be one of ${DELIVERY_STATUSES.join(', ')}` }]);
+    }
+    filter.status = status;
+  }
+  if (webhookId !== undefined) filter.webhookId = webhookId;
+  if (eventType !== undefined) filter.eventType = eventType;
+
+  return paginate(WebhookDelivery, filter, page, query => query.lean());
+}
+
+const requeue = now => ({
+  $set: { status: 'pending', attempts: 0, nextAttemptAt: now },
+  $unset: { lastError: 1, lockedUntil: 1 },
+  $inc: { replays: 1 }
+});
+
+/**
+ * Queue a dead or delivered delivery again with a fresh set of attempts.
+ */
+export async function replayDelivery(id, { now = new Date() } = {}) {
+  const replayed = await WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: { $in: ['dead', 'delivered'] } },
+    requeue(now),
+    { new: true }
+  ).lean();
+  if (replayed) return replayed;
+
+  const delivery = await WebhookDelivery.findById(id).select('status').lean();
+  if (!delivery) throw notFound('Delivery not found');
+  throw new ApiError(409, `Delivery is already ${delivery.status}`);
+}
+
+/**
+ * Replay to one webhook: with `from` (and optionally `to`), every dispatched
+ * event it subscribes to in that window, whether or not it got them before;
+ * without, every dead letter it has.
+ */
+export async function replayWebhook(id, { from, to } = {}, { now = new Date() } = {}) {
+  const webhook = await Webhook.findById(id).lean();
+  if (!webhook) throw notFound('Webhook not found');
+  if (!webhook.isActive) throw new ApiError(409, 'Webhook is disabled; enable it first');
+
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+
+  if (!fromDate) {
+    if (toDate) throw invalid([{ path: 'from', rule: 'required', message: 'from is required with to' }]);
+    const { modifiedCount } = await WebhookDelivery.updateMany({ webhookId: webhook._id, status: 'dead' }, requeue(now));
+    return { replayed: modifiedCount };
+  }
+
+  const filter = {
+    status: 'dispatched',
+    occurredAt: { $gte: fromDate, ...(toDate && { $lte: toDate }) },
+    ...(webhook.organizationId && { organizationIds: webhook.organizationId })
+  };
+  const candidates = await OutboxEvent.find(filter)
+    .select('type organizationIds')
+    .sort({ occurredAt: 1, _id: 1 })
+    .limit(MAX_REPLAY_EVENTS + 1)
+    .lean();
+  if (candidates.length > MAX_REPLAY_EVENTS) {
+    throw invalid([{ path: 'to', rule: 'range', message: `A replay covers at most ${MAX_REPLAY_EVENTS} events; narrow the window` }]);
+  }
+
+  const events = candidates.filter(event => matchesEvent(webhook, event));
+  if (events.length === 0) return { replayed: 0 };
+
+  await WebhookDelivery.bulkWrite(events.map(event => ({
+    updateOne: {
+      filter: { eventId: event._id, webhookId: webhook._id },
+      update: { ...requeue(now), $setOnInsert: { eventType: event.type } },
+      upsert: true
+    }
+  })));
+
+  return { replayed: events.length };
+}
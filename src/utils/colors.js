@@ -0,0 +1,67 @@
+/**
+ * Color and Font Helpers
+ * Brand colors are hex RGB (#rgb or #rrggbb, stored as lowercase #rrggbb);
+ * contrast follows WCAG 2.x relative luminance.
+ */
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// One family in a CSS font-family list: quoted, or bare words. Nothing that can
+// end the declaration, since fonts are written into the theme stylesheet.
+const QUOTED_FAMILY = /^(["'])[^"'\\;{}<>\n]+\1$/;
+const BARE_FAMILY = /^[A-Za-z][\w-]*( [A-Za-z0-9][\w-]*)*$/;
+const MAX_FONT_LENGTH = 200;
+
+// WCAG AA minimums: normal text, and large text and UI components
+export const CONTRAST_TEXT = 4.5;
+export const CONTRAST_UI = 3;
+
+/**
+ * Lowercase #rrggbb form of a hex color; anything else is returned unchanged
+ * for the validator to reject.
+ */
+export function normalizeColor(value) {
+  if (typeof value !== 'string') return value;
+
+  const color = value.trim().toLowerCase();
+  if (!HEX_COLOR.test(color)) return value;
+  return color.length === 4 ? `#${[...color.slice(1)].map(digit => digit + digit).join('')}` : color;
+}
+
+export const isValidColor = value => typeof value === 'string' && HEX_COLOR.test(value.trim());
+
+export const isValidFontFamily = value => typeof value === 'string'
+  && value.length <= MAX_FONT_LENGTH
+  && value.split(',').every(family => QUOTED_FAMILY.test(family.trim()) || BARE_FAMILY.test(family.trim()));
+
+const channels = color => {
+  const hex = normalizeColor(color).slice(1);
+  return [0, 2, 4].map(start => parseInt(hex.slice(start, start + 2), 16));
+};
+
+const toHex = rgb => `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+export function relativeLuminance(color) {
+  const [r, g, b] = channels(color).map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio of two colors, from 1 to 21, rounded to two decimals.
+ */
+export function contrastRatio(first, second) {
+  const [lighter, darker] = [relativeLuminance(first), relativeLuminance(second)].sort((a, b) => b - a);
+  return Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100;
+}
+
+/**
+ * `color` moved `weight` (0-1) of the way towards `target`.
+ */
+export function mixColors(color, target, weight) {
+  const from = channels(color);
+  const to = channels(target);
+  return toHex(from.map((channel, index) => channel + (to[index] - channel) * weight));
+}
@@ -0,0 +1,80 @@
+/**
+ * CSV Helpers
+ * RFC 4180: comma separated, fields with commas, quotes or line breaks are
+ * quoted, quotes inside a quoted field are doubled. Text a spreadsheet would
+ * run as a formula is written with a leading `'`.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings). A leading BOM and
+ * blank lines are skipped; CRLF and LF line endings are both accepted.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+const needsQuotes = /[",\r\n]/;
+
+// Text starting like a formula, behind any quotes already escaping it; so a
+// value that really starts with `'=` still comes back unchanged
+const FORMULA = /^'*[=+\-@\t\r]/;
+
+/**
+ * Drop the `'` formatCsvValue put before formula-like text.
+ */
+export const unescapeFormula = text => (text.startsWith("'") && FORMULA.test(text) ? text.slice(1) : text);
+
+export function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' && !(value instanceof Date)
+    ? JSON.stringify(value)
+    : value instanceof Date ? value.toISOString() : String(value);
+  // Numbers are safe as they are: -3 is a value, not a formula
+  if (typeof value === 'string' && FORMULA.test(text)) text = `'${text}`;
+
+  return needsQuotes.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const formatCsvRow = values => `${values.map(formatCsvValue).join(',')}\r\n`;
@@ -0,0 +1,40 @@
+/**
+ * Database Helpers
+ */
+
+import mongoose from 'mongoose';
+
+// Session → callbacks waiting for its transaction to commit
+const commitCallbacks = new WeakMap();
+
+/**
+ * Run `fn(session)` inside a transaction. Transactions need a replica set;
+ * standalone development servers can opt out with MONGODB_TRANSACTIONS=false,
+ * in which case `fn` runs with a null session.
+ */
+export async function withTransaction(fn) {
+  if (process.env.MONGODB_TRANSACTIONS === 'false') {
+    return fn(null);
+  }
+
+  let callbacks;
+  const result = await mongoose.connection.transaction(session => {
+    // A retried transaction starts over
+    callbacks = [];
+    commitCallbacks.set(session, callbacks);
+    return fn(session);
+  });
+
+  for (const callback of callbacks) callback();
+  return result;
+}
+
+/**
+ * Run `callback` once the transaction `session` belongs to has committed, or
+ * right away without one (a null session writes immediately).
+ */
+export function afterCommit(session, callback) {
+  const callbacks = session && commitCallbacks.get(session);
+  if (callbacks) callbacks.push(callback);
+  else callback();
+}
@@ -0,0 +1,62 @@
+/**
+ * Domain Helpers
+ * Hostname syntax, the verification states a claimed domain moves through and
+ * the platform domain brands get subdomains of
+ */
+
+// Brands are served on {subdomain}.<PLATFORM_DOMAIN> without verification
+export const PLATFORM_DOMAIN = (process.env.PLATFORM_DOMAIN || 'keephy.app').toLowerCase();
+
+// Subdomains of the platform domain no brand can take
+export const RESERVED_SUBDOMAINS = ['www', 'api', 'app', 'admin', 'auth', 'mail', 'static', 'status', 'help', 'docs'];
+
+// pending: challenge issued; verified: proven and re-checked; expired: challenge
+// or verification ran out and a new challenge is needed
+export const DOMAIN_STATUSES = ['pending', 'verified', 'expired'];
+
+export const VERIFICATION_METHODS = ['dns', 'http'];
+
+const LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+const TOP_LEVEL = /^([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+// Lowercased, trimmed, without a trailing dot
+export const normalizeHostname = value => (typeof value === 'string'
+  ? value.trim().toLowerCase().replace(/\.$/, '')
+  : value);
+
+/**
+ * A fully qualified hostname such as `acme.com` or `feedback.acme.co.uk`: no
+ * scheme, port, path or wildcard.
+ */
+export function isValidHostname(value) {
+  if (typeof value !== 'string' || value.length > 253) return false;
+
+  const labels = value.split('.');
+  return labels.length >= 2
+    && labels.every(label => LABEL.test(label))
+    && TOP_LEVEL.test(labels[labels.length - 1]);
+}
+
+/**
+ * The platform domain itself or a name under it, which customers cannot claim.
+ */
+export const isPlatformHostname = value => typeof value === 'string'
+  && (value === PLATFORM_DOMAIN || value.endsWith(`.${PLATFORM_DOMAIN}`));
+
+/**
+ * A single DNS label a brand can use as its subdomain.
+ */
+export const isValidSubdomain = value => typeof value === 'string'
+  && LABEL.test(value)
+  && !RESERVED_SUBDOMAINS.includes(value);
+
+/**
+ * Hostname of a request `host` (lowercased, without port), or null when it is
+ * not a valid hostname.
+ */
+export function hostnameOf(host) {
+  if (typeof host !== 'string') return null;
+
+  const hostname = normalizeHostname(host.replace(/:\d+$/, ''));
+  return isValidHostname(hostname) ? hostname : null;
+}
@@ -0,0 +1,97 @@
+/**
+ * API Errors
+ * Errors that carry the HTTP status and payload they should be answered with
+ */
+
+import mongoose from 'mongoose';
+
+export class ApiError extends Error {
+  constructor(status, message, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      ...(this.details !== undefined && { details: this.details })
+    };
+  }
+}
+
+export const unauthorized = (message = 'Authentication required') => new ApiError(401, message);
+
+export const forbidden = (message = 'Access denied') => new ApiError(403, message);
+
+export const notFound = (message = 'Not found') => new ApiError(404, message);
+
+/**
+ * 400 with a machine-readable list of { path, rule, message } entries.
+ */
+export const invalid = (errors, message = 'Validation failed') => new ApiError(400, message, {
+  code: 'VALIDATION_FAILED',
+  errors
+});
+
+// A conditional write lost to a newer version; carries that version back to the client
+export class PreconditionFailedError extends ApiError {
+  constructor(current) {
+    super(412, 'Resource has been modified; reload and retry', { code: 'PRECONDITION_FAILED' });
+    this.name = 'PreconditionFailedError';
+    this.current = current;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), data: this.current };
+  }
+}
+
+const castMessage = error => (error.path === '_id'
+  ? `Invalid id: ${JSON.stringify(error.value)}`
+  : `${error.path} must be a valid ${error.kind}`);
+
+/**
+ * Mongoose validation errors as { path, rule, message } entries.
+ */
+export function validationErrors(error) {
+  return Object.values(error.errors).map(entry => (
+    entry instanceof mongoose.Error.CastError
+      ? { path: entry.path, rule: 'cast', message: castMessage(entry) }
+      : { path: entry.path, rule: entry.kind, message: entry.message }
+  ));
+}
+
+/**
+ * Translate database and body-parser failures into client errors.
+ * Returns null for anything that really is a server error.
+ */
+export function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return invalid(validationErrors(error));
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return invalid([{ path: error.path, rule: 'cast', message: castMessage(error) }]);
+  }
+
+  if (error?.code === 11000) {
+    const errors = Object.entries(error.keyValue || {}).map(([path, value]) => ({
+      path,
+      rule: 'unique',
+      message: `${path} ${JSON.stringify(value)} is already in use`
+    }));
+    return new ApiError(409, 'Duplicate value', { code: 'DUPLICATE_KEY', errors });
+  }
+
+  // body-parser marks client mistakes (malformed JSON, oversized bodies) as exposable
+  if (error?.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.status, error.type === 'entity.parse.failed' ? 'Malformed JSON body' : error.message);
+  }
+
+  return null;
+}
@@ -0,0 +1,94 @@
+/**
+ * ETag Helpers
+ * Writes are conditioned on the document version (__v), which every update
+ * through the API increments. Usage counters and populated counts change what
+ * a GET returns without bumping it, so entity responses are tagged with the
+ * version plus a hash of the body; If-Match only compares the version part.
+ * Derived representations that depend on more than one document are tagged
+ * by a hash of their content alone.
+ */
+
+import { createHash } from 'node:crypto';
+import { PreconditionFailedError, notFound } from './errors.js';
+
+const hashOf = value => createHash('sha256').update(JSON.stringify(value)).digest('base64url').slice(0, 27);
+
+export const contentEtag = value => `"${hashOf(value)}"`;
+
+export const representationEtag = doc => `"${doc._id}-${doc.__v ?? 0}.${hashOf(doc)}"`;
+
+// "<id>-<version>.<hash>" → "<id>-<version>"
+const versionTag = tag => tag.replace(/\.[\w-]*"$/, '"');
+
+// Parse an If-Match / If-None-Match header. If-None-Match compares weakly, so
+// W/ tags count by their opaque value; If-Match compares strongly (RFC 7232),
+// so they never match.
+function parseTags(header, { weak }) {
+  if (!header) return null;
+  if (header.trim() === '*') return '*';
+
+  const tags = header.split(',').map(tag => tag.trim()).filter(Boolean);
+  return weak ? tags.map(tag => tag.replace(/^W\//, '')) : tags.filter(tag => !tag.startsWith('W/'));
+}
+
+function matches(header, etag, { weak = false, normalize = tag => tag } = {}) {
+  const tags = parseTags(header, { weak });
+  if (tags === null) return false;
+  return tags === '*' || tags.map(normalize).includes(etag);
+}
+
+/**
+ * Set the ETag for a single-entity response. Returns true when the client's
+ * If-None-Match already holds it, in which case a 304 has been sent.
+ */
+export function sendNotModified(req, res, doc) {
+  return sendNotModifiedTag(req, res, representationEtag(doc));
+}
+
+/**
+ * sendNotModified for a response whose ETag is already known.
+ */
+export function sendNotModifiedTag(req, res, etag) {
+  res.set('ETag', etag);
+
+  if (matches(req.get('If-None-Match'), etag, { weak: true })) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * The version a write must apply to, or undefined when the request is unconditional.
+ * Throws 412 (with the current representation) when If-Match is already stale.
+ */
+export function expectedVersion(req, res, current) {
+  const header = req.get('If-Match');
+  if (!header) return undefined;
+
+  res.set('ETag', representationEtag(current));
+
+  if (!matches(header, `"${current._id}-${current.__v ?? 0}"`, { normalize: versionTag })) {
+    throw new PreconditionFailedError(current);
+  }
+  return current.__v ?? 0;
+}
+
+/**
+ * Apply an update only while the document is still at `version` (any version when
+ * undefined), bumping it. Losing that race answers 412 with the winner.
+ */
+export async function updateVersioned(model, id, update, version, { session = null } = {}) {
+  const filter = version === undefined ? { _id: id } : { _id: id, __v: version };
+  const updated = await model.findOneAndUpdate(
+    filter,
+    { ...update, $inc: { ...update.$inc, __v: 1 } },
+    { new: true, session }
+  );
+
+  if (updated) return updated;
+
+  const current = await model.findById(id).session(session);
+  if (!current) throw notFound(`${model.modelName} not found`);
+  throw new PreconditionFailedError(current);
+}
@@ -0,0 +1,87 @@
+/**
+ * Geo Helpers
+ * GeoJSON validation shared by the models and the geospatial routes.
+ * Positions are [longitude, latitude] as in GeoJSON.
+ */
+
+import { ApiError } from './errors.js';
+
+export const isValidPosition = position => Array.isArray(position)
+  && position.length === 2
+  && position.every(Number.isFinite)
+  && position[0] >= -180 && position[0] <= 180
+  && position[1] >= -90 && position[1] <= 90;
+
+/**
+ * Schema validator for stored points: in range, and not the [0, 0] placeholder
+ * older records were created with.
+ */
+export const pointValidator = {
+  validator: position => position === undefined
+    || position.length === 0
+    || (isValidPosition(position) && !(position[0] === 0 && position[1] === 0)),
+  message: 'coordinates must be [longitude, latitude] within range and not the [0, 0] placeholder',
+  type: 'coordinates'
+};
+
+const closed = ring => ring.length >= 4
+  && ring.every(isValidPosition)
+  && ring[0][0] === ring[ring.length - 1][0]
+  && ring[0][1] === ring[ring.length - 1][1];
+
+function assertPolygonRings(rings) {
+  if (!Array.isArray(rings) || rings.length === 0 || !rings.every(ring => Array.isArray(ring) && closed(ring))) {
+    throw new ApiError(400, 'Polygon rings must be closed lists of at least four [longitude, latitude] positions');
+  }
+}
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon (from a parsed body or a JSON query parameter).
+ */
+export function parsePolygon(input) {
+  let geometry = input;
+  if (typeof input === 'string') {
+    try {
+      geometry = JSON.parse(input);
+    } catch {
+      throw new ApiError(400, 'polygon must be GeoJSON');
+    }
+  }
+
+  if (geometry?.type === 'Polygon') {
+    assertPolygonRings(geometry.coordinates);
+  } else if (geometry?.type === 'MultiPolygon' && Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0) {
+    geometry.coordinates.forEach(assertPolygonRings);
+  } else {
+    throw new ApiError(400, 'polygon must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+/**
+ * `minLng,minLat,maxLng,maxLat` as a closed GeoJSON Polygon.
+ */
+export function bboxToPolygon(bbox) {
+  const values = String(bbox).split(',').map(Number);
+  const [minLng, minLat, maxLng, maxLat] = values;
+
+  if (values.length !== 4
+    || !isValidPosition([minLng, minLat])
+    || !isValidPosition([maxLng, maxLat])
+    || minLng >= maxLng
+    || minLat >= maxLat) {
+    throw new ApiError(400, 'bbox must be minLng,minLat,maxLng,maxLat');
+  }
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat]
+    ]]
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * Opening Hours Engine
+ * Weekly intervals (several per day, overnight spans allowed) plus dated
+ * exceptions, evaluated in the location's IANA timezone.
+ *
+ * Times are local "HH:MM" strings; a close at or before the open time runs into
+ * the next day. Dates are local "YYYY-MM-DD" strings.
+ */
+
+export const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+export const TIME_PATTERN = /^(?:(?:[01]\d|2[0-3]):[0-5]\d|24:00)$/;
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MINUTE = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// How far ahead to look for the next opening
+const LOOKAHEAD_DAYS = 14;
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock date and minute-of-day of an instant in `timeZone`.
+ */
+export function localParts(instant, timeZone) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone).formatToParts(instant).map(({ type, value }) => [type, value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second)
+  };
+}
+
+// Milliseconds the zone is ahead of UTC at an instant
+function offsetAt(instant, timeZone) {
+  const whole = Math.floor(instant / 1000) * 1000;
+  const { date, minutes, seconds } = localParts(new Date(whole), timeZone);
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, 0, minutes, seconds) - whole;
+}
+
+/**
+ * The instant a local date + minute-of-day occurs in `timeZone`. Times skipped
+ * by a DST jump resolve to the equivalent instant after the jump.
+ */
+export function zonedTime(date, minutes, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const naive = Date.UTC(year, month - 1, day, 0, minutes);
+  const firstGuess = offsetAt(naive, timeZone);
+  const offset = offsetAt(naive - firstGuess, timeZone);
+  return new Date(naive - offset);
+}
+
+export function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+export const weekdayOf = date => DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+export const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// [open, close] in minutes from the start of the day; close may pass midnight
+function toRange({ open, close }) {
+  const start = toMinutes(open);
+  let end = toMinutes(close);
+  if (end <= start) end += DAY_MINUTES;
+  return [start, end];
+}
+
+// Weekly hours for one day, accepting both intervals and the older open/close pair
+function weeklyIntervals(day) {
+  if (!day || day.closed) return [];
+  if (day.intervals?.length) return day.intervals;
+  if (day.open && day.close) return [{ open: day.open, close: day.close }];
+  return [];
+}
+
+const CLOSING_TYPES = ['holiday', 'closure'];
+
+/**
+ * The exception covering a local date, if any. Closures win over special hours.
+ */
+export function exceptionFor(exceptions = [], date) {
+  const covering = exceptions.filter(exception => (
+    exception.startDate <= date && date <= (exception.endDate || exception.startDate)
+  ));
+  return covering.find(exception => CLOSING_TYPES.includes(exception.type)) || covering[0] || null;
+}
+
+/**
+ * Intervals that start on a local date, after exceptions are applied.
+ */
+export function dayPlan(hours, date) {
+  const exception = exceptionFor(hours.exceptions, date);
+
+  let intervals;
+  if (exception) {
+    intervals = CLOSING_TYPES.includes(exception.type) ? [] : exception.intervals || [];
+  } else {
+    intervals = weeklyIntervals(hours.weekly?.[weekdayOf(date)]);
+  }
+
+  return { date, exception, ranges: intervals.map(toRange) };
+}
+
+// Absolute [start, end] instants for the intervals starting on the given local dates,
+// sorted and with touching intervals (e.g. 18:00-24:00 then 00:00-02:00) merged
+function absoluteIntervals(hours, dates) {
+  const intervals = dates
+    .flatMap(date => dayPlan(hours, date).ranges.map(([start, end]) => [
+      zonedTime(date, start, hours.timezone).getTime(),
+      zonedTime(date, end, hours.timezone).getTime()
+    ]))
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) last[1] = Math.max(last[1], interval[1]);
+    else merged.push([...interval]);
+  }
+  return merged;
+}
+
+/**
+ * Normalize a franchise's settings into the engine's input.
+ */
+export function hoursFromSettings(settings = {}, timezone = settings.timezone) {
+  return {
+    timezone: timezone && isValidTimeZone(timezone) ? timezone : 'UTC',
+    weekly: settings.operatingHours || {},
+    exceptions: settings.hoursExceptions || []
+  };
+}
+
+export function isOpenAt(hours, at = new Date()) {
+  const today = localParts(at, hours.timezone).date;
+  const time = at.getTime();
+
+  // Yesterday's overnight hours can still be running
+  return absoluteIntervals(hours, [addDays(today, -1), today])
+    .some(([start, end]) => start <= time && time < end);
+}
+
+/**
+ * Whether the location is open at `at`, and when it next opens or closes.
+ */
+export function getStatus(hours, at = new Date()) {
+  const local = localParts(at, hours.timezone);
+  const time = at.getTime();
+  const dates = Array.from({ length: LOOKAHEAD_DAYS + 2 }, (_, i) => addDays(local.date, i - 1));
+  const intervals = absoluteIntervals(hours, dates);
+
+  const current = intervals.find(([start, end]) => start <= time && time < end);
+  const next = intervals.find(([start]) => start > time);
+  const hh = String(Math.floor(local.minutes / 60)).padStart(2, '0');
+  const mm = String(local.minutes % 60).padStart(2, '0');
+
+  return {
+    isOpen: Boolean(current),
+    timezone: hours.timezone,
+    localTime: `${local.date}T${hh}:${mm}`,
+    exception: exceptionFor(hours.exceptions, local.date),
+    nextClose: current ? new Date(current[1]) : null,
+    nextOpen: next ? new Date(next[0]) : null
+  };
+}
+
+/**
+ * The concrete schedule for each local date from `from` to `to` inclusive.
+ */
+export function expandSchedule(hours, from, to) {
+  const days = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const { exception, ranges } = dayPlan(hours, date);
+    days.push({
+      date,
+      weekday: weekdayOf(date),
+      exception: exception
+        ? { type: exception.type, note: exception.note, startDate: exception.startDate, endDate: exception.endDate }
+        : null,
+      intervals: ranges.map(([start, end]) => ({
+        open: zonedTime(date, start, hours.timezone),
+        close: zonedTime(date, end, hours.timezone)
+      }))
+    });
+  }
+
+  return days;
+}
@@ -0,0 +1,56 @@
+/**
+ * Object Helpers
+ */
+
+// Documents become plain JSON so ObjectIds, Dates and Maps compare by value
+export function toPlain(doc) {
+  if (!doc) return {};
+  const object = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false, flattenMaps: true })
+    : doc;
+  return JSON.parse(JSON.stringify(object));
+}
+
+export const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects become dot paths; arrays are kept whole
+export function flatten(value, prefix = '', out = {}) {
+  if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Leaf paths whose values differ between two plain objects.
+ */
+export function changedPaths(before, after) {
+  const previous = flatten(before);
+  const next = flatten(after);
+  const paths = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...paths]
+    .filter(path => JSON.stringify(previous[path] ?? null) !== JSON.stringify(next[path] ?? null))
+    .sort();
+}
+
+/**
+ * Inverse of flatten: dot paths become nested objects.
+ */
+export function unflatten(paths) {
+  const out = {};
+  for (const [path, value] of Object.entries(paths)) {
+    const keys = path.split('.');
+    let node = out;
+    for (const key of keys.slice(0, -1)) {
+      if (!isPlainObject(node[key])) node[key] = {};
+      node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+  }
+  return out;
+}
@@ -0,0 +1,208 @@
+/**
+ * Pagination Helpers
+ * Keyset (cursor) pagination over a sort spec that always ends in _id, so pages
+ * stay stable while documents are inserted. Cursors are opaque base64url EJSON.
+ */
+
+import mongoose from 'mongoose';
+import { ApiError, invalid } from './errors.js';
+
+const { EJSON } = mongoose.mongo.BSON;
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE || '200', 10);
+
+const getPath = (doc, path) => (typeof doc.get === 'function'
+  ? doc.get(path)
+  : path.split('.').reduce((value, key) => value?.[key], doc));
+
+// Sort spec: [[field, 1 | -1], ...], with _id appended as the tie-breaker
+export function withTieBreaker(sort) {
+  if (sort.some(([field]) => field === '_id')) return sort;
+  return [...sort, ['_id', sort.length > 0 ? sort[sort.length - 1][1] : 1]];
+}
+
+const sortKey = sort => sort.map(([field, direction]) => (direction < 0 ? `-${field}` : field)).join(',');
+
+export const toMongoSort = sort => Object.fromEntries(sort);
+
+const cursorValues = (sort, doc) => sort.map(([field]) => getPath(doc, field) ?? null);
+
+export function encodeCursor(sort, doc) {
+  return Buffer.from(EJSON.stringify({ s: sortKey(sort), v: cursorValues(sort, doc) })).toString('base64url');
+}
+
+const isCursorValue = value => value === null
+  || ['string', 'number', 'boolean'].includes(typeof value)
+  || value instanceof Date
+  || value instanceof mongoose.Types.ObjectId;
+
+export function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+
+  if (decoded?.s !== sortKey(sort) || !Array.isArray(decoded.v) || decoded.v.length !== sort.length) {
+    throw new ApiError(400, 'Cursor does not match the requested sort');
+  }
+  // Values end up in the query, so only plain scalars are accepted
+  if (!decoded.v.every(isCursorValue)) {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+  return decoded.v;
+}
+
+// Documents strictly after `value` on one field. MongoDB sorts null first and
+// range operators never match null, hence the special cases.
+function after(field, direction, value) {
+  if (direction > 0) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  if (value === null) return null;
+  return field === '_id'
+    ? { _id: { $lt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+}
+
+/**
+ * Filter for everything after the cursor position: for each sort field, equal
+ * on all earlier fields and strictly after on this one.
+ */
+export function cursorFilter(sort, values) {
+  const branches = [];
+
+  sort.forEach(([field, direction], index) => {
+    const tail = after(field, direction, values[index]);
+    if (!tail) return;
+
+    const equal = sort.slice(0, index).map(([prefix], i) => ({ [prefix]: values[i] }));
+    branches.push(equal.length > 0 ? { $and: [...equal, tail] } : tail);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: { $in: [] } };
+}
+
+function parseCount(query, name, { min, fallback }) {
+  if (query[name] === undefined) return fallback;
+
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw invalid([{ path: name, rule: 'integer', message: `${name} must be an integer of at least ${min}` }]);
+  }
+  return value;
+}
+
+/**
+ * Read limit, cursor, total and the deprecated offset from a list request.
+ * Limits above MAX_PAGE_SIZE are capped.
+ */
+export function parsePagination(query, sort) {
+  const fullSort = withTieBreaker(sort);
+
+  return {
+    sort: fullSort,
+    limit: Math.min(parseCount(query, 'limit', { min: 1, fallback: DEFAULT_PAGE_SIZE }), MAX_PAGE_SIZE),
+    offset: parseCount(query, 'offset', { min: 0, fallback: 0 }),
+    cursor: query.cursor ? decodeCursor(query.cursor, fullSort) : null,
+    withTotal: query.total === 'true'
+  };
+}
+
+// Upper bound on documents read for one page when `keep` filters in memory
+const MAX_SCANNED = 2000;
+
+const afterCursor = (filter, sort, cursor) => (cursor ? { $and: [filter, cursorFilter(sort, cursor)] } : filter);
+
+/**
+ * Run one page of `filter` on `model`. `decorate` can add populate/select/lean.
+ * `keep` (sync or async) drops documents that cannot be expressed as a query (see pageKept).
+ */
+export async function paginate(model, filter, page, decorate = query => query, { keep } = {}) {
+  if (keep) return pageKept(model, filter, page, decorate, keep);
+
+  let query = model.find(afterCursor(filter, page.sort, page.cursor))
+    .sort(toMongoSort(page.sort))
+    .limit(page.limit + 1);
+  if (!page.cursor && page.offset) query = query.skip(page.offset);
+
+  const docs = await decorate(query);
+  const hasMore = docs.length > page.limit;
+  const data = hasMore ? docs.slice(0, page.limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      limit: page.limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page.sort, data[data.length - 1]) : null,
+      ...(page.withTotal && { total: await model.countDocuments(filter) })
+    }
+  };
+}
+
+/**
+ * Read batches in sort order until a page of kept documents is found. When the
+ * scan limit is reached first, the page comes back short with a cursor after the
+ * last document read. Totals are not available here.
+ */
+async function pageKept(model, filter, page, decorate, keep) {
+  const data = [];
+  let position = page.cursor;
+  let lastRead = null;
+  let scanned = 0;
+  let exhausted = false;
+
+  while (data.length <= page.limit && !exhausted && scanned < MAX_SCANNED) {
+    let query = model.find(afterCursor(filter, page.sort, position))
+      .sort(toMongoSort(page.sort))
+      .limit(page.limit + 1);
+    if (!position && page.offset) query = query.skip(page.offset);
+
+    const docs = await decorate(query);
+    scanned += docs.length;
+    exhausted = docs.length <= page.limit;
+
+    for (const doc of docs) {
+      lastRead = doc;
+      if (await keep(doc)) data.push(doc);
+      if (data.length > page.limit) break;
+    }
+    if (lastRead) position = cursorValues(page.sort, lastRead);
+  }
+
+  const full = data.length > page.limit;
+  const hasMore = full || !exhausted;
+  if (full) data.length = page.limit;
+
+  let nextCursor = null;
+  if (full) nextCursor = encodeCursor(page.sort, data[data.length - 1]);
+  else if (hasMore) nextCursor = encodeCursor(page.sort, lastRead);
+
+  return {
+    data,
+    pagination: { limit: page.limit, hasMore, nextCursor }
+  };
+}
+
+/**
+ * RFC 5988 Link header with first and next pages of the current request.
+ */
+export function setLinkHeader(req, res, pagination) {
+  const base = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  base.searchParams.delete('offset');
+
+  const link = cursor => {
+    const url = new URL(base);
+    if (cursor) url.searchParams.set('cursor', cursor);
+    else url.searchParams.delete('cursor');
+    return `<${url.pathname}${url.search}>`;
+  };
+
+  const links = [`${link(null)}; rel="first"`];
+  if (pagination.nextCursor) links.push(`${link(pagination.nextCursor)}; rel="next"`);
+
+  res.set('Link', links.join(', '));
+}
@@ -0,0 +1,36 @@
+/**
+ * Slug Helpers
+ * URL-safe handles derived from names: lowercase ASCII words joined by dashes
+ */
+
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+export const MAX_SLUG_LENGTH = 64;
+
+// Generated slugs leave room for a -<n> suffix
+const MAX_BASE_LENGTH = 56;
+
+export const isValidSlug = value => typeof value === 'string'
+  && value.length <= MAX_SLUG_LENGTH
+  && SLUG_PATTERN.test(value);
+
+/**
+ * Slug for `name` ("Café Zürich & Co." → "cafe-zurich-co"), or `fallback`
+ * when nothing URL-safe is left of it.
+ */
+export function slugify(name, fallback = 'item') {
+  const slug = String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_BASE_LENGTH)
+    .replace(/-+$/, '');
+
+  return slug || fallback;
+}
+
+/**
+ * `base` with the suffix that makes the nth candidate: base, base-2, base-3, …
+ */
+export const slugCandidate = (base, n) => (n === 1 ? base : `${base}-${n}`);
@@ -0,0 +1,35 @@
+/**
+ * Streaming Helpers
+ * Write large responses piece by piece, waiting for the socket to drain so a
+ * slow client never makes the whole payload pile up in memory.
+ */
+
+import { once } from 'events';
+
+/**
+ * An async `write(chunk)` for `res` that respects backpressure. Rejects if the
+ * client goes away mid-stream.
+ */
+export function streamWriter(res) {
+  return async chunk => {
+    if (res.destroyed) throw new Error('Client closed the connection');
+    if (!res.write(chunk)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+}
+
+/**
+ * Stream an array as JSON, one element at a time, from an (async) iterable.
+ * `writeItem` may write the element itself in several chunks.
+ */
+export async function writeJsonArray(write, items, writeItem = item => write(JSON.stringify(item))) {
+  await write('[');
+  let first = true;
+  for await (const item of items) {
+    if (!first) await write(',');
+    first = false;
+    await writeItem(item);
+  }
+  await write(']');
+}
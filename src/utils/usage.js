@@ -0,0 +1,45 @@
+/**
+ * Usage Helpers
+ * Metered metrics, monthly period keys and quota evaluation
+ */
+
+// `flow` metrics count per month; `gauge` metrics are a running level
+// (increments may be negative) compared against limits as a total
+export const METRICS = {
+  submissions: { kind: 'flow', unit: 'count' },
+  forms: { kind: 'gauge', unit: 'count' },
+  staff: { kind: 'gauge', unit: 'count' },
+  users: { kind: 'gauge', unit: 'count' },
+  storage: { kind: 'gauge', unit: 'MB' }
+};
+
+export const METRIC_NAMES = Object.keys(METRICS);
+
+export const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// UTC calendar month of `date` as YYYY-MM
+export const periodOf = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * Compare `used` with `limit` (null is unlimited). `thresholds` are fractions of
+ * the limit, e.g. [0.8, 0.9]; the highest one reached is reported as a warning.
+ * At the limit, `hardLimitReached` tells callers to refuse more usage.
+ */
+export function quotaStatus(used, limit, thresholds) {
+  if (limit === null || limit === undefined) {
+    return { used, limit: null, ratio: null, status: 'ok', threshold: null, hardLimitReached: false };
+  }
+
+  const ratio = limit > 0 ? used / limit : (used > 0 ? Infinity : 0);
+  const reached = [...thresholds].sort((a, b) => b - a).find(threshold => ratio >= threshold) ?? null;
+  const hardLimitReached = used >= limit;
+
+  return {
+    used,
+    limit,
+    ratio: Number.isFinite(ratio) ? Math.round(ratio * 1000) / 1000 : null,
+    status: hardLimitReached ? 'limit_reached' : (reached !== null ? 'warning' : 'ok'),
+    threshold: reached,
+    hardLimitReached
+  };
+}